@@ -0,0 +1,436 @@
+/**
+ * Endgame Database for Kalah/Mancala
+ *
+ * Exact results for every position with at most `maxSeeds` seeds left on the board.
+ * What a player can still collect doesn't depend on the stores, so each entry is the
+ * final score margin the player to move gets from the remaining seeds under perfect
+ * play (their seeds minus the opponent's). The final score difference of a position is
+ * its store difference plus that margin.
+ *
+ * Positions are stored player-relative (the side to move first) and indexed with a
+ * perfect hash: the combinatorial rank of the seed counts as a composition, so a table
+ * for 2n pits and up to N seeds has exactly C(N + 2n, 2n) entries, one signed byte each.
+ *
+ * Tables are built as if the game is always played to the end. With the early-win rule
+ * (standard) a game may stop sooner, which can change the final margin but never the
+ * winner, so win/draw/loss results are exact under either setting.
+ *
+ * Loaded tables are registered globally; KalahAI, MCTSAgent and the RL agents consult
+ * them automatically (see EndgameDatabase.probe). In Node.js, the first position of a board
+ * and rule variant without a registered table also loads that variant's table from
+ * models/endgame if it has been built (see autoload), so every script and test uses it.
+ *
+ * Runs in Node.js and in the browser (requires KalahEngine).
+ */
+
+const ENDGAME_MAGIC = 'KEDB';
+const ENDGAME_VERSION = 1;
+const ENDGAME_HEADER_SIZE = 12;
+const UNSOLVED = -128;
+
+class EndgameDatabase {
+    /**
+     * @param {Object} options - Table geometry
+     * @param {number} options.pitsPerPlayer - Pits per player
+     * @param {number} options.maxSeeds - Most seeds on the board the table covers
+     * @param {Object} options.rules - Rule variant (earlyWin is ignored, see above)
+     * @param {Int8Array} options.margins - Margins by index (default: new, unsolved table)
+     */
+    constructor({ pitsPerPlayer, maxSeeds, rules = {}, margins = null }) {
+        if (maxSeeds > 127) {
+            throw new Error(`Endgame tables cover at most 127 seeds (got ${maxSeeds})`);
+        }
+
+        this.pitsPerPlayer = pitsPerPlayer;
+        this.maxSeeds = maxSeeds;
+        this.rules = { ...EndgameDatabase.Engine.normalizeRules(rules), earlyWin: false };
+
+        // binomials[k * (total + 1) + b] = C(b, k), for the ranks of up to 2n bar positions
+        const pits = pitsPerPlayer * 2;
+        this.binomialStride = maxSeeds + pits + 1;
+        this.binomials = new Float64Array((pits + 1) * this.binomialStride);
+        for (let b = 0; b < this.binomialStride; b++) {
+            this.binomials[b] = 1;
+            for (let k = 1; k <= pits && b > 0; k++) {
+                this.binomials[k * this.binomialStride + b] =
+                    this.binomials[k * this.binomialStride + b - 1] + this.binomials[(k - 1) * this.binomialStride + b - 1];
+            }
+        }
+
+        this.size = EndgameDatabase.tableSize(pitsPerPlayer, maxSeeds);
+        if (margins !== null && margins.length !== this.size) {
+            throw new Error(`Endgame table has ${margins.length} entries, expected ${this.size}`);
+        }
+        this.margins = margins || new Int8Array(this.size).fill(UNSOLVED);
+    }
+
+    /**
+     * Number of positions with at most `maxSeeds` seeds on a board of 2n pits: C(maxSeeds + 2n, 2n)
+     */
+    static tableSize(pitsPerPlayer, maxSeeds) {
+        const pits = pitsPerPlayer * 2;
+        let size = 1;
+        for (let k = 1; k <= pits; k++) {
+            size = size * (maxSeeds + k) / k;
+        }
+        return Math.round(size);
+    }
+
+    /**
+     * Perfect hash of a board seen from `player`: rank of the seed counts (from the
+     * player's first pit around the board) among all boards with as many seeds or fewer
+     * @returns {number} Index in [0, size) when the board has at most maxSeeds seeds
+     */
+    index(board, player) {
+        const pits = board.length;
+        const start = player * this.pitsPerPlayer;
+        const binomials = this.binomials;
+        const stride = this.binomialStride;
+        let rank = 0;
+        let bar = -1;
+
+        // Bar positions of the stars-and-bars picture: b_i = seeds in pits 0..i + i
+        for (let i = 0; i < pits; i++) {
+            const pit = start + i < pits ? start + i : start + i - pits;
+            bar += board[pit] + 1;
+            rank += binomials[(i + 1) * stride + bar];
+        }
+
+        return rank;
+    }
+
+    /**
+     * Check whether the table covers a state: same board size and rules, few enough seeds
+     */
+    covers(state) {
+        if (state.board.length !== this.pitsPerPlayer * 2) return false;
+
+        const rules = state.rules || EndgameDatabase.Engine.DEFAULT_RULES;
+        if ((rules.captures !== false) !== this.rules.captures ||
+            Boolean(rules.captureEmptyOpposite) !== this.rules.captureEmptyOpposite ||
+            (rules.remainingSeeds || 'owner') !== this.rules.remainingSeeds) {
+            return false;
+        }
+
+        let seeds = 0;
+        for (let i = 0; i < state.board.length; i++) {
+            seeds += state.board[i];
+        }
+        return seeds <= this.maxSeeds;
+    }
+
+    /**
+     * Margin the player to move gets from the seeds left on the board under perfect play
+     * @param {Object} state - Game state (not over)
+     * @returns {number|null} Margin, or null if the table doesn't cover the state
+     */
+    lookup(state) {
+        if (!this.covers(state)) return null;
+        const margin = this.margins[this.index(state.board, state.currentPlayer)];
+        return margin === UNSOLVED ? null : margin;
+    }
+
+    /**
+     * Best move by table lookup: the move with the largest final score difference
+     * @param {Object} state - Game state (not over)
+     * @returns {Object|null} { move, scoreDiff: final score difference for the player to move },
+     *   or null if the table doesn't cover the state
+     */
+    bestMove(state) {
+        if (!this.covers(state)) return null;
+
+        const player = state.currentPlayer;
+        const start = player * this.pitsPerPlayer;
+        let best = null;
+
+        for (let pit = start; pit < start + this.pitsPerPlayer; pit++) {
+            if (state.board[pit] === 0) continue;
+
+            const next = EndgameDatabase.Engine.applyMove(state, pit);
+            let scoreDiff = next.stores[player] - next.stores[1 - player];
+            if (!next.gameOver) {
+                const margin = this.lookup(next);
+                scoreDiff += next.currentPlayer === player ? margin : -margin;
+            }
+            if (best === null || scoreDiff > best.scoreDiff) {
+                best = { move: pit, scoreDiff };
+            }
+        }
+
+        return best;
+    }
+
+    /**
+     * Solve every position in the table
+     * Each move either puts seeds into a store or moves seeds closer to their owner's
+     * store, so positions never repeat and a memoized search over all moves terminates.
+     * @param {Function} onProgress - Called with (seeds, positionsSolved) after each seed count
+     * @returns {EndgameDatabase} this
+     */
+    generate(onProgress = null) {
+        const n = this.pitsPerPlayer;
+        const pits = n * 2;
+        const board = new Array(pits).fill(0);
+        let solved = 0;
+
+        // Enumerate boards by seed count, so progress is reported level by level
+        const visit = (pit, seedsLeft) => {
+            if (pit === pits - 1) {
+                board[pit] = seedsLeft;
+                this.solve(board);
+                solved++;
+                return;
+            }
+            for (let seeds = seedsLeft; seeds >= 0; seeds--) {
+                board[pit] = seeds;
+                visit(pit + 1, seedsLeft - seeds);
+            }
+        };
+
+        for (let seeds = 0; seeds <= this.maxSeeds; seeds++) {
+            visit(0, seeds);
+            if (onProgress) onProgress(seeds, solved);
+        }
+
+        return this;
+    }
+
+    /**
+     * Margin for player 0 to move on a board (player-relative), solving it if needed
+     */
+    solve(board) {
+        const index = this.index(board, 0);
+        if (this.margins[index] !== UNSOLVED) {
+            return this.margins[index];
+        }
+
+        const n = this.pitsPerPlayer;
+        let own = 0;
+        let theirs = 0;
+        for (let i = 0; i < n; i++) {
+            own += board[i];
+            theirs += board[i + n];
+        }
+
+        let best;
+        if (own === 0 || theirs === 0) {
+            // Game over: remaining seeds go to their owner, or all to the side that ran out
+            if (this.rules.remainingSeeds === 'clearer' && own + theirs > 0) {
+                best = own === 0 ? theirs : -own;
+            } else {
+                best = own - theirs;
+            }
+        } else {
+            const state = { board, stores: [0, 0], currentPlayer: 0, rules: this.rules };
+            best = -Infinity;
+            for (let pit = 0; pit < n; pit++) {
+                if (board[pit] === 0) continue;
+
+                const next = EndgameDatabase.Engine.applyMove(state, pit);
+                let margin = next.stores[0] - next.stores[1];
+                if (!next.gameOver) {
+                    margin += next.currentPlayer === 0
+                        ? this.solve(next.board)
+                        : -this.solve(next.board.slice(n).concat(next.board.slice(0, n)));
+                }
+                if (margin > best) {
+                    best = margin;
+                }
+            }
+        }
+
+        this.margins[index] = best;
+        return best;
+    }
+
+    /**
+     * Serialize to the binary table format:
+     * "KEDB", version, pitsPerPlayer, maxSeeds, rule flags, entry count (uint32 LE), margins (int8)
+     * @returns {Uint8Array} File contents
+     */
+    toBytes() {
+        const bytes = new Uint8Array(ENDGAME_HEADER_SIZE + this.size);
+        for (let i = 0; i < 4; i++) {
+            bytes[i] = ENDGAME_MAGIC.charCodeAt(i);
+        }
+        bytes[4] = ENDGAME_VERSION;
+        bytes[5] = this.pitsPerPlayer;
+        bytes[6] = this.maxSeeds;
+        bytes[7] = (this.rules.captureEmptyOpposite ? 1 : 0) | (this.rules.remainingSeeds === 'clearer' ? 2 : 0) |
+            (this.rules.captures ? 0 : 4);
+        new DataView(bytes.buffer).setUint32(8, this.size, true);
+        bytes.set(new Uint8Array(this.margins.buffer, this.margins.byteOffset, this.size), ENDGAME_HEADER_SIZE);
+        return bytes;
+    }
+
+    /**
+     * Read a table from the binary format (see toBytes)
+     * @param {ArrayBuffer|Uint8Array} data - File contents
+     * @returns {EndgameDatabase} Table
+     */
+    static fromBytes(data) {
+        const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+        const magic = String.fromCharCode(bytes[0], bytes[1], bytes[2], bytes[3]);
+        if (bytes.length < ENDGAME_HEADER_SIZE || magic !== ENDGAME_MAGIC) {
+            throw new Error('Not an endgame table (bad header)');
+        }
+        if (bytes[4] !== ENDGAME_VERSION) {
+            throw new Error(`Unsupported endgame table version ${bytes[4]} (expected ${ENDGAME_VERSION})`);
+        }
+
+        const size = new DataView(bytes.buffer, bytes.byteOffset, bytes.length).getUint32(8, true);
+        if (bytes.length !== ENDGAME_HEADER_SIZE + size) {
+            throw new Error(`Endgame table is truncated: ${bytes.length - ENDGAME_HEADER_SIZE} of ${size} entries`);
+        }
+
+        return new EndgameDatabase({
+            pitsPerPlayer: bytes[5],
+            maxSeeds: bytes[6],
+            rules: {
+                captureEmptyOpposite: (bytes[7] & 1) !== 0,
+                remainingSeeds: (bytes[7] & 2) !== 0 ? 'clearer' : 'owner',
+                captures: (bytes[7] & 4) === 0
+            },
+            margins: new Int8Array(bytes.buffer, bytes.byteOffset + ENDGAME_HEADER_SIZE, size)
+        });
+    }
+
+    /**
+     * Default file name for a board and rule variant, e.g. "kalah-6.bin" or "kalah-6-empty-capture.bin"
+     */
+    static fileName(pitsPerPlayer, rules = {}) {
+        const description = EndgameDatabase.Engine.describeRules({
+            ...EndgameDatabase.Engine.normalizeRules(rules),
+            earlyWin: true
+        });
+        const suffix = description === 'standard' ? '' : '-' + description.replace(/, /g, '-');
+        return `kalah-${pitsPerPlayer}${suffix}.bin`;
+    }
+
+    /**
+     * Load a table file and register it (Node.js)
+     * @param {string} path - File path
+     * @returns {EndgameDatabase} Table
+     */
+    static loadFile(path) {
+        const fs = require('fs');
+        return EndgameDatabase.register(EndgameDatabase.fromBytes(fs.readFileSync(path)));
+    }
+
+    /**
+     * Load and register the table for a board from its default location, if it has been built (Node.js)
+     * @param {number} pitsPerPlayer - Pits per player
+     * @param {Object} rules - Rule variant
+     * @param {string} dir - Table directory (default: models/endgame)
+     * @returns {EndgameDatabase|null} Table, or null if there is no file
+     */
+    static loadDefault(pitsPerPlayer, rules = {}, dir = 'models/endgame') {
+        const file = `${dir}/${EndgameDatabase.fileName(pitsPerPlayer, rules)}`;
+        return require('fs').existsSync(file) ? EndgameDatabase.loadFile(file) : null;
+    }
+
+    /**
+     * Download a table and register it (browser)
+     * @param {string} url - Table URL
+     * @returns {Promise<EndgameDatabase>} Table
+     */
+    static async fetch(url) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Endgame table not found at ${url}`);
+        }
+        return EndgameDatabase.register(EndgameDatabase.fromBytes(await response.arrayBuffer()));
+    }
+
+    /**
+     * Make a table available to all agents, replacing one for the same board and rules
+     * @returns {EndgameDatabase} The table
+     */
+    static register(table) {
+        EndgameDatabase.tables = EndgameDatabase.tables.filter(t =>
+            t.pitsPerPlayer !== table.pitsPerPlayer ||
+            t.rules.captures !== table.rules.captures ||
+            t.rules.captureEmptyOpposite !== table.rules.captureEmptyOpposite ||
+            t.rules.remainingSeeds !== table.rules.remainingSeeds);
+        EndgameDatabase.tables.push(table);
+        EndgameDatabase.version++;
+        return table;
+    }
+
+    /**
+     * Remove all registered tables
+     */
+    static clear() {
+        EndgameDatabase.tables = [];
+        EndgameDatabase.version++;
+    }
+
+    /**
+     * Registered table covering a state
+     * @returns {EndgameDatabase|null} Table, or null if none covers it
+     */
+    static find(state) {
+        for (const table of EndgameDatabase.tables) {
+            if (table.covers(state)) return table;
+        }
+        return EndgameDatabase.autoload(state);
+    }
+
+    /**
+     * Load the default table for a state's board and rules from autoloadDir (Node.js), once
+     * per board and rule variant
+     * @returns {EndgameDatabase|null} The loaded table, if it covers the state
+     */
+    static autoload(state) {
+        const node = typeof process !== 'undefined' && process.versions && process.versions.node;
+        if (!EndgameDatabase.autoloadDir || !node) return null;
+
+        const rules = state.rules || EndgameDatabase.Engine.DEFAULT_RULES;
+        const variant = state.board.length * 8 + (rules.captures === false ? 4 : 0) +
+            (rules.captureEmptyOpposite ? 2 : 0) + (rules.remainingSeeds === 'clearer' ? 1 : 0);
+        if (EndgameDatabase.autoloaded.has(variant)) return null;
+        EndgameDatabase.autoloaded.add(variant);
+
+        const table = EndgameDatabase.loadDefault(state.board.length / 2, rules, EndgameDatabase.autoloadDir);
+        return table && table.covers(state) ? table : null;
+    }
+
+    /**
+     * Set the directory tables are autoloaded from, forgetting which variants were tried
+     * @param {string|null} dir - Table directory (null: don't autoload)
+     */
+    static autoloadFrom(dir) {
+        EndgameDatabase.autoloadDir = dir;
+        EndgameDatabase.autoloaded = new Set();
+    }
+
+    /**
+     * Margin for the player to move from a registered table (see lookup)
+     * @returns {number|null} Margin, or null if no table covers the state
+     */
+    static probe(state) {
+        if (state.gameOver) return null;
+        const table = EndgameDatabase.find(state);
+        return table ? table.lookup(state) : null;
+    }
+}
+
+// Registered tables; version changes whenever the set changes (search caches key on it)
+EndgameDatabase.tables = [];
+EndgameDatabase.version = 0;
+
+// Where find() looks for tables nobody registered, and the variants it has tried (see autoload)
+EndgameDatabase.autoloadDir = 'models/endgame';
+EndgameDatabase.autoloaded = new Set();
+
+// Shared engine: global from js/kalah-engine.js in the browser
+EndgameDatabase.Engine = typeof KalahEngine !== 'undefined' ? KalahEngine : require('../engine/kalah-engine.js');
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.EndgameDatabase = EndgameDatabase;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = EndgameDatabase;
+}
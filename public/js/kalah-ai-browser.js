@@ -3,43 +3,111 @@
  *
  * This is a lightweight AI that runs in the browser.
  * Uses a simple heuristic evaluation since we can't load TensorFlow models in the browser easily.
+ *
+ * Requires KalahEngine (global in the browser, required in Node.js) for move simulation,
+ * and EndgameDatabase for exact results once few seeds are left. An OpeningBook can
+ * supply the first moves.
  */
 
 class KalahAI {
-    constructor(difficulty = 'medium') {
+    /**
+     * @param {string} difficulty - 'easy', 'medium', 'hard' or 'expert'
+     * @param {Object} options - Search options
+     * @param {boolean} options.useTranspositionTable - Reuse results for repeated positions (default: true)
+     * @param {number} options.ttSizeBits - Transposition table size as a power of two (default: 18)
+     * @param {number} options.timeLimitMs - Think for this long per move instead of searching to
+     *   the difficulty's fixed depth (see think)
+     * @param {number} options.depth - Search this many plies instead of the difficulty's depth
+     *   (default: none)
+     * @param {boolean} options.useEndgameDB - Score positions covered by a registered endgame
+     *   table exactly (default: true)
+     * @param {OpeningBook} options.openingBook - Play book moves while the position is in
+     *   this book (default: none)
+     * @param {Function} options.random - Random number generator in [0, 1) for random and
+     *   book moves (default: Math.random)
+     */
+    constructor(difficulty = 'medium', options = {}) {
+        const {
+            useTranspositionTable = true,
+            ttSizeBits = 18,
+            timeLimitMs = null,
+            depth = null,
+            useEndgameDB = true,
+            openingBook = null,
+            random = Math.random
+        } = options;
+
         this.difficulty = difficulty;
 
         // Difficulty settings
         this.settings = {
             easy: { depth: 2, randomness: 0.3 },
             medium: { depth: 4, randomness: 0.1 },
-            hard: { depth: 6, randomness: 0.0 }
+            hard: { depth: 6, randomness: 0.0 },
+            expert: { depth: 10, randomness: 0.0 }
         };
 
         this.config = this.settings[difficulty] || this.settings.medium;
+        if (depth !== null) {
+            this.config = { ...this.config, depth };
+        }
+        this.timeLimitMs = timeLimitMs;
+        this.useEndgameDB = useEndgameDB;
+        this.openingBook = openingBook;
+        this.random = random;
+
+        this.transpositionTable = useTranspositionTable ? new TranspositionTable(ttSizeBits) : null;
+        this.ttContext = null; // Board size and rules the table's entries belong to
+
+        // Per-ply scratch states and move lists, so the search doesn't allocate per node
+        this.scratchStates = [];
+        this.scratchMoves = [];
+
+        // Counters for the last search
+        this.stats = { nodes: 0, ttProbes: 0, ttHits: 0, ttCutoffs: 0 };
+        this.lastSearch = null; // Result of the last think()
+
+        // Time control: the search stops once `aborted` is set
+        this.deadline = Infinity;
+        this.aborted = false;
     }
 
     /**
      * Select best move for current player
-     * @param {Object} state - Game state from KalahEngine
+     * @param {Object|string} state - Game state from KalahEngine, or a position string
      * @returns {number} Best pit index to play
      */
     selectMove(state) {
+        if (typeof state === 'string') {
+            state = KalahAI.Engine.parsePosition(state);
+        }
         const validMoves = this.getValidMoves(state);
 
         if (validMoves.length === 0) return null;
 
+        // Book move (a random one among near-equal moves) while still in the opening
+        const bookMove = this.openingBook ? this.openingBook.selectMove(state, { random: this.random }) : null;
+        if (bookMove !== null) {
+            return bookMove;
+        }
+
+        if (this.timeLimitMs) {
+            return this.think(state, { timeLimitMs: this.timeLimitMs }).move;
+        }
+
         // Random move with some probability (for variety)
-        if (Math.random() < this.config.randomness) {
-            return validMoves[Math.floor(Math.random() * validMoves.length)];
+        if (this.random() < this.config.randomness) {
+            return validMoves[Math.floor(this.random() * validMoves.length)];
         }
 
         // Use minimax to find best move
+        const root = this.prepareSearch(state);
         let bestMove = validMoves[0];
         let bestScore = -Infinity;
 
         for (const move of validMoves) {
-            const score = this.minimax(state, move, this.config.depth, false);
+            // A move can only replace the best one by scoring higher, so the best score is a lower bound
+            const score = this.search(root, move, this.config.depth, root.currentPlayer, bestScore, Infinity, 0);
 
             if (score > bestScore) {
                 bestScore = score;
@@ -50,43 +118,292 @@ class KalahAI {
         return bestMove;
     }
 
+    /**
+     * Iterative deepening search
+     *
+     * Searches 1, 2, 3, ... plies deep until `maxDepth` or the time limit. Each iteration
+     * starts with the previous iteration's best move, and the transposition table supplies
+     * the best replies found so far; an unfinished iteration is discarded. The first
+     * iteration always completes, so there is always a move.
+     *
+     * @param {Object|string} state - Game state from KalahEngine, or a position string
+     * @param {Object} options - Search limits
+     * @param {number} options.maxDepth - Deepest iteration in plies, counting the move itself
+     *   (default: 100 with a time limit, else the difficulty's depth + 1 like selectMove)
+     * @param {number} options.timeLimitMs - Stop searching after this many milliseconds
+     * @returns {Object} { move, score, depth, pv, nodes, timeMs } - pv is the expected line
+     *   of play as pit indices, starting with the move
+     */
+    think(state, options = {}) {
+        if (typeof state === 'string') {
+            state = KalahAI.Engine.parsePosition(state);
+        }
+        const {
+            timeLimitMs = null,
+            maxDepth = timeLimitMs ? 100 : this.config.depth + 1
+        } = options;
+
+        const validMoves = this.getValidMoves(state);
+        if (validMoves.length === 0) return null;
+
+        const start = Date.now();
+        const root = this.prepareSearch(state);
+        let rootMoves = validMoves;
+        let result = null;
+
+        for (let depth = 1; depth <= maxDepth; depth++) {
+            this.deadline = timeLimitMs && depth > 1 ? start + timeLimitMs : Infinity;
+            let bestMove = null;
+            let bestScore = -Infinity;
+
+            for (const move of rootMoves) {
+                const score = this.search(root, move, depth - 1, root.currentPlayer, bestScore, Infinity, 0);
+                if (this.aborted) break;
+
+                if (score > bestScore) {
+                    bestScore = score;
+                    bestMove = move;
+                }
+            }
+            if (this.aborted) break;
+
+            result = {
+                move: bestMove,
+                score: bestScore,
+                depth,
+                pv: this.principalVariation(root, bestMove, depth)
+            };
+
+            // A single legal move needs no deeper search
+            if (validMoves.length === 1) break;
+
+            rootMoves = [bestMove, ...rootMoves.filter(move => move !== bestMove)];
+        }
+
+        this.deadline = Infinity;
+        this.aborted = false;
+        result.nodes = this.stats.nodes;
+        result.timeMs = Date.now() - start;
+        this.lastSearch = result;
+        return result;
+    }
+
+    /**
+     * Follow the transposition table's best moves from the root to get the expected line
+     */
+    principalVariation(root, move, depth) {
+        const pv = [move];
+        const tt = this.transpositionTable;
+        if (!tt) return pv;
+
+        // Same node keys as search(): every node is scored for the root player
+        const perspectiveLo = root.currentPlayer === 1 ? KalahAI.KEY_PLAYER_1[0] : 0;
+        const perspectiveHi = root.currentPlayer === 1 ? KalahAI.KEY_PLAYER_1[1] : 0;
+        let state = KalahAI.Engine.applyMove(root, move);
+
+        while (pv.length < depth && !state.gameOver) {
+            const slot = tt.probe(state.hashLo ^ perspectiveLo, state.hashHi ^ perspectiveHi);
+            if (slot < 0) break;
+
+            const next = tt.moves[slot];
+            const pitsPerPlayer = state.board.length / 2;
+            const startPit = state.currentPlayer * pitsPerPlayer;
+            if (next < startPit || next >= startPit + pitsPerPlayer || state.board[next] === 0) break;
+
+            pv.push(next);
+            state = KalahAI.Engine.applyMove(state, next);
+        }
+
+        return pv;
+    }
+
     /**
      * Minimax algorithm with alpha-beta pruning
+     * Scores `move` played from `state` for the player making it, searching `depth` plies below it.
+     */
+    minimax(state, move, depth, alpha = -Infinity, beta = Infinity) {
+        const root = this.prepareSearch(state);
+        return this.search(root, move, depth, root.currentPlayer, alpha, beta, 0);
+    }
+
+    /**
+     * Reset counters and return a hashed copy of the root state for the search
+     */
+    prepareSearch(state) {
+        this.stats = { nodes: 0, ttProbes: 0, ttHits: 0, ttCutoffs: 0 };
+
+        const root = KalahAI.Engine.hashState({
+            board: [...state.board],
+            stores: [...state.stores],
+            currentPlayer: state.currentPlayer,
+            gameOver: state.gameOver,
+            moveNumber: state.moveNumber || 0,
+            rules: KalahAI.Engine.normalizeRules(state.rules)
+        });
+
+        // Entries are only valid for the board size, rules and endgame tables they were searched with
+        const context = `${root.board.length}:${KalahAI.Engine.describeRules(root.rules)}:` +
+            (this.useEndgameDB ? KalahAI.Endgame.version : 'no-endgame');
+        if (this.transpositionTable) {
+            if (this.ttContext !== context) {
+                this.transpositionTable.clear();
+            }
+            this.transpositionTable.nextSearch();
+        }
+        this.ttContext = context;
+
+        if (this.scratchStates.length > 0 && this.scratchStates[0].board.length !== root.board.length) {
+            this.scratchStates = [];
+            this.scratchMoves = [];
+        }
+
+        return root;
+    }
+
+    /**
+     * Alpha-beta search over the engine's transition function
+     *
+     * Scores are always for `player`. Whether a node maximizes or minimizes follows the side
+     * to move in it, so after an extra turn the same side moves again.
+     * Child states are written into per-ply scratch states. Results are stored in the
+     * transposition table with their bound type, and the stored best move is tried first.
+     * Once the deadline passes, `aborted` is set and the remaining search returns at once.
      */
-    minimax(state, move, depth, isMaximizing, alpha = -Infinity, beta = Infinity) {
+    search(state, move, depth, player, alpha, beta, ply) {
+        this.stats.nodes++;
+        if ((this.stats.nodes & 1023) === 0 && Date.now() > this.deadline) {
+            this.aborted = true;
+        }
+        if (this.aborted) return 0;
+
         // Simulate the move
-        const newState = this.simulateMove(state, move);
+        if (ply === this.scratchStates.length) {
+            this.scratchStates.push({ board: new Array(state.board.length), stores: [0, 0], move: null });
+            this.scratchMoves.push(new Int8Array(state.board.length / 2));
+        }
+        const newState = KalahAI.Engine.applyMove(state, move, this.scratchStates[ply]);
+
+        // Exact result from an endgame table once few enough seeds are left
+        if (this.useEndgameDB && !newState.gameOver) {
+            const margin = KalahAI.Endgame.probe(newState);
+            if (margin !== null) {
+                const scoreDiff = newState.stores[player] - newState.stores[1 - player] +
+                    (newState.currentPlayer === player ? margin : -margin);
+                return scoreDiff > 0 ? 1000 : scoreDiff < 0 ? -1000 : 0;
+            }
+        }
 
         // Terminal state or max depth
         if (newState.gameOver || depth === 0) {
-            return this.evaluatePosition(newState, state.currentPlayer);
+            return this.evaluatePosition(newState, player);
+        }
+
+        // Scores depend on whose side they're for, so that is part of the key
+        const tt = this.transpositionTable;
+        const keyLo = newState.hashLo ^ (player === 1 ? KalahAI.KEY_PLAYER_1[0] : 0);
+        const keyHi = newState.hashHi ^ (player === 1 ? KalahAI.KEY_PLAYER_1[1] : 0);
+        let ttMove = -1;
+        if (tt) {
+            this.stats.ttProbes++;
+            const slot = tt.probe(keyLo, keyHi);
+            if (slot >= 0) {
+                this.stats.ttHits++;
+                ttMove = tt.moves[slot];
+                if (tt.depths[slot] >= depth) {
+                    const score = tt.scores[slot];
+                    const flag = tt.flags[slot];
+                    if (flag === TranspositionTable.EXACT ||
+                        (flag === TranspositionTable.LOWER && score >= beta) ||
+                        (flag === TranspositionTable.UPPER && score <= alpha)) {
+                        this.stats.ttCutoffs++;
+                        return score;
+                    }
+                }
+            }
         }
 
-        const validMoves = this.getValidMoves(newState);
+        const validMoves = this.scratchMoves[ply];
+        const moveCount = this.generateMoves(newState, validMoves, ttMove);
 
-        if (validMoves.length === 0) {
-            return this.evaluatePosition(newState, state.currentPlayer);
+        if (moveCount === 0) {
+            return this.evaluatePosition(newState, player);
         }
 
-        if (isMaximizing) {
-            let maxScore = -Infinity;
-            for (const nextMove of validMoves) {
-                const score = this.minimax(newState, nextMove, depth - 1, false, alpha, beta);
-                maxScore = Math.max(maxScore, score);
+        const isMaximizing = newState.currentPlayer === player;
+        const alphaOriginal = alpha;
+        const betaOriginal = beta;
+        let bestScore = isMaximizing ? -Infinity : Infinity;
+        let bestMove = validMoves[0];
+
+        for (let i = 0; i < moveCount; i++) {
+            const nextMove = validMoves[i];
+            const score = this.search(newState, nextMove, depth - 1, player, alpha, beta, ply + 1);
+            if (this.aborted) return 0;
+            if (isMaximizing) {
+                if (score > bestScore) {
+                    bestScore = score;
+                    bestMove = nextMove;
+                }
                 alpha = Math.max(alpha, score);
-                if (beta <= alpha) break; // Prune
-            }
-            return maxScore;
-        } else {
-            let minScore = Infinity;
-            for (const nextMove of validMoves) {
-                const score = this.minimax(newState, nextMove, depth - 1, true, alpha, beta);
-                minScore = Math.min(minScore, score);
+            } else {
+                if (score < bestScore) {
+                    bestScore = score;
+                    bestMove = nextMove;
+                }
                 beta = Math.min(beta, score);
-                if (beta <= alpha) break; // Prune
             }
-            return minScore;
+            if (beta <= alpha) break; // Prune
+        }
+
+        if (tt) {
+            const flag = bestScore <= alphaOriginal ? TranspositionTable.UPPER
+                : bestScore >= betaOriginal ? TranspositionTable.LOWER
+                    : TranspositionTable.EXACT;
+            tt.store(keyLo, keyHi, depth, flag, bestScore, bestMove);
+        }
+
+        return bestScore;
+    }
+
+    /**
+     * Write the valid moves of a state into `moves`, in search order: `firstMove` (if valid),
+     * then moves that look like an extra turn or a capture, then the rest
+     * @returns {number} Number of moves
+     */
+    generateMoves(state, moves, firstMove) {
+        const board = state.board;
+        const pitsPerPlayer = board.length / 2;
+        const startPit = state.currentPlayer * pitsPerPlayer;
+        const storeDistance = startPit + pitsPerPlayer; // Seeds from pit p to our store: storeDistance - p
+        let count = 0;
+
+        // Only sowings without a full lap are recognized, which is enough for ordering
+        for (let pass = 0; pass < 2; pass++) {
+            for (let pit = startPit; pit < startPit + pitsPerPlayer; pit++) {
+                const seeds = board[pit];
+                if (seeds === 0) continue;
+
+                const toStore = storeDistance - pit;
+                const last = pit + seeds;
+                const tactical = seeds === toStore ||
+                    (seeds < toStore && board[last] === 0 && board[board.length - 1 - last] > 0);
+                if (tactical === (pass === 0)) {
+                    moves[count++] = pit;
+                }
+            }
+        }
+
+        for (let i = 1; i < count; i++) {
+            if (moves[i] === firstMove) {
+                for (let j = i; j > 0; j--) {
+                    moves[j] = moves[j - 1];
+                }
+                moves[0] = firstMove;
+                break;
+            }
         }
+
+        return count;
     }
 
     /**
@@ -107,16 +424,22 @@ class KalahAI {
         const scoreDiff = state.stores[player] - state.stores[opponent];
 
         // Seeds on our side (positional advantage)
-        const playerStart = player * 6;
-        const opponentStart = opponent * 6;
-        const ourSeeds = state.board.slice(playerStart, playerStart + 6).reduce((a, b) => a + b, 0);
-        const theirSeeds = state.board.slice(opponentStart, opponentStart + 6).reduce((a, b) => a + b, 0);
+        const pitsPerPlayer = state.board.length / 2;
+        const playerStart = player * pitsPerPlayer;
+        const opponentStart = opponent * pitsPerPlayer;
+        let ourSeeds = 0;
+        let theirSeeds = 0;
+        for (let i = 0; i < pitsPerPlayer; i++) {
+            ourSeeds += state.board[playerStart + i];
+            theirSeeds += state.board[opponentStart + i];
+        }
 
-        // Potential captures (pits with seeds opposite empty pits)
+        // Potential captures (pits with seeds opposite empty pits), unless the rules have none
         let captureValue = 0;
-        for (let i = playerStart; i < playerStart + 6; i++) {
+        const captures = !state.rules || state.rules.captures !== false;
+        for (let i = playerStart; i < playerStart + pitsPerPlayer && captures; i++) {
             if (state.board[i] === 0) {
-                const opposite = 11 - i;
+                const opposite = state.board.length - 1 - i;
                 captureValue += state.board[opposite] * 0.5;
             }
         }
@@ -126,77 +449,10 @@ class KalahAI {
 
     /**
      * Simulate a move without modifying the original state
+     * Uses the engine's shared transition function, so search plays by the same rules as the game
      */
     simulateMove(state, pitIndex) {
-        // Deep copy state
-        const newState = {
-            board: [...state.board],
-            stores: [...state.stores],
-            currentPlayer: state.currentPlayer,
-            gameOver: state.gameOver,
-            moveNumber: state.moveNumber + 1
-        };
-
-        // Simulate the move (simplified version of game logic)
-        let seeds = newState.board[pitIndex];
-        newState.board[pitIndex] = 0;
-
-        let currentPit = pitIndex;
-        let landedInStore = false;
-        const playerStart = newState.currentPlayer * 6;
-
-        while (seeds > 0) {
-            currentPit = (currentPit + 1) % 12;
-
-            // Check if we should drop in store
-            const shouldDropInStore =
-                (newState.currentPlayer === 0 && currentPit === 6) ||
-                (newState.currentPlayer === 1 && currentPit === 0);
-
-            if (shouldDropInStore && seeds > 0) {
-                newState.stores[newState.currentPlayer]++;
-                seeds--;
-                if (seeds === 0) {
-                    landedInStore = true;
-                    break;
-                }
-            }
-
-            if (seeds > 0) {
-                const wasEmpty = newState.board[currentPit] === 0;
-                newState.board[currentPit]++;
-                seeds--;
-
-                // Capture logic
-                if (seeds === 0 && wasEmpty &&
-                    currentPit >= playerStart && currentPit < playerStart + 6) {
-                    const opposite = 11 - currentPit;
-                    if (newState.board[opposite] > 0) {
-                        newState.stores[newState.currentPlayer] += newState.board[opposite] + newState.board[currentPit];
-                        newState.board[opposite] = 0;
-                        newState.board[currentPit] = 0;
-                    }
-                }
-            }
-        }
-
-        // Check game over
-        const p0Seeds = newState.board.slice(0, 6).reduce((a, b) => a + b, 0);
-        const p1Seeds = newState.board.slice(6, 12).reduce((a, b) => a + b, 0);
-
-        if (p0Seeds === 0 || p1Seeds === 0) {
-            newState.gameOver = true;
-            newState.stores[0] += p0Seeds;
-            newState.stores[1] += p1Seeds;
-            for (let i = 0; i < 12; i++) newState.board[i] = 0;
-        }
-
-        // Switch player unless landed in store
-        if (!landedInStore) {
-            newState.currentPlayer = 1 - newState.currentPlayer;
-        }
-
-        return newState;
+        return KalahAI.Engine.applyMove(state, pitIndex);
     }
 
     /**
@@ -205,10 +461,11 @@ class KalahAI {
     getValidMoves(state) {
         if (state.gameOver) return [];
 
-        const startPit = state.currentPlayer * 6;
+        const pitsPerPlayer = state.board.length / 2;
+        const startPit = state.currentPlayer * pitsPerPlayer;
         const validMoves = [];
 
-        for (let i = 0; i < 6; i++) {
+        for (let i = 0; i < pitsPerPlayer; i++) {
             const pit = startPit + i;
             if (state.board[pit] > 0) {
                 validMoves.push(pit);
@@ -229,9 +486,84 @@ class KalahAI {
     }
 }
 
+/**
+ * Fixed-size transposition table for KalahAI
+ *
+ * Entries live in typed arrays indexed by the low bits of the position hash, so memory stays
+ * bounded (about 20 bytes per entry) however long the search runs. Each entry keeps the full
+ * 64-bit key, the depth searched, the score with its bound type and the best move found.
+ * A slot keeps the deeper of two results until a new search starts (see nextSearch), since
+ * results near the root save the most work.
+ */
+class TranspositionTable {
+    constructor(sizeBits = 18) {
+        this.size = 1 << sizeBits;
+        this.mask = this.size - 1;
+        this.keysLo = new Int32Array(this.size);
+        this.keysHi = new Int32Array(this.size);
+        this.scores = new Float64Array(this.size);
+        this.depths = new Int8Array(this.size);
+        this.flags = new Uint8Array(this.size); // 0 = empty slot
+        this.moves = new Int8Array(this.size);
+        this.generations = new Uint8Array(this.size);
+        this.generation = 0;
+    }
+
+    /**
+     * @returns {number} Slot index of the position, or -1 if it isn't stored
+     */
+    probe(keyLo, keyHi) {
+        const slot = keyLo & this.mask;
+        return this.flags[slot] !== 0 && this.keysLo[slot] === keyLo && this.keysHi[slot] === keyHi ? slot : -1;
+    }
+
+    store(keyLo, keyHi, depth, flag, score, move) {
+        const slot = keyLo & this.mask;
+        if (this.flags[slot] !== 0 && this.generations[slot] === this.generation && this.depths[slot] > depth) {
+            return;
+        }
+        this.keysLo[slot] = keyLo;
+        this.keysHi[slot] = keyHi;
+        this.scores[slot] = score;
+        this.depths[slot] = depth;
+        this.flags[slot] = flag;
+        this.moves[slot] = move;
+        this.generations[slot] = this.generation;
+    }
+
+    /**
+     * Start a new search: entries from earlier searches can still be used, but may be replaced
+     */
+    nextSearch() {
+        this.generation = (this.generation + 1) & 0xFF;
+    }
+
+    clear() {
+        this.flags.fill(0);
+    }
+}
+
+// Bound types: the stored score is exact, a lower bound (fail high) or an upper bound (fail low)
+TranspositionTable.EXACT = 1;
+TranspositionTable.LOWER = 2;
+TranspositionTable.UPPER = 3;
+
+KalahAI.TranspositionTable = TranspositionTable;
+
+// Added to transposition keys when scores are for Player 1 ([lo, hi] halves)
+KalahAI.KEY_PLAYER_1 = [0x27D4EB2F, 0x61C88647];
+
+// Shared move simulator: global from js/kalah-engine.js in the browser
+KalahAI.Engine = typeof KalahEngine !== 'undefined' ? KalahEngine : require('../engine/kalah-engine.js');
+
+// Endgame tables: global from js/endgame-db.js in the browser
+KalahAI.Endgame = typeof EndgameDatabase !== 'undefined' ? EndgameDatabase : require('./endgame-db.js');
+
 // Make available globally
 if (typeof window !== 'undefined') {
     window.KalahAI = KalahAI;
 }
 
-module.exports = KalahAI;
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = KalahAI;
+}
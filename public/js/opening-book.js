@@ -0,0 +1,185 @@
+/**
+ * Opening Book for Kalah/Mancala
+ *
+ * Precomputed replies for the first few plies of the game, built by
+ * src/training/build-opening-book.js from deep searches or self-play statistics.
+ * Each position lists its best moves with a score and win/draw/loss counts for
+ * the player making the move. Agents play a random move among those within
+ * `tolerance` of the best score, so book openings still vary from game to game.
+ *
+ * Scores depend on how the book was built:
+ * - 'search': minimax score (10 per seed of store difference, see KalahAI.evaluatePosition)
+ * - 'selfplay': points percentage, counting draws as half a win
+ *
+ * Book file (JSON):
+ *   { format: 'kalah-opening-book', version, pitsPerPlayer, seedsPerPit, rules, plies,
+ *     method, tolerance, positions: { "<key>": [{ move, score, wins, draws, losses }] } }
+ * Keys are position strings without the move number (see OpeningBook.key).
+ *
+ * Runs in Node.js and in the browser (requires KalahEngine).
+ */
+
+const OPENING_BOOK_FORMAT = 'kalah-opening-book';
+const OPENING_BOOK_VERSION = 1;
+
+class OpeningBook {
+    /**
+     * @param {Object} options - Book contents
+     * @param {number} options.pitsPerPlayer - Pits per player (default: 6)
+     * @param {number} options.seedsPerPit - Initial seeds per pit (default: 4)
+     * @param {Object} options.rules - Rule variant the book was built for
+     * @param {number} options.plies - Plies from the start the book covers
+     * @param {string} options.method - 'search' or 'selfplay'
+     * @param {number} options.tolerance - Default score margin for random move choice
+     *   (default: 5 for search books, i.e. half a seed, and 3 points for self-play books)
+     * @param {Object} options.positions - Book moves by position key, best first
+     */
+    constructor(options = {}) {
+        const {
+            pitsPerPlayer = 6,
+            seedsPerPit = 4,
+            rules = {},
+            plies = 0,
+            method = 'search',
+            tolerance = method === 'selfplay' ? 3 : 5,
+            positions = {}
+        } = options;
+
+        this.pitsPerPlayer = pitsPerPlayer;
+        this.seedsPerPit = seedsPerPit;
+        this.rules = OpeningBook.Engine.normalizeRules(rules);
+        this.rulesDescription = OpeningBook.Engine.describeRules(this.rules);
+        this.plies = plies;
+        this.method = method;
+        this.tolerance = tolerance;
+        this.positions = positions;
+    }
+
+    /**
+     * Book key of a state: its position string without the move number,
+     * e.g. "4,4,4,4,4,4/4,4,4,4,4,4 0-0 0"
+     */
+    static key(state) {
+        const n = state.board.length / 2;
+        return `${state.board.slice(0, n).join(',')}/${state.board.slice(n).join(',')} ` +
+            `${state.stores[0]}-${state.stores[1]} ${state.currentPlayer}`;
+    }
+
+    /**
+     * Number of positions in the book
+     */
+    get size() {
+        return Object.keys(this.positions).length;
+    }
+
+    /**
+     * Store the book moves for a position, sorted best first
+     * @param {Object} state - Game state
+     * @param {Object[]} moves - [{ move, score, wins, draws, losses }]
+     */
+    add(state, moves) {
+        this.positions[OpeningBook.key(state)] = [...moves].sort((a, b) => b.score - a.score);
+    }
+
+    /**
+     * Book moves for a state
+     * @param {Object} state - Game state from KalahEngine
+     * @returns {Object[]|null} [{ move, score, wins, draws, losses }] best first, or null
+     *   if the position isn't in the book or the book is for another board or rule variant
+     */
+    lookup(state) {
+        if (state.gameOver || state.board.length !== this.pitsPerPlayer * 2) return null;
+        if (OpeningBook.Engine.describeRules(OpeningBook.Engine.normalizeRules(state.rules)) !== this.rulesDescription) {
+            return null;
+        }
+        return this.positions[OpeningBook.key(state)] || null;
+    }
+
+    /**
+     * Pick a book move: a random one among the moves scoring within `tolerance` of the best
+     * @param {Object} state - Game state from KalahEngine
+     * @param {Object} options - Selection options
+     * @param {number} options.tolerance - Score margin (default: the book's)
+     * @param {Function} options.random - Random number generator in [0, 1) (default: Math.random)
+     * @returns {number|null} Pit index, or null if the position isn't in the book
+     */
+    selectMove(state, options = {}) {
+        const { tolerance = this.tolerance, random = Math.random } = options;
+        const moves = this.lookup(state);
+        if (!moves || moves.length === 0) return null;
+
+        const best = moves[0].score;
+        const candidates = moves.filter(m => m.score >= best - tolerance);
+        return candidates[Math.floor(random() * candidates.length)].move;
+    }
+
+    /**
+     * Plain object for JSON.stringify (the book file format)
+     */
+    toJSON() {
+        return {
+            format: OPENING_BOOK_FORMAT,
+            version: OPENING_BOOK_VERSION,
+            pitsPerPlayer: this.pitsPerPlayer,
+            seedsPerPit: this.seedsPerPit,
+            rules: this.rules,
+            plies: this.plies,
+            method: this.method,
+            tolerance: this.tolerance,
+            positions: this.positions
+        };
+    }
+
+    /**
+     * Read a book from its JSON form (see toJSON)
+     * @param {Object|string} data - Parsed book file, or its text
+     * @returns {OpeningBook} Book
+     */
+    static fromJSON(data) {
+        if (typeof data === 'string') {
+            data = JSON.parse(data);
+        }
+        if (!data || data.format !== OPENING_BOOK_FORMAT) {
+            throw new Error('Not an opening book (missing format)');
+        }
+        if (data.version !== OPENING_BOOK_VERSION) {
+            throw new Error(`Unsupported opening book version ${data.version} (expected ${OPENING_BOOK_VERSION})`);
+        }
+        return new OpeningBook(data);
+    }
+
+    /**
+     * Load a book file (Node.js)
+     * @param {string} path - File path
+     * @returns {OpeningBook} Book
+     */
+    static loadFile(path) {
+        const fs = require('fs');
+        return OpeningBook.fromJSON(fs.readFileSync(path, 'utf8'));
+    }
+
+    /**
+     * Download a book (browser)
+     * @param {string} url - Book URL
+     * @returns {Promise<OpeningBook>} Book
+     */
+    static async fetch(url) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Opening book not found at ${url}`);
+        }
+        return OpeningBook.fromJSON(await response.json());
+    }
+}
+
+// Shared engine: global from js/kalah-engine.js in the browser
+OpeningBook.Engine = typeof KalahEngine !== 'undefined' ? KalahEngine : require('../engine/kalah-engine.js');
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.OpeningBook = OpeningBook;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = OpeningBook;
+}
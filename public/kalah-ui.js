@@ -16,6 +16,8 @@ class KalahUI {
 
         // UI-specific state
         this.moveHistory = [];
+        this.moveList = []; // Pit indices played, for game record export
+        this.startPosition = null; // Position string the game started from, if not the initial one
 
         // Game statistics
         this.gamesWon = [0, 0]; // Track wins for each player
@@ -23,21 +25,72 @@ class KalahUI {
         // AI opponent
         this.aiEnabled = false;
         this.aiDifficulty = 'medium';
+        this.thinkMs = 1000; // Thinking time for the 'think' and 'mcts' difficulties
         this.minimaxAI = null;
+        this.mctsAgent = null;
         this.rlAgent = null;
+        this.openingBook = null; // Opening moves for the minimax and RL AIs, once loaded
 
         // Initialize minimax AI
         if (typeof KalahAI !== 'undefined') {
             this.minimaxAI = new KalahAI('easy'); // Will change based on difficulty
         }
 
+        // Initialize MCTS player
+        if (typeof MCTSAgent !== 'undefined') {
+            this.mctsAgent = new MCTSAgent({ timeLimitMs: this.thinkMs, rollout: 'heuristic' });
+        }
+
         // Initialize RL agent
         if (typeof RLAgent !== 'undefined') {
             this.rlAgent = new RLAgent();
         }
 
+        // Endgame table, if one has been built (npm run build:endgame): all AIs use it once loaded
+        if (typeof EndgameDatabase !== 'undefined') {
+            EndgameDatabase.fetch(`models/endgame/${EndgameDatabase.fileName(this.engine.pitsPerPlayer)}`)
+                .then(table => console.log(`📚 Endgame table loaded: exact play with ${table.maxSeeds} or fewer seeds left`))
+                .catch(() => console.log('💡 No endgame table (build one with: npm run build:endgame)'));
+        }
+
+        // Opening book, if one has been built (npm run build:book): the minimax and RL AIs play from it
+        if (typeof OpeningBook !== 'undefined') {
+            OpeningBook.fetch('models/opening-book.json')
+                .then(book => {
+                    this.openingBook = book;
+                    if (this.minimaxAI) this.minimaxAI.openingBook = book;
+                    if (this.rlAgent) this.rlAgent.openingBook = book;
+                    console.log(`📖 Opening book loaded: ${book.size} positions, first ${book.plies} plies`);
+                })
+                .catch(() => console.log('💡 No opening book (build one with: npm run build:book)'));
+        }
+
         // Initialize UI
         this.initializeUI();
+        this.loadPositionFromURL();
+    }
+
+    /**
+     * Start from the position given as ?position=... in the page URL
+     */
+    loadPositionFromURL() {
+        const position = new URLSearchParams(window.location.search).get('position');
+        if (!position) return;
+
+        try {
+            const engine = KalahEngine.fromPosition(position, { seedsPerPit: this.engine.seedsPerPit });
+            if (engine.pitsPerPlayer !== this.engine.pitsPerPlayer) {
+                throw new Error(`the board only shows ${this.engine.pitsPerPlayer} pits per player`);
+            }
+            this.engine.setState(engine.getState());
+        } catch (error) {
+            alert(`Could not load position: ${error.message}`);
+            return;
+        }
+
+        this.startPosition = position;
+        this.updateUI();
+        this.logState('Loaded position');
     }
 
     initializeUI() {
@@ -59,6 +112,29 @@ class KalahUI {
             this.undo();
         });
 
+        // Game record export/import
+        const exportBtn = document.getElementById('export-btn');
+        if (exportBtn) {
+            exportBtn.addEventListener('click', () => {
+                this.exportGame();
+            });
+        }
+
+        const importBtn = document.getElementById('import-btn');
+        const importFile = document.getElementById('import-file');
+        if (importBtn && importFile) {
+            importBtn.addEventListener('click', () => {
+                importFile.click();
+            });
+            importFile.addEventListener('change', async (e) => {
+                const file = e.target.files[0];
+                if (file) {
+                    this.importGame(await file.text());
+                }
+                importFile.value = '';
+            });
+        }
+
         // AI toggle button
         const aiToggleBtn = document.getElementById('ai-toggle-btn');
         if (aiToggleBtn) {
@@ -75,6 +151,24 @@ class KalahUI {
             });
         }
 
+        // Thinking time for the time-limited minimax AI
+        const thinkInput = document.getElementById('think-ms');
+        if (thinkInput) {
+            thinkInput.addEventListener('change', (e) => {
+                const ms = parseInt(e.target.value);
+                if (ms > 0) {
+                    this.thinkMs = ms;
+                    if (this.minimaxAI && this.aiDifficulty === 'think') {
+                        this.minimaxAI.timeLimitMs = ms;
+                    }
+                    if (this.mctsAgent) {
+                        this.mctsAgent.timeLimitMs = ms;
+                    }
+                    console.log(`⏱️ AI thinking time: ${ms} ms`);
+                }
+            });
+        }
+
         this.updateUI();
         this.updateWinsDisplay();
         this.logState('Game initialized');
@@ -93,6 +187,7 @@ class KalahUI {
             if (difficultySelect) {
                 difficultySelect.style.display = 'inline-block';
             }
+            this.updateThinkInput();
 
             // Load RL agent if hard difficulty selected
             if (this.aiDifficulty === 'hard' && this.rlAgent && !this.rlAgent.loaded) {
@@ -121,6 +216,7 @@ class KalahUI {
             if (difficultySelect) {
                 difficultySelect.style.display = 'none';
             }
+            this.updateThinkInput();
 
             console.log('👥 Playing vs human');
         }
@@ -130,9 +226,12 @@ class KalahUI {
         this.aiDifficulty = difficulty;
 
         // Update minimax AI difficulty
-        if (this.minimaxAI && difficulty !== 'hard') {
-            this.minimaxAI = new KalahAI(difficulty);
+        if (this.minimaxAI && difficulty === 'think') {
+            this.minimaxAI = new KalahAI('hard', { timeLimitMs: this.thinkMs, openingBook: this.openingBook });
+        } else if (this.minimaxAI && difficulty !== 'hard' && difficulty !== 'mcts') {
+            this.minimaxAI = new KalahAI(difficulty, { openingBook: this.openingBook });
         }
+        this.updateThinkInput();
 
         // Load RL agent if switching to hard
         if (difficulty === 'hard' && this.rlAgent && !this.rlAgent.loaded) {
@@ -149,6 +248,17 @@ class KalahUI {
         console.log(`🎚️ AI difficulty changed to: ${difficulty}`);
     }
 
+    /**
+     * Show the thinking time input only for the time-limited AIs
+     */
+    updateThinkInput() {
+        const thinkInput = document.getElementById('think-ms');
+        if (thinkInput) {
+            const timed = this.aiDifficulty === 'think' || this.aiDifficulty === 'mcts';
+            thinkInput.style.display = this.aiEnabled && timed ? 'inline-block' : 'none';
+        }
+    }
+
     handlePitClick(pitIndex) {
         if (this.engine.gameOver) {
             alert('Game is over! Click "New Game" to play again.');
@@ -175,6 +285,7 @@ class KalahUI {
 
         // Make the move using the engine
         const moveResult = this.engine.makeMove(pitIndex);
+        this.moveList.push(pitIndex);
 
         // Update UI
         this.updateUI();
@@ -214,6 +325,13 @@ class KalahUI {
         if (this.aiDifficulty === 'hard' && this.rlAgent && this.rlAgent.loaded) {
             // Use trained RL agent
             aiMove = this.rlAgent.selectMove(state);
+        } else if (this.aiDifficulty === 'mcts' && this.mctsAgent) {
+            // Use Monte Carlo tree search
+            aiMove = this.mctsAgent.selectMove(state);
+
+            const search = this.mctsAgent.lastSearch;
+            console.log(`🌳 ${search.iterations} iterations in ${search.timeMs} ms, ` +
+                `win chance ${(search.winRate * 100).toFixed(0)}%`);
         } else {
             // Use minimax AI
             if (!this.minimaxAI) {
@@ -221,6 +339,12 @@ class KalahUI {
                 return;
             }
             aiMove = this.minimaxAI.selectMove(state);
+
+            const search = this.minimaxAI.lastSearch;
+            if (this.aiDifficulty === 'think' && search) {
+                console.log(`🔍 Depth ${search.depth} in ${search.timeMs} ms (${search.nodes} nodes), ` +
+                    `score ${search.score.toFixed(1)}, line: ${search.pv.join(' ')}`);
+            }
         }
 
         if (aiMove === null) {
@@ -235,6 +359,7 @@ class KalahUI {
 
         // Make the move
         const moveResult = this.engine.makeMove(aiMove);
+        this.moveList.push(aiMove);
 
         // Update UI
         this.updateUI();
@@ -281,6 +406,7 @@ class KalahUI {
 
         const previousState = this.moveHistory.pop();
         this.engine.setState(previousState);
+        this.moveList.pop();
 
         this.updateUI();
         console.log('⏪ UNDO - Restored to move #' + this.engine.moveNumber);
@@ -288,8 +414,13 @@ class KalahUI {
     }
 
     reset() {
-        this.engine.reset();
+        if (this.startPosition) {
+            this.engine.setState(this.startPosition);
+        } else {
+            this.engine.reset();
+        }
         this.moveHistory = [];
+        this.moveList = [];
         this.updateUI();
         console.clear();
         this.logState('Game reset');
@@ -302,6 +433,89 @@ class KalahUI {
         }
     }
 
+    /**
+     * Download the current game as a game record (.kgn)
+     */
+    exportGame() {
+        const aiName = this.aiDifficulty === 'hard' ? 'RL Agent'
+            : this.aiDifficulty === 'think' ? `Minimax AI (${this.thinkMs} ms)`
+                : this.aiDifficulty === 'mcts' ? `MCTS (${this.thinkMs} ms)`
+                    : `Minimax AI (${this.aiDifficulty})`;
+        const headers = {
+            Event: 'Browser game',
+            Player0: 'Human',
+            Player1: this.aiEnabled ? aiName : 'Human'
+        };
+        if (this.aiEnabled && this.aiDifficulty === 'hard') {
+            headers.Agent = 'models/kalah-agent';
+        }
+
+        const record = KalahEngine.serializeGame({
+            moves: this.moveList,
+            position: this.startPosition,
+            headers,
+            pitsPerPlayer: this.engine.pitsPerPlayer,
+            seedsPerPit: this.engine.seedsPerPit,
+            rules: this.engine.rules
+        });
+
+        const blob = new Blob([record], { type: 'text/plain' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `kalah-${KalahEngine.recordDate(new Date()).replace(/\./g, '')}-${Date.now() % 100000}.kgn`;
+        link.click();
+        URL.revokeObjectURL(link.href);
+        console.log('💾 Game exported');
+    }
+
+    /**
+     * Replace the current game with an imported game record
+     * @param {string} text - Game record text
+     */
+    importGame(text) {
+        let parsed;
+        try {
+            parsed = KalahEngine.parseGame(text);
+        } catch (error) {
+            alert(`Could not import game: ${error.message}`);
+            return;
+        }
+
+        if (parsed.engine.pitsPerPlayer !== this.engine.pitsPerPlayer) {
+            alert(`Could not import game: the board only shows ${this.engine.pitsPerPlayer} pits per player.`);
+            return;
+        }
+
+        // Replay to rebuild undo history
+        const replay = new KalahEngine({
+            pitsPerPlayer: parsed.engine.pitsPerPlayer,
+            seedsPerPit: parsed.engine.seedsPerPit,
+            rules: parsed.engine.rules
+        });
+        const startPosition = parsed.headers.Position || null;
+        if (startPosition) {
+            replay.setState(startPosition);
+        }
+        this.moveHistory = [];
+        for (const pitIndex of parsed.moves) {
+            this.moveHistory.push(replay.getState());
+            replay.makeMove(pitIndex);
+        }
+        this.moveList = [...parsed.moves];
+        this.startPosition = startPosition;
+        this.engine.setState(parsed.engine.getState());
+
+        this.updateUI();
+        console.log(`📂 Imported ${parsed.moves.length} moves (${parsed.headers.Player0 || '?'} vs ${parsed.headers.Player1 || '?'})`);
+        this.logState('After import');
+
+        if (this.aiEnabled && this.engine.currentPlayer === 1 && !this.engine.gameOver) {
+            setTimeout(() => {
+                this.makeAIMove();
+            }, 500);
+        }
+    }
+
     updateWinsDisplay() {
         document.getElementById('player1-wins').textContent = this.gamesWon[0];
         document.getElementById('player2-wins').textContent = this.gamesWon[1];
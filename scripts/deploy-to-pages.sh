@@ -39,17 +39,27 @@ mkdir -p "$PAGES_REPO/$DEPLOY_DIR"
 # Update public folder with latest from src
 echo -e "${BLUE}🔄 Syncing files from src/ to public/...${NC}"
 cp src/ai/kalah-ai-browser.js public/js/
+cp src/ai/endgame-db.js public/js/
+cp src/ai/opening-book.js public/js/
+cp src/ai/mcts.js public/js/
 cp src/ai/rl-agent-browser.js public/js/
 cp src/engine/kalah-engine.js public/js/
 cp src/ai/feature-extractor.js public/js/
 rsync -av models/kalah-agent/ public/models/kalah-agent/
+if [ -d models/endgame ]; then
+    rsync -av models/endgame/ public/models/endgame/
+fi
+if [ -f models/opening-book.json ]; then
+    cp models/opening-book.json public/models/
+fi
 echo -e "${GREEN}✅ Sync complete!${NC}\n"
 
-# Copy files
+# Copy files (the training dashboard needs the local server's /api/runs, so it stays local)
 echo -e "${BLUE}📋 Copying files from $SOURCE_DIR to $PAGES_REPO/$DEPLOY_DIR...${NC}"
 rsync -av --delete \
     --exclude='.git' \
     --exclude='.DS_Store' \
+    --exclude='dashboard.html' \
     "$SOURCE_DIR/" "$PAGES_REPO/$DEPLOY_DIR/"
 
 echo -e "${GREEN}✅ Files copied successfully!${NC}\n"
@@ -2,12 +2,19 @@
 
 /**
  * Simple local web server for Kalah game
- * Serves files so the browser can load the RL agent model
+ * Serves files so the browser can load the RL agent model, and the training metrics of
+ * ./runs for the dashboard (/dashboard.html): /api/runs lists the runs, their files are
+ * under /runs/<name>/
+ *
+ * Positions: /?position=<position string> opens the game at a position (see
+ * KalahEngine.toPosition), and /api/position?position=... validates one, returning the
+ * game state with its legal moves (or a 400 with the reason it was rejected).
  */
 
 const http = require('http');
 const fs = require('fs');
 const path = require('path');
+const KalahEngine = require('../src/engine/kalah-engine.js');
 
 const PORT = 8080;
 
@@ -17,24 +24,90 @@ const MIME_TYPES = {
     '.js': 'text/javascript',
     '.css': 'text/css',
     '.json': 'application/json',
+    '.jsonl': 'application/x-ndjson',
+    '.csv': 'text/csv',
     '.png': 'image/png',
     '.jpg': 'image/jpeg',
     '.svg': 'image/svg+xml'
 };
 
+const RUNS_DIR = './runs';
+
+/**
+ * Training runs with metrics, most recently updated first
+ */
+function listRuns() {
+    if (!fs.existsSync(RUNS_DIR)) {
+        return [];
+    }
+    return fs.readdirSync(RUNS_DIR)
+        .filter(name => fs.existsSync(path.join(RUNS_DIR, name, 'metrics.jsonl')))
+        .map(name => {
+            const { mtime, size } = fs.statSync(path.join(RUNS_DIR, name, 'metrics.jsonl'));
+            return { name, updated: mtime.toISOString(), bytes: size };
+        })
+        .sort((a, b) => b.updated.localeCompare(a.updated));
+}
+
+/**
+ * Validate a position string
+ * @param {URLSearchParams} params - position, and optionally seeds (seeds per pit to check against)
+ * @returns {Array} [status, body] - body: { position, state } or { error }
+ */
+function describePosition(params) {
+    const text = params.get('position');
+    if (!text) {
+        return [400, { error: 'Missing ?position=<position string>' }];
+    }
+    try {
+        const seedsPerPit = params.get('seeds') ? parseInt(params.get('seeds')) : undefined;
+        const engine = KalahEngine.fromPosition(text, { seedsPerPit });
+        return [200, { position: engine.toPosition(), state: engine.getState() }];
+    } catch (error) {
+        return [400, { error: error.message }];
+    }
+}
+
 const server = http.createServer((req, res) => {
-    // Parse URL and remove query strings
+    // Parse URL and split off query strings
+    const [urlPath, query = ''] = req.url.split('?');
     let filePath = '';
 
+    if (urlPath === '/api/runs') {
+        res.writeHead(200, { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' });
+        res.end(JSON.stringify(listRuns()), 'utf-8');
+        return;
+    }
+    if (urlPath === '/api/position') {
+        const [status, body] = describePosition(new URLSearchParams(query));
+        res.writeHead(status, { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' });
+        res.end(JSON.stringify(body), 'utf-8');
+        return;
+    }
+
     // Determine which directory to serve from
-    if (req.url === '/') {
+    if (urlPath === '/') {
         filePath = './public/index.html';
-    } else if (req.url.startsWith('/models/')) {
+    } else if (urlPath.startsWith('/models/')) {
         // Allow access to models directory
-        filePath = '.' + req.url;
+        filePath = '.' + urlPath;
+    } else if (urlPath.startsWith('/runs/')) {
+        // Training metrics (see src/ai/metrics-log.js); run names are URL-encoded
+        let runPath;
+        try {
+            runPath = decodeURIComponent(urlPath);
+        } catch (error) {
+            runPath = null;
+        }
+        if (!runPath || runPath.split(/[\\/]/).includes('..')) {
+            res.writeHead(400, { 'Content-Type': 'text/html' });
+            res.end('<h1>400 - Bad Request</h1>', 'utf-8');
+            return;
+        }
+        filePath = '.' + runPath;
     } else {
         // Serve from public directory
-        filePath = './public' + req.url;
+        filePath = './public' + urlPath;
     }
 
     // Get file extension for MIME type
@@ -67,6 +140,8 @@ server.listen(PORT, () => {
     console.log(`🤖 RL Agent Model: Ready to load`);
     console.log('');
     console.log('🌐 Open in browser: http://localhost:8080');
+    console.log(`📈 Training dashboard: http://localhost:${PORT}/dashboard.html`);
+    console.log(`📍 Start from a position: http://localhost:${PORT}/?position=<position string>`);
     console.log('');
     console.log('Press Ctrl+C to stop the server');
 });
@@ -0,0 +1,538 @@
+/**
+ * AlphaZero-style Agent for Kalah/Mancala
+ *
+ * A two-headed network (move policy + game value) guides a PUCT tree search.
+ * Training data comes from self-play: each position is stored with the search's
+ * visit distribution as the policy target and the final game result as the
+ * value target (see Trainer.trainAlphaZero).
+ *
+ * Saved models use the same files as QLearningAgent (model.json + weights.bin), with
+ * the policy as the network's first output, so the browser RLAgent can load them.
+ */
+
+const tf = require('@tensorflow/tfjs-node');
+const KalahEngine = require('../engine/kalah-engine.js');
+const EndgameDatabase = require('./endgame-db.js');
+const ReplayBuffer = require('./replay-buffer.js');
+const { saveModel, loadModel } = require('./model-io.js');
+const { extractFeatures, getFeatureSize } = require('./feature-extractor.js');
+const { createRandom } = require('../utils/random.js');
+
+class AlphaZeroAgent {
+    /**
+     * Create a new AlphaZero agent
+     * @param {Object} options - Configuration options
+     * @param {number} options.pitsPerPlayer - Board geometry the network is built for (default: 6)
+     * @param {number} options.seedsPerPit - Initial seeds per pit of that board (default: 4)
+     * @param {number} options.simulations - Search simulations per move (default: 100)
+     * @param {number} options.cPuct - Exploration constant of the PUCT formula (default: 1.5)
+     * @param {number} options.dirichletAlpha - Root noise concentration during self-play (default: 0.5)
+     * @param {number} options.dirichletWeight - Share of root noise in the priors (default: 0.25)
+     * @param {number} options.temperatureMoves - Self-play moves sampled from the visit counts
+     *   before switching to the most visited move (default: 8)
+     * @param {boolean} options.useEndgameDB - Score leaves covered by a registered endgame table
+     *   exactly instead of with the value head (default: true)
+     * @param {Function} options.random - Random number generator for root noise, move sampling,
+     *   replay sampling and weight initialization (default: createRandom(seed))
+     * @param {number} options.seed - Seed for the default random generator, so runs with the
+     *   same seed are identical (default: a random one)
+     */
+    constructor(options = {}) {
+        const {
+            pitsPerPlayer = 6,
+            seedsPerPit = 4,
+            learningRate = 0.001,
+            l2 = 1e-4,
+            hiddenUnits = 128,
+            simulations = 100,
+            cPuct = 1.5,
+            dirichletAlpha = 0.5,
+            dirichletWeight = 0.25,
+            temperatureMoves = 8,
+            replayBufferSize = 50000,
+            batchSize = 128,
+            useEndgameDB = true,
+            seed = undefined,
+            random = createRandom(seed)
+        } = options;
+
+        // Board geometry: determines network input/output sizes
+        this.pitsPerPlayer = pitsPerPlayer;
+        this.seedsPerPit = seedsPerPit;
+        this.inputSize = getFeatureSize(pitsPerPlayer);
+
+        this.learningRate = learningRate;
+        this.l2 = l2;
+        this.hiddenUnits = hiddenUnits;
+        this.simulations = simulations;
+        this.cPuct = cPuct;
+        this.dirichletAlpha = dirichletAlpha;
+        this.dirichletWeight = dirichletWeight;
+        this.temperatureMoves = temperatureMoves;
+        this.batchSize = batchSize;
+        this.useEndgameDB = useEndgameDB;
+        this.random = random;
+
+        // Exploration comes from root noise and temperature, not epsilon-greedy;
+        // kept at 0 so Trainer.evaluate() and the training logs work unchanged
+        this.epsilon = 0;
+
+        // Self-play examples: { features, policy, value }
+        this.replayBuffer = new ReplayBuffer(replayBufferSize);
+        this.replayBufferSize = replayBufferSize;
+
+        this.model = this.buildModel();
+
+        this.trainingStep = 0;
+
+        // Statistics
+        this.stats = {
+            episodeCount: 0,
+            avgLoss: 0
+        };
+    }
+
+    /**
+     * Build the policy/value network
+     * Input: game state features (2n + 3 dimensions, 15 on the standard board)
+     * Outputs: [policy over the current player's n pits (softmax), value in [-1, 1] (tanh)]
+     *
+     * Architecture: 15 → 128 → 128 → {6 | 32 → 1} (standard 6-pit board)
+     */
+    buildModel() {
+        const regularizer = () => tf.regularizers.l2({ l2: this.l2 });
+        const input = tf.input({ shape: [this.inputSize] });
+
+        // Shared trunk
+        let trunk = input;
+        for (let i = 0; i < 2; i++) {
+            trunk = tf.layers.dense({
+                units: this.hiddenUnits,
+                activation: 'relu',
+                kernelInitializer: this.initializer('heNormal'),
+                kernelRegularizer: regularizer()
+            }).apply(trunk);
+        }
+
+        // Policy head - move probabilities for the current player's pits (relative 0..n-1)
+        const policy = tf.layers.dense({
+            units: this.pitsPerPlayer,
+            activation: 'softmax',
+            kernelInitializer: this.initializer('glorotUniform'),
+            kernelRegularizer: regularizer(),
+            name: 'policy'
+        }).apply(trunk);
+
+        // Value head - expected result for the player to move
+        const valueHidden = tf.layers.dense({
+            units: 32,
+            activation: 'relu',
+            kernelInitializer: this.initializer('heNormal'),
+            kernelRegularizer: regularizer()
+        }).apply(trunk);
+        const value = tf.layers.dense({
+            units: 1,
+            activation: 'tanh',
+            kernelInitializer: this.initializer('glorotUniform'),
+            kernelRegularizer: regularizer(),
+            name: 'value'
+        }).apply(valueHidden);
+
+        const model = tf.model({ inputs: input, outputs: [policy, value] });
+        this.compileModel(model);
+        return model;
+    }
+
+    /**
+     * Kernel initializer seeded from this.random, so a seeded agent starts from the same weights
+     * @param {string} name - tf.initializers function, e.g. 'heNormal'
+     */
+    initializer(name) {
+        return tf.initializers[name]({ seed: Math.floor(this.random() * 0x100000000) });
+    }
+
+    compileModel(model) {
+        model.compile({
+            optimizer: tf.train.adam(this.learningRate),
+            loss: ['categoricalCrossentropy', 'meanSquaredError']
+        });
+    }
+
+    /**
+     * Network output for one position
+     * @param {Object} state - Game state
+     * @returns {Object} { policy: probabilities for relative pits 0..n-1, value: expected result for the player to move }
+     */
+    predict(state) {
+        return tf.tidy(() => {
+            const [policy, value] = this.model.predict(tf.tensor2d([extractFeatures(state)]));
+            return { policy: policy.dataSync(), value: value.dataSync()[0] };
+        });
+    }
+
+    /**
+     * Select an action: the most visited move of a search without noise
+     * (or the table move where a registered endgame table covers the state)
+     * @param {Object} state - Game state from KalahEngine
+     * @param {number[]} validMoves - Array of valid pit indices
+     * @returns {number} Selected pit index
+     */
+    selectAction(state, validMoves) {
+        if (validMoves.length === 1) {
+            return validMoves[0];
+        }
+        const endgame = this.useEndgameDB ? EndgameDatabase.find(state) : null;
+        if (endgame) {
+            return endgame.bestMove(state).move;
+        }
+        return this.search(state).move;
+    }
+
+    /**
+     * PUCT search guided by the network
+     * @param {Object} state - Game state from KalahEngine
+     * @param {Object} options - { simulations, addNoise: mix Dirichlet noise into the root priors }
+     * @returns {Object} { move, policy: visit distribution over relative pits 0..n-1, value: mean search value
+     *   for the player to move }; null if there are no moves
+     */
+    search(state, { simulations = this.simulations, addNoise = false } = {}) {
+        const root = this.createNode(copyState(state), null, 1);
+        this.expand(root);
+        if (root.children.length === 0) return null;
+
+        if (addNoise) {
+            const noise = sampleDirichlet(this.dirichletAlpha, root.children.length, this.random);
+            root.children.forEach((child, i) => {
+                child.prior = (1 - this.dirichletWeight) * child.prior + this.dirichletWeight * noise[i];
+            });
+        }
+
+        const path = [];
+        for (let i = 0; i < simulations; i++) {
+            // Selection
+            let node = root;
+            path.length = 0;
+            path.push(node);
+            while (node.children !== null && node.children.length > 0) {
+                node = this.selectChild(node);
+                path.push(node);
+            }
+
+            // Expansion and evaluation: value for the player to move at the leaf
+            // (exact for finished games and positions in an endgame table)
+            const player = node.state.currentPlayer;
+            const margin = this.useEndgameDB ? EndgameDatabase.probe(node.state) : null;
+            let value;
+            if (node.state.gameOver) {
+                value = Math.sign(node.state.stores[player] - node.state.stores[1 - player]);
+            } else if (margin !== null) {
+                value = Math.sign(node.state.stores[player] - node.state.stores[1 - player] + margin);
+            } else {
+                value = this.expand(node);
+            }
+
+            // Backpropagation: each node is scored for the player who moved into it
+            const leafPlayer = node.state.currentPlayer;
+            for (let j = path.length - 1; j >= 0; j--) {
+                const current = path[j];
+                current.visits++;
+                if (j > 0) {
+                    const mover = path[j - 1].state.currentPlayer;
+                    current.valueSum += mover === leafPlayer ? value : -value;
+                }
+            }
+        }
+
+        const offset = state.currentPlayer * this.pitsPerPlayer;
+        const policy = new Array(this.pitsPerPlayer).fill(0);
+        let best = root.children[0];
+        let valueSum = 0;
+        for (const child of root.children) {
+            policy[child.move - offset] = child.visits / Math.max(1, root.visits);
+            valueSum += child.valueSum;
+            if (child.visits > best.visits) {
+                best = child;
+            }
+        }
+
+        return { move: best.move, policy, value: valueSum / Math.max(1, root.visits) };
+    }
+
+    /**
+     * Evaluate a leaf with the network and create its children
+     * @returns {number} Value for the player to move
+     */
+    expand(node) {
+        const { policy, value } = this.predict(node.state);
+        const offset = node.state.currentPlayer * this.pitsPerPlayer;
+
+        node.children = [];
+        let total = 0;
+        for (let i = 0; i < this.pitsPerPlayer; i++) {
+            if (node.state.board[offset + i] > 0) {
+                total += policy[i];
+            }
+        }
+        for (let i = 0; i < this.pitsPerPlayer; i++) {
+            if (node.state.board[offset + i] > 0) {
+                // Priors renormalized over the legal moves
+                const prior = total > 0 ? policy[i] / total : 1;
+                node.children.push(this.createNode(null, offset + i, prior));
+            }
+        }
+
+        return value;
+    }
+
+    /**
+     * PUCT: child with the highest mean value plus prior-weighted exploration bonus
+     */
+    selectChild(node) {
+        const scale = this.cPuct * Math.sqrt(node.visits);
+        let best = null;
+        let bestValue = -Infinity;
+
+        for (const child of node.children) {
+            const q = child.visits > 0 ? child.valueSum / child.visits : 0;
+            const value = q + scale * child.prior / (1 + child.visits);
+            if (value > bestValue) {
+                bestValue = value;
+                best = child;
+            }
+        }
+
+        if (best.state === null) {
+            best.state = KalahEngine.applyMove(node.state, best.move);
+        }
+        return best;
+    }
+
+    createNode(state, move, prior) {
+        return {
+            state,
+            move,
+            prior,
+            children: null,
+            visits: 0,
+            valueSum: 0
+        };
+    }
+
+    /**
+     * Sample a move in proportion to a search's visit distribution (self-play exploration)
+     * @param {Object} state - Searched position
+     * @param {number[]} policy - Visit distribution from search()
+     * @returns {number} Absolute pit index
+     */
+    sampleMove(state, policy) {
+        let r = this.random();
+        let last = null;
+        for (let i = 0; i < this.pitsPerPlayer; i++) {
+            if (policy[i] > 0) {
+                last = state.currentPlayer * this.pitsPerPlayer + i;
+                r -= policy[i];
+                if (r < 0) {
+                    return last;
+                }
+            }
+        }
+        return last;
+    }
+
+    /**
+     * Store a self-play example
+     * @param {Object} example - { state, policy: visit distribution, value: game result for the player to move }
+     */
+    remember(example) {
+        this.replayBuffer.push({
+            features: extractFeatures(example.state),
+            policy: example.policy,
+            value: example.value
+        });
+    }
+
+    /**
+     * Train both heads on a random batch of self-play examples
+     * @returns {number} Total loss for the batch (policy cross-entropy + value MSE + L2)
+     */
+    async replay() {
+        if (this.replayBuffer.length < this.batchSize) {
+            return 0;
+        }
+
+        this.trainingStep++;
+
+        const features = [];
+        const policies = [];
+        const values = [];
+        for (const example of this.replayBuffer.sample(this.batchSize, 1, this.random).items) {
+            features.push(example.features);
+            policies.push(example.policy);
+            values.push([example.value]);
+        }
+
+        const xs = tf.tensor2d(features);
+        const policyTargets = tf.tensor2d(policies);
+        const valueTargets = tf.tensor2d(values);
+
+        // The batch is already a random sample: fit()'s own shuffling (Math.random) would
+        // make seeded runs diverge
+        const history = await this.model.fit(xs, [policyTargets, valueTargets], {
+            epochs: 1,
+            batchSize: this.batchSize,
+            shuffle: false,
+            verbose: 0
+        });
+
+        xs.dispose();
+        policyTargets.dispose();
+        valueTargets.dispose();
+
+        const loss = history.history.loss[0];
+        this.stats.avgLoss = this.stats.avgLoss * 0.99 + loss * 0.01;
+        return loss;
+    }
+
+    /**
+     * Kept for the Trainer's agent interface; exploration does not decay
+     */
+    decayEpsilon() {
+    }
+
+    /**
+     * Save the model to disk (same format as QLearningAgent, see model-io.js)
+     * @param {string} path - Save path
+     */
+    async save(path) {
+        await saveModel(this.model, path, {
+            agentType: 'alphazero',
+            board: this.getBoardGeometry(),
+            hyperparameters: {
+                learningRate: this.learningRate,
+                l2: this.l2,
+                hiddenUnits: this.hiddenUnits,
+                simulations: this.simulations,
+                cPuct: this.cPuct,
+                dirichletAlpha: this.dirichletAlpha,
+                dirichletWeight: this.dirichletWeight,
+                temperatureMoves: this.temperatureMoves,
+                replayBufferSize: this.replayBufferSize,
+                batchSize: this.batchSize,
+                trainingStep: this.trainingStep
+            },
+            stats: this.stats
+        });
+
+        console.log(`✅ Model saved to ${path}`);
+    }
+
+    /**
+     * Load a model from disk
+     * @param {string} path - Load path
+     */
+    async load(path) {
+        const modelPath = `${path}/model.json`;
+        const { model, metadata } = await loadModel(path);
+
+        if (metadata.agentType !== 'alphazero') {
+            throw new Error(`Model at ${modelPath} is not an AlphaZero model (no policy/value heads)`);
+        }
+
+        const board = metadata.board;
+        if (board.pitsPerPlayer !== this.pitsPerPlayer || board.seedsPerPit !== this.seedsPerPit) {
+            throw new Error(
+                `Model at ${modelPath} was trained for Kalah(${board.pitsPerPlayer},${board.seedsPerPit}), ` +
+                `but this agent is configured for Kalah(${this.pitsPerPlayer},${this.seedsPerPit})`
+            );
+        }
+
+        Object.assign(this, metadata.hyperparameters);
+
+        this.model = model;
+        this.compileModel(this.model);
+
+        if (metadata.stats) {
+            this.stats = metadata.stats;
+        }
+
+        console.log(`✅ Model loaded from ${path}`);
+    }
+
+    /**
+     * Board geometry this agent's network was built for
+     * @returns {Object} {pitsPerPlayer, seedsPerPit}
+     */
+    getBoardGeometry() {
+        return {
+            pitsPerPlayer: this.pitsPerPlayer,
+            seedsPerPit: this.seedsPerPit
+        };
+    }
+
+    /**
+     * Get training statistics
+     */
+    getStats() {
+        return {
+            ...this.stats,
+            trainingStep: this.trainingStep,
+            bufferSize: this.replayBuffer.length
+        };
+    }
+}
+
+/**
+ * Plain copy of the parts of a state the search needs
+ */
+function copyState(state) {
+    return {
+        board: state.board.slice(),
+        stores: state.stores.slice(),
+        currentPlayer: state.currentPlayer,
+        gameOver: state.gameOver,
+        moveNumber: state.moveNumber,
+        seedsPerPit: state.seedsPerPit,
+        rules: state.rules
+    };
+}
+
+/**
+ * Standard normal sample (Box-Muller)
+ */
+function sampleNormal(random) {
+    const u = 1 - random();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * random());
+}
+
+/**
+ * Gamma(alpha, 1) sample (Marsaglia-Tsang, boosted for alpha < 1)
+ */
+function sampleGamma(alpha, random) {
+    if (alpha < 1) {
+        return sampleGamma(alpha + 1, random) * Math.pow(random(), 1 / alpha);
+    }
+    const d = alpha - 1 / 3;
+    const c = 1 / Math.sqrt(9 * d);
+    for (;;) {
+        const x = sampleNormal(random);
+        const v = Math.pow(1 + c * x, 3);
+        if (v > 0 && Math.log(1 - random()) < 0.5 * x * x + d - d * v + d * Math.log(v)) {
+            return d * v;
+        }
+    }
+}
+
+/**
+ * Symmetric Dirichlet(alpha) sample of the given size
+ */
+function sampleDirichlet(alpha, size, random) {
+    const samples = [];
+    let total = 0;
+    for (let i = 0; i < size; i++) {
+        samples.push(sampleGamma(alpha, random));
+        total += samples[i];
+    }
+    return samples.map(s => s / total);
+}
+
+module.exports = AlphaZeroAgent;
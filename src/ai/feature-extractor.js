@@ -5,47 +5,67 @@
  * into a feature vector for the neural network.
  */
 
+/**
+ * Version of the feature layout below, saved with trained models: a network only makes
+ * sense with the features it was trained on. Bump it whenever extractFeatures changes.
+ */
+const FEATURE_EXTRACTOR_VERSION = 1;
+
+/**
+ * Number of features produced for a board with the given pits per player
+ * @param {number} pitsPerPlayer - Pits per player (default: 6)
+ * @returns {number} Feature vector length (15 for the standard board)
+ */
+function getFeatureSize(pitsPerPlayer = 6) {
+    return pitsPerPlayer * 2 + 3;
+}
+
 function extractFeatures(state) {
     /**
      * Extract features from game state for ML model input
-     * Player-relative representation (15 features)
+     * Player-relative representation (2 * pitsPerPlayer + 3 features, 15 on the standard board)
      *
      * Features:
-     * - 6 floats: my pits (normalized to [0,1])
-     * - 6 floats: opponent's pits (normalized to [0,1])
+     * - n floats: my pits (normalized to [0,1])
+     * - n floats: opponent's pits (normalized to [0,1])
      * - 1 float: my captured seeds (normalized)
      * - 1 float: opponent's captured seeds (normalized)
      * - 1 float: total seeds remaining on board (normalized)
+     *
+     * Board geometry is taken from the state: n = board.length / 2, and the
+     * normalizers scale with the total number of seeds in play (48 on a 6x4 board).
      */
     const features = [];
-    const MAX_SEEDS_PER_PIT = 20.0;  // Reasonable max for normalization
-    const MAX_STORE = 48.0;  // Total seeds in game
-    const MAX_REMAINING = 48.0;
+    const pitsPerPlayer = state.board.length / 2;
+    const totalSeeds = state.board.reduce((a, b) => a + b, 0) + state.stores[0] + state.stores[1];
+    const MAX_SEEDS_PER_PIT = totalSeeds * 20 / 48;  // Reasonable max for normalization (20 on a 6x4 board)
+    const MAX_STORE = totalSeeds;  // Total seeds in game
+    const MAX_REMAINING = totalSeeds;
 
     const currentPlayer = state.currentPlayer;
     const opponent = 1 - currentPlayer;
 
     // Extract my pits and opponent's pits (player-relative)
-    const myPits = state.board.slice(currentPlayer * 6, (currentPlayer + 1) * 6);
-    const oppPits = state.board.slice(opponent * 6, (opponent + 1) * 6);
+    const myPits = state.board.slice(currentPlayer * pitsPerPlayer, (currentPlayer + 1) * pitsPerPlayer);
+    const oppPits = state.board.slice(opponent * pitsPerPlayer, (opponent + 1) * pitsPerPlayer);
 
-    // 1-6: My pits (normalized)
+    // 1-n: My pits (normalized)
     for (const seeds of myPits) {
         features.push(seeds / MAX_SEEDS_PER_PIT);
     }
 
-    // 7-12: Opponent's pits (normalized)
+    // n+1 - 2n: Opponent's pits (normalized)
     for (const seeds of oppPits) {
         features.push(seeds / MAX_SEEDS_PER_PIT);
     }
 
-    // 13: My captured seeds (normalized)
+    // 2n+1: My captured seeds (normalized)
     features.push(state.stores[currentPlayer] / MAX_STORE);
 
-    // 14: Opponent's captured seeds (normalized)
+    // 2n+2: Opponent's captured seeds (normalized)
     features.push(state.stores[opponent] / MAX_STORE);
 
-    // 15: Seeds remaining on board (normalized)
+    // 2n+3: Seeds remaining on board (normalized)
     const remainingSeeds = state.board.reduce((a, b) => a + b, 0);
     features.push(remainingSeeds / MAX_REMAINING);
 
@@ -54,7 +74,9 @@ function extractFeatures(state) {
 
 // Export for use in Node.js and browser
 if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { extractFeatures };
+    module.exports = { extractFeatures, getFeatureSize, FEATURE_EXTRACTOR_VERSION };
 } else if (typeof window !== 'undefined') {
     window.extractFeatures = extractFeatures;
+    window.getFeatureSize = getFeatureSize;
+    window.FEATURE_EXTRACTOR_VERSION = FEATURE_EXTRACTOR_VERSION;
 }
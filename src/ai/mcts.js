@@ -0,0 +1,266 @@
+/**
+ * Monte Carlo Tree Search Player for Kalah/Mancala
+ *
+ * UCT search: each iteration walks down the tree picking the child with the best
+ * upper confidence bound, adds one new node, plays the game out to the end and
+ * backs the result up the path. The most visited move is played.
+ *
+ * Tree nodes hold engines made with KalahEngine.clone(); playouts run on a plain
+ * state with the engine's pure transition function (KalahEngine.applyMove), and stop
+ * early with the exact result once a registered endgame table covers the position.
+ *
+ * Runs in Node.js and in the browser (requires KalahEngine).
+ */
+
+class MCTSAgent {
+    /**
+     * @param {Object} options - Search options
+     * @param {number} options.iterations - Iterations per move (default: 2000)
+     * @param {number} options.timeLimitMs - Search for this long instead of a fixed number of iterations
+     * @param {string} options.rollout - Playout policy: 'random' or 'heuristic' (default: 'random')
+     * @param {number} options.exploration - UCT exploration constant (default: √2)
+     * @param {Function} options.random - Random number generator returning [0, 1) (default: Math.random)
+     * @param {boolean} options.useEndgameDB - Finish playouts from registered endgame tables (default: true)
+     */
+    constructor(options = {}) {
+        const {
+            iterations = 2000,
+            timeLimitMs = null,
+            rollout = 'random',
+            exploration = Math.SQRT2,
+            random = Math.random,
+            useEndgameDB = true
+        } = options;
+
+        if (!['random', 'heuristic'].includes(rollout)) {
+            throw new Error(`Unknown rollout policy: ${rollout} (expected 'random' or 'heuristic')`);
+        }
+
+        this.iterations = iterations;
+        this.timeLimitMs = timeLimitMs;
+        this.rollout = rollout;
+        this.exploration = exploration;
+        this.random = random;
+        this.useEndgameDB = useEndgameDB;
+
+        this.lastSearch = null; // Result of the last search()
+    }
+
+    /**
+     * Select best move for current player
+     * @param {Object|string} state - Game state from KalahEngine, or a position string
+     * @returns {number} Best pit index to play
+     */
+    selectMove(state) {
+        const result = this.search(state);
+        return result ? result.move : null;
+    }
+
+    /**
+     * Run the search from a position
+     * @param {Object|string} state - Game state from KalahEngine, or a position string
+     * @returns {Object} { move, winRate, iterations, timeMs, moves: [{ move, visits, winRate }] },
+     *   win rates are for the player to move; null if there are no moves
+     */
+    search(state) {
+        const root = this.createNode(MCTSAgent.createEngine(state), null, null);
+        if (root.untried.length === 0) return null;
+
+        const start = Date.now();
+        const deadline = this.timeLimitMs ? start + this.timeLimitMs : Infinity;
+        const maxIterations = this.timeLimitMs ? Infinity : this.iterations;
+        let iterations = 0;
+
+        while (iterations < maxIterations) {
+            if (iterations > 0 && iterations % 64 === 0 && Date.now() >= deadline) break;
+            this.runIteration(root);
+            iterations++;
+        }
+
+        // Most visited move is the most reliable one
+        let best = root.children[0];
+        for (const child of root.children) {
+            if (child.visits > best.visits) {
+                best = child;
+            }
+        }
+
+        const result = {
+            move: best.move,
+            winRate: best.wins / best.visits,
+            iterations,
+            timeMs: Date.now() - start,
+            moves: root.children
+                .map(child => ({ move: child.move, visits: child.visits, winRate: child.wins / child.visits }))
+                .sort((a, b) => b.visits - a.visits)
+        };
+        this.lastSearch = result;
+        return result;
+    }
+
+    /**
+     * One iteration: selection, expansion, playout, backpropagation
+     */
+    runIteration(root) {
+        // Selection
+        let node = root;
+        while (node.untried.length === 0 && node.children.length > 0) {
+            node = this.selectChild(node);
+        }
+
+        // Expansion
+        if (node.untried.length > 0) {
+            const index = Math.floor(this.random() * node.untried.length);
+            const move = node.untried[index];
+            node.untried[index] = node.untried[node.untried.length - 1];
+            node.untried.pop();
+
+            const engine = node.engine.clone();
+            engine.makeMove(move);
+            const child = this.createNode(engine, move, node);
+            node.children.push(child);
+            node = child;
+        }
+
+        // Playout
+        const scores = this.playout(node.engine);
+
+        // Backpropagation: each node is scored for the player who moved into it
+        for (; node !== null; node = node.parent) {
+            node.visits++;
+            if (node.parent !== null) {
+                const player = node.parent.engine.currentPlayer;
+                const diff = scores[player] - scores[1 - player];
+                node.wins += diff > 0 ? 1 : diff === 0 ? 0.5 : 0;
+            }
+        }
+    }
+
+    /**
+     * UCT: child with the highest win rate plus exploration bonus
+     */
+    selectChild(node) {
+        const logVisits = Math.log(node.visits);
+        let best = null;
+        let bestValue = -Infinity;
+
+        for (const child of node.children) {
+            const value = child.wins / child.visits + this.exploration * Math.sqrt(logVisits / child.visits);
+            if (value > bestValue) {
+                bestValue = value;
+                best = child;
+            }
+        }
+
+        return best;
+    }
+
+    /**
+     * Play the game out from an engine's position
+     * @returns {Array} Final scores [player 0, player 1] (from an endgame table: only their difference is exact)
+     */
+    playout(engine) {
+        const state = engine.getState();
+        const pitsPerPlayer = state.board.length / 2;
+        const moves = new Array(pitsPerPlayer);
+
+        while (!state.gameOver) {
+            if (this.useEndgameDB) {
+                const margin = MCTSAgent.Endgame.probe(state);
+                if (margin !== null) {
+                    state.stores[state.currentPlayer] += margin;
+                    break;
+                }
+            }
+
+            const startPit = state.currentPlayer * pitsPerPlayer;
+            let count = 0;
+            for (let pit = startPit; pit < startPit + pitsPerPlayer; pit++) {
+                if (state.board[pit] > 0) {
+                    moves[count++] = pit;
+                }
+            }
+
+            const move = this.rollout === 'heuristic'
+                ? this.heuristicMove(state, moves, count)
+                : moves[Math.floor(this.random() * count)];
+            MCTSAgent.Engine.applyMove(state, move, state);
+        }
+
+        return state.stores;
+    }
+
+    /**
+     * Playout policy: take an extra turn if possible, else the biggest capture, else a random move
+     * Only sowings without a full lap are recognized.
+     */
+    heuristicMove(state, moves, count) {
+        const board = state.board;
+        const captures = !state.rules || state.rules.captures !== false;
+        const pitsPerPlayer = board.length / 2;
+        const storeDistance = (state.currentPlayer + 1) * pitsPerPlayer; // Seeds from pit p to our store: storeDistance - p
+        let bestCapture = 0;
+        let captureMove = -1;
+
+        for (let i = 0; i < count; i++) {
+            const pit = moves[i];
+            const seeds = board[pit];
+            const toStore = storeDistance - pit;
+            if (seeds === toStore) {
+                return pit;
+            }
+            if (captures && seeds < toStore && board[pit + seeds] === 0) {
+                const captured = board[board.length - 1 - (pit + seeds)];
+                if (captured > bestCapture) {
+                    bestCapture = captured;
+                    captureMove = pit;
+                }
+            }
+        }
+
+        return captureMove >= 0 ? captureMove : moves[Math.floor(this.random() * count)];
+    }
+
+    createNode(engine, move, parent) {
+        return {
+            engine,
+            move,
+            parent,
+            children: [],
+            untried: engine.getValidMoves(),
+            visits: 0,
+            wins: 0
+        };
+    }
+
+    /**
+     * Engine at the search's root position
+     */
+    static createEngine(state) {
+        if (typeof state === 'string') {
+            return MCTSAgent.Engine.fromPosition(state);
+        }
+        const engine = new MCTSAgent.Engine({
+            pitsPerPlayer: state.board.length / 2,
+            seedsPerPit: state.seedsPerPit,
+            rules: state.rules
+        });
+        engine.setState(state);
+        return engine;
+    }
+}
+
+// Shared engine: global from js/kalah-engine.js in the browser
+MCTSAgent.Engine = typeof KalahEngine !== 'undefined' ? KalahEngine : require('../engine/kalah-engine.js');
+
+// Endgame tables: global from js/endgame-db.js in the browser
+MCTSAgent.Endgame = typeof EndgameDatabase !== 'undefined' ? EndgameDatabase : require('./endgame-db.js');
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.MCTSAgent = MCTSAgent;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MCTSAgent;
+}
@@ -0,0 +1,113 @@
+/**
+ * Training Metrics Log
+ *
+ * Writes a run's training metrics to a directory, one record per line:
+ * - metrics.jsonl: every record, with a `type` field (see COLUMNS)
+ * - episodes.csv, evals.csv, promotions.csv, stages.csv: the same records as
+ *   spreadsheet-friendly tables
+ *
+ * 'episodes' records summarize each block of logInterval training episodes (see
+ * Trainer.logProgress), 'eval' records each checkpoint evaluation, 'promotion' each
+ * curriculum promotion check and 'stage' each finished curriculum stage. Runs are charted
+ * by public/dashboard.html (served by scripts/server.js).
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const JSONL_FILE = 'metrics.jsonl';
+
+// CSV columns per record type
+const COLUMNS = {
+    episodes: [
+        'time', 'stage', 'episode', 'episodes', 'loss', 'epsilon', 'learningRate',
+        'p0WinRate', 'p1WinRate', 'drawRate', 'avgQ', 'bufferSize'
+    ],
+    eval: ['time', 'stage', 'episode', 'opponent', 'games', 'winRate', 'asPlayer0', 'asPlayer1', 'epsilon'],
+    promotion: ['time', 'stage', 'episode', 'opponent', 'games', 'winRate', 'threshold', 'promoted'],
+    stage: ['time', 'stage', 'episode', 'name', 'opponent', 'startEpisode', 'episodes', 'result', 'winRate']
+};
+const CSV_FILES = { episodes: 'episodes.csv', eval: 'evals.csv', promotion: 'promotions.csv', stage: 'stages.csv' };
+
+class MetricsLog {
+    /**
+     * @param {string} dir - Run directory (created if missing); existing files are appended to
+     */
+    constructor(dir) {
+        this.dir = dir;
+        if (!fs.existsSync(dir)) {
+            fs.mkdirSync(dir, { recursive: true });
+        }
+    }
+
+    /**
+     * Append a record
+     * @param {string} type - 'episodes', 'eval', 'promotion' or 'stage'
+     * @param {Object} values - Record fields (see COLUMNS); the time is added
+     */
+    write(type, values) {
+        if (!COLUMNS[type]) {
+            const types = Object.keys(COLUMNS);
+            throw new Error(`Unknown metrics record type: ${type} ` +
+                `(expected ${types.slice(0, -1).join(', ')} or ${types[types.length - 1]})`);
+        }
+        const record = { type, time: new Date().toISOString(), ...values };
+        fs.appendFileSync(path.join(this.dir, JSONL_FILE), JSON.stringify(record) + '\n');
+
+        const csvPath = path.join(this.dir, CSV_FILES[type]);
+        if (!fs.existsSync(csvPath)) {
+            fs.writeFileSync(csvPath, COLUMNS[type].join(',') + '\n');
+        }
+        fs.appendFileSync(csvPath, COLUMNS[type].map(column => csvValue(record[column])).join(',') + '\n');
+    }
+
+    /**
+     * Read all records
+     * @returns {Object[]} Records in the order they were written
+     */
+    read() {
+        return MetricsLog.read(this.dir);
+    }
+
+    /**
+     * Drop the records after an episode, e.g. those written between a resume point and the
+     * interruption, which the resumed run writes again
+     * @param {number} episode - Last episode to keep
+     */
+    truncate(episode) {
+        const kept = this.read().filter(record => record.episode <= episode);
+
+        fs.writeFileSync(path.join(this.dir, JSONL_FILE), kept.map(record => JSON.stringify(record) + '\n').join(''));
+        for (const [type, file] of Object.entries(CSV_FILES)) {
+            const rows = kept.filter(record => record.type === type)
+                .map(record => COLUMNS[type].map(column => csvValue(record[column])).join(',') + '\n');
+            fs.writeFileSync(path.join(this.dir, file), COLUMNS[type].join(',') + '\n' + rows.join(''));
+        }
+    }
+
+    /**
+     * Read the records of a run directory
+     * @param {string} dir - Run directory
+     * @returns {Object[]} Records, or [] if the run has none yet
+     */
+    static read(dir) {
+        const jsonlPath = path.join(dir, JSONL_FILE);
+        if (!fs.existsSync(jsonlPath)) {
+            return [];
+        }
+        return fs.readFileSync(jsonlPath, 'utf8').split('\n').filter(line => line).map(line => JSON.parse(line));
+    }
+}
+
+function csvValue(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    const text = String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+MetricsLog.JSONL_FILE = JSONL_FILE;
+MetricsLog.COLUMNS = COLUMNS;
+
+module.exports = MetricsLog;
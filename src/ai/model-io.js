@@ -0,0 +1,139 @@
+/**
+ * Model Files
+ *
+ * Agents save their networks in the standard TensorFlow.js layers format: model.json
+ * holds the topology and a manifest of the weights, which are stored as raw float32 in
+ * weights.bin, so tf.loadLayersModel reads them as they are (also in the browser). The
+ * `userDefinedMetadata` block of model.json records what the network expects: the
+ * feature extractor version and board geometry, plus the agent's hyperparameters and
+ * stats.
+ *
+ * Models saved before this format (the weights as number arrays in model.json) still
+ * load; src/training/convert-model.js rewrites them in the standard format.
+ */
+
+const fs = require('fs');
+const tf = require('@tensorflow/tfjs-node');
+const { getFeatureSize, FEATURE_EXTRACTOR_VERSION } = require('./feature-extractor.js');
+
+const WEIGHTS_FILE = 'weights.bin';
+
+/**
+ * Save a model as model.json + weights.bin
+ * @param {tf.LayersModel} model - Model to save
+ * @param {string} path - Directory (created if missing)
+ * @param {Object} metadata - { board, hyperparameters, stats, ... } for userDefinedMetadata;
+ *   the feature extractor version and size are added
+ */
+async function saveModel(model, path, metadata) {
+    if (!fs.existsSync(path)) {
+        fs.mkdirSync(path, { recursive: true });
+    }
+
+    const userDefinedMetadata = {
+        ...metadata,
+        featureExtractor: {
+            version: FEATURE_EXTRACTOR_VERSION,
+            size: getFeatureSize(metadata.board.pitsPerPlayer)
+        }
+    };
+
+    await model.save(tf.io.withSaveHandler(async (artifacts) => {
+        const weightData = tf.io.CompositeArrayBuffer.join(artifacts.weightData);
+        fs.writeFileSync(`${path}/${WEIGHTS_FILE}`, Buffer.from(weightData));
+
+        const modelJSON = {
+            format: 'layers-model',
+            generatedBy: `TensorFlow.js tfjs-layers v${tf.version_layers}`,
+            convertedBy: null,
+            modelTopology: artifacts.modelTopology,
+            weightsManifest: [{ paths: [WEIGHTS_FILE], weights: artifacts.weightSpecs }],
+            userDefinedMetadata
+        };
+        fs.writeFileSync(`${path}/model.json`, JSON.stringify(modelJSON, null, 2));
+
+        return { modelArtifactsInfo: tf.io.getModelArtifactsInfoForJSON(artifacts) };
+    }));
+}
+
+/**
+ * Refuse a network whose input doesn't fit the current feature extractor
+ * @param {tf.LayersModel} model - Network (its weights needn't be loaded)
+ * @param {Object} board - { pitsPerPlayer, seedsPerPit } it was trained for
+ * @param {string} name - How to refer to the model in the error
+ * @throws {Error} If it takes another number of features
+ */
+function checkFeatureSize(model, board, name) {
+    const featureSize = getFeatureSize(board.pitsPerPlayer);
+    const inputSize = model.inputs[0].shape[1];
+    if (inputSize !== featureSize) {
+        throw new Error(
+            `${name} takes ${inputSize} features, but the feature extractor gives ${featureSize} ` +
+            `for Kalah(${board.pitsPerPlayer},${board.seedsPerPit}): it predates the current features`
+        );
+    }
+}
+
+/**
+ * Load a model saved by saveModel, or in the older single-file format
+ * @param {string} path - Directory with model.json
+ * @returns {Promise<Object>} { model, metadata, legacy } - metadata as passed to saveModel
+ *   (board is missing from files that predate board geometry: they are 6x4)
+ * @throws {Error} If the network was trained on other features (files without feature
+ *   extractor metadata are checked by their input size)
+ */
+async function loadModel(path) {
+    const modelPath = `${path}/model.json`;
+    if (!fs.existsSync(modelPath)) {
+        throw new Error(`Model not found at ${modelPath}`);
+    }
+
+    const modelJSON = JSON.parse(fs.readFileSync(modelPath, 'utf8'));
+
+    if (!modelJSON.weightsManifest) {
+        // Older format: weights as number arrays, metadata at the top level
+        const model = await tf.models.modelFromJSON(modelJSON.modelTopology);
+        checkFeatureSize(model, modelJSON.board || { pitsPerPlayer: 6, seedsPerPit: 4 }, path);
+        model.setWeights(modelJSON.weightsData.map(w => tf.tensor(w.data, w.shape, w.dtype)));
+
+        const { agentType, board, hyperparameters, stats } = modelJSON;
+        return { model, metadata: { agentType, board, hyperparameters, stats }, legacy: true };
+    }
+
+    const metadata = modelJSON.userDefinedMetadata || {};
+    const { featureExtractor } = metadata;
+    if (featureExtractor && featureExtractor.version !== FEATURE_EXTRACTOR_VERSION) {
+        throw new Error(
+            `Model at ${modelPath} was trained on feature extractor version ${featureExtractor.version}, ` +
+            `but this is version ${FEATURE_EXTRACTOR_VERSION}`
+        );
+    }
+    if (!featureExtractor) {
+        const topology = await tf.models.modelFromJSON(modelJSON.modelTopology);
+        try {
+            checkFeatureSize(topology, metadata.board || { pitsPerPlayer: 6, seedsPerPit: 4 }, path);
+        } finally {
+            topology.dispose();
+        }
+    }
+
+    const weightSpecs = [];
+    const weightBuffers = [];
+    for (const group of modelJSON.weightsManifest) {
+        weightSpecs.push(...group.weights);
+        for (const file of group.paths) {
+            const data = fs.readFileSync(`${path}/${file}`);
+            weightBuffers.push(data.buffer.slice(data.byteOffset, data.byteOffset + data.length));
+        }
+    }
+
+    const model = await tf.loadLayersModel(tf.io.fromMemory({
+        modelTopology: modelJSON.modelTopology,
+        weightSpecs,
+        weightData: tf.io.CompositeArrayBuffer.join(weightBuffers)
+    }));
+
+    return { model, metadata, legacy: false };
+}
+
+module.exports = { saveModel, loadModel, WEIGHTS_FILE };
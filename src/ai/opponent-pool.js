@@ -0,0 +1,228 @@
+/**
+ * League Opponent Pool
+ *
+ * The opponents of league training (Trainer.trainLeague): frozen snapshots of the agent,
+ * added every few thousand episodes, and fixed opponents (random, minimax, MCTS). Each game
+ * is played against an opponent sampled from the pool, weighted toward the ones the agent
+ * does badly against: an opponent it scores s against (wins 1, draws 1/2, losses 0 over its
+ * last `recentGames` games with it, 1/2 before any) has weight (1 - s)^prioritization, at
+ * least MIN_WEIGHT so beaten opponents still come up now and then. Playing old versions of
+ * itself keeps the agent from forgetting how to beat them, which plain self-play does
+ * (strategy cycling).
+ *
+ * The pool lives in a directory that outlasts runs:
+ * - pool.json: the members with their results (see toJSON)
+ * - snapshot-<n>/: the snapshots' models (see QLearningAgent.save)
+ * With more than maxSnapshots snapshots, the one the agent scores best against is dropped.
+ *
+ * The pool only keeps the books; loading and playing the opponents is the trainer's job.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const POOL_FILE = 'pool.json';
+const MIN_WEIGHT = 0.05;
+
+class OpponentPool {
+    /**
+     * @param {string} dir - Pool directory; a pool saved there is loaded
+     * @param {Object} options - Pool options
+     * @param {number} options.maxSnapshots - Snapshots kept (default: 20)
+     * @param {number} options.prioritization - Weighting exponent: 0 samples uniformly, higher
+     *   values focus on the opponents the agent loses to (default: 2)
+     * @param {number} options.recentGames - Games per opponent its score is taken over (default: 100)
+     * @param {Function} options.random - Random number generator for sampling (default: Math.random)
+     */
+    constructor(dir, options = {}) {
+        const {
+            maxSnapshots = 20,
+            prioritization = 2,
+            recentGames = 100,
+            random = Math.random
+        } = options;
+
+        this.dir = dir;
+        this.maxSnapshots = maxSnapshots;
+        this.prioritization = prioritization;
+        this.recentGames = recentGames;
+        this.random = random;
+
+        this.members = [];
+        this.nextSnapshot = 1;
+
+        const poolPath = path.join(dir, POOL_FILE);
+        if (fs.existsSync(poolPath)) {
+            const state = JSON.parse(fs.readFileSync(poolPath, 'utf8'));
+            if (state.format !== 'kalah-opponent-pool') {
+                throw new Error(`Not an opponent pool: ${poolPath}`);
+            }
+            this.restore(state);
+        }
+    }
+
+    /**
+     * Set the fixed opponents: members for new specs are added, those for specs no longer
+     * listed removed, and the others keep their results
+     * @param {string[]} specs - Opponent specs (see Trainer.createOpponentPolicy)
+     */
+    setFixed(specs) {
+        this.members = this.members.filter(member => member.kind === 'snapshot' || specs.includes(member.id));
+        for (const spec of specs) {
+            if (!this.members.some(member => member.id === spec)) {
+                this.members.push(OpponentPool.newMember(spec, 'fixed'));
+            }
+        }
+    }
+
+    /**
+     * Snapshot members
+     * @returns {Object[]} Oldest first
+     */
+    get snapshots() {
+        return this.members.filter(member => member.kind === 'snapshot');
+    }
+
+    /**
+     * Add a snapshot member, dropping the easiest snapshot if there are too many; the caller
+     * saves the agent to path(member)
+     * @param {number} episode - Training episodes of the run when it was taken
+     * @returns {Object} { member, evicted } - evicted: the dropped member, whose files are deleted, or null
+     */
+    addSnapshot(episode) {
+        const member = OpponentPool.newMember(`snapshot-${this.nextSnapshot}`, 'snapshot');
+        member.episode = episode;
+        this.nextSnapshot++;
+
+        let evicted = null;
+        const candidates = this.snapshots;
+        if (candidates.length >= this.maxSnapshots) {
+            evicted = candidates.reduce((easiest, m) => (this.score(m) > this.score(easiest) ? m : easiest));
+            this.remove(evicted);
+        }
+        this.members.push(member);
+        return { member, evicted };
+    }
+
+    /**
+     * Drop a member, deleting a snapshot's files
+     * @param {Object} member - Pool member
+     */
+    remove(member) {
+        this.members = this.members.filter(m => m !== member);
+        if (member.kind === 'snapshot') {
+            fs.rmSync(this.path(member), { recursive: true, force: true });
+        }
+    }
+
+    /**
+     * Model directory of a snapshot member
+     * @param {Object} member - Snapshot member
+     * @returns {string}
+     */
+    path(member) {
+        return path.join(this.dir, member.id);
+    }
+
+    /**
+     * The agent's score against a member over its recent games
+     * @param {Object} member - Pool member
+     * @returns {number} From 0 (always loses) to 1 (always wins); 0.5 before any game
+     */
+    score(member) {
+        if (member.recent.length === 0) {
+            return 0.5;
+        }
+        return member.recent.reduce((sum, result) => sum + result, 0) / member.recent.length;
+    }
+
+    /**
+     * Sampling weight of a member (see the module comment)
+     * @param {Object} member - Pool member
+     * @returns {number}
+     */
+    weight(member) {
+        return Math.max(Math.pow(1 - this.score(member), this.prioritization), MIN_WEIGHT);
+    }
+
+    /**
+     * Pick the next opponent
+     * @returns {Object} A member, drawn in proportion to its weight
+     */
+    sample() {
+        if (this.members.length === 0) {
+            throw new Error('The opponent pool is empty (no fixed opponents and no snapshots yet)');
+        }
+        const weights = this.members.map(member => this.weight(member));
+        let r = this.random() * weights.reduce((sum, w) => sum + w, 0);
+        for (let i = 0; i < this.members.length; i++) {
+            r -= weights[i];
+            if (r < 0) {
+                return this.members[i];
+            }
+        }
+        return this.members[this.members.length - 1];
+    }
+
+    /**
+     * Record a game against a member
+     * @param {Object} member - The opponent
+     * @param {number} result - The agent's result: 1 win, 0.5 draw, 0 loss
+     */
+    record(member, result) {
+        member.games++;
+        if (result === 1) member.wins++;
+        else if (result === 0) member.losses++;
+        else member.draws++;
+
+        member.recent.push(result);
+        if (member.recent.length > this.recentGames) {
+            member.recent.shift();
+        }
+    }
+
+    /**
+     * Write pool.json
+     */
+    save() {
+        if (!fs.existsSync(this.dir)) {
+            fs.mkdirSync(this.dir, { recursive: true });
+        }
+        fs.writeFileSync(path.join(this.dir, POOL_FILE), JSON.stringify(this.toJSON(), null, 2));
+    }
+
+    /**
+     * The pool's state, as saved in pool.json and resume points
+     * @returns {Object} { format, version, nextSnapshot, members } - members: { id, kind
+     *   ('fixed' or 'snapshot'), episode (snapshots), games, wins, draws, losses, recent }
+     */
+    toJSON() {
+        return {
+            format: 'kalah-opponent-pool',
+            version: 1,
+            nextSnapshot: this.nextSnapshot,
+            members: this.members
+        };
+    }
+
+    /**
+     * Go back to a saved state, e.g. a resume point's
+     * @param {Object} state - See toJSON
+     */
+    restore(state) {
+        if (state.version !== 1) {
+            throw new Error(`Unsupported opponent pool version ${state.version} (expected 1)`);
+        }
+        this.nextSnapshot = state.nextSnapshot;
+        this.members = JSON.parse(JSON.stringify(state.members));
+    }
+
+    static newMember(id, kind) {
+        return { id, kind, games: 0, wins: 0, draws: 0, losses: 0, recent: [] };
+    }
+}
+
+OpponentPool.POOL_FILE = POOL_FILE;
+OpponentPool.MIN_WEIGHT = MIN_WEIGHT;
+
+module.exports = OpponentPool;
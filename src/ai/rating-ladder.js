@@ -0,0 +1,310 @@
+/**
+ * Rating Ladder
+ *
+ * Elo ratings for any set of players (random, KalahAI levels, MCTS, trained checkpoints)
+ * from the games they played against each other, kept in a ratings file that grows as
+ * players and games are added (see src/training/rate-agents.js, which plays the games).
+ *
+ * Ratings are fitted to all results at once (Bradley-Terry maximum likelihood on the Elo
+ * scale), so they don't depend on the order games were played in: a player expected to score
+ * E = 1 / (1 + 10^((R_opponent - R) / 400)) against an opponent. Draws count as half a win.
+ * Each pair that played also gets `prior` virtual draws (default 2), which keeps the ratings
+ * of players that won or lost every game finite. The anchor player (default: random, or the
+ * first player added if random isn't on the ladder) is rated 0, and the others' 95%
+ * confidence intervals (± 1.96 standard errors, from the curvature of the likelihood) are
+ * relative to it. Players not connected to the anchor by a chain of games aren't rated.
+ *
+ * The file holds the board, the players, the results per pair and the latest ratings.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ELO_PER_NATURAL_UNIT = 400 / Math.LN10;
+const Z_95 = 1.96;
+
+class RatingLadder {
+    /**
+     * @param {string} file - Ratings file; one saved there is loaded
+     * @param {Object} options - Ladder options
+     * @param {Object} options.board - { pitsPerPlayer, seedsPerPit } the games are played on
+     *   (default: the file's, or Kalah(6,4)); a file for another board is refused
+     * @param {string} options.anchor - Player rated 0 (default: the file's, or 'random')
+     * @param {number} options.prior - Virtual draws added to every pair that played (default: 2)
+     */
+    constructor(file, options = {}) {
+        const { board = null, anchor = null, prior = 2 } = options;
+
+        this.file = file;
+        this.prior = prior;
+        this.board = { pitsPerPlayer: 6, seedsPerPit: 4 };
+        this.anchor = 'random';
+        this.players = {}; // name → { spec, added }
+        this.results = {}; // 'a|b' (names in sorted order) → { wins, draws, losses } of a
+
+        if (fs.existsSync(file)) {
+            const saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+            if (saved.format !== 'kalah-ratings') {
+                throw new Error(`Not a ratings file: ${file}`);
+            }
+            if (saved.version !== 1) {
+                throw new Error(`Unsupported ratings file version ${saved.version} (expected 1)`);
+            }
+            this.board = saved.board;
+            this.anchor = saved.anchor;
+            this.players = saved.players;
+            this.results = saved.results;
+        }
+
+        if (board && this.playerNames.length > 0 &&
+            (board.pitsPerPlayer !== this.board.pitsPerPlayer || board.seedsPerPit !== this.board.seedsPerPit)) {
+            throw new Error(`${file} rates players on Kalah(${this.board.pitsPerPlayer},${this.board.seedsPerPit}), ` +
+                `not Kalah(${board.pitsPerPlayer},${board.seedsPerPit}): use another ratings file`);
+        }
+        if (board) {
+            this.board = { pitsPerPlayer: board.pitsPerPlayer, seedsPerPit: board.seedsPerPit };
+        }
+        if (anchor) {
+            this.anchor = anchor;
+        }
+    }
+
+    /**
+     * Names of the players, in the order they were added
+     * @returns {string[]}
+     */
+    get playerNames() {
+        return Object.keys(this.players);
+    }
+
+    /**
+     * Add a player (a player already on the ladder keeps its results)
+     * @param {string} name - Unique name
+     * @param {string} spec - How to recreate it, e.g. 'minimax:hard' or a model directory
+     */
+    addPlayer(name, spec) {
+        if (!this.players[name]) {
+            this.players[name] = { spec, added: new Date().toISOString() };
+        }
+    }
+
+    /**
+     * Add game results between two players
+     * @param {string} a - Player name
+     * @param {string} b - Opponent name
+     * @param {Object} results - { wins, draws, losses } of a against b
+     */
+    record(a, b, { wins, draws, losses }) {
+        const [key, flipped] = RatingLadder.pairKey(a, b);
+        const stored = this.results[key] || { wins: 0, draws: 0, losses: 0 };
+        stored.wins += flipped ? losses : wins;
+        stored.draws += draws;
+        stored.losses += flipped ? wins : losses;
+        this.results[key] = stored;
+    }
+
+    /**
+     * Results between two players
+     * @param {string} a - Player name
+     * @param {string} b - Opponent name
+     * @returns {Object} { games, wins, draws, losses } of a against b
+     */
+    resultsBetween(a, b) {
+        const [key, flipped] = RatingLadder.pairKey(a, b);
+        const { wins, draws, losses } = this.results[key] || { wins: 0, draws: 0, losses: 0 };
+        return flipped
+            ? { games: wins + draws + losses, wins: losses, draws, losses: wins }
+            : { games: wins + draws + losses, wins, draws, losses };
+    }
+
+    /**
+     * Every pair of players once
+     * @param {string[]} names - Players
+     * @returns {Array} [a, b] pairs
+     */
+    static roundRobin(names) {
+        const pairs = [];
+        for (let i = 0; i < names.length; i++) {
+            for (let j = i + 1; j < names.length; j++) {
+                pairs.push([names[i], names[j]]);
+            }
+        }
+        return pairs;
+    }
+
+    /**
+     * Swiss pairing: players ordered by rating each meet the closest-rated player they have
+     * played least; with an odd number, the lowest rated sits the round out
+     * @param {string[]} names - Players
+     * @returns {Array} [a, b] pairs
+     */
+    swissRound(names) {
+        const ratings = new Map(this.fit().map(r => [r.name, r.rating === null ? 0 : r.rating]));
+        const unpaired = [...names].sort((a, b) => (ratings.get(b) || 0) - (ratings.get(a) || 0));
+        const pairs = [];
+        while (unpaired.length > 1) {
+            const player = unpaired.shift();
+            let best = 0;
+            unpaired.forEach((opponent, i) => {
+                if (this.resultsBetween(player, opponent).games < this.resultsBetween(player, unpaired[best]).games) {
+                    best = i;
+                }
+            });
+            pairs.push([player, unpaired.splice(best, 1)[0]]);
+        }
+        return pairs;
+    }
+
+    /**
+     * Fit the ratings to all results
+     * @returns {Object[]} { name, rating, interval, games, score } per player, best first;
+     *   rating and interval (95%, ±) are in Elo, null for players not connected to the
+     *   anchor; score is the share of points won (null without games)
+     */
+    fit() {
+        const names = this.playerNames;
+        const anchor = names.includes(this.anchor) ? this.anchor : names[0];
+        const rated = this.connectedTo(anchor);
+        const free = names.filter(name => rated.has(name) && name !== anchor);
+        const index = new Map(free.map((name, i) => [name, i]));
+
+        // Pairs with the prior's virtual draws: n games, s points of a
+        const pairs = [];
+        for (const [a, b] of RatingLadder.roundRobin(names.filter(name => rated.has(name)))) {
+            const { games, wins, draws } = this.resultsBetween(a, b);
+            if (games > 0) {
+                pairs.push({ a, b, n: games + this.prior, s: wins + (draws + this.prior) / 2 });
+            }
+        }
+
+        // Newton's method on the log-likelihood, in natural units (1 = 400 / ln 10 Elo)
+        const theta = new Map(names.map(name => [name, 0]));
+        let covariance = [];
+        for (let iteration = 0; iteration < 100; iteration++) {
+            const gradient = free.map(() => 0);
+            const information = free.map(() => free.map(() => 0));
+            for (const { a, b, n, s } of pairs) {
+                const p = 1 / (1 + Math.exp(theta.get(b) - theta.get(a)));
+                const w = n * p * (1 - p);
+                const i = index.get(a);
+                const j = index.get(b);
+                if (i !== undefined) {
+                    gradient[i] += s - n * p;
+                    information[i][i] += w;
+                }
+                if (j !== undefined) {
+                    gradient[j] -= s - n * p;
+                    information[j][j] += w;
+                }
+                if (i !== undefined && j !== undefined) {
+                    information[i][j] -= w;
+                    information[j][i] -= w;
+                }
+            }
+
+            covariance = invert(information);
+            let largestStep = 0;
+            free.forEach((name, i) => {
+                const step = covariance[i].reduce((sum, c, j) => sum + c * gradient[j], 0);
+                theta.set(name, theta.get(name) + step);
+                largestStep = Math.max(largestStep, Math.abs(step));
+            });
+            if (largestStep < 1e-9) {
+                break;
+            }
+        }
+
+        return names.map(name => {
+            const results = names.filter(other => other !== name).map(other => this.resultsBetween(name, other));
+            const games = results.reduce((sum, r) => sum + r.games, 0);
+            const points = results.reduce((sum, r) => sum + r.wins + r.draws / 2, 0);
+            const i = index.get(name);
+            return {
+                name,
+                rating: rated.has(name) ? theta.get(name) * ELO_PER_NATURAL_UNIT : null,
+                interval: !rated.has(name) ? null
+                    : i === undefined ? 0
+                    : Z_95 * Math.sqrt(covariance[i][i]) * ELO_PER_NATURAL_UNIT,
+                games,
+                score: games > 0 ? points / games : null
+            };
+        }).sort((x, y) => (y.rating === null ? -Infinity : y.rating) - (x.rating === null ? -Infinity : x.rating));
+    }
+
+    /**
+     * Players linked to a player by a chain of games
+     * @param {string} name - Player on the ladder (none: an empty set)
+     * @returns {Set<string>} Including the player
+     */
+    connectedTo(name) {
+        const names = this.playerNames;
+        const connected = new Set(names.includes(name) ? [name] : []);
+        const queue = [...connected];
+        while (queue.length > 0) {
+            const player = queue.shift();
+            for (const other of names) {
+                if (!connected.has(other) && this.resultsBetween(player, other).games > 0) {
+                    connected.add(other);
+                    queue.push(other);
+                }
+            }
+        }
+        return connected;
+    }
+
+    /**
+     * Write the ratings file, with the current ratings
+     */
+    save() {
+        const dir = path.dirname(this.file);
+        if (!fs.existsSync(dir)) {
+            fs.mkdirSync(dir, { recursive: true });
+        }
+        const saved = {
+            format: 'kalah-ratings',
+            version: 1,
+            board: this.board,
+            anchor: this.anchor,
+            players: this.players,
+            results: this.results,
+            ratings: this.fit(),
+            updated: new Date().toISOString()
+        };
+        fs.writeFileSync(this.file, JSON.stringify(saved, null, 2));
+    }
+
+    /**
+     * Key of a pair in `results`, and whether a and b are swapped in it
+     */
+    static pairKey(a, b) {
+        return a < b ? [`${a}|${b}`, false] : [`${b}|${a}`, true];
+    }
+}
+
+/**
+ * Invert a symmetric positive definite matrix (Gauss-Jordan elimination)
+ */
+function invert(matrix) {
+    const n = matrix.length;
+    const rows = matrix.map((row, i) => [...row, ...row.map((_, j) => (i === j ? 1 : 0))]);
+    for (let col = 0; col < n; col++) {
+        let pivot = col;
+        for (let row = col + 1; row < n; row++) {
+            if (Math.abs(rows[row][col]) > Math.abs(rows[pivot][col])) pivot = row;
+        }
+        [rows[col], rows[pivot]] = [rows[pivot], rows[col]];
+        const divisor = rows[col][col];
+        for (let j = 0; j < 2 * n; j++) rows[col][j] /= divisor;
+        for (let row = 0; row < n; row++) {
+            if (row !== col && rows[row][col] !== 0) {
+                const factor = rows[row][col];
+                for (let j = 0; j < 2 * n; j++) rows[row][j] -= factor * rows[col][j];
+            }
+        }
+    }
+    return rows.map(row => row.slice(n));
+}
+
+RatingLadder.ELO_PER_NATURAL_UNIT = ELO_PER_NATURAL_UNIT;
+
+module.exports = RatingLadder;
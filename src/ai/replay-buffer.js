@@ -0,0 +1,239 @@
+/**
+ * Experience Replay Buffer
+ *
+ * Fixed-capacity ring buffer: adding an experience overwrites the oldest once the buffer
+ * is full, so memory stays constant and nothing is ever shifted or copied.
+ *
+ * With `prioritized`, batches are drawn in proportion to priority^alpha (prioritized
+ * experience replay) from a sum tree, in O(log capacity) per sample, and come with
+ * importance-sampling weights (N * P(i))^-beta, scaled so the largest is 1. New
+ * experiences get the highest priority seen so far, so each is replayed at least once
+ * soon; updatePriorities sets priorities from the TD errors of a trained batch.
+ */
+
+class ReplayBuffer {
+    /**
+     * @param {number} capacity - Most experiences kept
+     * @param {Object} options - Sampling options
+     * @param {boolean} options.prioritized - Sample by priority instead of uniformly (default: false)
+     * @param {number} options.alpha - How much priorities matter, 0 = uniform (default: 0.6)
+     * @param {number} options.priorityEpsilon - Added to TD errors so no experience gets
+     *   priority 0 (default: 0.001)
+     */
+    constructor(capacity, options = {}) {
+        const {
+            prioritized = false,
+            alpha = 0.6,
+            priorityEpsilon = 0.001
+        } = options;
+
+        this.capacity = capacity;
+        this.prioritized = prioritized;
+        this.alpha = alpha;
+        this.priorityEpsilon = priorityEpsilon;
+
+        this.items = new Array(capacity);
+        this.next = 0; // Slot the next experience goes into
+        this.size = 0;
+
+        if (prioritized) {
+            // Complete binary trees over the slots: node i has children 2i and 2i + 1, leaves
+            // start at treeSize. sumTree holds sums of priority^alpha, minTree their minimum.
+            this.treeSize = 1;
+            while (this.treeSize < capacity) this.treeSize *= 2;
+            this.sumTree = new Float64Array(2 * this.treeSize);
+            this.minTree = new Float64Array(2 * this.treeSize).fill(Infinity);
+            this.maxPriority = 1;
+        }
+    }
+
+    /**
+     * Number of experiences in the buffer
+     */
+    get length() {
+        return this.size;
+    }
+
+    /**
+     * Add an experience, overwriting the oldest when full
+     */
+    push(item) {
+        const slot = this.next;
+        this.items[slot] = item;
+        this.next = (slot + 1) % this.capacity;
+        this.size = Math.min(this.size + 1, this.capacity);
+
+        if (this.prioritized) {
+            this.setPriority(slot, this.maxPriority);
+        }
+    }
+
+    /**
+     * Experience by age: 0 is the oldest
+     */
+    get(i) {
+        return this.items[(this.next - this.size + i + this.capacity) % this.capacity];
+    }
+
+    /**
+     * All experiences, oldest first
+     */
+    toArray() {
+        const items = [];
+        for (let i = 0; i < this.size; i++) {
+            items.push(this.get(i));
+        }
+        return items;
+    }
+
+    /**
+     * Remove all experiences
+     */
+    clear() {
+        this.items = new Array(this.capacity);
+        this.next = 0;
+        this.size = 0;
+        if (this.prioritized) {
+            this.sumTree.fill(0);
+            this.minTree.fill(Infinity);
+            this.maxPriority = 1;
+        }
+    }
+
+    /**
+     * Contents for a checkpoint, by slot rather than by age, so that a restored buffer
+     * draws the same batches from the same random numbers
+     * @returns {Object} { next, size, items, weights, maxPriority } - weights are the
+     *   slots' priority^alpha (prioritized buffers only, else null)
+     */
+    getState() {
+        return {
+            next: this.next,
+            size: this.size,
+            items: this.items.slice(0, this.size),
+            weights: this.prioritized ? this.sumTree.slice(this.treeSize, this.treeSize + this.size) : null,
+            maxPriority: this.prioritized ? this.maxPriority : null
+        };
+    }
+
+    /**
+     * Restore contents saved with getState (into a buffer of the same capacity)
+     */
+    setState({ next, size, items, weights, maxPriority }) {
+        if (size > this.capacity) {
+            throw new Error(`Saved replay buffer holds ${size} experiences, more than its capacity ${this.capacity}`);
+        }
+
+        this.clear();
+        items.forEach((item, slot) => {
+            this.items[slot] = item;
+        });
+        this.next = next;
+        this.size = size;
+
+        if (this.prioritized) {
+            for (let slot = 0; slot < size; slot++) {
+                // Buffers saved without priorities start like new experiences
+                this.setLeaf(slot, weights ? weights[slot] : 1);
+            }
+            this.maxPriority = maxPriority || 1;
+        }
+    }
+
+    /**
+     * Draw a batch
+     *
+     * Uniform batches have no repeated experiences (so batchSize must not exceed length).
+     * Prioritized batches take one experience from each of batchSize equal slices of the
+     * total priority, so the same experience can appear more than once.
+     *
+     * @param {number} batchSize - Experiences to draw
+     * @param {number} beta - Importance-sampling correction, 0 = none to 1 = full (default: 1)
+     * @param {Function} random - Random number generator in [0, 1) (default: Math.random)
+     * @returns {Object} { items, indices, weights } - indices are slots for updatePriorities;
+     *   weights are all 1 for uniform batches
+     */
+    sample(batchSize, beta = 1, random = Math.random) {
+        const indices = [];
+
+        if (!this.prioritized) {
+            const drawn = new Set();
+            while (indices.length < batchSize) {
+                const slot = Math.floor(random() * this.size);
+                if (!drawn.has(slot)) {
+                    drawn.add(slot);
+                    indices.push(slot);
+                }
+            }
+            return { items: indices.map(slot => this.items[slot]), indices, weights: indices.map(() => 1) };
+        }
+
+        const total = this.sumTree[1];
+        const segment = total / batchSize;
+        for (let i = 0; i < batchSize; i++) {
+            indices.push(this.findSlot(Math.min((i + random()) * segment, total * (1 - 1e-12))));
+        }
+
+        // Weights relative to the least likely experience's, which has the largest weight
+        const maxWeight = Math.pow(this.size * this.minTree[1] / total, -beta);
+        const weights = indices.map(slot =>
+            Math.pow(this.size * this.sumTree[this.treeSize + slot] / total, -beta) / maxWeight);
+
+        return { items: indices.map(slot => this.items[slot]), indices, weights };
+    }
+
+    /**
+     * Set priorities of sampled experiences from their TD errors: (|error| + epsilon)
+     * @param {number[]} indices - Slots from sample()
+     * @param {number[]} errors - TD errors, in the same order
+     */
+    updatePriorities(indices, errors) {
+        if (!this.prioritized) return;
+
+        indices.forEach((slot, i) => {
+            const priority = Math.abs(errors[i]) + this.priorityEpsilon;
+            this.maxPriority = Math.max(this.maxPriority, priority);
+            this.setPriority(slot, priority);
+        });
+    }
+
+    /**
+     * Store priority^alpha at a leaf
+     */
+    setPriority(slot, priority) {
+        this.setLeaf(slot, Math.pow(priority, this.alpha));
+    }
+
+    /**
+     * Set a slot's sampling weight and update the sums and minimums above it
+     */
+    setLeaf(slot, value) {
+        let node = this.treeSize + slot;
+        this.sumTree[node] = value;
+        this.minTree[node] = value;
+
+        for (node >>= 1; node >= 1; node >>= 1) {
+            this.sumTree[node] = this.sumTree[2 * node] + this.sumTree[2 * node + 1];
+            this.minTree[node] = Math.min(this.minTree[2 * node], this.minTree[2 * node + 1]);
+        }
+    }
+
+    /**
+     * Slot whose cumulative priority range contains `mass`
+     */
+    findSlot(mass) {
+        let node = 1;
+        while (node < this.treeSize) {
+            const left = 2 * node;
+            if (mass < this.sumTree[left]) {
+                node = left;
+            } else {
+                mass -= this.sumTree[left];
+                node = left + 1;
+            }
+        }
+        return Math.min(node - this.treeSize, this.size - 1);
+    }
+}
+
+module.exports = ReplayBuffer;
@@ -1,18 +1,37 @@
 /**
  * Browser-compatible RL Agent Loader
  *
- * Loads and runs the trained TensorFlow.js model in the browser
+ * Loads and runs the trained TensorFlow.js model in the browser: a Q-network
+ * (QLearningAgent) or a policy/value network (AlphaZeroAgent), whose policy
+ * output is played directly
  */
 
 class RLAgent {
-    constructor() {
+    /**
+     * @param {Object} options - Configuration options
+     * @param {number} options.pitsPerPlayer - Board geometry to play on (default: 6)
+     * @param {number} options.seedsPerPit - Initial seeds per pit (default: 4)
+     * @param {OpeningBook} options.openingBook - Play book moves while the position is in
+     *   this book (default: none)
+     */
+    constructor(options = {}) {
+        const {
+            pitsPerPlayer = 6,
+            seedsPerPit = 4,
+            openingBook = null
+        } = options;
+
+        this.pitsPerPlayer = pitsPerPlayer;
+        this.seedsPerPit = seedsPerPit;
+        this.openingBook = openingBook;
         this.model = null;
         this.loaded = false;
         this.loading = false;
     }
 
     /**
-     * Load the trained model from JSON
+     * Load the trained model: model.json + weights.bin (standard TensorFlow.js files),
+     * or an older model.json with the weights inline
      */
     async loadModel(modelPath = 'models/kalah-agent/model.json') {
         if (this.loaded) return true;
@@ -30,14 +49,34 @@ class RLAgent {
 
             const modelConfig = await response.json();
 
-            // Restore model from topology
-            this.model = await tf.models.modelFromJSON(modelConfig.modelTopology);
+            // Standard TensorFlow.js files keep the board in their metadata block; older
+            // single-file models keep it at the top level (or predate it: 6x4)
+            const metadata = modelConfig.weightsManifest ? modelConfig.userDefinedMetadata || {} : modelConfig;
+            const board = metadata.board || { pitsPerPlayer: 6, seedsPerPit: 4 };
+            if (board.pitsPerPlayer !== this.pitsPerPlayer || board.seedsPerPit !== this.seedsPerPit) {
+                throw new Error(
+                    `Model was trained for Kalah(${board.pitsPerPlayer},${board.seedsPerPit}), ` +
+                    `but the board is Kalah(${this.pitsPerPlayer},${this.seedsPerPit})`
+                );
+            }
+            if (metadata.featureExtractor && metadata.featureExtractor.version !== FEATURE_EXTRACTOR_VERSION) {
+                throw new Error(
+                    `Model was trained on feature extractor version ${metadata.featureExtractor.version}, ` +
+                    `but js/feature-extractor.js is version ${FEATURE_EXTRACTOR_VERSION}`
+                );
+            }
 
-            // Restore weights
-            const weightValues = modelConfig.weightsData.map(w =>
-                tf.tensor(w.data, w.shape, w.dtype)
-            );
-            this.model.setWeights(weightValues);
+            if (modelConfig.weightsManifest) {
+                // model.json + weights.bin: TensorFlow.js fetches the weights itself
+                this.model = await tf.loadLayersModel(modelPath);
+            } else {
+                // Older format: restore model from topology, then the weights
+                this.model = await tf.models.modelFromJSON(modelConfig.modelTopology);
+                const weightValues = modelConfig.weightsData.map(w =>
+                    tf.tensor(w.data, w.shape, w.dtype)
+                );
+                this.model.setWeights(weightValues);
+            }
 
             this.loaded = true;
             this.loading = false;
@@ -64,42 +103,59 @@ class RLAgent {
         const validMoves = this.getValidMoves(state);
         if (validMoves.length === 0) return null;
 
+        // Book move (js/opening-book.js) while still in the opening
+        const bookMove = this.openingBook ? this.openingBook.selectMove(state) : null;
+        if (bookMove !== null) {
+            return bookMove;
+        }
+
+        // Perfect play once an endgame table (js/endgame-db.js) covers the position
+        const endgame = typeof EndgameDatabase !== 'undefined' ? EndgameDatabase.find(state) : null;
+        if (endgame) {
+            return endgame.bestMove(state).move;
+        }
+
         return tf.tidy(() => {
             // Extract features using the global function
             const features = extractFeatures(state);
             const featureTensor = tf.tensor2d([features]);
 
-            // Get Q-values
-            const qValues = this.model.predict(featureTensor);
-            const qArray = Array.from(qValues.dataSync());
-
-            // Find best valid move
-            let bestMove = validMoves[0];
-            let bestQ = -Infinity;
-
-            for (const move of validMoves) {
-                // Convert to relative index (0-5)
-                const relativeMove = state.currentPlayer === 0 ? move : move - 6;
-                if (relativeMove >= 0 && relativeMove < 6 && qArray[relativeMove] > bestQ) {
-                    bestQ = qArray[relativeMove];
-                    bestMove = move;
-                }
-            }
+            // Get Q-values (policy/value networks: move probabilities from the policy head)
+            const output = this.model.predict(featureTensor);
+            const qValues = Array.isArray(output) ? output[0] : output;
+
+            // Best valid move: other pits get a large penalty, so they are never the best
+            const mask = this.getValidMoveMask(state);
+            const penalty = tf.tensor2d([mask]).sub(1).mul(1e9);
 
-            return bestMove;
+            return state.currentPlayer * this.pitsPerPlayer + qValues.add(penalty).argMax(1).dataSync()[0];
         });
     }
 
+    /**
+     * Legal moves of the player to move, by relative pit: 1 for each pit with seeds, else 0
+     */
+    getValidMoveMask(state) {
+        const startPit = state.currentPlayer * this.pitsPerPlayer;
+        const mask = [];
+
+        for (let i = 0; i < this.pitsPerPlayer; i++) {
+            mask.push(!state.gameOver && state.board[startPit + i] > 0 ? 1 : 0);
+        }
+
+        return mask;
+    }
+
     /**
      * Get valid moves for current player
      */
     getValidMoves(state) {
         if (state.gameOver) return [];
 
-        const startPit = state.currentPlayer * 6;
+        const startPit = state.currentPlayer * this.pitsPerPlayer;
         const validMoves = [];
 
-        for (let i = 0; i < 6; i++) {
+        for (let i = 0; i < this.pitsPerPlayer; i++) {
             const pit = startPit + i;
             if (state.board[pit] > 0) {
                 validMoves.push(pit);
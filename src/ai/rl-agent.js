@@ -2,19 +2,44 @@
  * Q-Learning Agent for Kalah/Mancala
  *
  * Uses a neural network to approximate Q-values for state-action pairs.
- * Implements epsilon-greedy exploration and experience replay.
+ * Implements epsilon-greedy exploration and experience replay, with optional
+ * Double DQN targets, a dueling network, n-step returns and prioritized replay.
  */
 
 const tf = require('@tensorflow/tfjs-node');
-const { extractFeatures } = require('./feature-extractor.js');
+const EndgameDatabase = require('./endgame-db.js');
+const ReplayBuffer = require('./replay-buffer.js');
+const { extractFeatures, getFeatureSize } = require('./feature-extractor.js');
+const { saveModel, loadModel } = require('./model-io.js');
+const { createRandom } = require('../utils/random.js');
 
 class QLearningAgent {
     /**
      * Create a new Q-Learning agent
      * @param {Object} options - Configuration options
+     * @param {number} options.pitsPerPlayer - Board geometry the network is built for (default: 6)
+     * @param {number} options.seedsPerPit - Initial seeds per pit of that board (default: 4)
+     * @param {OpeningBook} options.openingBook - Play book moves when exploiting while the
+     *   position is in this book (default: none)
+     * @param {boolean} options.doubleDQN - Score the online network's best next action with the
+     *   target network instead of taking the target network's max (default: false)
+     * @param {boolean} options.dueling - Split the network into value and advantage streams (default: false)
+     * @param {number} options.nSteps - Steps per return before bootstrapping (default: 1)
+     * @param {boolean} options.prioritizedReplay - Replay experiences in proportion to their
+     *   TD errors (default: false, uniform)
+     * @param {number} options.priorityAlpha - How much TD errors matter (default: 0.6)
+     * @param {number} options.priorityBeta - Initial importance-sampling correction, annealed to 1
+     *   over epsilonDecaySteps (default: 0.4)
+     * @param {Function} options.random - Random number generator for exploration, replay
+     *   sampling and weight initialization; its state is checkpointed if it has
+     *   getState/setState (default: createRandom(seed))
+     * @param {number} options.seed - Seed for the default random generator, so runs with the
+     *   same seed are identical (default: a random one)
      */
     constructor(options = {}) {
         const {
+            pitsPerPlayer = 6,
+            seedsPerPit = 4,
             learningRate = 0.001,
             learningRateEnd = 0.0005,
             discountFactor = 0.99,
@@ -24,9 +49,24 @@ class QLearningAgent {
             replayBufferSize = 100000,
             batchSize = 128,
             targetUpdateFreq = 1000,
-            gradientClipValue = 1.0
+            gradientClipValue = 1.0,
+            useEndgameDB = true,
+            openingBook = null,
+            doubleDQN = false,
+            dueling = false,
+            nSteps = 1,
+            prioritizedReplay = false,
+            priorityAlpha = 0.6,
+            priorityBeta = 0.4,
+            seed = undefined,
+            random = createRandom(seed)
         } = options;
 
+        // Board geometry: determines network input/output sizes
+        this.pitsPerPlayer = pitsPerPlayer;
+        this.seedsPerPit = seedsPerPit;
+        this.inputSize = getFeatureSize(pitsPerPlayer);
+
         this.learningRate = learningRate;
         this.learningRateStart = learningRate;
         this.learningRateEnd = learningRateEnd;
@@ -38,10 +78,20 @@ class QLearningAgent {
         this.batchSize = batchSize;
         this.targetUpdateFreq = targetUpdateFreq;
         this.gradientClipValue = gradientClipValue;
+        this.useEndgameDB = useEndgameDB; // Play table moves where a registered endgame table covers the state
+        this.openingBook = openingBook;
+        this.doubleDQN = doubleDQN;
+        this.dueling = dueling;
+        this.nSteps = nSteps;
+        this.prioritizedReplay = prioritizedReplay;
+        this.priorityAlpha = priorityAlpha;
+        this.priorityBeta = priorityBeta;
+        this.random = random;
 
         // Experience replay buffer
-        this.replayBuffer = [];
         this.replayBufferSize = replayBufferSize;
+        this.replayBuffer = this.createReplayBuffer();
+        this.nStepQueue = []; // Latest experiences of the current game, not yet folded into n-step returns
 
         // Build neural networks (online and target)
         this.model = this.buildModel();
@@ -50,6 +100,7 @@ class QLearningAgent {
 
         // Training step counter for target network updates and epsilon decay
         this.trainingStep = 0;
+        this.qMagnitude = null; // Mean |Q(s, a)| of the last replay batch's actions (training metrics)
 
         // Statistics
         this.stats = {
@@ -61,51 +112,126 @@ class QLearningAgent {
 
     /**
      * Build the Q-network
-     * Input: game state features (15 dimensions)
-     * Output: Q-values for each action (6 pits)
+     * Input: game state features (2n + 3 dimensions, 15 on the standard board)
+     * Output: Q-values for each action (n pits)
      *
-     * Architecture: 15 → 64 → 64 → 32 → 6
+     * Architecture: 15 → 64 → 64 → 32 → 6 (standard 6-pit board), or the dueling
+     * network (see buildDuelingModel)
      */
     buildModel() {
+        if (this.dueling) {
+            return this.buildDuelingModel();
+        }
+
         const model = tf.sequential();
 
-        // Input layer (15 features)
+        // Input layer (2n + 3 features)
         model.add(tf.layers.dense({
-            inputShape: [15],
+            inputShape: [this.inputSize],
             units: 64,
             activation: 'relu',
-            kernelInitializer: 'heNormal'
+            kernelInitializer: this.initializer('heNormal')
         }));
 
         // Hidden layer 1
         model.add(tf.layers.dense({
             units: 64,
             activation: 'relu',
-            kernelInitializer: 'heNormal'
+            kernelInitializer: this.initializer('heNormal')
         }));
 
         // Hidden layer 2
         model.add(tf.layers.dense({
             units: 32,
             activation: 'relu',
-            kernelInitializer: 'heNormal'
+            kernelInitializer: this.initializer('heNormal')
         }));
 
-        // Output layer - Q-values for 6 possible actions (pits 0-5)
+        // Output layer - Q-values for each of the current player's pits (relative 0..n-1)
         model.add(tf.layers.dense({
-            units: 6,
+            units: this.pitsPerPlayer,
             activation: 'linear',
-            kernelInitializer: 'glorotUniform'
+            kernelInitializer: this.initializer('glorotUniform')
         }));
 
-        // Compile model with gradient clipping
+        this.compileModel(model);
+        return model;
+    }
+
+    /**
+     * Build the dueling Q-network: Q(s, a) = V(s) + A(s, a) - mean(A(s, ·))
+     *
+     * Architecture: 15 → 64 → 64, then a value stream (→ 32 → 1) and an advantage
+     * stream (→ 32 → 6). A fixed linear layer combines [V, A] into Q-values, so the
+     * model only uses standard layers and loads like any other (also in the browser).
+     */
+    buildDuelingModel() {
+        const n = this.pitsPerPlayer;
+        const input = tf.input({ shape: [this.inputSize] });
+
+        let hidden = input;
+        for (let i = 0; i < 2; i++) {
+            hidden = this.denseLayer(64, 'relu').apply(hidden);
+        }
+
+        const valueHidden = this.denseLayer(32, 'relu').apply(hidden);
+        const value = this.denseLayer(1, 'linear', 'value').apply(valueHidden);
+        const advantageHidden = this.denseLayer(32, 'relu').apply(hidden);
+        const advantage = this.denseLayer(n, 'linear', 'advantage').apply(advantageHidden);
+
+        // Row 0 adds V to every action; rows 1..n subtract the mean advantage
+        const kernel = [new Array(n).fill(1)];
+        for (let i = 0; i < n; i++) {
+            kernel.push(Array.from({ length: n }, (_, j) => (i === j ? 1 : 0) - 1 / n));
+        }
+        const qValues = tf.layers.dense({
+            units: n,
+            useBias: false,
+            trainable: false,
+            weights: [tf.tensor2d(kernel)],
+            name: 'dueling_q'
+        }).apply(tf.layers.concatenate().apply([value, advantage]));
+
+        const model = tf.model({ inputs: input, outputs: qValues });
+        this.compileModel(model);
+        return model;
+    }
+
+    /**
+     * Dense layer of the dueling network: He initialization for ReLU layers, Glorot for linear ones
+     */
+    denseLayer(units, activation, name = undefined) {
+        const kernelInitializer = this.initializer(activation === 'relu' ? 'heNormal' : 'glorotUniform');
+        return tf.layers.dense({ units, activation, kernelInitializer, name });
+    }
+
+    /**
+     * Kernel initializer seeded from this.random, so a seeded agent starts from the same weights
+     * @param {string} name - tf.initializers function, e.g. 'heNormal'
+     */
+    initializer(name) {
+        return tf.initializers[name]({ seed: Math.floor(this.random() * 0x100000000) });
+    }
+
+    /**
+     * Compile a Q-network with gradient clipping
+     */
+    compileModel(model) {
         model.compile({
             optimizer: tf.train.adam(this.learningRate, undefined, undefined, undefined, this.gradientClipValue),
             loss: 'meanSquaredError',
             metrics: ['mae']
         });
+    }
 
-        return model;
+    /**
+     * Empty replay buffer for the current size and sampling settings
+     */
+    createReplayBuffer() {
+        return new ReplayBuffer(this.replayBufferSize, {
+            prioritized: this.prioritizedReplay,
+            alpha: this.priorityAlpha
+        });
     }
 
     /**
@@ -125,32 +251,34 @@ class QLearningAgent {
      */
     selectAction(state, validMoves) {
         // Exploration: random action
-        if (Math.random() < this.epsilon) {
-            return validMoves[Math.floor(Math.random() * validMoves.length)];
+        if (this.random() < this.epsilon) {
+            return validMoves[Math.floor(this.random() * validMoves.length)];
+        }
+
+        // Exploitation: book move in the opening, perfect play from an endgame table,
+        // else best Q-value action
+        const bookMove = this.openingBook ? this.openingBook.selectMove(state) : null;
+        if (bookMove !== null) {
+            return bookMove;
+        }
+
+        const endgame = this.useEndgameDB ? EndgameDatabase.find(state) : null;
+        if (endgame) {
+            return endgame.bestMove(state).move;
         }
 
-        // Exploitation: best Q-value action
         return tf.tidy(() => {
             const features = extractFeatures(state);
-            const featureTensor = tf.tensor2d([features]);
-            const qValues = this.model.predict(featureTensor);
-            const qArray = Array.from(qValues.dataSync());
-
-            // Q-values are indexed 0-5 for the current player's pits
-            // validMoves contains absolute pit indices
-            let bestAction = validMoves[0];
-            let bestQ = -Infinity;
-
-            for (const move of validMoves) {
-                // Convert absolute pit index to relative (0-5 for current player)
-                const relativeMove = move - (state.currentPlayer * 6);
-                if (relativeMove >= 0 && relativeMove < 6 && qArray[relativeMove] > bestQ) {
-                    bestQ = qArray[relativeMove];
-                    bestAction = move;
-                }
-            }
+            const qValues = this.model.predict(tf.tensor2d([features]));
+
+            // Q-values are indexed 0..n-1 for the current player's pits, validMoves are absolute
+            // pit indices: moves outside validMoves get a large penalty, so they are never the best
+            const start = state.currentPlayer * this.pitsPerPlayer;
+            const mask = new Array(this.pitsPerPlayer).fill(0);
+            validMoves.forEach(move => { mask[move - start] = 1; });
+            const penalty = tf.tensor2d([mask]).sub(1).mul(1e9);
 
-            return bestAction;
+            return start + qValues.add(penalty).argMax(1).dataSync()[0];
         });
     }
 
@@ -170,17 +298,71 @@ class QLearningAgent {
 
     /**
      * Store an experience in the replay buffer
-     * @param {Object} experience - {state, action, reward, nextState, done}
+     *
+     * Experiences must arrive in game order, each game ending with a `done` one. With
+     * nSteps > 1 they are queued and stored as n-step returns (see foldSteps).
+     *
+     * @param {Object} experience - {state, action, reward, nextState, done}; reward is for
+     *   the player who moved in `state`
      */
     remember(experience) {
-        this.replayBuffer.push(experience);
+        if (this.nSteps <= 1) {
+            this.storeExperience(experience);
+            return;
+        }
 
-        // Keep buffer size limited
-        if (this.replayBuffer.length > this.replayBufferSize) {
-            this.replayBuffer.shift();
+        this.nStepQueue.push(experience);
+        if (experience.done) {
+            // Game over: the remaining experiences get the (shorter) returns to the end
+            while (this.nStepQueue.length > 0) {
+                this.storeExperience(this.foldSteps(this.nStepQueue));
+                this.nStepQueue.shift();
+            }
+        } else if (this.nStepQueue.length === this.nSteps) {
+            this.storeExperience(this.foldSteps(this.nStepQueue));
+            this.nStepQueue.shift();
         }
     }
 
+    /**
+     * Fold consecutive experiences into one n-step experience for the first one
+     *
+     * The return sums the discounted rewards from the first mover's point of view: rewards
+     * of moves made by the other player count negatively. Like one-step experiences,
+     * replay() bootstraps from `nextState` (the last experience's), flipping the sign if the
+     * other player is to move there.
+     *
+     * @param {Object[]} steps - Experiences in game order
+     * @returns {Object} {state, action, reward, nextState, done, steps}
+     */
+    foldSteps(steps) {
+        const first = steps[0];
+        const last = steps[steps.length - 1];
+        const player = first.state.currentPlayer;
+
+        let reward = 0;
+        steps.forEach((exp, k) => {
+            const sign = exp.state.currentPlayer === player ? 1 : -1;
+            reward += Math.pow(this.gamma, k) * sign * exp.reward;
+        });
+
+        return {
+            state: first.state,
+            action: first.action,
+            reward,
+            nextState: last.nextState,
+            done: last.done,
+            steps: steps.length
+        };
+    }
+
+    /**
+     * Add an experience to the replay buffer (the oldest is overwritten when full)
+     */
+    storeExperience(experience) {
+        this.replayBuffer.push(experience);
+    }
+
     /**
      * Train the model on a batch of experiences using DQN with target network
      * @returns {number} Average loss for the batch
@@ -200,58 +382,37 @@ class QLearningAgent {
         // Update epsilon (linear decay over epsilonDecaySteps)
         this.updateEpsilon();
 
-        // Sample random batch
-        const batch = [];
-        const bufferCopy = [...this.replayBuffer];
-        for (let i = 0; i < this.batchSize; i++) {
-            const index = Math.floor(Math.random() * bufferCopy.length);
-            batch.push(bufferCopy[index]);
-            bufferCopy.splice(index, 1);
-        }
-
-        // Prepare training data
-        const states = [];
-        const targets = [];
-
-        for (const exp of batch) {
-            const features = extractFeatures(exp.state);
-            states.push(features);
-
-            // Get current Q-values from online network
-            const currentQ = this.getQValues(exp.state);
-
-            // Calculate target Q-value using target network
-            let targetQ;
-            if (exp.done) {
-                // Terminal state - just use the reward
-                targetQ = exp.reward;
-            } else {
-                // DQN update: Q(s,a) = r + γ * V(s')
-                const nextQ = this.getTargetQValues(exp.nextState);
-                let nextValue = Math.max(...nextQ);
-
-                // CRITICAL: In zero-sum alternating games, negate value when player changes
-                // If next state is opponent's turn, their positive value is our negative value
-                if (exp.state.currentPlayer !== exp.nextState.currentPlayer) {
-                    nextValue = -nextValue;
-                }
-
-                targetQ = exp.reward + this.gamma * nextValue;
-            }
-
-            // Update only the Q-value for the action taken
-            const relativeAction = exp.action - (exp.state.currentPlayer * 6);
-            currentQ[relativeAction] = targetQ;
-
-            targets.push(currentQ);
-        }
+        // Sample a batch (prioritized: with importance-sampling weights, beta annealed to 1)
+        const progress = Math.min(1.0, this.trainingStep / this.epsilonDecaySteps);
+        const beta = this.priorityBeta + progress * (1 - this.priorityBeta);
+        const { items: batch, indices, weights } = this.replayBuffer.sample(this.batchSize, beta, this.random);
+
+        // Current and target Q-values: one forward pass per network for the whole batch
+        const xs = tf.tensor2d(batch.map(exp => extractFeatures(exp.state)));
+        const { ys, tdErrors, qMagnitude } = tf.tidy(() => {
+            const { currentQ, targets } = this.computeTargets(batch, xs);
+            const actions = tf.oneHot(tf.tensor1d(
+                batch.map(exp => exp.action - exp.state.currentPlayer * this.pitsPerPlayer), 'int32'), this.pitsPerPlayer);
+            const takenQ = currentQ.mul(actions).sum(1);
+            const tdError = targets.sub(takenQ);
+
+            // Update only the Q-value for the action taken. fit() has no sample weights, but moving
+            // the target only w of the way scales this sample's squared-error gradient by w.
+            const step = tdError.mul(tf.tensor1d(weights)).expandDims(1);
+            return {
+                ys: currentQ.add(actions.mul(step)),
+                tdErrors: Array.from(tdError.dataSync()),
+                qMagnitude: takenQ.abs().mean().dataSync()[0]
+            };
+        });
+        this.qMagnitude = qMagnitude;
 
         // Train the online network
-        const xs = tf.tensor2d(states);
-        const ys = tf.tensor2d(targets);
-
+        // The batch is already a random sample: fit()'s own shuffling (Math.random) would
+        // only make resumed runs diverge
         const history = await this.model.fit(xs, ys, {
             epochs: 1,
+            shuffle: false,
             verbose: 0
         });
 
@@ -261,6 +422,8 @@ class QLearningAgent {
         xs.dispose();
         ys.dispose();
 
+        this.replayBuffer.updatePriorities(indices, tdErrors);
+
         // Update target network periodically
         if (this.trainingStep % this.targetUpdateFreq === 0) {
             this.syncTargetNetwork();
@@ -269,6 +432,67 @@ class QLearningAgent {
         return loss;
     }
 
+    /**
+     * Online Q-values and target values for a batch, with one forward pass per network
+     *
+     * Targets are r for terminal experiences, else r + γ^k * V(s') from the mover's point of
+     * view, where V(s') only considers the moves that are legal in s'.
+     *
+     * @param {Object[]} batch - Experiences (see remember; n-step experiences carry `steps`)
+     * @param {tf.Tensor2D} xs - Features of the batch's states (default: extracted from them)
+     * @returns {Object} { currentQ: [batch, n] online Q-values of the states, targets: [batch],
+     *   nextActions: [batch] relative next-state moves the targets bootstrap from }
+     */
+    computeTargets(batch, xs = null) {
+        return tf.tidy(() => {
+            const states = xs || tf.tensor2d(batch.map(exp => extractFeatures(exp.state)));
+            const nextStates = tf.tensor2d(batch.map(exp => extractFeatures(exp.nextState)));
+            const nextQ = this.targetModel.predict(nextStates);
+
+            // Double DQN also needs the online network's next-state Q-values: one pass over both
+            let currentQ;
+            let onlineNextQ = null;
+            if (this.doubleDQN) {
+                [currentQ, onlineNextQ] = tf.split(this.model.predict(tf.concat([states, nextStates])), 2);
+            } else {
+                currentQ = this.model.predict(states);
+            }
+
+            // Illegal next-state moves (empty pits) get a large penalty, so they are never the best
+            const masks = batch.map(exp => this.getValidMoveMask(exp.nextState));
+            const penalty = tf.tensor2d(masks).sub(1).mul(1e9);
+            // Double DQN: the online network picks the action, the target network scores it
+            const nextActions = (this.doubleDQN ? onlineNextQ : nextQ).add(penalty).argMax(1);
+            const nextValue = nextQ.mul(tf.oneHot(nextActions, this.pitsPerPlayer)).sum(1);
+
+            // CRITICAL: In zero-sum alternating games, negate value when player changes
+            // If next state is opponent's turn, their positive value is our negative value.
+            // Terminal experiences (and positions without moves) don't bootstrap.
+            const discounts = tf.tensor1d(batch.map((exp, i) => {
+                if (exp.done || !masks[i].includes(1)) return 0;
+                const sign = exp.state.currentPlayer === exp.nextState.currentPlayer ? 1 : -1;
+                return sign * Math.pow(this.gamma, exp.steps || 1);
+            }));
+            const rewards = tf.tensor1d(batch.map(exp => exp.reward));
+
+            return { currentQ, targets: rewards.add(discounts.mul(nextValue)), nextActions };
+        });
+    }
+
+    /**
+     * Legal moves of the player to move, by relative pit
+     * @param {Object} state - Game state
+     * @returns {number[]} 1 for each pit with seeds, else 0 (all 0 once the game is over)
+     */
+    getValidMoveMask(state) {
+        const start = state.currentPlayer * this.pitsPerPlayer;
+        const mask = [];
+        for (let i = 0; i < this.pitsPerPlayer; i++) {
+            mask.push(!state.gameOver && state.board[start + i] > 0 ? 1 : 0);
+        }
+        return mask;
+    }
+
     /**
      * Get Q-values from target network
      * @param {Object} state - Game state
@@ -313,32 +537,13 @@ class QLearningAgent {
     }
 
     /**
-     * Save the model to disk
+     * Save the model to disk: model.json and weights.bin in the standard TensorFlow.js
+     * format, with the board, hyperparameters and stats as metadata (see model-io.js)
      * @param {string} path - Save path
      */
     async save(path) {
-        const fs = require('fs');
-
-        // Create directory if it doesn't exist
-        if (!fs.existsSync(path)) {
-            fs.mkdirSync(path, { recursive: true });
-        }
-
-        // Get model weights as JSON
-        const weights = this.model.getWeights();
-        const weightsData = await Promise.all(
-            weights.map(async (w) => ({
-                name: w.name,
-                shape: w.shape,
-                dtype: w.dtype,
-                data: Array.from(await w.data())
-            }))
-        );
-
-        // Save model architecture and weights
-        const modelConfig = {
-            modelTopology: this.model.toJSON(null, false),
-            weightsData: weightsData,
+        await saveModel(this.model, path, {
+            board: this.getBoardGeometry(),
             hyperparameters: {
                 learningRate: this.learningRate,
                 learningRateStart: this.learningRateStart,
@@ -352,79 +557,191 @@ class QLearningAgent {
                 batchSize: this.batchSize,
                 targetUpdateFreq: this.targetUpdateFreq,
                 gradientClipValue: this.gradientClipValue,
+                doubleDQN: this.doubleDQN,
+                dueling: this.dueling,
+                nSteps: this.nSteps,
+                prioritizedReplay: this.prioritizedReplay,
+                priorityAlpha: this.priorityAlpha,
+                priorityBeta: this.priorityBeta,
                 trainingStep: this.trainingStep
             },
             stats: this.stats
-        };
-
-        fs.writeFileSync(
-            `${path}/model.json`,
-            JSON.stringify(modelConfig, null, 2)
-        );
+        });
 
         console.log(`✅ Model saved to ${path}`);
     }
 
     /**
-     * Load a model from disk
+     * Load a model from disk (standard format, or the older single model.json)
      * @param {string} path - Load path
      */
     async load(path) {
-        const fs = require('fs');
-
         const modelPath = `${path}/model.json`;
-        if (!fs.existsSync(modelPath)) {
-            throw new Error(`Model not found at ${modelPath}`);
+        const { model, metadata } = await loadModel(path);
+
+        // Refuse models trained for a different board (files without geometry predate it: 6x4)
+        const board = metadata.board || { pitsPerPlayer: 6, seedsPerPit: 4 };
+        if (board.pitsPerPlayer !== this.pitsPerPlayer || board.seedsPerPit !== this.seedsPerPit) {
+            throw new Error(
+                `Model at ${modelPath} was trained for Kalah(${board.pitsPerPlayer},${board.seedsPerPit}), ` +
+                `but this agent is configured for Kalah(${this.pitsPerPlayer},${this.seedsPerPit})`
+            );
         }
 
-        // Load model config
-        const modelConfig = JSON.parse(fs.readFileSync(modelPath, 'utf8'));
-
         // Restore hyperparameters first (needed for compilation)
-        if (modelConfig.hyperparameters) {
-            this.learningRate = modelConfig.hyperparameters.learningRate || this.learningRate;
-            this.learningRateStart = modelConfig.hyperparameters.learningRateStart || this.learningRateStart;
-            this.learningRateEnd = modelConfig.hyperparameters.learningRateEnd || this.learningRateEnd;
-            this.gamma = modelConfig.hyperparameters.gamma || this.gamma;
-            this.epsilon = modelConfig.hyperparameters.epsilon || this.epsilon;
-            this.epsilonStart = modelConfig.hyperparameters.epsilonStart || this.epsilonStart;
-            this.epsilonMin = modelConfig.hyperparameters.epsilonMin || this.epsilonMin;
-            this.epsilonDecaySteps = modelConfig.hyperparameters.epsilonDecaySteps || this.epsilonDecaySteps;
-            this.replayBufferSize = modelConfig.hyperparameters.replayBufferSize || this.replayBufferSize;
-            this.batchSize = modelConfig.hyperparameters.batchSize || this.batchSize;
-            this.targetUpdateFreq = modelConfig.hyperparameters.targetUpdateFreq || this.targetUpdateFreq;
-            this.gradientClipValue = modelConfig.hyperparameters.gradientClipValue || this.gradientClipValue;
-            this.trainingStep = modelConfig.hyperparameters.trainingStep || 0;
+        const hyperparameters = metadata.hyperparameters;
+        if (hyperparameters) {
+            this.learningRate = hyperparameters.learningRate || this.learningRate;
+            this.learningRateStart = hyperparameters.learningRateStart || this.learningRateStart;
+            this.learningRateEnd = hyperparameters.learningRateEnd || this.learningRateEnd;
+            this.gamma = hyperparameters.gamma || this.gamma;
+            this.epsilon = hyperparameters.epsilon || this.epsilon;
+            this.epsilonStart = hyperparameters.epsilonStart || this.epsilonStart;
+            this.epsilonMin = hyperparameters.epsilonMin || this.epsilonMin;
+            this.epsilonDecaySteps = hyperparameters.epsilonDecaySteps || this.epsilonDecaySteps;
+            this.replayBufferSize = hyperparameters.replayBufferSize || this.replayBufferSize;
+            this.batchSize = hyperparameters.batchSize || this.batchSize;
+            this.targetUpdateFreq = hyperparameters.targetUpdateFreq || this.targetUpdateFreq;
+            this.gradientClipValue = hyperparameters.gradientClipValue || this.gradientClipValue;
+            this.trainingStep = hyperparameters.trainingStep || 0;
+            if (hyperparameters.doubleDQN !== undefined) {
+                this.doubleDQN = hyperparameters.doubleDQN;
+            }
+            this.nSteps = hyperparameters.nSteps || this.nSteps;
+            if (hyperparameters.prioritizedReplay !== undefined) {
+                this.prioritizedReplay = hyperparameters.prioritizedReplay;
+            }
+            this.priorityAlpha = hyperparameters.priorityAlpha || this.priorityAlpha;
+            this.priorityBeta = hyperparameters.priorityBeta || this.priorityBeta;
+            this.replayBuffer = this.createReplayBuffer();
         }
 
-        // Restore model from topology
-        this.model = await tf.models.modelFromJSON(modelConfig.modelTopology);
-
-        // Restore weights
-        const weightValues = modelConfig.weightsData.map(w =>
-            tf.tensor(w.data, w.shape, w.dtype)
-        );
-        this.model.setWeights(weightValues);
+        // The saved topology decides the architecture (models without the flag predate dueling networks)
+        this.dueling = Boolean(hyperparameters && hyperparameters.dueling);
 
-        // Recompile the model with gradient clipping
-        this.model.compile({
-            optimizer: tf.train.adam(this.learningRate, undefined, undefined, undefined, this.gradientClipValue),
-            loss: 'meanSquaredError',
-            metrics: ['mae']
-        });
+        // Recompile the restored model with gradient clipping
+        this.model = model;
+        this.compileModel(this.model);
 
         // Rebuild target network and sync weights
         this.targetModel = this.buildModel();
         this.syncTargetNetwork();
 
         // Restore stats
-        if (modelConfig.stats) {
-            this.stats = modelConfig.stats;
+        if (metadata.stats) {
+            this.stats = metadata.stats;
         }
 
         console.log(`✅ Model loaded from ${path}`);
     }
 
+    /**
+     * Save everything needed to continue training exactly where it stopped
+     *
+     * Besides the model (see save), writes training-state.json with the target network
+     * weights, the optimizer's moment estimates and step count and the random generator
+     * state, and the replay buffer to replay-buffer.bin (see encodeExperiences). Call it
+     * between games: experiences still queued for n-step returns are not saved.
+     *
+     * @param {string} path - Checkpoint directory
+     */
+    async saveCheckpoint(path) {
+        const fs = require('fs');
+
+        await this.save(path);
+
+        const replay = this.replayBuffer.getState();
+        const records = encodeExperiences(replay.items, this.pitsPerPlayer);
+        const weights = replay.weights ? Buffer.from(replay.weights.buffer) : Buffer.alloc(0);
+        fs.writeFileSync(`${path}/${REPLAY_FILE}`, Buffer.concat([records, weights]));
+
+        // Adam's step count ('iter') and first and second moment estimates per weight
+        const optimizerWeights = await this.model.optimizer.getWeights();
+
+        const trainingState = {
+            format: 'kalah-training-state',
+            version: 1,
+            targetWeights: await tensorsToJSON(this.targetModel.getWeights()),
+            optimizer: await tensorsToJSON(optimizerWeights.map(w => w.tensor), optimizerWeights.map(w => w.name)),
+            random: typeof this.random.getState === 'function' ? this.random.getState() : null,
+            replay: {
+                file: REPLAY_FILE,
+                next: replay.next,
+                size: replay.size,
+                recordSize: experienceRecordSize(this.pitsPerPlayer),
+                prioritized: replay.weights !== null,
+                maxPriority: replay.maxPriority
+            }
+        };
+
+        fs.writeFileSync(`${path}/training-state.json`, JSON.stringify(trainingState));
+        console.log(`💾 Training state saved to ${path} (${replay.size} experiences)`);
+    }
+
+    /**
+     * Load a checkpoint written by saveCheckpoint
+     * @param {string} path - Checkpoint directory
+     */
+    async loadCheckpoint(path) {
+        const fs = require('fs');
+
+        await this.load(path);
+
+        const statePath = `${path}/training-state.json`;
+        if (!fs.existsSync(statePath)) {
+            throw new Error(`No training state at ${statePath} (saved with save() rather than saveCheckpoint()?)`);
+        }
+        const trainingState = JSON.parse(fs.readFileSync(statePath, 'utf8'));
+        if (trainingState.format !== 'kalah-training-state') {
+            throw new Error(`Not a training state: ${statePath}`);
+        }
+        if (trainingState.version !== 1) {
+            throw new Error(`Unsupported training state version ${trainingState.version} (expected 1)`);
+        }
+
+        this.targetModel.setWeights(trainingState.targetWeights.map(w => tf.tensor(w.data, w.shape, w.dtype)));
+        await this.model.optimizer.setWeights(trainingState.optimizer.map(w => ({
+            name: w.name,
+            tensor: tf.tensor(w.data, w.shape, w.dtype)
+        })));
+
+        if (trainingState.random !== null && typeof this.random.setState === 'function') {
+            this.random.setState(trainingState.random);
+        }
+
+        const { replay } = trainingState;
+        if (replay.recordSize !== experienceRecordSize(this.pitsPerPlayer)) {
+            throw new Error(`Replay buffer records are ${replay.recordSize} bytes, expected ${experienceRecordSize(this.pitsPerPlayer)}`);
+        }
+        const data = fs.readFileSync(`${path}/${replay.file}`);
+        const recordBytes = replay.size * replay.recordSize;
+        const weights = replay.prioritized
+            ? new Float64Array(data.buffer.slice(data.byteOffset + recordBytes, data.byteOffset + data.length))
+            : null;
+
+        this.replayBuffer.setState({
+            next: replay.next,
+            size: replay.size,
+            items: decodeExperiences(data.subarray(0, recordBytes), replay.size, this.getBoardGeometry()),
+            weights,
+            maxPriority: replay.maxPriority
+        });
+        this.nStepQueue = [];
+
+        console.log(`✅ Training state loaded from ${path} (${replay.size} experiences)`);
+    }
+
+    /**
+     * Board geometry this agent's network was built for
+     * @returns {Object} {pitsPerPlayer, seedsPerPit}
+     */
+    getBoardGeometry() {
+        return {
+            pitsPerPlayer: this.pitsPerPlayer,
+            seedsPerPit: this.seedsPerPit
+        };
+    }
+
     /**
      * Get training statistics
      */
@@ -437,4 +754,106 @@ class QLearningAgent {
     }
 }
 
+const REPLAY_FILE = 'replay-buffer.bin';
+
+/**
+ * Tensors as JSON-friendly {name, shape, dtype, data} objects
+ * @param {tf.Tensor[]} tensors - Tensors to read
+ * @param {string[]} names - Names to record (default: the tensors' own)
+ */
+async function tensorsToJSON(tensors, names = []) {
+    return Promise.all(tensors.map(async (w, i) => ({
+        name: names[i] || w.name,
+        shape: w.shape,
+        dtype: w.dtype,
+        data: Array.from(await w.data())
+    })));
+}
+
+/**
+ * Bytes per experience in the replay file: for the state and the next state, the pits
+ * and stores (uint16) plus the player to move and game-over flag (uint8); then the
+ * action, done flag and step count (uint8) and the reward (float64), little-endian.
+ */
+function experienceRecordSize(pitsPerPlayer) {
+    return 2 * (2 * (2 * pitsPerPlayer + 2) + 2) + 3 + 8;
+}
+
+/**
+ * Pack experiences into fixed-size binary records (see experienceRecordSize)
+ * @returns {Buffer} Records in the given order
+ */
+function encodeExperiences(experiences, pitsPerPlayer) {
+    const recordSize = experienceRecordSize(pitsPerPlayer);
+    const buffer = Buffer.alloc(experiences.length * recordSize);
+
+    experiences.forEach((exp, i) => {
+        let offset = i * recordSize;
+        for (const state of [exp.state, exp.nextState]) {
+            for (const seeds of [...state.board, ...state.stores]) {
+                offset = buffer.writeUInt16LE(seeds, offset);
+            }
+            offset = buffer.writeUInt8(state.currentPlayer, offset);
+            offset = buffer.writeUInt8(state.gameOver ? 1 : 0, offset);
+        }
+        offset = buffer.writeUInt8(exp.action, offset);
+        offset = buffer.writeUInt8(exp.done ? 1 : 0, offset);
+        offset = buffer.writeUInt8(exp.steps || 1, offset);
+        buffer.writeDoubleLE(exp.reward, offset);
+    });
+
+    return buffer;
+}
+
+/**
+ * Unpack records written by encodeExperiences
+ *
+ * States get the fields training uses (board, stores, player to move, game over) plus the
+ * board geometry; one-step experiences come back without `steps`, as remember stores them.
+ *
+ * @param {Buffer} buffer - Records
+ * @param {number} count - Number of records
+ * @param {Object} board - {pitsPerPlayer, seedsPerPit}
+ * @returns {Object[]} Experiences
+ */
+function decodeExperiences(buffer, count, { pitsPerPlayer, seedsPerPit }) {
+    const recordSize = experienceRecordSize(pitsPerPlayer);
+    const experiences = [];
+
+    for (let i = 0; i < count; i++) {
+        let offset = i * recordSize;
+        const states = [];
+        for (let s = 0; s < 2; s++) {
+            const seeds = [];
+            for (let pit = 0; pit < 2 * pitsPerPlayer + 2; pit++, offset += 2) {
+                seeds.push(buffer.readUInt16LE(offset));
+            }
+            states.push({
+                board: seeds.slice(0, 2 * pitsPerPlayer),
+                stores: seeds.slice(2 * pitsPerPlayer),
+                currentPlayer: buffer.readUInt8(offset),
+                gameOver: buffer.readUInt8(offset + 1) === 1,
+                pitsPerPlayer,
+                seedsPerPit
+            });
+            offset += 2;
+        }
+
+        const exp = {
+            state: states[0],
+            action: buffer.readUInt8(offset),
+            reward: buffer.readDoubleLE(offset + 3),
+            nextState: states[1],
+            done: buffer.readUInt8(offset + 1) === 1
+        };
+        const steps = buffer.readUInt8(offset + 2);
+        if (steps > 1) {
+            exp.steps = steps;
+        }
+        experiences.push(exp);
+    }
+
+    return experiences;
+}
+
 module.exports = QLearningAgent;
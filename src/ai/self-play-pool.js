@@ -0,0 +1,162 @@
+/**
+ * Parallel Self-Play
+ *
+ * Worker threads (src/ai/self-play-worker.js) play self-play games with copies of the
+ * agent's network and send the experiences back; the learner (Trainer.trainSelfPlay)
+ * stores them in its replay buffer and trains. Each worker is asked for a new game for
+ * every game the learner takes, with `prefetch` games per worker in flight, so the
+ * workers are never more than a few games ahead of the learner. Every `syncInterval`
+ * games taken, the learner's current weights are sent to all workers.
+ *
+ * Workers play with the network and the learner's epsilon at the time each game was
+ * requested. They don't use an opening book or endgame tables, which exploration mostly
+ * bypasses anyway.
+ */
+
+const path = require('path');
+const { Worker } = require('worker_threads');
+
+const WORKER_FILE = path.join(__dirname, 'self-play-worker.js');
+
+class SelfPlayPool {
+    /**
+     * @param {QLearningAgent} agent - Learner whose network the workers copy
+     * @param {Object} options - Pool options
+     * @param {number} options.workers - Worker threads (default: 2)
+     * @param {number} options.syncInterval - Games between weight updates (default: 10)
+     * @param {number} options.prefetch - Games in flight per worker (default: 2)
+     */
+    constructor(agent, options = {}) {
+        const {
+            workers = 2,
+            syncInterval = 10,
+            prefetch = 2
+        } = options;
+
+        this.agent = agent;
+        this.size = workers;
+        this.syncInterval = syncInterval;
+        this.prefetch = prefetch;
+
+        this.workers = [];
+        this.games = []; // Finished games the learner hasn't taken yet: { worker, experiences, winner }
+        this.wakeUp = null; // Resolves a next() waiting for a game
+        this.error = null;
+        this.stopping = false;
+        this.gamesSinceSync = 0;
+    }
+
+    /**
+     * Start the workers with the agent's current weights and ask each for its first games
+     */
+    async start() {
+        const agentOptions = {
+            ...this.agent.getBoardGeometry(),
+            dueling: this.agent.dueling
+        };
+        const weights = this.getWeights();
+
+        for (let i = 0; i < this.size; i++) {
+            const worker = new Worker(WORKER_FILE, {
+                workerData: {
+                    agentOptions,
+                    seed: Math.floor(this.agent.random() * 0x100000000),
+                    weights
+                }
+            });
+            worker.on('message', (game) => this.receive(worker, game));
+            worker.on('error', (error) => this.fail(error));
+            worker.on('exit', (code) => {
+                if (!this.stopping) {
+                    this.fail(new Error(`Self-play worker ${i} exited with code ${code}`));
+                }
+            });
+            this.workers.push(worker);
+        }
+
+        for (const worker of this.workers) {
+            for (let i = 0; i < this.prefetch; i++) {
+                this.request(worker);
+            }
+        }
+    }
+
+    /**
+     * Take the next finished game, waiting for one if none is ready
+     * @returns {Promise<Object>} { experiences, winner } (see Trainer.playSelfPlayGame)
+     */
+    async next() {
+        while (this.games.length === 0 && this.error === null) {
+            await new Promise(resolve => {
+                this.wakeUp = resolve;
+            });
+        }
+        if (this.error !== null) {
+            throw this.error;
+        }
+
+        const { worker, experiences, winner } = this.games.shift();
+
+        this.gamesSinceSync++;
+        if (this.gamesSinceSync >= this.syncInterval) {
+            this.syncWeights();
+        }
+        this.request(worker);
+
+        return { experiences, winner };
+    }
+
+    /**
+     * Send the learner's current weights to all workers
+     */
+    syncWeights() {
+        const weights = this.getWeights();
+        for (const worker of this.workers) {
+            worker.postMessage({ type: 'weights', weights });
+        }
+        this.gamesSinceSync = 0;
+    }
+
+    /**
+     * Stop all workers; games in flight are dropped
+     */
+    async stop() {
+        this.stopping = true;
+        await Promise.all(this.workers.map(worker => worker.terminate()));
+        this.workers = [];
+        this.games = [];
+    }
+
+    /**
+     * Online network weights as typed arrays (copied to the workers by postMessage)
+     */
+    getWeights() {
+        return this.agent.model.getWeights().map(w => w.dataSync());
+    }
+
+    request(worker) {
+        worker.postMessage({ type: 'play', epsilon: this.agent.epsilon });
+    }
+
+    receive(worker, { experiences, winner }) {
+        this.games.push({ worker, experiences, winner });
+        this.notify();
+    }
+
+    fail(error) {
+        if (this.error === null) {
+            this.error = error;
+        }
+        this.notify();
+    }
+
+    notify() {
+        if (this.wakeUp) {
+            const wakeUp = this.wakeUp;
+            this.wakeUp = null;
+            wakeUp();
+        }
+    }
+}
+
+module.exports = SelfPlayPool;
@@ -0,0 +1,45 @@
+/**
+ * Self-Play Worker Thread (see SelfPlayPool)
+ *
+ * Holds a copy of the learner's network and plays one self-play game per 'play'
+ * message, with the epsilon it came with; 'weights' messages replace the network's
+ * weights. Each finished game is posted back as { experiences, winner }.
+ */
+
+const { parentPort, workerData } = require('worker_threads');
+const tf = require('@tensorflow/tfjs-node');
+const QLearningAgent = require('./rl-agent.js');
+const Trainer = require('./trainer.js');
+const EndgameDatabase = require('./endgame-db.js');
+const { createRandom } = require('../utils/random.js');
+
+const { agentOptions, seed, weights } = workerData;
+
+// Workers play without endgame tables (see SelfPlayPool), so they don't load them either
+EndgameDatabase.autoloadFrom(null);
+
+// Only the online network is used: no training, so no replay buffer to speak of
+const agent = new QLearningAgent({
+    ...agentOptions,
+    replayBufferSize: 1,
+    random: createRandom(seed)
+});
+const trainer = new Trainer(agent, { verbose: false });
+const shapes = agent.model.getWeights().map(w => w.shape);
+
+function setWeights(data) {
+    tf.tidy(() => {
+        agent.model.setWeights(data.map((values, i) => tf.tensor(values, shapes[i])));
+    });
+}
+
+setWeights(weights);
+
+parentPort.on('message', (message) => {
+    if (message.type === 'weights') {
+        setWeights(message.weights);
+    } else if (message.type === 'play') {
+        agent.epsilon = message.epsilon;
+        parentPort.postMessage(trainer.playSelfPlayGame());
+    }
+});
@@ -5,20 +5,41 @@
  * - Self-play
  * - Against random opponent
  * - Curriculum learning
+ * - League play against frozen past snapshots (OpponentPool)
+ * - AlphaZero self-play with search (AlphaZeroAgent)
  */
 
 const KalahEngine = require('../engine/kalah-engine.js');
 const QLearningAgent = require('./rl-agent.js');
 const KalahAI = require('./kalah-ai-browser.js');
+const MCTSAgent = require('./mcts.js');
+const SelfPlayPool = require('./self-play-pool.js');
+const MetricsLog = require('./metrics-log.js');
+const OpponentPool = require('./opponent-pool.js');
+const { DEFAULTS: CONFIG_DEFAULTS } = require('../training/training-config.js');
 
 class Trainer {
+    /**
+     * @param {QLearningAgent|AlphaZeroAgent} agent - Agent to train
+     * @param {Object} options - Trainer options
+     * @param {boolean} options.verbose - Print progress every logInterval episodes (default: true)
+     * @param {number} options.logInterval - Episodes per progress line and metrics record (default: 100)
+     * @param {string} options.metricsDir - Write training metrics to this run directory (see
+     *   MetricsLog, default: none)
+     * @param {Object} options.config - The run's resolved config (see
+     *   src/training/training-config.js), saved as config.json with each checkpoint (default: none)
+     */
     constructor(agent, options = {}) {
         this.agent = agent;
         this.options = {
             verbose: true,
             logInterval: 100,
+            metricsDir: null,
+            config: null,
             ...options
         };
+        this.metrics = this.options.metricsDir ? new MetricsLog(this.options.metricsDir) : null;
+        this.metricsWindow = Trainer.emptyMetricsWindow(); // Episodes since the last metrics record
 
         this.stats = {
             gamesPlayed: 0,
@@ -28,6 +49,25 @@ class Trainer {
             totalReward: 0,
             recentWinRate: []
         };
+
+        // The current top-level training call (for resume points) and where resume() continues it
+        this.run = null;
+        this.resumePoint = null;
+
+        // Set by interrupt() (Ctrl+C with self-play workers): the run stops after the current episode
+        this.interrupted = false;
+    }
+
+    /**
+     * Create a new game on the board geometry the agent was built for
+     * @returns {KalahEngine} Fresh game
+     */
+    createGame() {
+        return new KalahEngine({
+            pitsPerPlayer: this.agent.pitsPerPlayer,
+            seedsPerPit: this.agent.seedsPerPit,
+            enableLogging: false
+        });
     }
 
     /**
@@ -50,8 +90,16 @@ class Trainer {
      * @param {Object} checkpointOptions - Checkpoint configuration
      *   - evalInterval: Evaluate every N episodes (default: 5000)
      *   - evalGames: Number of games per evaluation (default: 200)
+     *   - evalOpponent: Opponent for evaluations (see createOpponentPolicy, default: random)
      *   - savePath: Path to save checkpoints (default: './checkpoints')
      *   - keepBest: Keep only best checkpoint (default: true)
+     *   - workers: Worker threads playing the games (default: 0, on the main thread; see SelfPlayPool)
+     *   - syncInterval: Games between weight updates sent to the workers (default: 10)
+     *   - promotion, promotionOpponent: End early once the agent beats this opponent (see finishEpisode)
+     *
+     * Every evalInterval episodes the full training state is saved to savePath/latest
+     * (see saveTrainingState), so an interrupted run can be resumed. With workers, Ctrl+C
+     * saves a resume point at the current episode and stops them (see interrupt).
      *
      * Note: In self-play, the agent plays both sides, so "wins" and "losses"
      * represent which side (Player 0 vs Player 1) won, not agent performance.
@@ -59,16 +107,21 @@ class Trainer {
      */
     async trainSelfPlay(numEpisodes, checkpointOptions = {}) {
         if (!checkpointOptions.isStage) {
-            this.resetStats();
+            this.startRun('trainSelfPlay', numEpisodes, null, checkpointOptions);
         }
 
         const {
             evalInterval = 5000,
             evalGames = 200,
+            evalOpponent = null,
             savePath = './checkpoints',
             keepBest = true,
-            isStage = false
+            isStage = false,
+            stage = 0,
+            workers = 0,
+            syncInterval = 10
         } = checkpointOptions;
+        const context = Trainer.episodeContext({ evalInterval, evalGames, evalOpponent, savePath, keepBest }, checkpointOptions);
 
         console.log(`\n🤖 Training via self-play for ${numEpisodes} episodes...`);
         if (!isStage) {
@@ -77,125 +130,68 @@ class Trainer {
             console.log(`💾 Checkpoints: ${savePath}`);
         }
 
-        let bestWinRate = 0;
-        let bestEpisode = 0;
-        const evalHistory = [];
+        const resume = this.takeResumePoint(stage);
+        const progress = context.progress || (resume ? resume.progress : Trainer.emptyProgress());
+        context.progress = progress;
+
+        const firstEpisode = resume ? resume.episode : 0;
+        const pool = workers > 0 && firstEpisode < numEpisodes
+            ? new SelfPlayPool(this.agent, { workers, syncInterval })
+            : null;
+        const onInterrupt = () => this.interrupt();
+        if (pool) {
+            await pool.start();
+            process.once('SIGINT', onInterrupt);
+            console.log(`🧵 ${workers} self-play workers (weights synced every ${syncInterval} games, Ctrl+C stops cleanly)`);
+        }
 
-        for (let episode = 0; episode < numEpisodes; episode++) {
-            const game = new KalahEngine({ enableLogging: false });
-            const experiences = [];
+        const timing = { start: Date.now(), playMs: 0 };
+        let episode = firstEpisode;
+        let done = false;
+        try {
+            for (; episode < numEpisodes && !done && !this.interrupted; episode++) {
+                // Play one game (or take one a worker played)
+                const playStart = Date.now();
+                const { experiences, winner } = pool ? await pool.next() : this.playSelfPlayGame();
+                timing.playMs += Date.now() - playStart;
+
+                // Store all experiences
+                for (const exp of experiences) {
+                    this.agent.remember(exp);
+                }
 
-            // Play one game
-            while (!game.gameOver) {
-                const state = game.getState();
-                const validMoves = game.getValidMoves();
-                const action = this.agent.selectAction(state, validMoves);
-                const currentPlayer = state.currentPlayer;
+                // Train on batch
+                const loss = await this.agent.replay();
 
-                game.makeMove(action);
+                // Decay exploration
+                this.agent.decayEpsilon();
 
-                const nextState = game.getState();
-                const done = game.gameOver;
+                // Update stats
+                this.updateStats(winner, loss);
 
-                // Calculate reward from player 0's perspective
-                let reward = 0;
-                if (done) {
-                    const winner = game.getWinner();
-                    if (winner === 0) reward = 1;
-                    else if (winner === 1) reward = -1;
-                    // Draw = 0
+                // Log progress
+                if ((episode + 1) % this.options.logInterval === 0) {
+                    this.logProgress(episode + 1, stage);
                 }
-                // No intermediate rewards - only terminal rewards
-                // Intermediate rewards cause Q-value explosion
 
-                experiences.push({
-                    state,
-                    action,
-                    reward: currentPlayer === 0 ? reward : -reward, // Flip for player 1
-                    nextState,
-                    done
-                });
+                // Promotion check, checkpoint evaluation and resume point
+                done = await this.finishEpisode(episode + 1, numEpisodes, context);
             }
-
-            // Store all experiences
-            for (const exp of experiences) {
-                this.agent.remember(exp);
+        } finally {
+            if (pool) {
+                process.removeListener('SIGINT', onInterrupt);
+                await pool.stop();
             }
+        }
 
-            // Train on batch
-            const loss = await this.agent.replay();
-
-            // Decay exploration
-            this.agent.decayEpsilon();
-
-            // Update stats
-            this.updateStats(game, loss);
-
-            // Log progress
-            if (this.options.verbose && (episode + 1) % this.options.logInterval === 0) {
-                this.logProgress(episode + 1);
-            }
-
-            // Checkpoint evaluation
-            if ((episode + 1) % evalInterval === 0 || episode + 1 === numEpisodes) {
-                console.log(`\n${'='.repeat(70)}`);
-                console.log(`🎯 Checkpoint Evaluation at Episode ${episode + 1}`);
-                console.log('='.repeat(70));
-
-                const evalResults = await this.evaluate(evalGames);
-                const winRate = parseFloat(evalResults.overall.winRate);
-
-                evalHistory.push({
-                    episode: episode + 1,
-                    winRate,
-                    epsilon: this.agent.epsilon,
-                    asPlayer0: parseFloat(evalResults.asPlayer0.winRate),
-                    asPlayer1: parseFloat(evalResults.asPlayer1.winRate)
-                });
-
-                // Calculate moving average (last 3 checkpoints)
-                const recentEvals = evalHistory.slice(-3);
-                const movingAvgWinRate = recentEvals.reduce((sum, e) => sum + e.winRate, 0) / recentEvals.length;
-                console.log(`\n📈 Moving Average (last ${recentEvals.length} checkpoints): ${movingAvgWinRate.toFixed(1)}%`);
-
-                // Save checkpoint if best so far
-                if (winRate > bestWinRate) {
-                    console.log(`\n🌟 New best model! ${winRate}% > ${bestWinRate}% (previous best)`);
-                    bestWinRate = winRate;
-                    bestEpisode = episode + 1;
-
-                    const checkpointPath = `${savePath}/best-checkpoint`;
-                    await this.agent.save(checkpointPath);
-                    console.log(`💾 Best checkpoint saved to ${checkpointPath}`);
-
-                    // Save metadata
-                    const fs = require('fs');
-                    const metadata = {
-                        episode: episode + 1,
-                        winRate,
-                        epsilon: this.agent.epsilon,
-                        timestamp: new Date().toISOString(),
-                        evalResults
-                    };
-                    fs.writeFileSync(
-                        `${checkpointPath}/metadata.json`,
-                        JSON.stringify(metadata, null, 2)
-                    );
-                } else {
-                    console.log(`\nCurrent: ${winRate}% (Best: ${bestWinRate}% at episode ${bestEpisode})`);
-                }
-
-                // Optionally save non-best checkpoints
-                if (!keepBest) {
-                    const checkpointPath = `${savePath}/checkpoint-${episode + 1}`;
-                    await this.agent.save(checkpointPath);
-                    console.log(`💾 Checkpoint saved to ${checkpointPath}`);
-                }
-
-                console.log('='.repeat(70));
-            }
+        this.logThroughput(episode - firstEpisode, timing, pool);
+        if (this.interrupted && !done && episode < numEpisodes) {
+            await this.saveTrainingState(`${savePath}/latest`, { stage, episode, progress });
+            console.log(`\n⏹️  Interrupted at episode ${episode}: resume point saved to ${savePath}/latest`);
+            return { ...progress, interrupted: true };
         }
 
+        const { bestWinRate, bestEpisode, evalHistory } = progress;
         if (!isStage) {
             console.log('\n✅ Self-play training complete!');
             this.printFinalStats();
@@ -219,77 +215,356 @@ class Trainer {
         return {
             bestEpisode,
             bestWinRate,
-            evalHistory
+            evalHistory,
+            episodes: episode,
+            promotion: context.promotionResult
         };
     }
 
     /**
-     * Train agent against a fixed opponent
-     * @param {number} numEpisodes - Number of games to play
-     * @param {Function} opponentPolicy - Function(state, validMoves) => action
+     * Play one self-play game, the agent moving for both sides
+     * Also used by the self-play workers (src/ai/self-play-worker.js).
+     * @returns {Object} { experiences, winner } - rewards from the moving player's perspective
      */
-    async trainAgainstOpponent(numEpisodes, opponentPolicy = null, options = {}) {
-        if (!options.isStage) {
-            this.resetStats();
+    playSelfPlayGame() {
+        const game = this.createGame();
+        const experiences = [];
+
+        while (!game.gameOver) {
+            const state = game.getState();
+            const validMoves = game.getValidMoves();
+            const action = this.agent.selectAction(state, validMoves);
+            const currentPlayer = state.currentPlayer;
+
+            game.makeMove(action);
+
+            const nextState = game.getState();
+            const done = game.gameOver;
+
+            // Calculate reward from player 0's perspective
+            let reward = 0;
+            if (done) {
+                const winner = game.getWinner();
+                if (winner === 0) reward = 1;
+                else if (winner === 1) reward = -1;
+                // Draw = 0
+            }
+            // No intermediate rewards - only terminal rewards
+            // Intermediate rewards cause Q-value explosion
+
+            experiences.push({
+                state,
+                action,
+                reward: currentPlayer === 0 ? reward : -reward, // Flip for player 1
+                nextState,
+                done
+            });
         }
 
-        // Default to random opponent
-        if (!opponentPolicy) {
-            opponentPolicy = (state, validMoves) => {
-                return validMoves[Math.floor(Math.random() * validMoves.length)];
-            };
+        return { experiences, winner: game.getWinner() };
+    }
+
+    /**
+     * Stop the current run after its episode in progress; trainSelfPlay then saves a resume
+     * point and returns with `interrupted: true`, and a curriculum skips its remaining stages
+     */
+    interrupt() {
+        if (!this.interrupted) {
+            console.log('\n⏹️  Stopping after the current episode (Ctrl+C again to quit at once)...');
         }
+        this.interrupted = true;
+    }
 
-        console.log(`\n🎯 Training against opponent for ${numEpisodes} episodes...`);
+    /**
+     * Log episodes per second and where the time went
+     * @param {number} episodes - Episodes played
+     * @param {Object} timing - { start, playMs }: start time and time spent playing or waiting for games
+     * @param {SelfPlayPool|null} pool - Workers the games came from
+     */
+    logThroughput(episodes, { start, playMs }, pool) {
+        const ms = Date.now() - start;
+        if (episodes === 0 || ms === 0) {
+            return;
+        }
+        const rate = (episodes / (ms / 1000)).toFixed(1);
+        const share = (100 * playMs / ms).toFixed(0);
+        console.log(pool
+            ? `\n⚡ Throughput: ${rate} episodes/sec with ${pool.size} workers (learner waited ${share}% of the time for games)`
+            : `\n⚡ Throughput: ${rate} episodes/sec on the main thread (${share}% of the time playing games)`);
+    }
 
-        for (let episode = 0; episode < numEpisodes; episode++) {
-            const game = new KalahEngine({ enableLogging: false });
-            const agentExperiences = [];
+    /**
+     * AlphaZero training: self-play games searched with the agent's network, then training on them
+     * Needs an agent with search(), sampleMove() and remember({ state, policy, value }) (AlphaZeroAgent).
+     * @param {number} numIterations - Number of self-play/training iterations
+     * @param {Object} options - Training configuration
+     *   - gamesPerIteration: Self-play games per iteration (default: 20)
+     *   - trainingSteps: Training batches per iteration (default: 50)
+     *   - evalInterval: Evaluate every N iterations (default: 10)
+     *   - evalGames, evalOpponent, savePath, keepBest: as in trainSelfPlay (evalGames default: 50)
+     */
+    async trainAlphaZero(numIterations, options = {}) {
+        this.resetStats();
 
-            // Agent is player 0
-            while (!game.gameOver) {
-                const state = game.getState();
-                const validMoves = game.getValidMoves();
-                let action;
+        const {
+            gamesPerIteration = 20,
+            trainingSteps = 50,
+            evalInterval = 10,
+            evalGames = 50,
+            evalOpponent = null,
+            savePath = './checkpoints',
+            keepBest = true
+        } = options;
 
-                if (state.currentPlayer === 0) {
-                    // Agent's turn
-                    action = this.agent.selectAction(state, validMoves);
+        console.log(`\n🌱 AlphaZero training: ${numIterations} iterations of ${gamesPerIteration} self-play games, ` +
+            `${this.agent.simulations} simulations per move`);
+        console.log(`\n📊 Evaluation: Every ${evalInterval} iterations (${evalGames} games, both sides)`);
+        console.log(`💾 Checkpoints: ${savePath}`);
 
-                    game.makeMove(action);
+        const progress = { bestWinRate: 0, bestEpisode: 0, evalHistory: [] };
 
-                    const nextState = game.getState();
-                    const done = game.gameOver;
-
-                    // Store experience with placeholder reward (will be updated if game ends)
-                    agentExperiences.push({
-                        state,
-                        action,
-                        reward: 0, // Placeholder, updated after game ends
-                        nextState,
-                        done
-                    });
-                } else {
-                    // Opponent's turn
-                    action = opponentPolicy(state, validMoves);
-                    game.makeMove(action);
-                }
+        for (let iteration = 0; iteration < numIterations; iteration++) {
+            const start = Date.now();
+            let positions = 0;
+
+            for (let i = 0; i < gamesPerIteration; i++) {
+                const game = this.playAlphaZeroGame();
+                positions += game.moveNumber;
+                this.updateStats(game.getWinner(), 0);
             }
 
-            // CRITICAL FIX: Update terminal rewards for all agent experiences
-            // The last experience might not be terminal if opponent made the final move
-            const winner = game.getWinner();
-            const terminalReward = winner === 0 ? 1 : winner === 1 ? -1 : 0;
+            let loss = 0;
+            for (let step = 0; step < trainingSteps; step++) {
+                loss += await this.agent.replay();
+            }
+
+            if (this.options.verbose) {
+                console.log(
+                    `Iteration ${iteration + 1} | ` +
+                    `Games: ${this.stats.gamesPlayed} | ` +
+                    `Positions: ${positions} | ` +
+                    `Loss: ${(loss / trainingSteps).toFixed(4)} | ` +
+                    `Buffer: ${this.agent.replayBuffer.length} | ` +
+                    `${((Date.now() - start) / 1000).toFixed(1)}s`
+                );
+            }
+
+            if ((iteration + 1) % evalInterval === 0 || iteration + 1 === numIterations) {
+                await this.runCheckpoint(this.stats.gamesPlayed, progress, { evalGames, evalOpponent, savePath, keepBest });
+            }
+        }
+
+        console.log('\n✅ AlphaZero training complete!');
+        console.log(`\n🏆 Best checkpoint: Episode ${progress.bestEpisode} with ${progress.bestWinRate.toFixed(1)}% win rate`);
+        console.log(`📁 Best model saved at: ${savePath}/best-checkpoint`);
 
-            // Update the reward for the last experience (and mark as done)
-            if (agentExperiences.length > 0) {
-                const lastExp = agentExperiences[agentExperiences.length - 1];
-                lastExp.reward = terminalReward;
-                lastExp.done = true;
+        return progress;
+    }
+
+    /**
+     * Play one self-play game with search at every move and store its positions
+     * Policy targets are the search's visit distributions; value targets the result for the player to move.
+     * @returns {KalahEngine} The finished game
+     */
+    playAlphaZeroGame() {
+        const game = this.createGame();
+        const positions = [];
+
+        while (!game.gameOver) {
+            const state = game.getState();
+            const result = this.agent.search(state, { addNoise: true });
+
+            // Sample early moves for opening variety, then play the most visited move
+            const move = game.moveNumber < this.agent.temperatureMoves
+                ? this.agent.sampleMove(state, result.policy)
+                : result.move;
+
+            positions.push({ state, policy: result.policy });
+            game.makeMove(move);
+        }
+
+        const winner = game.getWinner();
+        for (const { state, policy } of positions) {
+            const value = winner === null ? 0 : winner === state.currentPlayer ? 1 : -1;
+            this.agent.remember({ state, policy, value });
+        }
+
+        return game;
+    }
+
+    /**
+     * Evaluate the agent and save a checkpoint if it is the best so far
+     * @param {number} episode - Episodes played so far
+     * @param {Object} progress - { bestWinRate, bestEpisode, evalHistory }, updated in place; a
+     *   curriculum's also lists its finished stages, saved in the best checkpoint's metadata
+     * @param {Object} options - { evalGames, evalOpponent, savePath, keepBest } (see trainSelfPlay),
+     *   and the curriculum stage for the metrics log
+     */
+    async runCheckpoint(episode, progress, { evalGames, evalOpponent, savePath, keepBest, stage = 0 }) {
+        console.log(`\n${'='.repeat(70)}`);
+        console.log(`🎯 Checkpoint Evaluation at Episode ${episode}`);
+        console.log('='.repeat(70));
+
+        const evalResults = await this.evaluate(evalGames, evalOpponent);
+        const winRate = parseFloat(evalResults.overall.winRate);
+
+        const evaluation = {
+            episode,
+            winRate,
+            epsilon: this.agent.epsilon,
+            asPlayer0: parseFloat(evalResults.asPlayer0.winRate),
+            asPlayer1: parseFloat(evalResults.asPlayer1.winRate)
+        };
+        progress.evalHistory.push(evaluation);
+
+        // Metrics count episodes over the whole run, also across curriculum stages
+        if (this.metrics) {
+            this.metrics.write('eval', {
+                ...evaluation,
+                stage,
+                episode: this.stats.gamesPlayed,
+                opponent: evalResults.opponent,
+                games: evalGames
+            });
+        }
+
+        // Calculate moving average (last 3 checkpoints)
+        const recentEvals = progress.evalHistory.slice(-3);
+        const movingAvgWinRate = recentEvals.reduce((sum, e) => sum + e.winRate, 0) / recentEvals.length;
+        console.log(`\n📈 Moving Average (last ${recentEvals.length} checkpoints): ${movingAvgWinRate.toFixed(1)}%`);
+
+        // Save checkpoint if best so far
+        if (winRate > progress.bestWinRate) {
+            console.log(`\n🌟 New best model! ${winRate}% > ${progress.bestWinRate}% (previous best)`);
+            progress.bestWinRate = winRate;
+            progress.bestEpisode = episode;
+
+            const checkpointPath = `${savePath}/best-checkpoint`;
+            await this.agent.save(checkpointPath);
+            console.log(`💾 Best checkpoint saved to ${checkpointPath}`);
+
+            // Save metadata
+            const fs = require('fs');
+            const metadata = {
+                episode,
+                board: this.agent.getBoardGeometry(),
+                winRate,
+                epsilon: this.agent.epsilon,
+                timestamp: new Date().toISOString(),
+                evalResults
+            };
+            if (progress.stages) {
+                metadata.curriculum = { stage, finishedStages: progress.stages };
             }
+            fs.writeFileSync(
+                `${checkpointPath}/metadata.json`,
+                JSON.stringify(metadata, null, 2)
+            );
+            this.saveConfig(checkpointPath);
+        } else {
+            console.log(`\nCurrent: ${winRate}% (Best: ${progress.bestWinRate}% at episode ${progress.bestEpisode})`);
+        }
+
+        // Optionally save non-best checkpoints
+        if (!keepBest) {
+            const checkpointPath = `${savePath}/checkpoint-${episode}`;
+            await this.agent.save(checkpointPath);
+            this.saveConfig(checkpointPath);
+            console.log(`💾 Checkpoint saved to ${checkpointPath}`);
+        }
+
+        console.log('='.repeat(70));
+    }
+
+    /**
+     * Turn an opponent description into a policy
+     * @param {Function|Object|string|null} opponent - One of:
+     *   - null or 'random': uniformly random moves
+     *   - 'minimax' or 'minimax:<difficulty>': KalahAI (default difficulty: medium)
+     *   - 'minimax:<depth>': KalahAI searching that many plies
+     *   - 'mcts' or 'mcts:<iterations>': MCTSAgent (default: 2000 iterations)
+     *   - an object with selectMove(state), e.g. a KalahAI or MCTSAgent instance
+     *   - a function(state, validMoves) => action
+     *   - a { name, policy } pair as returned here
+     * @param {Function} random - Random number generator for the random, minimax and MCTS
+     *   opponents (default: Math.random)
+     * @returns {Object} { name, policy } - policy is a function(state, validMoves) => action
+     */
+    static createOpponentPolicy(opponent = null, random = Math.random) {
+        if (typeof opponent === 'function') {
+            return { name: 'custom opponent', policy: opponent };
+        }
+        if (opponent && typeof opponent.policy === 'function') {
+            return opponent;
+        }
+        if (opponent && typeof opponent.selectMove === 'function') {
+            return { name: opponent.constructor.name, policy: (state) => opponent.selectMove(state) };
+        }
+
+        const [type, setting] = (opponent || 'random').split(':');
+        if (type === 'random') {
+            return {
+                name: 'Random',
+                policy: (state, validMoves) => validMoves[Math.floor(random() * validMoves.length)]
+            };
+        }
+        if (type === 'minimax' && /^\d+$/.test(setting)) {
+            const ai = new KalahAI('hard', { random, depth: parseInt(setting) });
+            return { name: `Minimax (depth ${setting})`, policy: (state) => ai.selectMove(state) };
+        }
+        if (type === 'minimax') {
+            const ai = new KalahAI(setting || 'medium', { random });
+            return { name: `Minimax (${setting || 'medium'})`, policy: (state) => ai.selectMove(state) };
+        }
+        if (type === 'mcts') {
+            const iterations = setting ? parseInt(setting) : 2000;
+            const mcts = new MCTSAgent({ iterations, random });
+            return { name: `MCTS (${iterations} iterations)`, policy: (state) => mcts.selectMove(state) };
+        }
+
+        throw new Error(`Unknown opponent: ${opponent} (expected random, minimax[:difficulty|depth] or mcts[:iterations])`);
+    }
+
+    /**
+     * Train agent against a fixed opponent
+     * @param {number} numEpisodes - Number of games to play
+     * @param {Function|Object|string} opponentPolicy - Opponent (see createOpponentPolicy), default: random
+     * @param {Object} options - With a savePath, checkpoint evaluations and resume points as in
+     *   trainSelfPlay (evalInterval default: 5000); promotion and promotionOpponent end it early
+     *   once the agent beats that opponent (see finishEpisode)
+     * @returns {Promise<Object>} { bestEpisode, bestWinRate, evalHistory, episodes, promotion }
+     */
+    async trainAgainstOpponent(numEpisodes, opponentPolicy = null, options = {}) {
+        if (!options.isStage) {
+            this.startRun('trainAgainstOpponent', numEpisodes, opponentPolicy, options);
+        }
+
+        const {
+            evalInterval = 5000,
+            evalGames = 200,
+            evalOpponent = null,
+            savePath = null,
+            keepBest = true,
+            stage = 0
+        } = options;
+        const context = Trainer.episodeContext({ evalInterval, evalGames, evalOpponent, savePath, keepBest }, options);
+        const opponent = Trainer.createOpponentPolicy(opponentPolicy, this.agent.random || Math.random);
+        opponentPolicy = opponent.policy;
+
+        console.log(`\n🎯 Training against opponent (${opponent.name}) for ${numEpisodes} episodes...`);
+
+        const resume = this.takeResumePoint(stage);
+        const progress = context.progress || (resume && resume.progress ? resume.progress : Trainer.emptyProgress());
+        context.progress = progress;
+
+        let episode = resume ? resume.episode : 0;
+        let done = false;
+        for (; episode < numEpisodes && !done; episode++) {
+            // Agent is player 0
+            const { experiences, winner } = this.playOpponentGame(opponentPolicy);
 
             // Store agent's experiences
-            for (const exp of agentExperiences) {
+            for (const exp of experiences) {
                 this.agent.remember(exp);
             }
 
@@ -300,75 +575,608 @@ class Trainer {
             this.agent.decayEpsilon();
 
             // Update stats
-            this.updateStats(game, loss);
+            this.updateStats(winner, loss);
 
             // Log progress
-            if (this.options.verbose && (episode + 1) % this.options.logInterval === 0) {
-                this.logProgress(episode + 1);
+            if ((episode + 1) % this.options.logInterval === 0) {
+                this.logProgress(episode + 1, stage);
             }
+
+            // Promotion check, checkpoint evaluation and resume point
+            done = await this.finishEpisode(episode + 1, numEpisodes, context);
         }
 
         if (!options.isStage) {
             console.log('\n✅ Opponent training complete!');
             this.printFinalStats();
         }
+
+        return {
+            bestEpisode: progress.bestEpisode,
+            bestWinRate: progress.bestWinRate,
+            evalHistory: progress.evalHistory,
+            episodes: episode,
+            promotion: context.promotionResult
+        };
     }
 
     /**
-     * Curriculum learning: gradually increase difficulty
-     * @param {number} numEpisodes - Total number of episodes
-     * @param {boolean} resetStatsPerStage - Reset stats between stages (default: false, keeps cumulative)
+     * Play one game against an opponent, keeping the agent's experiences
+     * @param {Function} opponentPolicy - function(state, validMoves) => action
+     * @param {number} agentPlayer - The agent's side (default: 0)
+     * @returns {Object} { experiences, winner } - rewards from the agent's perspective
      */
-    async trainCurriculum(numEpisodes, checkpointOptions = {}) {
-        if (!this.options.cumulative) {
-            this.resetStats();
+    playOpponentGame(opponentPolicy, agentPlayer = 0) {
+        const game = this.createGame();
+        const experiences = [];
+
+        while (!game.gameOver) {
+            const state = game.getState();
+            const validMoves = game.getValidMoves();
+
+            if (state.currentPlayer === agentPlayer) {
+                // Agent's turn
+                const action = this.agent.selectAction(state, validMoves);
+
+                game.makeMove(action);
+
+                // Store experience with placeholder reward (will be updated if game ends)
+                experiences.push({
+                    state,
+                    action,
+                    reward: 0, // Placeholder, updated after game ends
+                    nextState: game.getState(),
+                    done: game.gameOver
+                });
+            } else {
+                // Opponent's turn
+                game.makeMove(opponentPolicy(state, validMoves));
+            }
         }
 
-        console.log(`\n📚 Training with curriculum learning for ${numEpisodes} episodes...`);
+        // CRITICAL FIX: Update terminal rewards for all agent experiences
+        // The last experience might not be terminal if opponent made the final move
+        const winner = game.getWinner();
+        const terminalReward = winner === agentPlayer ? 1 : winner === null ? 0 : -1;
 
-        const minimaxAI = new KalahAI('medium');
-        const minimaxPolicy = (state, validMoves) => minimaxAI.selectMove(state);
+        // Update the reward for the last experience (and mark as done)
+        if (experiences.length > 0) {
+            const lastExp = experiences[experiences.length - 1];
+            lastExp.reward = terminalReward;
+            lastExp.done = true;
+        }
 
-        const stages = [
-            { name: 'Random opponent (warm-up)', episodes: Math.floor(numEpisodes * 0.3), policy: null },
-            { name: 'Minimax opponent (intermediate)', episodes: Math.floor(numEpisodes * 0.4), policy: minimaxPolicy },
-            { name: 'Self-play (advanced)', episodes: Math.floor(numEpisodes * 0.3), policy: 'self' }
-        ];
+        return { experiences, winner };
+    }
 
-        let bestWinRate = 0;
-        let bestEpisode = 0;
-        let cumulativeEpisodes = 0;
+    /**
+     * League training: play opponents drawn from a pool of frozen snapshots of the agent and
+     * fixed opponents, weighted toward the ones the agent loses to (see OpponentPool)
+     * @param {number} numEpisodes - Number of games to play
+     * @param {Object} options - Checkpoint evaluations, resume points and promotion as in
+     *   trainAgainstOpponent (savePath default: './checkpoints'), and
+     *   - league: { dir, opponents, snapshotInterval, maxSnapshots, prioritization } (see DEFAULT_LEAGUE)
+     *
+     * The agent takes each side in turn. Every snapshotInterval episodes it is frozen into the
+     * pool. The pool is saved to league.dir with each snapshot, resume point and at the end,
+     * so the next run with the same dir plays against it too; resume points also keep its state.
+     *
+     * @returns {Promise<Object>} { bestEpisode, bestWinRate, evalHistory, episodes, promotion, pool } -
+     *   pool: its members with their results (see OpponentPool.toJSON)
+     */
+    async trainLeague(numEpisodes, options = {}) {
+        if (!options.isStage) {
+            this.startRun('trainLeague', numEpisodes, null, options);
+        }
 
-        for (let i = 0; i < stages.length; i++) {
-            const stage = stages[i];
-            console.log(`\n--- Stage ${i + 1}/${stages.length}: ${stage.name} (${stage.episodes} episodes) ---`);
+        const {
+            evalInterval = 5000,
+            evalGames = 200,
+            evalOpponent = null,
+            savePath = './checkpoints',
+            keepBest = true,
+            stage = 0
+        } = options;
+        const league = { ...Trainer.DEFAULT_LEAGUE, ...options.league };
+        const context = Trainer.episodeContext({ evalInterval, evalGames, evalOpponent, savePath, keepBest }, options);
+
+        const pool = new OpponentPool(league.dir, {
+            maxSnapshots: league.maxSnapshots,
+            prioritization: league.prioritization,
+            random: this.agent.random || Math.random
+        });
+        pool.setFixed(league.opponents);
+        context.pool = pool;
+
+        console.log(`\n🏟️  League training for ${numEpisodes} episodes...`);
+        console.log(`Pool: ${league.dir} (${pool.snapshots.length} snapshots, fixed: ${league.opponents.join(', ') || 'none'}), ` +
+            `a snapshot every ${league.snapshotInterval} episodes`);
+
+        const resume = this.takeResumePoint(stage);
+        if (resume && resume.pool) {
+            pool.restore(resume.pool);
+        }
+        const progress = context.progress || (resume && resume.progress ? resume.progress : Trainer.emptyProgress());
+        context.progress = progress;
 
-            let stageResults;
-            if (stage.policy === 'self') {
-                stageResults = await this.trainSelfPlay(stage.episodes, { ...checkpointOptions, isStage: true });
-            } else {
-                stageResults = await this.trainAgainstOpponent(stage.episodes, stage.policy, { ...checkpointOptions, isStage: true });
+        // Without fixed opponents, a new pool starts with the agent as it is
+        const loaded = new Map(); // Opponents by pool member id
+        if (pool.members.length === 0) {
+            await this.addLeagueSnapshot(pool, loaded);
+        }
+
+        let episode = resume ? resume.episode : 0;
+        let done = false;
+        for (; episode < numEpisodes && !done; episode++) {
+            const { member, opponent } = await this.sampleLeagueOpponent(pool, loaded);
+
+            // Alternate sides so the agent learns both
+            const agentPlayer = episode % 2;
+            const { experiences, winner } = this.playOpponentGame(opponent.policy, agentPlayer);
+
+            for (const exp of experiences) {
+                this.agent.remember(exp);
+            }
+            const loss = await this.agent.replay();
+            this.agent.decayEpsilon();
+
+            // Statistics count the agent's results as player 0's, as in trainAgainstOpponent
+            const result = winner === agentPlayer ? 1 : winner === null ? 0.5 : 0;
+            pool.record(member, result);
+            this.updateStats(result === 1 ? 0 : result === 0 ? 1 : null, loss);
+
+            if ((episode + 1) % this.options.logInterval === 0) {
+                this.logProgress(episode + 1, stage);
             }
 
-            if (stageResults && stageResults.bestWinRate > bestWinRate) {
-                bestWinRate = stageResults.bestWinRate;
-                bestEpisode = cumulativeEpisodes + stageResults.bestEpisode;
+            // Taken before finishEpisode, so a resume point at this episode includes it
+            if ((episode + 1) % league.snapshotInterval === 0) {
+                await this.addLeagueSnapshot(pool, loaded);
             }
-            cumulativeEpisodes += stage.episodes;
+
+            // Promotion check, checkpoint evaluation and resume point
+            done = await this.finishEpisode(episode + 1, numEpisodes, context);
+        }
+
+        pool.save();
+        console.log(`\n🏟️  League pool (${league.dir}):`);
+        for (const member of pool.members) {
+            console.log(`  ${member.id.padEnd(16)} ${String(member.games).padStart(7)} games, ` +
+                `score ${(100 * pool.score(member)).toFixed(0).padStart(3)}% recently, weight ${pool.weight(member).toFixed(2)}`);
+        }
+
+        if (!options.isStage) {
+            console.log('\n✅ League training complete!');
+            this.printFinalStats();
+        }
+
+        return {
+            bestEpisode: progress.bestEpisode,
+            bestWinRate: progress.bestWinRate,
+            evalHistory: progress.evalHistory,
+            episodes: episode,
+            promotion: context.promotionResult,
+            pool: pool.toJSON().members
+        };
+    }
+
+    /**
+     * Freeze the agent into a league pool and save the pool
+     * @param {OpponentPool} pool - The league's pool
+     * @param {Map} loaded - Loaded opponents by member id (see sampleLeagueOpponent); a dropped
+     *   snapshot is removed
+     */
+    async addLeagueSnapshot(pool, loaded) {
+        const { member, evicted } = pool.addSnapshot(this.stats.gamesPlayed);
+        await this.agent.save(pool.path(member));
+        pool.save();
+        if (evicted) {
+            loaded.delete(evicted.id);
+        }
+        console.log(`\n🧊 Snapshot ${member.id} added to the league pool` +
+            (evicted ? ` (dropped ${evicted.id}, scoring ${(100 * pool.score(evicted)).toFixed(0)}% against it)` : ''));
+    }
+
+    /**
+     * Draw a league opponent, loading snapshots the first time they are drawn
+     *
+     * A snapshot whose model is gone (deleted, or dropped after the resume point a run
+     * continues from) leaves the pool.
+     *
+     * @param {OpponentPool} pool - The league's pool
+     * @param {Map} loaded - { name, policy } by member id, added to
+     * @returns {Promise<Object>} { member, opponent } - opponent: { name, policy }
+     */
+    async sampleLeagueOpponent(pool, loaded) {
+        const fs = require('fs');
+
+        for (;;) {
+            const member = pool.sample();
+            if (!loaded.has(member.id)) {
+                if (member.kind === 'fixed') {
+                    loaded.set(member.id, Trainer.createOpponentPolicy(member.id, this.agent.random || Math.random));
+                } else if (fs.existsSync(`${pool.path(member)}/model.json`)) {
+                    loaded.set(member.id, await this.loadSnapshot(pool.path(member)));
+                } else {
+                    console.log(`⚠️  League snapshot ${member.id} has no model at ${pool.path(member)}, dropping it`);
+                    pool.remove(member);
+                    continue;
+                }
+            }
+            return { member, opponent: loaded.get(member.id) };
+        }
+    }
+
+    /**
+     * What finishEpisode needs to know about a training call
+     * @param {Object} evalSettings - The call's { evalInterval, evalGames, evalOpponent, savePath, keepBest }
+     * @param {Object} options - The call's options: its curriculum stage, and from trainCurriculum
+     *   the shared progress, the episodes of earlier stages (episodeOffset) and the promotion criteria
+     * @returns {Object} The context; finishEpisode keeps the latest promotion check in promotionResult,
+     *   and trainLeague sets the league's pool, saved with the resume points
+     */
+    static episodeContext(evalSettings, options) {
+        const { stage = 0, progress = null, episodeOffset = 0, promotion = null, promotionOpponent = null } = options;
+        return {
+            ...evalSettings, stage, progress, episodeOffset, promotion, promotionOpponent, promotionResult: null, pool: null
+        };
+    }
+
+    /**
+     * After each training episode: check for promotion every promotion.interval episodes, and
+     * with a savePath evaluate and save a resume point every evalInterval episodes
+     *
+     * A call ends at its last episode or once promoted, with a promotion check (if it has
+     * criteria) and a checkpoint evaluation. Curriculum checkpoints are numbered by the
+     * episodes of the whole run (episodeOffset + episode).
+     *
+     * @param {number} episode - Episodes played in the current training call
+     * @param {number} numEpisodes - Episodes of the call
+     * @param {Object} context - See episodeContext
+     * @returns {Promise<boolean>} Whether the call is done
+     */
+    async finishEpisode(episode, numEpisodes, context) {
+        const { stage, progress, evalInterval, savePath, promotion } = context;
+        let done = episode === numEpisodes;
+
+        if (promotion && (episode % promotion.interval === 0 || done)) {
+            context.promotionResult = await this.checkPromotion(promotion, context.promotionOpponent, stage);
+            done = done || context.promotionResult.promoted;
+        }
+        if (savePath && (episode % evalInterval === 0 || done)) {
+            await this.runCheckpoint(context.episodeOffset + episode, progress, context);
+        }
+        if (savePath && episode % evalInterval === 0 && !done) {
+            const position = { stage, episode, progress };
+            if (context.pool) {
+                position.pool = context.pool.toJSON();
+                context.pool.save();
+            }
+            await this.saveTrainingState(`${savePath}/latest`, position);
+        }
+        return done;
+    }
+
+    /**
+     * Evaluate against a stage's promotion opponent
+     * @param {Object} promotion - { winRate, games }: the win rate (%) needed over that many games
+     * @param {Object} opponent - { name, policy } (see createOpponentPolicy)
+     * @param {number} stage - Curriculum stage index
+     * @returns {Promise<Object>} { winRate, promoted, opponent, episode }
+     */
+    async checkPromotion({ winRate: threshold, games }, opponent, stage) {
+        console.log(`\n🎓 Promotion check at episode ${this.stats.gamesPlayed}: ` +
+            `${threshold}% needed vs ${opponent.name} over ${games} games`);
+
+        const results = await this.evaluate(games, opponent);
+        const winRate = parseFloat(results.overall.winRate);
+        const promoted = winRate >= threshold;
+        console.log(promoted
+            ? `🎓 Promoted with ${winRate}%`
+            : `🎓 Not yet: ${winRate}% (needs ${threshold}%)`);
+
+        if (this.metrics) {
+            this.metrics.write('promotion', {
+                stage,
+                episode: this.stats.gamesPlayed,
+                opponent: opponent.name,
+                games,
+                winRate,
+                threshold,
+                promoted
+            });
+        }
+        return { winRate, promoted, opponent: opponent.name, episode: this.stats.gamesPlayed };
+    }
+
+    /**
+     * Curriculum learning: gradually increase difficulty
+     * @param {number} numEpisodes - Total number of episodes (stage fractions are of this)
+     * @param {Object} checkpointOptions - As in trainSelfPlay (workers play the self-play stages), and
+     *   - stages: [{ name, opponent, fraction | episodes | maxEpisodes, promotion }]
+     *     (default: DEFAULT_CURRICULUM)
+     *   - league: the league stages' pool settings (see trainLeague)
+     *
+     * A stage's opponent is a createOpponentPolicy spec (random, minimax[:difficulty|depth],
+     * mcts[:iterations]), 'snapshot' (the agent frozen as the stage starts), 'snapshot:<dir>'
+     * (a saved model), 'self' for self-play or 'league' for league training. A stage plays a
+     * fraction of numEpisodes or a fixed number of episodes, or with promotion criteria
+     * { winRate, games = 200, interval = 1000, opponent = the stage's } moves on as soon as
+     * the agent wins winRate % of games against that opponent (checked every interval
+     * episodes), after at most maxEpisodes. Self-play and league stages need a promotion opponent.
+     *
+     * Statistics, evaluations and the best checkpoint are shared by the stages. Finished stages
+     * are recorded in the metrics log ('stage' records), resume points and checkpoint metadata.
+     *
+     * @returns {Promise<Object>} { bestEpisode, bestWinRate, stages } - stages: the finished
+     *   stages' { stage, name, opponent, startEpisode, episodes, result, winRate }
+     */
+    async trainCurriculum(numEpisodes, checkpointOptions = {}) {
+        const resuming = this.resumePoint !== null;
+        this.startRun('trainCurriculum', numEpisodes, null, checkpointOptions, this.options.cumulative);
+
+        console.log(`\n📚 Training with curriculum learning for ${numEpisodes} episodes...`);
+
+        const { savePath = './checkpoints', stages: stageList = Trainer.DEFAULT_CURRICULUM } = checkpointOptions;
+        const stages = stageList.map(stage => ({
+            ...stage,
+            episodes: stage.promotion ? stage.maxEpisodes
+                : stage.episodes !== undefined ? stage.episodes
+                : Math.floor(numEpisodes * stage.fraction),
+            promotion: stage.promotion ? { games: 200, interval: 1000, ...stage.promotion } : null
+        }));
+
+        // Shared by the stages (and saved with their resume points)
+        const progress = resuming && this.resumePoint.progress ? this.resumePoint.progress : Trainer.emptyProgress();
+        progress.stages = progress.stages || [];
+
+        // A resumed run skips the stages it had finished
+        const firstStage = resuming ? this.resumePoint.stage : 0;
+        let episodeOffset = 0; // Episodes of the earlier stages
+        for (let i = 0; i < firstStage; i++) {
+            const finished = progress.stages.find(record => record.stage === i);
+            episodeOffset += finished ? finished.episodes : stages[i].episodes;
+        }
+
+        for (let i = firstStage; i < stages.length; i++) {
+            const stage = stages[i];
+            const length = stage.promotion
+                ? `until ${stage.promotion.winRate}% over ${stage.promotion.games} games, at most ${stage.episodes} episodes`
+                : `${stage.episodes} episodes`;
+            console.log(`\n--- Stage ${i + 1}/${stages.length}: ${stage.name} (${length}) ---`);
+
+            // Snapshots are taken when a stage starts, and reloaded when it is resumed
+            const opponentOptions = { stage: i, savePath, fresh: !(resuming && i === firstStage) };
+            const opponent = ['self', 'league'].includes(stage.opponent) ? null
+                : await this.prepareOpponent(stage.opponent, opponentOptions);
+            const promotionOpponent = !stage.promotion ? null
+                : stage.promotion.opponent ? await this.prepareOpponent(stage.promotion.opponent, opponentOptions)
+                : opponent;
+
+            const stageOptions = {
+                ...checkpointOptions,
+                savePath,
+                isStage: true,
+                stage: i,
+                progress,
+                episodeOffset,
+                promotion: stage.promotion,
+                promotionOpponent
+            };
+            const stageResults = stage.opponent === 'self' ? await this.trainSelfPlay(stage.episodes, stageOptions)
+                : stage.opponent === 'league' ? await this.trainLeague(stage.episodes, stageOptions)
+                : await this.trainAgainstOpponent(stage.episodes, opponent, stageOptions);
+
+            if (this.interrupted) {
+                return { bestEpisode: progress.bestEpisode, bestWinRate: progress.bestWinRate, stages: progress.stages, interrupted: true };
+            }
+            this.recordStage(i, stage, episodeOffset, stageResults, progress);
+            episodeOffset += stageResults.episodes;
         }
 
         console.log('\n✅ Curriculum training complete!');
         this.printFinalStats();
 
-        return { bestEpisode, bestWinRate };
+        console.log('📚 Stages:');
+        for (const record of progress.stages) {
+            console.log(`  ${record.stage + 1}. ${record.name}: ${record.episodes} episodes, ${record.result}` +
+                (record.winRate !== null ? ` (${record.winRate}%)` : ''));
+        }
+
+        return { bestEpisode: progress.bestEpisode, bestWinRate: progress.bestWinRate, stages: progress.stages };
+    }
+
+    /**
+     * Record a finished curriculum stage in the progress and the metrics log
+     * @param {number} index - Stage index
+     * @param {Object} stage - The stage (see trainCurriculum)
+     * @param {number} startEpisode - Episodes of the run before it
+     * @param {Object} results - Its training call's results
+     * @param {Object} progress - The curriculum's progress, updated in place
+     */
+    recordStage(index, stage, startEpisode, results, progress) {
+        const promoted = Boolean(results.promotion && results.promotion.promoted);
+        const record = {
+            stage: index,
+            name: stage.name,
+            opponent: stage.opponent,
+            startEpisode,
+            episodes: results.episodes,
+            result: promoted ? 'promoted' : stage.promotion ? 'reached maxEpisodes' : 'completed',
+            winRate: results.promotion ? results.promotion.winRate : null
+        };
+        progress.stages.push(record);
+        if (this.metrics) {
+            this.metrics.write('stage', { ...record, episode: this.stats.gamesPlayed });
+        }
+        console.log(`\n🏁 Stage ${index + 1} (${stage.name}) ${record.result} after ${record.episodes} episodes`);
+    }
+
+    /**
+     * Turn a curriculum opponent into a policy: createOpponentPolicy specs, or snapshots
+     * @param {string} spec - 'snapshot' (the agent as the stage starts, kept in
+     *   savePath/snapshots/stage-<n>), 'snapshot:<dir>' (a saved model) or a createOpponentPolicy spec
+     * @param {Object} options - { stage, savePath, fresh }: fresh takes a new snapshot rather
+     *   than loading the one a resumed stage started with
+     * @returns {Promise<Object>} { name, policy }
+     */
+    async prepareOpponent(spec, { stage, savePath, fresh }) {
+        if (spec !== 'snapshot' && !spec.startsWith('snapshot:')) {
+            return Trainer.createOpponentPolicy(spec, this.agent.random || Math.random);
+        }
+
+        let path = spec.slice('snapshot:'.length);
+        if (spec === 'snapshot') {
+            path = `${savePath}/snapshots/stage-${stage + 1}`;
+            if (fresh) {
+                await this.agent.save(path);
+            }
+        }
+        return this.loadSnapshot(path);
+    }
+
+    /**
+     * Load a saved model as a frozen opponent playing its greedy moves
+     * @param {string} path - Model directory (see QLearningAgent.save)
+     * @returns {Promise<Object>} { name, policy }
+     */
+    async loadSnapshot(path) {
+        const snapshot = new QLearningAgent({ ...this.agent.getBoardGeometry(), seed: 0 });
+        await snapshot.load(path);
+        snapshot.epsilon = 0;
+        return {
+            name: `Snapshot (${path})`,
+            policy: (state, validMoves) => snapshot.selectAction(state, validMoves)
+        };
+    }
+
+    /**
+     * Start a top-level training call: remember it for resume points and reset the
+     * statistics, unless resume() is continuing it
+     * @param {string} method - Trainer method name
+     * @param {number} numEpisodes - Episodes of the whole run
+     * @param {string|null} opponent - Opponent spec (trainAgainstOpponent only)
+     * @param {Object} options - The call's options
+     * @param {boolean} keepStats - Keep the statistics of earlier calls
+     */
+    startRun(method, numEpisodes, opponent, options, keepStats = false) {
+        this.run = { method, numEpisodes, opponent, options };
+        this.interrupted = false;
+        if (this.resumePoint === null && !keepStats) {
+            this.resetStats();
+        }
+    }
+
+    /**
+     * Where a resumed stage continues: the resume point if it is for this stage (only once)
+     * @param {number} stage - Curriculum stage index (0 outside curricula)
+     * @returns {Object|null} { stage, episode, progress }
+     */
+    takeResumePoint(stage) {
+        if (this.resumePoint === null || this.resumePoint.stage !== stage) {
+            return null;
+        }
+        const resumePoint = this.resumePoint;
+        this.resumePoint = null;
+        console.log(`⏯️  Continuing at episode ${resumePoint.episode}`);
+        return resumePoint;
+    }
+
+    /**
+     * Save a resume point: the agent's full training state (see QLearningAgent.saveCheckpoint)
+     * and trainer.json with the statistics, the run and how far it got
+     * @param {string} path - Checkpoint directory
+     * @param {Object} position - { stage, episode, progress }: curriculum stage index, episodes
+     *   played in that stage and its evaluation progress (see runCheckpoint)
+     */
+    async saveTrainingState(path, position) {
+        const fs = require('fs');
+
+        await this.agent.saveCheckpoint(path);
+
+        const trainerState = {
+            format: 'kalah-trainer-state',
+            version: 1,
+            board: this.agent.getBoardGeometry(),
+            run: this.run,
+            position,
+            stats: this.stats,
+            metricsDir: this.metrics ? this.metrics.dir : null,
+            timestamp: new Date().toISOString()
+        };
+        fs.writeFileSync(`${path}/trainer.json`, JSON.stringify(trainerState, null, 2));
+        this.saveConfig(path);
+    }
+
+    /**
+     * Save the run's config (options.config) as config.json in a checkpoint directory
+     * @param {string} path - Checkpoint directory
+     */
+    saveConfig(path) {
+        if (this.options.config) {
+            const fs = require('fs');
+            fs.writeFileSync(`${path}/config.json`, JSON.stringify(this.options.config, null, 2));
+        }
+    }
+
+    /**
+     * Read the trainer state of a resume point
+     * @param {string} path - Checkpoint directory (see saveTrainingState)
+     * @returns {Object} { board, run, position, stats, metricsDir, timestamp }
+     */
+    static readTrainingState(path) {
+        const fs = require('fs');
+
+        const statePath = `${path}/trainer.json`;
+        if (!fs.existsSync(statePath)) {
+            throw new Error(`No resume point at ${statePath}`);
+        }
+        const trainerState = JSON.parse(fs.readFileSync(statePath, 'utf8'));
+        if (trainerState.format !== 'kalah-trainer-state') {
+            throw new Error(`Not a trainer state: ${statePath}`);
+        }
+        if (trainerState.version !== 1) {
+            throw new Error(`Unsupported trainer state version ${trainerState.version} (expected 1)`);
+        }
+        return trainerState;
+    }
+
+    /**
+     * Continue an interrupted run from its resume point
+     *
+     * Restores the agent (weights, target network, optimizer, replay buffer, random state)
+     * and the statistics, then repeats the saved training call, which skips what was done.
+     * Metrics records written after the resume point are dropped, as they are written again.
+     *
+     * @param {string} path - Checkpoint directory (see saveTrainingState)
+     * @returns {Promise<Object>} The training call's result
+     */
+    async resume(path) {
+        const { run, position, stats } = Trainer.readTrainingState(path);
+
+        await this.agent.loadCheckpoint(path);
+        this.stats = stats;
+        this.resumePoint = position;
+        if (this.metrics) {
+            this.metrics.truncate(stats.gamesPlayed);
+        }
+
+        console.log(`\n⏯️  Resuming ${run.method} (${run.numEpisodes} episodes) at stage ${position.stage + 1}, ` +
+            `episode ${position.episode}`);
+
+        if (run.method === 'trainAgainstOpponent') {
+            return this.trainAgainstOpponent(run.numEpisodes, run.opponent, run.options);
+        }
+        return this[run.method](run.numEpisodes, run.options);
     }
 
     /**
      * Update training statistics
+     * @param {number|null} winner - Winning player of the game, null for a draw
+     * @param {number} loss - Training loss
      */
-    updateStats(game, loss) {
+    updateStats(winner, loss) {
         this.stats.gamesPlayed++;
-        const winner = game.getWinner();
 
         if (winner === 0) {
             this.stats.wins++;
@@ -385,12 +1193,62 @@ class Trainer {
         if (this.stats.recentWinRate.length > 100) {
             this.stats.recentWinRate.shift();
         }
+
+        // Episodes for the next metrics record: losses and Q-values of the episodes that trained
+        const window = this.metricsWindow;
+        window.games++;
+        window.results[winner === 0 ? 'p0Wins' : winner === 1 ? 'p1Wins' : 'draws']++;
+        if (loss > 0) {
+            window.trained++;
+            window.lossSum += loss;
+            window.qSum += this.agent.qMagnitude || 0;
+        }
     }
 
     /**
-     * Log training progress
+     * Evaluation progress of a run before its first checkpoint (see runCheckpoint)
      */
-    logProgress(episode) {
+    static emptyProgress() {
+        return { bestWinRate: 0, bestEpisode: 0, evalHistory: [] };
+    }
+
+    /**
+     * Nothing recorded yet (see updateStats)
+     */
+    static emptyMetricsWindow() {
+        return { games: 0, trained: 0, lossSum: 0, qSum: 0, results: { p0Wins: 0, p1Wins: 0, draws: 0 } };
+    }
+
+    /**
+     * Write a metrics record for the episodes since the last one (with a metrics log), and
+     * print training progress (if verbose)
+     * @param {number} episode - Episodes played in the current training call
+     * @param {number} stage - Curriculum stage index (0 outside curricula)
+     */
+    logProgress(episode, stage = 0) {
+        const window = this.metricsWindow;
+        if (this.metrics && window.games > 0) {
+            const percent = (count) => 100 * count / window.games;
+            this.metrics.write('episodes', {
+                stage,
+                episode: this.stats.gamesPlayed,
+                episodes: window.games,
+                loss: window.trained > 0 ? window.lossSum / window.trained : null,
+                epsilon: this.agent.epsilon,
+                learningRate: this.agent.learningRate,
+                p0WinRate: percent(window.results.p0Wins),
+                p1WinRate: percent(window.results.p1Wins),
+                drawRate: percent(window.results.draws),
+                avgQ: window.trained > 0 && this.agent.qMagnitude !== undefined ? window.qSum / window.trained : null,
+                bufferSize: this.agent.replayBuffer.length
+            });
+        }
+        this.metricsWindow = Trainer.emptyMetricsWindow();
+
+        if (!this.options.verbose) {
+            return;
+        }
+
         const winRate = (this.stats.wins / this.stats.gamesPlayed * 100).toFixed(1);
         const recentWR = this.stats.recentWinRate.length > 0 ?
             (this.stats.recentWinRate.reduce((a, b) => a + b, 0) / this.stats.recentWinRate.length * 100).toFixed(1) :
@@ -428,18 +1286,14 @@ class Trainer {
     /**
      * Evaluate agent's performance
      * @param {number} numGames - Number of evaluation games (split evenly between both sides)
-     * @param {Function} opponentPolicy - Opponent policy
+     * @param {Function|Object|string} opponentPolicy - Opponent (see createOpponentPolicy), default: random
      * @returns {Object} Evaluation results
      */
     async evaluate(numGames = 100, opponentPolicy = null) {
         console.log(`\n📊 Evaluating agent over ${numGames} games (both sides)...`);
 
-        // Default to random opponent
-        if (!opponentPolicy) {
-            opponentPolicy = (state, validMoves) => {
-                return validMoves[Math.floor(Math.random() * validMoves.length)];
-            };
-        }
+        const opponent = Trainer.createOpponentPolicy(opponentPolicy, this.agent.random || Math.random);
+        opponentPolicy = opponent.policy;
 
         const savedEpsilon = this.agent.epsilon;
         this.agent.epsilon = 0; // No exploration during evaluation - pure greedy
@@ -448,11 +1302,11 @@ class Trainer {
         const gamesPerSide = Math.floor(numGames / 2);
 
         // Test as Player 0 (first player)
-        console.log(`\n  Testing as Player 0 (first) vs Random...`);
+        console.log(`\n  Testing as Player 0 (first) vs ${opponent.name}...`);
         const resultsAsP0 = await this.evaluateSide(gamesPerSide, 0, opponentPolicy);
 
         // Test as Player 1 (second player)
-        console.log(`  Testing as Player 1 (second) vs Random...`);
+        console.log(`  Testing as Player 1 (second) vs ${opponent.name}...`);
         const resultsAsP1 = await this.evaluateSide(gamesPerSide, 1, opponentPolicy);
 
         this.agent.epsilon = savedEpsilon; // Restore epsilon
@@ -466,6 +1320,7 @@ class Trainer {
         const totalOpponentScore = resultsAsP0.totalOpponentScore + resultsAsP1.totalOpponentScore;
 
         const results = {
+            opponent: opponent.name,
             asPlayer0: resultsAsP0,
             asPlayer1: resultsAsP1,
             overall: {
@@ -506,7 +1361,7 @@ class Trainer {
         const opponentPlayer = 1 - agentPlayer;
 
         for (let i = 0; i < numGames; i++) {
-            const game = new KalahEngine({ enableLogging: false });
+            const game = this.createGame();
 
             while (!game.gameOver) {
                 const state = game.getState();
@@ -545,4 +1400,11 @@ class Trainer {
     }
 }
 
+// Stages of trainCurriculum without a stages option: train-agent.js's default curriculum
+// (defined once, in training-config.js)
+Trainer.DEFAULT_CURRICULUM = CONFIG_DEFAULTS.curriculum;
+
+// Pool settings of trainLeague without a league option: train-agent.js's defaults
+Trainer.DEFAULT_LEAGUE = { dir: CONFIG_DEFAULTS.paths.league, ...CONFIG_DEFAULTS.league };
+
 module.exports = Trainer;
@@ -15,16 +15,20 @@ class KalahEngine {
      * @param {number} options.pitsPerPlayer - Number of pits per player (default: 6)
      * @param {number} options.seedsPerPit - Initial seeds per pit (default: 4)
      * @param {boolean} options.enableLogging - Enable console logging (default: false)
+     * @param {Object} options.rules - Rule variant overrides (see KalahEngine.DEFAULT_RULES)
      */
     constructor(options = {}) {
         const {
             pitsPerPlayer = 6,
             seedsPerPit = 4,
-            enableLogging = false
+            enableLogging = false,
+            rules = {}
         } = options;
 
         this.pitsPerPlayer = pitsPerPlayer;
+        this.seedsPerPit = seedsPerPit;
         this.totalPits = pitsPerPlayer * 2;
+        this.rules = KalahEngine.normalizeRules(rules);
 
         // Initialize board: pits 0-(n-1) belong to Player 0, pits n-(2n-1) belong to Player 1
         this.board = Array(this.totalPits).fill(seedsPerPit);
@@ -47,20 +51,52 @@ class KalahEngine {
             gameOver: this.gameOver,
             moveNumber: this.moveNumber,
             winner: this.getWinner(),
-            validMoves: this.getValidMoves()
+            validMoves: this.getValidMoves(),
+            pitsPerPlayer: this.pitsPerPlayer,
+            seedsPerPit: this.seedsPerPit,
+            rules: { ...this.rules }
         };
     }
 
     /**
      * Set game state (useful for ML training from specific positions)
-     * @param {Object} state - Game state to restore
+     * @param {Object|string} state - Game state to restore, or a position string (see toPosition)
      */
     setState(state) {
+        if (typeof state === 'string') {
+            state = KalahEngine.parsePosition(state, { rules: this.rules });
+        }
+
+        // Board geometry follows the state (pits per player is implied by the board length)
+        this.pitsPerPlayer = state.board.length / 2;
+        this.totalPits = state.board.length;
+        if (state.seedsPerPit !== undefined) {
+            this.seedsPerPit = state.seedsPerPit;
+        }
+
         this.board = [...state.board];
         this.stores = [...state.stores];
         this.currentPlayer = state.currentPlayer;
         this.gameOver = state.gameOver;
         this.moveNumber = state.moveNumber || 0;
+        if (state.rules) {
+            this.rules = KalahEngine.normalizeRules(state.rules);
+        }
+    }
+
+    /**
+     * Compact one-line position string
+     *
+     * Format: "<Player 0 pits>/<Player 1 pits> <store 0>-<store 1> <side to move> <move number>"
+     * Pits are listed in index order, e.g. the starting position is
+     *   "4,4,4,4,4,4/4,4,4,4,4,4 0-0 0 0"
+     *
+     * @returns {string} Position string
+     */
+    toPosition() {
+        const p0Pits = this.board.slice(0, this.pitsPerPlayer).join(',');
+        const p1Pits = this.board.slice(this.pitsPerPlayer).join(',');
+        return `${p0Pits}/${p1Pits} ${this.stores[0]}-${this.stores[1]} ${this.currentPlayer} ${this.moveNumber}`;
     }
 
     /**
@@ -211,9 +247,11 @@ class KalahEngine {
         }
 
         // Capture: if last seed landed in an empty pit on our side, capture opposite pit
-        if (lastPitWasEmpty) {
+        // (with rules.captureEmptyOpposite the lone seed is captured even if the opposite pit is empty;
+        // the no-capture variant never captures)
+        if (lastPitWasEmpty && this.rules.captures) {
             const oppositePit = this.totalPits - 1 - currentPit;
-            if (this.board[oppositePit] > 0) {
+            if (this.board[oppositePit] > 0 || this.rules.captureEmptyOpposite) {
                 const capturedSeeds = this.board[oppositePit] + this.board[currentPit];
                 moveDetails.captured = capturedSeeds;
 
@@ -251,45 +289,317 @@ class KalahEngine {
     }
 
     /**
-     * Check for game over and handle end-game logic
-     * @returns {boolean} True if game ended
-     * @private
+     * Pure state transition: apply a move to a state without touching any engine instance.
+     *
+     * This is the move simulator shared by search (KalahAI), tree search and other
+     * callers that need to look ahead. It follows exactly the same rules as makeMove
+     * (verified by tests/test-transition-diff.js) but skips logging and sowingPath.
+     *
+     * Allocation-light: pass `out` (a state previously returned by applyMove, or any
+     * object with a board array of the right length and a stores array) to reuse it.
+     * `out` may also be `state` itself to update in place.
+     *
+     * @param {Object} state - {board, stores, currentPlayer, gameOver, moveNumber, rules?}
+     * @param {number} pitIndex - Absolute index of the pit to play (must be a valid move)
+     * @param {Object} [out] - Optional state object to write the result into
+     * @returns {Object} Next state; next.move holds the move details
+     *   {pitIndex, player, seedsSown, captured, extraTurn, gameEnded, lastPit}
      */
-    _checkAndHandleGameOver() {
-        // Check for immediate win condition (score >= 25)
-        if (this.stores[0] >= 25 || this.stores[1] >= 25) {
-            this.gameOver = true;
-            // Collect any remaining seeds on the board
-            const player0Seeds = this.board.slice(0, this.pitsPerPlayer).reduce((a, b) => a + b, 0);
-            const player1Seeds = this.board.slice(this.pitsPerPlayer).reduce((a, b) => a + b, 0);
+    static applyMove(state, pitIndex, out = null) {
+        const totalPits = state.board.length;
+        const pitsPerPlayer = totalPits / 2;
+        const rules = state.rules || KalahEngine.DEFAULT_RULES;
+        const player = state.currentPlayer;
 
-            this.stores[0] += player0Seeds;
-            for (let i = 0; i < this.pitsPerPlayer; i++) {
-                this.board[i] = 0;
+        // Incremental Zobrist hash, if the input state carries one (see hashState)
+        let keys = null;
+        let hashLo = 0;
+        let hashHi = 0;
+        let stride = 0;
+        if (state.hashLo !== undefined) {
+            let totalSeeds = state.stores[0] + state.stores[1];
+            for (let i = 0; i < totalPits; i++) {
+                totalSeeds += state.board[i];
             }
+            keys = KalahEngine.zobristKeys(totalPits, totalSeeds);
+            stride = keys.stride;
+            hashLo = state.hashLo;
+            hashHi = state.hashHi;
+        }
 
-            this.stores[1] += player1Seeds;
-            for (let i = this.pitsPerPlayer; i < this.totalPits; i++) {
-                this.board[i] = 0;
+        const next = out || { board: new Array(totalPits), stores: [0, 0], move: null };
+        const board = next.board;
+        const stores = next.stores;
+        if (next !== state) {
+            for (let i = 0; i < totalPits; i++) {
+                board[i] = state.board[i];
             }
-            return true;
+            stores[0] = state.stores[0];
+            stores[1] = state.stores[1];
+        }
+        next.moveNumber = (state.moveNumber || 0) + 1;
+        next.rules = state.rules;
+        if (state.seedsPerPit !== undefined) {
+            next.seedsPerPit = state.seedsPerPit;
+        }
+
+        const move = next.move || (next.move = {});
+        move.pitIndex = pitIndex;
+        move.player = player;
+        move.seedsSown = board[pitIndex];
+        move.captured = 0;
+        move.extraTurn = false;
+        move.gameEnded = false;
+
+        // Sow counter-clockwise, dropping into our store when passing it
+        const ownStart = player * pitsPerPlayer;
+        const storeBefore = player === 0 ? pitsPerPlayer : 0; // Pit reached right after our store
+        let seeds = board[pitIndex];
+        board[pitIndex] = 0;
+        if (keys !== null) {
+            const k = pitIndex * stride;
+            hashLo ^= keys.lo[k + seeds] ^ keys.lo[k];
+            hashHi ^= keys.hi[k + seeds] ^ keys.hi[k];
+        }
+        let currentPit = pitIndex;
+        let firstRound = true;
+        let lastPitWasEmpty = false;
+
+        while (seeds > 0) {
+            currentPit = currentPit + 1 === totalPits ? 0 : currentPit + 1;
+
+            // Skip the starting pit ONLY on the first round
+            if (currentPit === pitIndex && firstRound) {
+                firstRound = false;
+                continue;
+            }
+
+            if (currentPit === storeBefore) {
+                if (keys !== null) {
+                    const k = (totalPits + player) * stride + stores[player];
+                    hashLo ^= keys.lo[k] ^ keys.lo[k + 1];
+                    hashHi ^= keys.hi[k] ^ keys.hi[k + 1];
+                }
+                stores[player]++;
+                seeds--;
+                if (seeds === 0) {
+                    move.extraTurn = true;
+                    break;
+                }
+            }
+
+            lastPitWasEmpty = board[currentPit] === 0;
+            if (keys !== null) {
+                const k = currentPit * stride + board[currentPit];
+                hashLo ^= keys.lo[k] ^ keys.lo[k + 1];
+                hashHi ^= keys.hi[k] ^ keys.hi[k + 1];
+            }
+            board[currentPit]++;
+            seeds--;
+        }
+        move.lastPit = move.extraTurn ? -1 : currentPit;
+
+        // Capture: last seed in an empty pit on our side (rules given partially capture by default)
+        if (!move.extraTurn && lastPitWasEmpty && rules.captures !== false &&
+            currentPit >= ownStart && currentPit < ownStart + pitsPerPlayer) {
+            const oppositePit = totalPits - 1 - currentPit;
+            if (board[oppositePit] > 0 || rules.captureEmptyOpposite) {
+                move.captured = board[oppositePit] + board[currentPit];
+                if (keys !== null) {
+                    const kOpposite = oppositePit * stride;
+                    const kLast = currentPit * stride;
+                    const kStore = (totalPits + player) * stride;
+                    hashLo ^= keys.lo[kOpposite + board[oppositePit]] ^ keys.lo[kOpposite] ^
+                        keys.lo[kLast + board[currentPit]] ^ keys.lo[kLast] ^
+                        keys.lo[kStore + stores[player]] ^ keys.lo[kStore + stores[player] + move.captured];
+                    hashHi ^= keys.hi[kOpposite + board[oppositePit]] ^ keys.hi[kOpposite] ^
+                        keys.hi[kLast + board[currentPit]] ^ keys.hi[kLast] ^
+                        keys.hi[kStore + stores[player]] ^ keys.hi[kStore + stores[player] + move.captured];
+                }
+                stores[player] += move.captured;
+                board[oppositePit] = 0;
+                board[currentPit] = 0;
+            }
+        }
+
+        // Game over (same order as _checkAndHandleGameOver)
+        let seeds0 = 0;
+        let seeds1 = 0;
+        for (let i = 0; i < pitsPerPlayer; i++) {
+            seeds0 += board[i];
+            seeds1 += board[i + pitsPerPlayer];
+        }
+
+        let gameOver = false;
+        let toStore0 = seeds0;
+        let toStore1 = seeds1;
+        if (rules.earlyWin) {
+            const threshold = KalahEngine.earlyWinThreshold(seeds0 + seeds1 + stores[0] + stores[1]);
+            gameOver = stores[0] >= threshold || stores[1] >= threshold;
+        }
+        if (!gameOver && (seeds0 === 0 || seeds1 === 0)) {
+            gameOver = true;
+            if (rules.remainingSeeds === 'clearer') {
+                toStore0 = seeds0 === 0 ? seeds0 + seeds1 : 0;
+                toStore1 = seeds0 === 0 ? 0 : seeds0 + seeds1;
+            }
+        }
+        if (gameOver) {
+            if (keys !== null) {
+                for (let i = 0; i < totalPits; i++) {
+                    hashLo ^= keys.lo[i * stride + board[i]] ^ keys.lo[i * stride];
+                    hashHi ^= keys.hi[i * stride + board[i]] ^ keys.hi[i * stride];
+                }
+                for (let p = 0; p < 2; p++) {
+                    const k = (totalPits + p) * stride + stores[p];
+                    const added = p === 0 ? toStore0 : toStore1;
+                    hashLo ^= keys.lo[k] ^ keys.lo[k + added];
+                    hashHi ^= keys.hi[k] ^ keys.hi[k + added];
+                }
+            }
+            stores[0] += toStore0;
+            stores[1] += toStore1;
+            board.fill(0);
+        }
+
+        next.gameOver = gameOver;
+        move.gameEnded = gameOver;
+        next.currentPlayer = move.extraTurn ? player : 1 - player;
+
+        if (keys !== null && next.currentPlayer !== player) {
+            hashLo ^= keys.lo[keys.side];
+            hashHi ^= keys.hi[keys.side];
+        }
+        next.hashLo = keys !== null ? hashLo : undefined;
+        next.hashHi = keys !== null ? hashHi : undefined;
+
+        return next;
+    }
+
+    /**
+     * Zobrist keys for a board size
+     *
+     * One random 64-bit key (as two 32-bit halves) per square and seed count: squares 0..2n-1
+     * are the pits, 2n and 2n+1 the stores. The key at index `side` is added when Player 1
+     * is to move. Keys come from a fixed-seed generator, so hashes are the same in every run.
+     *
+     * @param {number} totalPits - Number of pits on the board (both sides)
+     * @param {number} totalSeeds - Seeds in play (the largest count a square can hold)
+     * @returns {Object} { lo: Int32Array, hi: Int32Array, stride, side } - key of square s
+     *   holding c seeds is at index s * stride + c
+     */
+    static zobristKeys(totalPits, totalSeeds) {
+        const cacheKey = totalPits * 65536 + totalSeeds;
+        let keys = KalahEngine._zobristCache.get(cacheKey);
+        if (keys) {
+            return keys;
         }
 
+        const stride = totalSeeds + 1;
+        const size = (totalPits + 2) * stride + 1;
+        const lo = new Int32Array(size);
+        const hi = new Int32Array(size);
+
+        // splitmix32, seeded by the board size
+        let x = (0x9E3779B9 ^ cacheKey) | 0;
+        const next = () => {
+            x = (x + 0x9E3779B9) | 0;
+            let z = x;
+            z = Math.imul(z ^ (z >>> 16), 0x85EBCA6B);
+            z = Math.imul(z ^ (z >>> 13), 0xC2B2AE35);
+            return z ^ (z >>> 16);
+        };
+        for (let i = 0; i < size; i++) {
+            lo[i] = next();
+            hi[i] = next();
+        }
+
+        keys = { lo, hi, stride, side: size - 1 };
+        KalahEngine._zobristCache.set(cacheKey, keys);
+        return keys;
+    }
+
+    /**
+     * Compute the Zobrist hash of a state from scratch
+     * Sets state.hashLo / state.hashHi, which applyMove then updates incrementally.
+     * The hash covers the board, the stores and the side to move (not the move number or rules).
+     * @param {Object} state - Game state (modified in place)
+     * @returns {Object} The same state
+     */
+    static hashState(state) {
+        const totalPits = state.board.length;
+        let totalSeeds = state.stores[0] + state.stores[1];
+        for (let i = 0; i < totalPits; i++) {
+            totalSeeds += state.board[i];
+        }
+
+        const keys = KalahEngine.zobristKeys(totalPits, totalSeeds);
+        let hashLo = 0;
+        let hashHi = 0;
+        for (let i = 0; i < totalPits; i++) {
+            hashLo ^= keys.lo[i * keys.stride + state.board[i]];
+            hashHi ^= keys.hi[i * keys.stride + state.board[i]];
+        }
+        for (let p = 0; p < 2; p++) {
+            hashLo ^= keys.lo[(totalPits + p) * keys.stride + state.stores[p]];
+            hashHi ^= keys.hi[(totalPits + p) * keys.stride + state.stores[p]];
+        }
+        if (state.currentPlayer === 1) {
+            hashLo ^= keys.lo[keys.side];
+            hashHi ^= keys.hi[keys.side];
+        }
+
+        state.hashLo = hashLo;
+        state.hashHi = hashHi;
+        return state;
+    }
+
+    /**
+     * Zobrist hash of the current position as 16 hex digits
+     * @returns {string} Position hash
+     */
+    getHash() {
+        const { hashLo, hashHi } = KalahEngine.hashState({
+            board: this.board,
+            stores: this.stores,
+            currentPlayer: this.currentPlayer
+        });
+        return (hashHi >>> 0).toString(16).padStart(8, '0') + (hashLo >>> 0).toString(16).padStart(8, '0');
+    }
+
+    /**
+     * Check for game over and handle end-game logic
+     * @returns {boolean} True if game ended
+     * @private
+     */
+    _checkAndHandleGameOver() {
         const player0Seeds = this.board.slice(0, this.pitsPerPlayer).reduce((a, b) => a + b, 0);
         const player1Seeds = this.board.slice(this.pitsPerPlayer).reduce((a, b) => a + b, 0);
 
+        // Check for immediate win condition (a store holds more than half of all seeds, 25 on a 6x4 board)
+        if (this.rules.earlyWin) {
+            const threshold = KalahEngine.earlyWinThreshold(player0Seeds + player1Seeds + this.stores[0] + this.stores[1]);
+            if (this.stores[0] >= threshold || this.stores[1] >= threshold) {
+                this.gameOver = true;
+                // Collect any remaining seeds on the board (each side to its owner)
+                this._sweepBoard(player0Seeds, player1Seeds);
+                return true;
+            }
+        }
+
         if (player0Seeds === 0 || player1Seeds === 0) {
             this.gameOver = true;
 
-            // Each player collects all remaining seeds on their side
-            this.stores[0] += player0Seeds;
-            for (let i = 0; i < this.pitsPerPlayer; i++) {
-                this.board[i] = 0;
-            }
-
-            this.stores[1] += player1Seeds;
-            for (let i = this.pitsPerPlayer; i < this.totalPits; i++) {
-                this.board[i] = 0;
+            if (this.rules.remainingSeeds === 'clearer') {
+                // The player whose side ran out of seeds collects everything left on the board
+                const clearer = player0Seeds === 0 ? 0 : 1;
+                this._sweepBoard(
+                    clearer === 0 ? player0Seeds + player1Seeds : 0,
+                    clearer === 1 ? player0Seeds + player1Seeds : 0
+                );
+            } else {
+                // Each player collects all remaining seeds on their side
+                this._sweepBoard(player0Seeds, player1Seeds);
             }
 
             return true;
@@ -298,6 +608,18 @@ class KalahEngine {
         return false;
     }
 
+    /**
+     * Empty the board, adding the given amounts to each store
+     * @param {number} toStore0 - Seeds added to Player 0's store
+     * @param {number} toStore1 - Seeds added to Player 1's store
+     * @private
+     */
+    _sweepBoard(toStore0, toStore1) {
+        this.stores[0] += toStore0;
+        this.stores[1] += toStore1;
+        this.board.fill(0);
+    }
+
     /**
      * Get winner (-1 for in progress, 0 for player 0, 1 for player 1, null for draw)
      * @returns {number|null} Winner
@@ -342,7 +664,8 @@ class KalahEngine {
         const cloned = new KalahEngine({
             pitsPerPlayer: this.pitsPerPlayer,
             seedsPerPit: 0, // Will be overridden by setState
-            enableLogging: false // Don't log in clones
+            enableLogging: false, // Don't log in clones
+            rules: this.rules
         });
         cloned.setState(this.getState());
         return cloned;
@@ -350,9 +673,10 @@ class KalahEngine {
 
     /**
      * Reset game to initial state
-     * @param {number} seedsPerPit - Seeds per pit for new game
+     * @param {number} seedsPerPit - Seeds per pit for new game (default: the engine's seedsPerPit)
      */
-    reset(seedsPerPit = 4) {
+    reset(seedsPerPit = this.seedsPerPit) {
+        this.seedsPerPit = seedsPerPit;
         this.board = Array(this.totalPits).fill(seedsPerPit);
         this.stores = [0, 0];
         this.currentPlayer = 0;
@@ -368,6 +692,9 @@ class KalahEngine {
         const lines = [];
         lines.push('='.repeat(60));
         lines.push(`Move #${this.moveNumber} - Player ${this.currentPlayer}'s turn`);
+        if (!KalahEngine.isDefaultRules(this.rules)) {
+            lines.push(`Rules: ${KalahEngine.describeRules(this.rules)}`);
+        }
         lines.push('='.repeat(60));
 
         // Player 1's pits (top row, reversed for visual layout)
@@ -395,8 +722,440 @@ class KalahEngine {
 
         return lines.join('\n');
     }
+
+    /**
+     * Fill in missing rule options with defaults and validate them
+     * @param {Object} rules - Partial rules object
+     * @returns {Object} Complete rules object
+     */
+    static normalizeRules(rules = {}) {
+        const normalized = { ...KalahEngine.DEFAULT_RULES, ...rules };
+
+        if (!['owner', 'clearer'].includes(normalized.remainingSeeds)) {
+            throw new Error(`Unknown remainingSeeds rule: ${normalized.remainingSeeds} (expected 'owner' or 'clearer')`);
+        }
+        normalized.captures = Boolean(normalized.captures);
+        // Without captures there is no empty capture either, so both describe the same game
+        normalized.captureEmptyOpposite = normalized.captures && Boolean(normalized.captureEmptyOpposite);
+        normalized.earlyWin = Boolean(normalized.earlyWin);
+
+        return normalized;
+    }
+
+    /**
+     * Check whether a rules object matches the standard rule set
+     * @param {Object} rules - Rules object
+     * @returns {boolean} True if all options are at their defaults
+     */
+    static isDefaultRules(rules) {
+        return Object.keys(KalahEngine.DEFAULT_RULES)
+            .every(key => rules[key] === KalahEngine.DEFAULT_RULES[key]);
+    }
+
+    /**
+     * Short human-readable description of a rule set
+     * @param {Object} rules - Rules object
+     * @returns {string} e.g. "standard" or "empty-capture, no-early-win"
+     */
+    static describeRules(rules) {
+        const parts = [];
+        if (rules.captures === false) parts.push('no-capture');
+        if (rules.captureEmptyOpposite) parts.push('empty-capture');
+        if (rules.remainingSeeds === 'clearer') parts.push('sweep-to-clearer');
+        if (!rules.earlyWin) parts.push('no-early-win');
+        return parts.length > 0 ? parts.join(', ') : 'standard';
+    }
+
+    /**
+     * Parse a rule description produced by describeRules
+     * @param {string} description - e.g. "standard" or "empty-capture, no-early-win"
+     * @returns {Object} Complete rules object
+     */
+    static parseRules(description) {
+        const rules = { ...KalahEngine.DEFAULT_RULES };
+        const flags = {
+            'no-capture': () => { rules.captures = false; },
+            'empty-capture': () => { rules.captureEmptyOpposite = true; },
+            'sweep-to-clearer': () => { rules.remainingSeeds = 'clearer'; },
+            'no-early-win': () => { rules.earlyWin = false; }
+        };
+
+        for (const part of description.split(',').map(p => p.trim()).filter(p => p && p !== 'standard')) {
+            if (!flags[part]) {
+                throw new Error(`Unknown rule "${part}" (expected: ${Object.keys(flags).join(', ')} or standard)`);
+            }
+            flags[part]();
+        }
+
+        return KalahEngine.normalizeRules(rules);
+    }
+
+    /**
+     * Parse and validate a position string (see toPosition)
+     * @param {string} text - Position string
+     * @param {Object} options - Validation options
+     * @param {number} options.seedsPerPit - Require this many seeds per pit in total (default: inferred)
+     * @param {Object} options.rules - Rule variant the position is played under (default: standard)
+     * @returns {Object} Game state ({board, stores, currentPlayer, gameOver, moveNumber, seedsPerPit, rules})
+     * @throws {Error} If the position is malformed or impossible
+     */
+    static parsePosition(text, options = {}) {
+        const fail = (reason) => {
+            throw new Error(`Invalid position "${text}": ${reason}`);
+        };
+        const parseCount = (value, what) => {
+            if (!/^\d+$/.test(value)) {
+                fail(`${what} must be a non-negative integer, got "${value}"`);
+            }
+            return parseInt(value, 10);
+        };
+
+        if (typeof text !== 'string') {
+            fail('expected a string');
+        }
+        const fields = text.trim().split(/\s+/);
+        if (fields.length !== 4) {
+            fail('expected 4 fields: "<P0 pits>/<P1 pits> <store0>-<store1> <side to move> <move number>"');
+        }
+        const [pitsField, storesField, sideField, moveField] = fields;
+
+        const rows = pitsField.split('/');
+        if (rows.length !== 2) {
+            fail('pits must be two rows separated by "/"');
+        }
+        const [row0, row1] = rows.map(row => row.split(',').map(v => parseCount(v, 'pit')));
+        if (row0.length !== row1.length) {
+            fail(`both rows need the same number of pits (${row0.length} vs ${row1.length})`);
+        }
+
+        const storeValues = storesField.split('-');
+        if (storeValues.length !== 2) {
+            fail('stores must be written as "<store0>-<store1>"');
+        }
+        const stores = storeValues.map(v => parseCount(v, 'store'));
+
+        if (sideField !== '0' && sideField !== '1') {
+            fail(`side to move must be 0 or 1, got "${sideField}"`);
+        }
+        const moveNumber = parseCount(moveField, 'move number');
+
+        const board = [...row0, ...row1];
+        const pitsPerPlayer = row0.length;
+        const onBoard = board.reduce((a, b) => a + b, 0);
+        const totalSeeds = onBoard + stores[0] + stores[1];
+
+        // Seed conservation: every game starts with the same number of seeds in each pit
+        const seedsPerPit = options.seedsPerPit !== undefined ? options.seedsPerPit : totalSeeds / board.length;
+        if (totalSeeds === 0 || !Number.isInteger(seedsPerPit) || totalSeeds !== seedsPerPit * board.length) {
+            fail(options.seedsPerPit !== undefined
+                ? `${totalSeeds} seeds in play, expected ${seedsPerPit * board.length} (${seedsPerPit} per pit)`
+                : `${totalSeeds} seeds in play is not a whole number of seeds per pit for ${board.length} pits`);
+        }
+
+        // The engine ends the game as soon as a side is empty (or a store has a majority)
+        const rules = KalahEngine.normalizeRules(options.rules);
+        const seeds0 = row0.reduce((a, b) => a + b, 0);
+        const seeds1 = row1.reduce((a, b) => a + b, 0);
+        const gameOver = onBoard === 0;
+        if (!gameOver && (seeds0 === 0 || seeds1 === 0)) {
+            fail(`Player ${seeds0 === 0 ? 0 : 1}'s side is empty, so the game would already be over`);
+        }
+        if (!gameOver && rules.earlyWin &&
+            Math.max(stores[0], stores[1]) >= KalahEngine.earlyWinThreshold(totalSeeds)) {
+            fail('a store holds a majority of the seeds, so the game would already be over');
+        }
+
+        return {
+            board,
+            stores,
+            currentPlayer: parseInt(sideField, 10),
+            gameOver,
+            moveNumber,
+            pitsPerPlayer,
+            seedsPerPit,
+            rules
+        };
+    }
+
+    /**
+     * Create an engine from a position string (see toPosition)
+     * @param {string} text - Position string
+     * @param {Object} options - Engine and validation options (seedsPerPit, rules, enableLogging)
+     * @returns {KalahEngine} Engine set to the position
+     */
+    static fromPosition(text, options = {}) {
+        const state = KalahEngine.parsePosition(text, options);
+        const engine = new KalahEngine({
+            pitsPerPlayer: state.pitsPerPlayer,
+            seedsPerPit: state.seedsPerPit,
+            enableLogging: options.enableLogging || false,
+            rules: state.rules
+        });
+        engine.setState(state);
+        return engine;
+    }
+
+    /**
+     * Serialize a game to the textual game record format (PGN-like).
+     *
+     * Example:
+     *   [Event "Casual game"]
+     *   [Date "2026.10.19"]
+     *   [Player0 "Human"]
+     *   [Player1 "RL Agent"]
+     *   [Variant "Kalah(6,4)"]
+     *   [Rules "standard"]
+     *   [Result "1-0"]
+     *   [Score "27-21"]
+     *
+     *   1. 3-6 2 2. 5 1-4 ... 1-0
+     *
+     * Moves are written as pit numbers 1..n counted from the mover's side (pit 1 is
+     * the pit furthest from the mover's store). Moves made on extra turns are joined
+     * to the player's turn with "-". Turns are numbered in pairs, as in chess.
+     *
+     * The moves are replayed to validate them and to fill in Result and Score.
+     * Games that start from a set-up position carry it in a Position header.
+     *
+     * @param {Object} record - Game to serialize
+     * @param {number[]} record.moves - Absolute pit indices in the order they were played
+     * @param {Object} record.headers - Extra headers (Player0, Player1, Event, Agent, ...)
+     * @param {number} record.pitsPerPlayer - Board geometry (default: 6)
+     * @param {number} record.seedsPerPit - Initial seeds per pit (default: 4)
+     * @param {Object} record.rules - Rule variant (default: standard)
+     * @param {string} record.position - Starting position string (default: the initial position)
+     * @returns {string} Game record text
+     */
+    static serializeGame(record) {
+        const {
+            moves,
+            headers = {},
+            pitsPerPlayer = 6,
+            seedsPerPit = 4,
+            rules = {},
+            position = null
+        } = record;
+
+        const game = position
+            ? KalahEngine.fromPosition(position, { seedsPerPit, rules })
+            : new KalahEngine({ pitsPerPlayer, seedsPerPit, rules });
+
+        // Group consecutive moves by the same player (extra-turn chains) into turns
+        const turns = [];
+        moves.forEach((pitIndex, i) => {
+            const player = game.currentPlayer;
+            if (!game.makeMove(pitIndex)) {
+                throw new Error(`Illegal move #${i + 1}: pit ${pitIndex} for Player ${player}`);
+            }
+            const notation = pitIndex - player * game.pitsPerPlayer + 1;
+            const lastTurn = turns[turns.length - 1];
+            if (lastTurn && lastTurn.player === player) {
+                lastTurn.pits.push(notation);
+            } else {
+                turns.push({ player, pits: [notation] });
+            }
+        });
+
+        const result = KalahEngine.resultString(game);
+        const allHeaders = {
+            Event: 'Casual game',
+            Date: KalahEngine.recordDate(new Date()),
+            Player0: 'Player 0',
+            Player1: 'Player 1',
+            ...headers,
+            Variant: `Kalah(${game.pitsPerPlayer},${game.seedsPerPit})`,
+            Rules: KalahEngine.describeRules(game.rules),
+            Result: result
+        };
+        if (position) {
+            allHeaders.Position = position;
+        }
+        if (game.gameOver) {
+            allHeaders.Score = `${game.stores[0]}-${game.stores[1]}`;
+        }
+
+        const lines = Object.entries(allHeaders)
+            .map(([key, value]) => `[${key} "${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"]`);
+        lines.push('');
+
+        // Move text, wrapped at 80 characters
+        const tokens = [];
+        let turnNumber = 0;
+        turns.forEach((turn, i) => {
+            if (turn.player === 0 || i === 0) {
+                turnNumber++;
+                tokens.push(turn.player === 0 ? `${turnNumber}.` : `${turnNumber}...`);
+            }
+            tokens.push(turn.pits.join('-'));
+        });
+        tokens.push(result);
+
+        let line = '';
+        for (const token of tokens) {
+            if (line && line.length + token.length + 1 > 80) {
+                lines.push(line);
+                line = token;
+            } else {
+                line = line ? `${line} ${token}` : token;
+            }
+        }
+        lines.push(line);
+
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Parse a game record, replaying and validating every move
+     * @param {string} text - Game record text (see serializeGame)
+     * @returns {Object} {headers, moves, engine} - moves are absolute pit indices,
+     *   engine is positioned after the last move
+     * @throws {Error} On malformed records, illegal moves or an inconsistent result
+     */
+    static parseGame(text) {
+        const headers = {};
+        const moveLines = [];
+
+        for (const rawLine of text.split(/\r?\n/)) {
+            const line = rawLine.trim();
+            const header = line.match(/^\[(\w+)\s+"((?:[^"\\]|\\.)*)"\]$/);
+            if (header) {
+                headers[header[1]] = header[2].replace(/\\(.)/g, '$1');
+            } else if (line.startsWith('[')) {
+                throw new Error(`Malformed header line: ${line}`);
+            } else if (line) {
+                moveLines.push(line);
+            }
+        }
+
+        const variant = (headers.Variant || 'Kalah(6,4)').match(/^Kalah\((\d+),(\d+)\)$/);
+        if (!variant) {
+            throw new Error(`Unknown variant "${headers.Variant}" (expected e.g. Kalah(6,4))`);
+        }
+        const pitsPerPlayer = parseInt(variant[1]);
+        const seedsPerPit = parseInt(variant[2]);
+        const rules = KalahEngine.parseRules(headers.Rules || 'standard');
+        const game = headers.Position
+            ? KalahEngine.fromPosition(headers.Position, { seedsPerPit, rules })
+            : new KalahEngine({ pitsPerPlayer, seedsPerPit, rules });
+        if (game.pitsPerPlayer !== pitsPerPlayer) {
+            throw new Error(`Position "${headers.Position}" does not fit variant ${headers.Variant}`);
+        }
+
+        const moves = [];
+        let resultToken = null;
+        let unfinishedTurn = null;  // Token that ended on an extra turn
+        const tokens = moveLines.join(' ')
+            .replace(/\{[^}]*\}/g, ' ')  // {comments}
+            .split(/\s+/)
+            .filter(Boolean);
+
+        for (const rawToken of tokens) {
+            const token = rawToken.replace(/^\d+\.+/, '');  // Turn numbers ("12." or "12...")
+            if (!token) continue;
+
+            if (['1-0', '0-1', '1/2-1/2', '*'].includes(token)) {
+                resultToken = token;
+                continue;
+            }
+            if (resultToken) {
+                throw new Error(`Unexpected "${rawToken}" after the result`);
+            }
+            if (game.gameOver) {
+                throw new Error(`Move "${rawToken}" played after the game ended`);
+            }
+            if (unfinishedTurn) {
+                throw new Error(`"${unfinishedTurn}" ends on an extra turn but the turn's next move is missing`);
+            }
+
+            const player = game.currentPlayer;
+            const pits = token.split('-');
+            pits.forEach((pit, i) => {
+                const number = Number(pit);
+                if (!Number.isInteger(number) || number < 1 || number > pitsPerPlayer) {
+                    throw new Error(`Invalid pit "${pit}" in "${rawToken}" (expected 1-${pitsPerPlayer})`);
+                }
+                if (game.currentPlayer !== player) {
+                    throw new Error(`"${rawToken}": move ${i + 1} of the turn has no extra turn to be played on`);
+                }
+                const pitIndex = player * pitsPerPlayer + number - 1;
+                if (!game.makeMove(pitIndex)) {
+                    throw new Error(`Illegal move "${pit}" (pit ${pitIndex}) for Player ${player} at move #${moves.length + 1}`);
+                }
+                moves.push(pitIndex);
+            });
+
+            if (!game.gameOver && game.currentPlayer === player) {
+                unfinishedTurn = rawToken;
+            }
+        }
+
+        // A game saved in progress may stop partway through an extra turn
+        if (unfinishedTurn && (resultToken || headers.Result) !== '*') {
+            throw new Error(`"${unfinishedTurn}" ends on an extra turn but the turn's next move is missing`);
+        }
+
+        const result = KalahEngine.resultString(game);
+        for (const claimed of [headers.Result, resultToken]) {
+            if (claimed && claimed !== '*' && claimed !== result) {
+                throw new Error(`Recorded result ${claimed} does not match the moves (${result})`);
+            }
+        }
+
+        return { headers, moves, engine: game };
+    }
+
+    /**
+     * Game result in record notation
+     * @param {KalahEngine} game - Game to describe
+     * @returns {string} "1-0", "0-1", "1/2-1/2" or "*" (in progress)
+     */
+    static resultString(game) {
+        if (!game.gameOver) return '*';
+        const winner = game.getWinner();
+        if (winner === 0) return '1-0';
+        if (winner === 1) return '0-1';
+        return '1/2-1/2';
+    }
+
+    /**
+     * Date in record notation (YYYY.MM.DD)
+     * @param {Date} date - Date to format
+     * @returns {string} Formatted date
+     */
+    static recordDate(date) {
+        const pad = (n) => String(n).padStart(2, '0');
+        return `${date.getFullYear()}.${pad(date.getMonth() + 1)}.${pad(date.getDate())}`;
+    }
+
+    /**
+     * Store size that ends the game early (more than half of all seeds)
+     * @param {number} totalSeeds - Total seeds in play (board + stores)
+     * @returns {number} Threshold (25 for the standard 48-seed game)
+     */
+    static earlyWinThreshold(totalSeeds) {
+        return Math.floor(totalSeeds / 2) + 1;
+    }
 }
 
+/**
+ * Standard rule set
+ * - captures: a last seed landing in an empty pit on the mover's side captures the opposite
+ *   pit (false: the no-capture variant, where seeds only move by sowing)
+ * - captureEmptyOpposite: capture the last seed even when the opposite pit is empty
+ * - remainingSeeds: who collects seeds left on the board at game end
+ *   ('owner' = each side to its owner, 'clearer' = all to the player whose side ran out)
+ * - earlyWin: end the game as soon as a store holds more than half of all seeds
+ */
+KalahEngine.DEFAULT_RULES = Object.freeze({
+    captures: true,
+    captureEmptyOpposite: false,
+    remainingSeeds: 'owner',
+    earlyWin: true
+});
+
+// Zobrist key tables by board size (see zobristKeys)
+KalahEngine._zobristCache = new Map();
+
 // Export for use in Node.js and browser
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = KalahEngine;
@@ -0,0 +1,57 @@
+#!/usr/bin/env node
+
+/**
+ * Endgame Database Generator
+ *
+ * Solves every position with at most N seeds on the board and writes the
+ * table in the binary format read by EndgameDatabase (Node.js and browser).
+ *
+ * Usage:
+ *   node src/training/build-endgame-db.js [maxSeeds] [--pits=N] [--rules="empty-capture, sweep-to-clearer"] [--out=file]
+ *
+ * Examples:
+ *   node src/training/build-endgame-db.js              # Kalah(6,*), up to 12 seeds (2.7 MB)
+ *   node src/training/build-endgame-db.js 15           # Up to 15 seeds (17 MB)
+ *   node src/training/build-endgame-db.js 10 --pits=4 --rules=empty-capture
+ *
+ * The default output is models/endgame/kalah-<pits>[-<rules>].bin, where play.js,
+ * the training scripts and the browser look for it.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const EndgameDatabase = require('../ai/endgame-db.js');
+const KalahEngine = require('../engine/kalah-engine.js');
+
+function buildEndgameDB() {
+    const args = process.argv.slice(2);
+    const flag = (name) => {
+        const arg = args.find(a => a.startsWith(`--${name}=`));
+        return arg ? arg.slice(name.length + 3) : undefined;
+    };
+    const positional = args.filter(a => !a.startsWith('--'));
+    const maxSeeds = parseInt(positional[0]) || 12;
+    const pitsPerPlayer = parseInt(flag('pits')) || 6;
+    const rules = KalahEngine.parseRules(flag('rules') || 'standard');
+    const outFile = flag('out') || path.join('models', 'endgame', EndgameDatabase.fileName(pitsPerPlayer, rules));
+
+    const size = EndgameDatabase.tableSize(pitsPerPlayer, maxSeeds);
+    console.log('📚 Building Kalah Endgame Database\n');
+    console.log(`Board: ${pitsPerPlayer} pits per player (${KalahEngine.describeRules(rules)} rules)`);
+    console.log(`Positions: ${size.toLocaleString()} with up to ${maxSeeds} seeds on the board`);
+    console.log(`File size: ${((size + 12) / 1024 / 1024).toFixed(1)} MB\n`);
+
+    const start = Date.now();
+    const table = new EndgameDatabase({ pitsPerPlayer, maxSeeds, rules });
+    table.generate((seeds, solved) => {
+        console.log(`   ${seeds.toString().padStart(3)} seeds: ${solved.toLocaleString()} positions ` +
+            `(${((Date.now() - start) / 1000).toFixed(1)}s)`);
+    });
+
+    fs.mkdirSync(path.dirname(outFile), { recursive: true });
+    fs.writeFileSync(outFile, table.toBytes());
+
+    console.log(`\n✅ Endgame table saved to ${outFile}`);
+}
+
+buildEndgameDB();
@@ -0,0 +1,279 @@
+#!/usr/bin/env node
+
+/**
+ * Opening Book Builder
+ *
+ * Writes the best replies for every position in the first K plies to a JSON
+ * opening book (see OpeningBook), in one of two ways:
+ *
+ * - search (default): scores every move with a deep minimax search and keeps the best
+ *   few; their win/draw/loss counts come from a few games between medium minimax players.
+ * - selfplay: plays many games between medium minimax players that open with random
+ *   moves half of the time, and scores each move by the points it scored.
+ *
+ * Usage:
+ *   node src/training/build-opening-book.js [plies] [--method=search|selfplay] [--depth=N] [--games=N]
+ *                                           [--pits=N] [--seeds=N] [--rules="empty-capture"] [--out=file]
+ *                                           [--seed=N]
+ *
+ * --seed makes the random moves of the games reproducible, so the same command builds the
+ * same book.
+ *
+ * Examples:
+ *   node src/training/build-opening-book.js                    # 4 plies, depth 10 searches (under a minute)
+ *   node src/training/build-opening-book.js 6 --depth=8 --games=2
+ *   node src/training/build-opening-book.js 4 --method=selfplay --games=20000
+ *
+ * The default output is models/opening-book.json, where play.js (--book) and the browser look for it.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const KalahAI = require('../ai/kalah-ai-browser.js');
+const KalahEngine = require('../engine/kalah-engine.js');
+const OpeningBook = require('../ai/opening-book.js');
+const { createRandom } = require('../utils/random.js');
+
+/**
+ * All distinct positions in which one of the first `plies` moves is played, in order of ply
+ * @returns {Object[]} Game states
+ */
+function openingPositions(root, plies) {
+    const positions = [];
+    const seen = new Set();
+    let frontier = [root];
+
+    for (let ply = 0; ply < plies && frontier.length > 0; ply++) {
+        const next = [];
+        for (const state of frontier) {
+            const key = OpeningBook.key(state);
+            if (state.gameOver || seen.has(key)) continue;
+            seen.add(key);
+            positions.push(state);
+
+            for (const move of legalMoves(state)) {
+                next.push(KalahEngine.applyMove(state, move));
+            }
+        }
+        frontier = next;
+    }
+
+    return positions;
+}
+
+/**
+ * Pits the player to move can play
+ */
+function legalMoves(state) {
+    const n = state.board.length / 2;
+    const moves = [];
+    for (let pit = state.currentPlayer * n; pit < (state.currentPlayer + 1) * n; pit++) {
+        if (state.board[pit] > 0) moves.push(pit);
+    }
+    return moves;
+}
+
+/**
+ * Play a game to the end from `state` with `ai` choosing every move
+ * @returns {number|null} Winner, or null for a draw
+ */
+function playOut(state, ai) {
+    const game = new KalahEngine({ enableLogging: false });
+    game.setState(state);
+    while (!game.gameOver) {
+        game.makeMove(ai.selectMove(game.getState()));
+    }
+    return game.getWinner();
+}
+
+/**
+ * Add a game result to the win/draw/loss counts of a player
+ */
+function countResult(stats, winner, player) {
+    if (winner === null) stats.draws++;
+    else if (winner === player) stats.wins++;
+    else stats.losses++;
+}
+
+/**
+ * Build a book from deep searches
+ * @param {Object} options - Book options
+ * @param {number} options.pitsPerPlayer - Pits per player (default: 6)
+ * @param {number} options.seedsPerPit - Initial seeds per pit (default: 4)
+ * @param {Object} options.rules - Rule variant
+ * @param {number} options.plies - Plies from the start to cover (default: 4)
+ * @param {number} options.depth - Search depth in plies, counting the move itself (default: 10)
+ * @param {number} options.maxMoves - Best moves to keep per position (default: 3)
+ * @param {number} options.games - Games per kept move for its win/draw/loss counts (default: 4)
+ * @param {Function} options.random - Random number generator of the games (default: Math.random)
+ * @param {Function} options.onProgress - Called as onProgress(done, total) after each position
+ * @returns {OpeningBook} Book
+ */
+function buildSearchBook(options = {}) {
+    const {
+        pitsPerPlayer = 6,
+        seedsPerPit = 4,
+        rules = {},
+        plies = 4,
+        depth = 10,
+        maxMoves = 3,
+        games = 4,
+        random = Math.random,
+        onProgress = null
+    } = options;
+
+    const book = new OpeningBook({ pitsPerPlayer, seedsPerPit, rules, plies, method: 'search' });
+    const searcher = new KalahAI('expert');
+    const player = new KalahAI('medium', { random });
+    const root = new KalahEngine({ pitsPerPlayer, seedsPerPit, rules, enableLogging: false }).getState();
+    const positions = openingPositions(root, plies);
+
+    positions.forEach((state, i) => {
+        const scored = legalMoves(state)
+            .map(move => ({ move, score: searcher.minimax(state, move, depth - 1) }))
+            .sort((a, b) => b.score - a.score)
+            .slice(0, maxMoves);
+
+        book.add(state, scored.map(({ move, score }) => {
+            const stats = { move, score, wins: 0, draws: 0, losses: 0 };
+            const next = KalahEngine.applyMove(state, move);
+            for (let g = 0; g < games; g++) {
+                countResult(stats, playOut(next, player), state.currentPlayer);
+            }
+            return stats;
+        }));
+
+        if (onProgress) onProgress(i + 1, positions.length);
+    });
+
+    return book;
+}
+
+/**
+ * Build a book from self-play statistics
+ * @param {Object} options - Book options
+ * @param {number} options.pitsPerPlayer - Pits per player (default: 6)
+ * @param {number} options.seedsPerPit - Initial seeds per pit (default: 4)
+ * @param {Object} options.rules - Rule variant
+ * @param {number} options.plies - Plies from the start to cover (default: 4)
+ * @param {number} options.games - Games to play (default: 10000)
+ * @param {number} options.explore - Chance of a random move in the first plies (default: 0.5)
+ * @param {number} options.minGames - Games a move needs to enter the book (default: 5)
+ * @param {Function} options.random - Random number generator of the games (default: Math.random)
+ * @param {Function} options.onProgress - Called as onProgress(done, total) after each game
+ * @returns {OpeningBook} Book
+ */
+function buildSelfPlayBook(options = {}) {
+    const {
+        pitsPerPlayer = 6,
+        seedsPerPit = 4,
+        rules = {},
+        plies = 4,
+        games = 10000,
+        explore = 0.5,
+        minGames = 5,
+        random = Math.random,
+        onProgress = null
+    } = options;
+
+    const player = new KalahAI('medium', { random });
+    const positions = new Map(); // key -> { state, moves: Map(move -> counts) }
+
+    for (let g = 0; g < games; g++) {
+        const game = new KalahEngine({ pitsPerPlayer, seedsPerPit, rules, enableLogging: false });
+        const opening = []; // [state, move] pairs of the first plies
+
+        while (!game.gameOver) {
+            const state = game.getState();
+            let move;
+            if (opening.length < plies) {
+                const moves = legalMoves(state);
+                move = random() < explore
+                    ? moves[Math.floor(random() * moves.length)]
+                    : player.selectMove(state);
+                opening.push([state, move]);
+            } else {
+                move = player.selectMove(state);
+            }
+            game.makeMove(move);
+        }
+
+        const winner = game.getWinner();
+        for (const [state, move] of opening) {
+            const key = OpeningBook.key(state);
+            if (!positions.has(key)) positions.set(key, { state, moves: new Map() });
+            const moves = positions.get(key).moves;
+            if (!moves.has(move)) moves.set(move, { move, score: 0, wins: 0, draws: 0, losses: 0 });
+            countResult(moves.get(move), winner, state.currentPlayer);
+        }
+
+        if (onProgress) onProgress(g + 1, games);
+    }
+
+    const book = new OpeningBook({ pitsPerPlayer, seedsPerPit, rules, plies, method: 'selfplay' });
+    for (const { state, moves } of positions.values()) {
+        const played = [...moves.values()].filter(m => m.wins + m.draws + m.losses >= minGames);
+        for (const m of played) {
+            const total = m.wins + m.draws + m.losses;
+            m.score = Math.round(1000 * (m.wins + m.draws / 2) / total) / 10;
+        }
+        if (played.length > 0) book.add(state, played);
+    }
+
+    return book;
+}
+
+function buildOpeningBook() {
+    const args = process.argv.slice(2);
+    const flag = (name) => {
+        const arg = args.find(a => a.startsWith(`--${name}=`));
+        return arg ? arg.slice(name.length + 3) : undefined;
+    };
+    const positional = args.filter(a => !a.startsWith('--'));
+    const plies = parseInt(positional[0]) || 4;
+    const method = flag('method') || 'search';
+    const pitsPerPlayer = parseInt(flag('pits')) || 6;
+    const seedsPerPit = parseInt(flag('seeds')) || 4;
+    const rules = KalahEngine.parseRules(flag('rules') || 'standard');
+    const outFile = flag('out') || path.join('models', 'opening-book.json');
+    const random = flag('seed') !== undefined ? createRandom(parseInt(flag('seed'))) : Math.random;
+
+    if (method !== 'search' && method !== 'selfplay') {
+        throw new Error(`Unknown --method=${method} (expected search or selfplay)`);
+    }
+
+    console.log('📖 Building Kalah Opening Book\n');
+    console.log(`Board: Kalah(${pitsPerPlayer},${seedsPerPit}) (${KalahEngine.describeRules(rules)} rules)`);
+    console.log(`Plies: ${plies}`);
+
+    const start = Date.now();
+    const progress = (done, total) => {
+        if (done % Math.max(1, Math.floor(total / 10)) === 0 || done === total) {
+            console.log(`   ${done.toLocaleString()} / ${total.toLocaleString()} ` +
+                `(${((Date.now() - start) / 1000).toFixed(1)}s)`);
+        }
+    };
+
+    let book;
+    if (method === 'search') {
+        const depth = parseInt(flag('depth')) || 10;
+        const games = flag('games') !== undefined ? parseInt(flag('games')) : 4;
+        console.log(`Method: depth ${depth} search, ${games} games per book move\n`);
+        book = buildSearchBook({ pitsPerPlayer, seedsPerPit, rules, plies, depth, games, random, onProgress: progress });
+    } else {
+        const games = parseInt(flag('games')) || 10000;
+        console.log(`Method: ${games.toLocaleString()} self-play games\n`);
+        book = buildSelfPlayBook({ pitsPerPlayer, seedsPerPit, rules, plies, games, random, onProgress: progress });
+    }
+
+    fs.mkdirSync(path.dirname(outFile), { recursive: true });
+    fs.writeFileSync(outFile, JSON.stringify(book));
+
+    console.log(`\n✅ Opening book with ${book.size.toLocaleString()} positions saved to ${outFile}`);
+}
+
+if (require.main === module) {
+    buildOpeningBook();
+}
+
+module.exports = { buildSearchBook, buildSelfPlayBook, openingPositions };
@@ -0,0 +1,95 @@
+#!/usr/bin/env node
+
+/**
+ * Model Converter
+ *
+ * Rewrites models saved in the older single-file format (weights as number arrays in
+ * model.json) as standard TensorFlow.js files: model.json with a weights manifest and
+ * metadata block, plus weights.bin (see src/ai/model-io.js). The converted network is
+ * checked to give the same outputs as the original.
+ *
+ * Usage:
+ *   node src/training/convert-model.js [modelDir...] [--out=dir]
+ *
+ * Examples:
+ *   node src/training/convert-model.js                       # models/kalah-agent, in place
+ *   node src/training/convert-model.js models/kalah-agent --out=models/kalah-agent-v2
+ */
+
+const fs = require('fs');
+const path = require('path');
+const tf = require('@tensorflow/tfjs-node');
+const { saveModel, loadModel, WEIGHTS_FILE } = require('../ai/model-io.js');
+const { getFeatureSize } = require('../ai/feature-extractor.js');
+
+/**
+ * Convert one model directory
+ * @param {string} modelDir - Directory with an older model.json
+ * @param {string} outDir - Where to write the converted files (default: modelDir)
+ * @returns {Promise<boolean>} false if the model was already in the standard format
+ */
+async function convertModel(modelDir, outDir = modelDir) {
+    const sizeBefore = fs.statSync(path.join(modelDir, 'model.json')).size;
+    // Networks that take other features are refused here: the converted metadata would claim
+    // the current feature extractor for them
+    const { model, metadata, legacy } = await loadModel(modelDir);
+    if (!legacy) {
+        return false;
+    }
+
+    // Files without board geometry predate it: they were trained on Kalah(6,4)
+    const board = metadata.board || { pitsPerPlayer: 6, seedsPerPit: 4 };
+    const featureSize = getFeatureSize(board.pitsPerPlayer);
+
+    const probe = tf.randomUniform([8, featureSize]);
+    const outputsOf = (m) => [].concat(m.predict(probe)).map(t => Array.from(t.dataSync()));
+    const before = outputsOf(model);
+
+    await saveModel(model, outDir, { ...metadata, board });
+
+    const { model: converted } = await loadModel(outDir);
+    const after = outputsOf(converted);
+    const maxDiff = Math.max(...before.flatMap((output, i) => output.map((v, j) => Math.abs(v - after[i][j]))));
+    if (maxDiff > 1e-6) {
+        throw new Error(`Converted model differs from the original (max output difference ${maxDiff})`);
+    }
+
+    const sizeAfter = fs.statSync(path.join(outDir, 'model.json')).size +
+        fs.statSync(path.join(outDir, WEIGHTS_FILE)).size;
+    console.log(`✅ ${modelDir} → ${outDir}: ${(sizeBefore / 1024).toFixed(0)} KB → ` +
+        `${(sizeAfter / 1024).toFixed(0)} KB (model.json + ${WEIGHTS_FILE}), same outputs`);
+    return true;
+}
+
+async function convertModels() {
+    const args = process.argv.slice(2);
+    const flag = (name) => {
+        const arg = args.find(a => a.startsWith(`--${name}=`));
+        return arg ? arg.slice(name.length + 3) : undefined;
+    };
+    const modelDirs = args.filter(a => !a.startsWith('--'));
+    if (modelDirs.length === 0) {
+        modelDirs.push(path.join('models', 'kalah-agent'));
+    }
+    const outDir = flag('out');
+    if (outDir && modelDirs.length > 1) {
+        throw new Error('--out needs a single model directory');
+    }
+
+    console.log('🔄 Converting models to the standard TensorFlow.js format\n');
+
+    for (const modelDir of modelDirs) {
+        if (!await convertModel(modelDir, outDir || modelDir)) {
+            console.log(`⏭️  ${modelDir} is already in the standard format`);
+        }
+    }
+}
+
+if (require.main === module) {
+    convertModels().catch(error => {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    });
+}
+
+module.exports = { convertModel };
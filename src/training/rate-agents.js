@@ -0,0 +1,279 @@
+#!/usr/bin/env node
+
+/**
+ * Rating Tournament
+ *
+ * Plays a tournament between agents and rates them on an Elo ladder (see RatingLadder):
+ * ratings with 95% confidence intervals, relative to the random player, kept in a ratings
+ * file. Win rates against random saturate; ratings keep telling strong agents apart.
+ *
+ * Usage:
+ *   node src/training/rate-agents.js [player ...] [--file=models/ratings.json] [--games=N]
+ *                                    [--format=round-robin|swiss] [--rounds=N] [--openings=N]
+ *                                    [--pits=N] [--seeds=N] [--seed=N] [--simulations=N]
+ *
+ * The board is the ratings file's (--pits and --seeds pick it for a new file, default Kalah(6,4)).
+ *
+ * Players are random, minimax[:difficulty|depth], mcts[:iterations] or a model directory
+ * (a DQN checkpoint playing its greedy moves, or an AlphaZero model searching --simulations
+ * per move). The players already in the ratings file take part too, so adding a checkpoint
+ * plays it against everyone rated before, and the file's ratings evolve with each run.
+ * Without any players, the tournament starts with random, minimax easy and medium and MCTS.
+ *
+ * --format=round-robin (default) plays every pair --games games (default: 20), topping up
+ * pairs that played fewer; --format=swiss plays --rounds rounds (default: 3) of --games games
+ * between closely rated players, for large fields. Each pair of games starts from the same
+ * --openings random moves (default: 4) with the players on either side, so deterministic
+ * agents don't replay one game. --seed makes the openings and the players' random choices
+ * reproducible.
+ *
+ * Examples:
+ *   node src/training/rate-agents.js                         # Rate the built-in AIs
+ *   node src/training/rate-agents.js models/kalah-agent      # Add the trained agent
+ *   node src/training/rate-agents.js checkpoints/checkpoint-*  # Add every checkpoint
+ *   node src/training/rate-agents.js --format=swiss --rounds=5 --games=10
+ *   node src/training/rate-agents.js --pits=4 --seeds=3 --file=models/ratings-4x3.json
+ */
+
+const fs = require('fs');
+const path = require('path');
+const QLearningAgent = require('../ai/rl-agent.js');
+const AlphaZeroAgent = require('../ai/alphazero-agent.js');
+const Trainer = require('../ai/trainer.js');
+const RatingLadder = require('../ai/rating-ladder.js');
+const EndgameDatabase = require('../ai/endgame-db.js');
+const KalahEngine = require('../engine/kalah-engine.js');
+const { isOpponentSpec } = require('./training-config.js');
+const { createRandom } = require('../utils/random.js');
+
+const DEFAULT_PLAYERS = ['random', 'minimax:easy', 'minimax:medium', 'mcts:500'];
+
+/**
+ * Create a player from its spec
+ * @param {string} spec - An opponent spec (see Trainer.createOpponentPolicy) or a model directory
+ * @param {Object} options - { board, random, simulations }: the ladder's board, the random
+ *   generator of the built-in players and AlphaZero's simulations per move (default: its own)
+ * @returns {Promise<Object>} { name, policy } - the name the ladder knows it by
+ */
+async function loadPlayer(spec, { board, random = Math.random, simulations = null }) {
+    if (isOpponentSpec(spec)) {
+        return { name: spec, policy: Trainer.createOpponentPolicy(spec, random).policy };
+    }
+
+    const modelPath = `${spec}/model.json`;
+    if (!fs.existsSync(modelPath)) {
+        throw new Error(`Not a player: ${spec} (expected random, minimax[:difficulty|depth], ` +
+            'mcts[:iterations] or a model directory)');
+    }
+    const modelJSON = JSON.parse(fs.readFileSync(modelPath, 'utf8'));
+    const metadata = modelJSON.userDefinedMetadata || modelJSON;
+
+    if (metadata.agentType === 'alphazero') {
+        const agent = new AlphaZeroAgent(board);
+        await agent.load(spec);
+        if (simulations) {
+            agent.simulations = simulations;
+        }
+        return { name: spec, policy: (state) => agent.search(state).move };
+    }
+
+    const agent = new QLearningAgent({ ...board, seed: 0 });
+    await agent.load(spec);
+    agent.epsilon = 0;
+    return { name: spec, policy: (state, validMoves) => agent.selectAction(state, validMoves) };
+}
+
+/**
+ * Play games between two players, each taking both sides of every opening
+ * @param {Object} a - { name, policy } (policy: function(state, validMoves) => action)
+ * @param {Object} b - Its opponent
+ * @param {Object} options - Match options
+ * @param {number} options.games - Games to play, rounded up to an even number
+ * @param {Object} options.board - { pitsPerPlayer, seedsPerPit }
+ * @param {number} options.openings - Random moves each pair of games starts with (default: 4)
+ * @param {Function} options.random - Random number generator for the openings (default: Math.random)
+ * @returns {Object} { wins, draws, losses } of a
+ */
+function playMatch(a, b, { games, board, openings = 4, random = Math.random }) {
+    const results = { wins: 0, draws: 0, losses: 0 };
+
+    for (let pair = 0; pair < Math.ceil(games / 2); pair++) {
+        const opening = new KalahEngine({ ...board, enableLogging: false });
+        for (let ply = 0; ply < openings && !opening.gameOver; ply++) {
+            const validMoves = opening.getValidMoves();
+            opening.makeMove(validMoves[Math.floor(random() * validMoves.length)]);
+        }
+
+        for (const aPlayer of [0, 1]) {
+            const game = new KalahEngine({ ...board, enableLogging: false });
+            game.setState(opening.getState());
+            while (!game.gameOver) {
+                const state = game.getState();
+                const player = state.currentPlayer === aPlayer ? a : b;
+                game.makeMove(player.policy(state, game.getValidMoves()));
+            }
+
+            const winner = game.getWinner();
+            if (winner === null) results.draws++;
+            else if (winner === aPlayer) results.wins++;
+            else results.losses++;
+        }
+    }
+
+    return results;
+}
+
+/**
+ * Play a tournament and record it on the ladder, saving the ratings file after every match
+ * @param {RatingLadder} ladder - Ladder the players are on
+ * @param {Object[]} players - { name, policy } of the players taking part
+ * @param {Object} options - Tournament options
+ * @param {string} options.format - 'round-robin' or 'swiss' (default: 'round-robin')
+ * @param {number} options.games - Games per pair (round robin: in total) or per pairing (swiss) (default: 20)
+ * @param {number} options.rounds - Swiss rounds (default: 3)
+ * @param {number} options.openings - See playMatch
+ * @param {Function} options.random - See playMatch
+ * @param {Function} options.onMatch - Called as onMatch(a, b, results) after each match
+ * @returns {number} Games played
+ */
+function runTournament(ladder, players, options = {}) {
+    const {
+        format = 'round-robin',
+        games = 20,
+        rounds = 3,
+        openings = 4,
+        random = Math.random,
+        onMatch = () => {}
+    } = options;
+
+    const byName = new Map(players.map(player => [player.name, player]));
+    const names = players.map(player => player.name);
+
+    // Round robin: each pair's missing games; swiss: a round's pairings at a time
+    const schedule = [];
+    if (format === 'round-robin') {
+        for (const [a, b] of RatingLadder.roundRobin(names)) {
+            const missing = games - ladder.resultsBetween(a, b).games;
+            if (missing > 0) {
+                schedule.push(() => [[a, b, missing]]);
+            }
+        }
+    } else if (format === 'swiss') {
+        for (let round = 0; round < rounds; round++) {
+            schedule.push(() => ladder.swissRound(names).map(([a, b]) => [a, b, games]));
+        }
+    } else {
+        throw new Error(`Unknown tournament format: ${format} (expected round-robin or swiss)`);
+    }
+
+    let played = 0;
+    for (const matches of schedule) {
+        for (const [a, b, count] of matches()) {
+            const results = playMatch(byName.get(a), byName.get(b), { games: count, board: ladder.board, openings, random });
+            ladder.record(a, b, results);
+            ladder.save();
+            played += results.wins + results.draws + results.losses;
+            onMatch(a, b, results);
+        }
+    }
+    return played;
+}
+
+/**
+ * Print the ladder's ratings as a table
+ * @param {RatingLadder} ladder - Ladder to print
+ */
+function printRatings(ladder) {
+    const ratings = ladder.fit();
+    const width = Math.max(6, ...ratings.map(r => r.name.length));
+
+    console.log(`\n${'Rank'.padStart(4)}  ${'Player'.padEnd(width)}  ${'Elo'.padStart(7)}  ${'95% CI'.padStart(8)}  ` +
+        `${'Games'.padStart(6)}  ${'Score'.padStart(6)}`);
+    ratings.forEach((r, i) => {
+        console.log(
+            `${String(i + 1).padStart(4)}  ${r.name.padEnd(width)}  ` +
+            `${(r.rating === null ? '-' : r.rating.toFixed(0)).padStart(7)}  ` +
+            `${(r.interval === null ? '' : `± ${r.interval.toFixed(0)}`).padStart(8)}  ` +
+            `${String(r.games).padStart(6)}  ` +
+            `${(r.score === null ? '-' : `${(100 * r.score).toFixed(1)}%`).padStart(6)}`
+        );
+    });
+    const anchor = ladder.playerNames.includes(ladder.anchor) ? ladder.anchor : ladder.playerNames[0];
+    console.log(`\nRatings are relative to ${anchor} (0). Unrated players (-) haven't played anyone rated yet.`);
+}
+
+async function rateAgents() {
+    const args = process.argv.slice(2);
+    const flag = (name) => {
+        const arg = args.find(a => a.startsWith(`--${name}=`));
+        return arg ? arg.slice(name.length + 3) : undefined;
+    };
+    const file = flag('file') || path.join('models', 'ratings.json');
+    const boardFlags = flag('pits') !== undefined || flag('seeds') !== undefined;
+    const format = flag('format') || 'round-robin';
+    const games = parseInt(flag('games')) || 20;
+    const rounds = parseInt(flag('rounds')) || 3;
+    const openings = flag('openings') !== undefined ? parseInt(flag('openings')) : 4;
+    const random = flag('seed') !== undefined ? createRandom(parseInt(flag('seed'))) : Math.random;
+    const simulations = parseInt(flag('simulations')) || null;
+
+    // The board defaults to the ratings file's (a new file: Kalah(6,4))
+    const ladder = new RatingLadder(file, {
+        board: boardFlags ? { pitsPerPlayer: parseInt(flag('pits')) || 6, seedsPerPit: parseInt(flag('seeds')) || 4 } : null
+    });
+    const board = ladder.board;
+    const specs = args.filter(a => !a.startsWith('--')).map(spec => (isOpponentSpec(spec) ? spec : path.normalize(spec)));
+    if (specs.length === 0 && ladder.playerNames.length === 0) {
+        specs.push(...DEFAULT_PLAYERS);
+    }
+
+    console.log('🏆 Kalah Rating Tournament\n');
+    console.log(`Board: Kalah(${board.pitsPerPlayer},${board.seedsPerPit})`);
+    const endgame = EndgameDatabase.loadDefault(board.pitsPerPlayer);
+    console.log(`Endgame table: ${endgame ? `up to ${endgame.maxSeeds} seeds` : 'none (npm run build:endgame)'}`);
+    console.log(`Ratings file: ${file}`);
+    console.log(`Format: ${format === 'swiss' ? `swiss, ${rounds} rounds of ${games} games per pairing` : `round robin, ${games} games per pair`}`);
+
+    // Everyone on the ladder plays, unless they can't be loaded any more
+    const players = [];
+    for (const spec of [...ladder.playerNames.map(name => ladder.players[name].spec), ...specs]) {
+        if (players.some(player => player.name === spec)) {
+            continue;
+        }
+        try {
+            players.push(await loadPlayer(spec, { board, random, simulations }));
+            ladder.addPlayer(spec, spec);
+        } catch (error) {
+            if (!ladder.players[spec]) {
+                throw error;
+            }
+            console.log(`⚠️  ${spec} sits out: ${error.message}`);
+        }
+    }
+    console.log(`Players: ${players.map(player => player.name).join(', ')}\n`);
+
+    const start = Date.now();
+    const played = runTournament(ladder, players, {
+        format,
+        games,
+        rounds,
+        openings,
+        random,
+        onMatch: (a, b, { wins, draws, losses }) => console.log(`   ${a} vs ${b}: +${wins} =${draws} -${losses}`)
+    });
+    ladder.save();
+
+    console.log(played > 0
+        ? `\n✅ ${played} games in ${((Date.now() - start) / 1000).toFixed(1)}s, ratings saved to ${file}`
+        : `\n✅ Every pair has played ${games} games already (raise --games to play more)`);
+    printRatings(ladder);
+}
+
+if (require.main === module) {
+    rateAgents().catch(error => {
+        console.error(`❌ ${error.message}`);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = { loadPlayer, playMatch, runTournament, printRatings };
@@ -4,6 +4,11 @@
  * RL Agent Demo
  *
  * Demonstrates training and playing with the Q-Learning agent
+ *
+ * Usage:
+ *   node src/training/rl-demo.js [--quick-train] [--seed=N]
+ *
+ * --seed makes training and evaluation reproducible (see train-agent.js)
  */
 
 const QLearningAgent = require('../ai/rl-agent.js');
@@ -14,6 +19,12 @@ const readline = require('readline');
 async function main() {
     console.log('🎮 Kalah/Mancala Q-Learning Agent Demo\n');
 
+    const seedArg = process.argv.find(a => a.startsWith('--seed='));
+    const seed = seedArg ? parseInt(seedArg.split('=')[1]) : undefined;
+    if (seed !== undefined) {
+        console.log(`Seed: ${seed}`);
+    }
+
     // Create agent with improved DQN hyperparameters
     console.log('Creating DQN agent...');
     const agent = new QLearningAgent({
@@ -26,7 +37,8 @@ async function main() {
         replayBufferSize: 100000,
         batchSize: 64,
         targetUpdateFreq: 1000,
-        gradientClipValue: 1.0
+        gradientClipValue: 1.0,
+        seed
     });
 
     // Create trainer
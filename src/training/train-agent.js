@@ -4,88 +4,233 @@
  * Configurable Training Script with Checkpointing
  *
  * Usage:
- *   node src/training/train-agent.js [episodes] [evalInterval]
+ *   node src/training/train-agent.js [episodes] [evalInterval] [--preset=name] [--config=file]
+ *                                    [--section.setting=value ...] [--print-config]
+ *   node src/training/train-agent.js --resume[=path]
+ *
+ * Every setting comes from the run's config (see src/training/training-config.js for all
+ * settings and their defaults): --preset starts from configs/<name>.json, --config reads a
+ * .json or .js file, and --section.setting=value overrides one setting, e.g.
+ * --agent.batchSize=256 or --curriculum.2.opponent=mcts:500. [episodes] and [evalInterval]
+ * set episodes and evaluation.interval. Invalid settings are all reported before training
+ * starts; --print-config prints the resolved config and exits. The config is saved as
+ * config.json next to each checkpoint.
+ *
+ * Short flags for common settings:
+ * --pits=N --seeds=N pick the board (board.pitsPerPlayer, board.seedsPerPit)
+ * --eval-opponent picks the checkpoint evaluation opponent: random (default),
+ * minimax[:difficulty] or mcts[:iterations]
+ * --double-dqn, --dueling, --n-steps and --prioritized (replay) select the DQN variant (see QLearningAgent);
+ * they are saved with the model, so variants can be compared
+ * --seed makes the run reproducible: weight initialization, exploration, replay sampling and the
+ * opponents' random moves all draw from one seeded generator, so the same seed gives the same eval history
+ * --workers plays the self-play stage's games on N worker threads, sending them the network's weights
+ * every --sync-interval games (default: 10); Ctrl+C then stops cleanly, saving a resume point.
+ * Parallel runs aren't reproducible with --seed: the games arrive in whatever order the workers finish
+ * --run names the run: its metrics (loss, epsilon, learning rate, win rates, average |Q|, buffer size)
+ * go to ./runs/<name>/ as JSONL and CSV (default name: the start time), charted by the dashboard page
+ * (npm run serve, then http://localhost:8080/dashboard.html)
+ * Curriculum stages with opponent "league" train against a pool of frozen snapshots of the agent
+ * and fixed opponents, kept in ./league across runs (see Trainer.trainLeague and the league settings)
+ * --resume continues an interrupted run from its last resume point (default: ./checkpoints/latest,
+ * saved every evalInterval episodes) with the settings it was started with
  *
  * Examples:
  *   node src/training/train-agent.js            # Default: 50k episodes, eval every 5k
  *   node src/training/train-agent.js 30000      # 30k episodes, eval every 5k
  *   node src/training/train-agent.js 30000 3000 # 30k episodes, eval every 3k
+ *   node src/training/train-agent.js --preset=quick   # 2k-episode smoke run
+ *   node src/training/train-agent.js --preset=ladder  # Stages end on promotion
+ *   node src/training/train-agent.js --preset=league  # Past snapshots, minimax and random
+ *   node src/training/train-agent.js --config=my-run.json --agent.batchSize=256
+ *   node src/training/train-agent.js 30000 3000 --pits=4 --seeds=3  # Kalah(4,3) board
+ *   node src/training/train-agent.js 30000 3000 --eval-opponent=mcts:500
+ *   node src/training/train-agent.js 30000 3000 --double-dqn --dueling --n-steps=3
+ *   node src/training/train-agent.js 30000 3000 --seed=42  # Reproducible run
+ *   node src/training/train-agent.js 30000 3000 --workers=4   # Self-play on 4 threads
+ *   node src/training/train-agent.js --resume   # Continue after Ctrl+C or a crash
  */
 
+const fs = require('fs');
 const QLearningAgent = require('../ai/rl-agent.js');
 const Trainer = require('../ai/trainer.js');
+const EndgameDatabase = require('../ai/endgame-db.js');
+const { getFeatureSize } = require('../ai/feature-extractor.js');
+const { DEFAULTS, resolveConfig, parseOverrides } = require('./training-config.js');
+
+// Flags handled here rather than as config overrides
+const SCRIPT_FLAGS = ['config', 'preset', 'resume', 'print-config'];
 
 async function trainAgent() {
-    // Parse command line arguments
+    // Parse command line arguments (--name=value flags, then positional arguments)
     const args = process.argv.slice(2);
-    const numEpisodes = parseInt(args[0]) || 50000;
-    const evalInterval = parseInt(args[1]) || 5000;
+    const option = (name) => {
+        const arg = args.find(a => a === `--${name}` || a.startsWith(`--${name}=`));
+        return arg ? (arg.split('=')[1] || true) : undefined;
+    };
+    const resumeArg = option('resume');
+    if (resumeArg) {
+        await resumeTraining(resumeArg === true ? './checkpoints/latest' : resumeArg);
+        return;
+    }
+
+    const positional = args.filter(a => !a.startsWith('--'));
+    let config;
+    try {
+        const overrides = [
+            ...(positional[0] ? [['episodes', parseInt(positional[0])]] : []),
+            ...(positional[1] ? [['evaluation.interval', parseInt(positional[1])]] : []),
+            ...parseOverrides(args.filter(a => !SCRIPT_FLAGS.includes(a.slice(2).split('=')[0])))
+        ];
+        config = resolveConfig({ preset: option('preset') || null, file: option('config') || null, overrides });
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exitCode = 1;
+        return;
+    }
+    if (config.run === null) {
+        config.run = new Date().toISOString().replace(/[:.]/g, '-');
+    }
+    if (option('print-config')) {
+        console.log(JSON.stringify(config, null, 2));
+        return;
+    }
+
+    const { board, agent: agentSettings, evaluation, selfPlay, league, paths } = config;
+    const { pitsPerPlayer, seedsPerPit } = board;
+    const metricsDir = `${paths.runs}/${config.run}`;
 
     console.log('🎮 Training Kalah/Mancala RL Agent\n');
-    console.log(`Episodes: ${numEpisodes}`);
-    console.log(`Eval interval: ${evalInterval}`);
-    console.log(`Architecture: 15 → 64 → 64 → 32 → 6`);
+    if (config.preset) {
+        console.log(`Preset: ${config.preset}`);
+    }
+    console.log(`Board: Kalah(${pitsPerPlayer},${seedsPerPit})`);
+    loadEndgameTable(pitsPerPlayer);
+    console.log(`Episodes: ${config.episodes}`);
+    console.log(`Eval interval: ${evaluation.interval} (vs ${evaluation.opponent})`);
+    console.log(agentSettings.dueling
+        ? `Architecture: ${getFeatureSize(pitsPerPlayer)} → 64 → 64 → value 32 → 1 + advantage 32 → ${pitsPerPlayer} (dueling)`
+        : `Architecture: ${getFeatureSize(pitsPerPlayer)} → 64 → 64 → 32 → ${pitsPerPlayer}`);
+    console.log(`Targets: ${agentSettings.doubleDQN ? 'Double DQN' : 'DQN'}, ${agentSettings.nSteps}-step returns, ` +
+        `${agentSettings.prioritizedReplay ? 'prioritized' : 'uniform'} replay`);
+    console.log(`Hyperparameters: lr ${agentSettings.learningRate} → ${agentSettings.learningRateEnd}, ` +
+        `γ ${agentSettings.discountFactor}, ε ${agentSettings.epsilon} → ${agentSettings.epsilonMin} ` +
+        `over ${agentSettings.epsilonDecaySteps} episodes, batch ${agentSettings.batchSize}`);
+    console.log(`Curriculum: ${config.curriculum.map(stage => `${stage.opponent} ` +
+        (stage.promotion ? `until ${stage.promotion.winRate}% (at most ${stage.maxEpisodes} episodes)`
+            : stage.episodes !== undefined ? `${stage.episodes} episodes`
+            : `${Math.round(stage.fraction * 100)}%`)).join(', ')}`);
+    if (agentSettings.seed !== null) {
+        console.log(`Seed: ${agentSettings.seed}`);
+    }
+    if (config.curriculum.some(stage => stage.opponent === 'league')) {
+        console.log(`League pool: ${paths.league} (fixed: ${league.opponents.join(', ') || 'none'}, ` +
+            `a snapshot every ${league.snapshotInterval} episodes, at most ${league.maxSnapshots})`);
+    }
+    if (selfPlay.workers > 0) {
+        console.log(`Self-play workers: ${selfPlay.workers} (weights synced every ${selfPlay.syncInterval} games)`);
+    }
+    console.log(`Metrics: ${metricsDir}`);
 
     // Create agent with DQN hyperparameters
     const agent = new QLearningAgent({
-        learningRate: 0.001,
-        learningRateEnd: 0.0005,
-        discountFactor: 0.99,
-        epsilon: 1.0,
-        epsilonMin: 0.05,
-        epsilonDecaySteps: numEpisodes,  // Decay over full training
-        replayBufferSize: 100000,
-        batchSize: 64,
-        targetUpdateFreq: 1000,
-        gradientClipValue: 1.0
+        ...board,
+        ...agentSettings,
+        seed: agentSettings.seed === null ? undefined : agentSettings.seed
     });
 
     // Create trainer
     const trainer = new Trainer(agent, {
-        verbose: true,
-        logInterval: 500  // Log every 500 episodes
+        ...config.trainer,
+        metricsDir,
+        config
     });
 
     // Train with curriculum
     console.log('\n🤖 Starting curriculum training...');
-    const results = await trainer.trainCurriculum(numEpisodes, {
-        evalInterval,
-        evalGames: 200,
-        savePath: './checkpoints',
-        keepBest: true
+    const results = await trainer.trainCurriculum(config.episodes, {
+        evalInterval: evaluation.interval,
+        evalGames: evaluation.games,
+        evalOpponent: evaluation.opponent,
+        savePath: paths.checkpoints,
+        keepBest: evaluation.keepBest,
+        workers: selfPlay.workers,
+        syncInterval: selfPlay.syncInterval,
+        stages: config.curriculum,
+        league: { ...league, dir: paths.league }
+    });
+
+    await finishTraining(agent, results, paths);
+}
+
+/**
+ * Load the board's endgame table (the agent and the evaluation opponents play from it) and say which it is
+ */
+function loadEndgameTable(pitsPerPlayer) {
+    const endgame = EndgameDatabase.loadDefault(pitsPerPlayer);
+    console.log(`Endgame table: ${endgame ? `up to ${endgame.maxSeeds} seeds` : 'none (npm run build:endgame)'}`);
+}
+
+/**
+ * Continue an interrupted run: the agent's settings, the board and the run's options all
+ * come from the resume point, the logging and paths from its config.json (resume points
+ * saved before configs existed use the defaults)
+ */
+async function resumeTraining(resumePath) {
+    const { board, run, position, metricsDir } = Trainer.readTrainingState(resumePath);
+    const configPath = `${resumePath}/config.json`;
+    const config = fs.existsSync(configPath) ? JSON.parse(fs.readFileSync(configPath, 'utf8')) : null;
+    const { trainer: trainerSettings, paths } = config || DEFAULTS;
+
+    console.log('🎮 Resuming Kalah/Mancala RL Agent Training\n');
+    console.log(`Resume point: ${resumePath}`);
+    console.log(`Board: Kalah(${board.pitsPerPlayer},${board.seedsPerPit})`);
+    loadEndgameTable(board.pitsPerPlayer);
+    console.log(`Episodes: ${run.numEpisodes} (stage ${position.stage + 1}, episode ${position.episode} done)`);
+
+    const agent = new QLearningAgent(board);
+    const trainer = new Trainer(agent, {
+        ...trainerSettings,
+        metricsDir,
+        config
     });
 
+    const results = await trainer.resume(resumePath);
+    await finishTraining(agent, results, paths);
+}
+
+/**
+ * Copy the best checkpoint to the model location and print a summary (unless the run was interrupted)
+ */
+async function finishTraining(agent, results, paths) {
+    if (results.interrupted) {
+        console.log('\n💡 Continue with: node src/training/train-agent.js --resume');
+        return;
+    }
+
     // Copy best checkpoint to final model location
-    const fs = require('fs');
     const path = require('path');
 
-    console.log('\n📦 Copying best checkpoint to ./models/kalah-agent...');
+    const sourcePath = `${paths.checkpoints}/best-checkpoint`;
+    const targetPath = paths.model;
 
-    const sourcePath = './checkpoints/best-checkpoint';
-    const targetPath = './models/kalah-agent';
+    console.log(`\n📦 Copying best checkpoint to ${targetPath}...`);
 
-    // Create models directory
-    if (!fs.existsSync('./models')) {
-        fs.mkdirSync('./models', { recursive: true });
+    // Create model directory
+    if (!fs.existsSync(targetPath)) {
+        fs.mkdirSync(targetPath, { recursive: true });
     }
 
     // Copy model files
     if (fs.existsSync(sourcePath)) {
-        // Copy model.json
-        fs.copyFileSync(
-            path.join(sourcePath, 'model.json'),
-            path.join(targetPath, 'model.json')
-        );
-
-        // Copy metadata
-        if (fs.existsSync(path.join(sourcePath, 'metadata.json'))) {
-            fs.copyFileSync(
-                path.join(sourcePath, 'metadata.json'),
-                path.join(targetPath, 'metadata.json')
-            );
+        // Copy the model files (model.json + weights.bin), metadata and the run's config
+        for (const file of ['model.json', 'weights.bin', 'metadata.json', 'config.json']) {
+            if (fs.existsSync(path.join(sourcePath, file))) {
+                fs.copyFileSync(path.join(sourcePath, file), path.join(targetPath, file));
+            }
         }
 
-        console.log('✅ Best model copied to ./models/kalah-agent');
+        console.log(`✅ Best model copied to ${targetPath}`);
     } else {
         console.log('⚠️  No checkpoint found, saving current model...');
         await agent.save(targetPath);
@@ -95,8 +240,8 @@ async function trainAgent() {
     console.log('🎉 Training Complete!');
     console.log('='.repeat(70));
     console.log(`🏆 Best model: Episode ${results.bestEpisode} (${results.bestWinRate.toFixed(1)}% win rate)`);
-    console.log(`📁 Model location: ./models/kalah-agent`);
-    console.log(`📊 Checkpoints: ./checkpoints`);
+    console.log(`📁 Model location: ${targetPath}`);
+    console.log(`📊 Checkpoints: ${paths.checkpoints}`);
     console.log('\n💡 To play against this agent:');
     console.log('   Open http://localhost:8080 and select "Hard (RL Agent)"');
     console.log('   Or run: npm run rl-demo');
@@ -0,0 +1,106 @@
+#!/usr/bin/env node
+
+/**
+ * AlphaZero Training Script
+ *
+ * Trains a policy/value network from MCTS self-play (see AlphaZeroAgent).
+ *
+ * Usage:
+ *   node src/training/train-alphazero.js [iterations] [gamesPerIteration] [--pits=N] [--seeds=N]
+ *                                        [--simulations=N] [--eval-interval=N] [--eval-opponent=spec]
+ *                                        [--model=path] [--seed=N]
+ *
+ * Examples:
+ *   node src/training/train-alphazero.js                  # Default: 100 iterations of 20 games
+ *   node src/training/train-alphazero.js 50 10 --simulations=50
+ *   node src/training/train-alphazero.js 100 20 --eval-opponent=minimax:medium
+ *   node src/training/train-alphazero.js 50 10 --seed=42    # Reproducible run
+ *
+ * Self-play uses the endgame table in models/endgame, if built (npm run build:endgame),
+ * to score positions with few seeds left exactly.
+ *
+ * --seed makes the run reproducible: weight initialization, root noise, move sampling, replay
+ * sampling and the eval opponent's random moves all draw from one seeded generator.
+ *
+ * The best checkpoint is copied to --model (default: ./models/alphazero-agent). The browser
+ * plays it as "Hard (RL Agent)" when copied to ./models/kalah-agent.
+ */
+
+const AlphaZeroAgent = require('../ai/alphazero-agent.js');
+const Trainer = require('../ai/trainer.js');
+const EndgameDatabase = require('../ai/endgame-db.js');
+const { getFeatureSize } = require('../ai/feature-extractor.js');
+const fs = require('fs');
+const path = require('path');
+
+async function trainAlphaZero() {
+    // Parse command line arguments (--name=value flags, then positional arguments)
+    const args = process.argv.slice(2);
+    const flag = (name) => {
+        const arg = args.find(a => a.startsWith(`--${name}=`));
+        return arg ? arg.slice(name.length + 3) : undefined;
+    };
+    const positional = args.filter(a => !a.startsWith('--'));
+    const numIterations = parseInt(positional[0]) || 100;
+    const gamesPerIteration = parseInt(positional[1]) || 20;
+    const pitsPerPlayer = parseInt(flag('pits')) || 6;
+    const seedsPerPit = parseInt(flag('seeds')) || 4;
+    const simulations = parseInt(flag('simulations')) || 100;
+    const evalInterval = parseInt(flag('eval-interval')) || 10;
+    const evalOpponent = flag('eval-opponent') || 'random';
+    const targetPath = flag('model') || './models/alphazero-agent';
+    const seed = flag('seed') !== undefined ? parseInt(flag('seed')) : undefined;
+    Trainer.createOpponentPolicy(evalOpponent); // Fail early on a bad spec
+
+    console.log('🎮 Training Kalah/Mancala AlphaZero Agent\n');
+    console.log(`Board: Kalah(${pitsPerPlayer},${seedsPerPit})`);
+    console.log(`Iterations: ${numIterations} × ${gamesPerIteration} games, ${simulations} simulations per move`);
+    console.log(`Eval interval: ${evalInterval} iterations (vs ${evalOpponent})`);
+    console.log(`Architecture: ${getFeatureSize(pitsPerPlayer)} → 128 → 128 → policy ${pitsPerPlayer} + value 1`);
+    if (seed !== undefined) {
+        console.log(`Seed: ${seed}`);
+    }
+
+    const endgame = EndgameDatabase.loadDefault(pitsPerPlayer);
+    console.log(`Endgame table: ${endgame ? `up to ${endgame.maxSeeds} seeds` : 'none (npm run build:endgame)'}`);
+
+    const agent = new AlphaZeroAgent({ pitsPerPlayer, seedsPerPit, simulations, seed });
+    const trainer = new Trainer(agent, { verbose: true });
+
+    const savePath = './checkpoints/alphazero';
+    const results = await trainer.trainAlphaZero(numIterations, {
+        gamesPerIteration,
+        evalInterval,
+        evalOpponent,
+        savePath,
+        keepBest: true
+    });
+
+    // Copy best checkpoint to final model location
+    console.log(`\n📦 Copying best checkpoint to ${targetPath}...`);
+    const sourcePath = path.join(savePath, 'best-checkpoint');
+    fs.mkdirSync(targetPath, { recursive: true });
+
+    if (fs.existsSync(sourcePath)) {
+        for (const file of ['model.json', 'weights.bin', 'metadata.json']) {
+            if (fs.existsSync(path.join(sourcePath, file))) {
+                fs.copyFileSync(path.join(sourcePath, file), path.join(targetPath, file));
+            }
+        }
+        console.log(`✅ Best model copied to ${targetPath}`);
+    } else {
+        console.log('⚠️  No checkpoint found, saving current model...');
+        await agent.save(targetPath);
+    }
+
+    console.log('\n' + '='.repeat(70));
+    console.log('🎉 Training Complete!');
+    console.log('='.repeat(70));
+    console.log(`🏆 Best model: Episode ${results.bestEpisode} (${results.bestWinRate.toFixed(1)}% win rate)`);
+    console.log(`📁 Model location: ${targetPath}`);
+    console.log('\n💡 To play against this agent:');
+    console.log(`   npm run play -- --ai=alphazero --model=${targetPath}`);
+    console.log('='.repeat(70));
+}
+
+trainAlphaZero().catch(console.error);
@@ -0,0 +1,543 @@
+/**
+ * Training Configuration
+ *
+ * A train-agent.js run is described by one config object (see DEFAULTS): the board, the
+ * agent's hyperparameters, logging, evaluations, self-play workers, the curriculum stages,
+ * the league stages' opponent pool and where files go. It is built from, each layer overriding the one before:
+ * 1. DEFAULTS
+ * 2. a named preset: configs/<name>.json (--preset=name, or "preset" in a config file)
+ * 3. a config file: .json, or .js exporting an object (--config=path)
+ * 4. command line overrides: --agent.batchSize=256, --curriculum.0.fraction=0.2, and the
+ *    short flags in ALIASES (--pits=4 is --board.pitsPerPlayer=4); null removes an optional
+ *    stage setting (--curriculum.0.fraction=null)
+ *
+ * and then checked against SCHEMA, so a typo or a bad value stops the run before it starts
+ * with every problem listed. The resolved config is saved as config.json next to each
+ * checkpoint (see Trainer).
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const PRESETS_DIR = path.join(__dirname, '..', '..', 'configs');
+
+const DEFAULTS = {
+    preset: null,
+    episodes: 50000,
+    run: null, // Metrics go to paths.runs/<run> (train-agent.js names runs after their start time)
+    board: {
+        pitsPerPlayer: 6,
+        seedsPerPit: 4
+    },
+    agent: {
+        learningRate: 0.001,
+        learningRateEnd: 0.0005,
+        discountFactor: 0.99,
+        epsilon: 1.0,
+        epsilonMin: 0.05,
+        epsilonDecaySteps: null, // null: decay over the whole run (episodes)
+        replayBufferSize: 100000,
+        batchSize: 64,
+        targetUpdateFreq: 1000,
+        gradientClipValue: 1.0,
+        doubleDQN: false,
+        dueling: false,
+        nSteps: 1,
+        prioritizedReplay: false,
+        priorityAlpha: 0.6,
+        priorityBeta: 0.4,
+        seed: null // null: a random seed
+    },
+    trainer: {
+        verbose: true,
+        logInterval: 500
+    },
+    evaluation: {
+        interval: 5000,
+        games: 200,
+        opponent: 'random',
+        keepBest: true
+    },
+    selfPlay: {
+        workers: 0,
+        syncInterval: 10
+    },
+    // See STAGE_SCHEMA and Trainer.trainCurriculum, whose default curriculum this is
+    curriculum: [
+        { name: 'Random opponent (warm-up)', opponent: 'random', fraction: 0.3 },
+        { name: 'Minimax opponent (intermediate)', opponent: 'minimax:medium', fraction: 0.4 },
+        { name: 'Self-play (advanced)', opponent: 'self', fraction: 0.3 }
+    ],
+    // Curriculum stages with opponent 'league' (see Trainer.trainLeague, whose defaults these are);
+    // the pool is kept in paths.league
+    league: {
+        opponents: ['random', 'minimax:medium'],
+        snapshotInterval: 2000,
+        maxSnapshots: 20,
+        prioritization: 2
+    },
+    paths: {
+        checkpoints: './checkpoints',
+        model: './models/kalah-agent',
+        runs: './runs',
+        league: './league'
+    }
+};
+
+// Leaves are { type, min, max, nullable, optional }, or { schema, optional } for an optional
+// section; other objects are sections
+const SCHEMA = {
+    preset: { type: 'string', nullable: true },
+    episodes: { type: 'integer', min: 1 },
+    run: { type: 'string', nullable: true },
+    board: {
+        pitsPerPlayer: { type: 'integer', min: 1 },
+        seedsPerPit: { type: 'integer', min: 1 }
+    },
+    agent: {
+        learningRate: { type: 'number', min: 0 },
+        learningRateEnd: { type: 'number', min: 0 },
+        discountFactor: { type: 'number', min: 0, max: 1 },
+        epsilon: { type: 'number', min: 0, max: 1 },
+        epsilonMin: { type: 'number', min: 0, max: 1 },
+        epsilonDecaySteps: { type: 'integer', min: 1, nullable: true },
+        replayBufferSize: { type: 'integer', min: 1 },
+        batchSize: { type: 'integer', min: 1 },
+        targetUpdateFreq: { type: 'integer', min: 1 },
+        gradientClipValue: { type: 'number', min: 0 },
+        doubleDQN: { type: 'boolean' },
+        dueling: { type: 'boolean' },
+        nSteps: { type: 'integer', min: 1 },
+        prioritizedReplay: { type: 'boolean' },
+        priorityAlpha: { type: 'number', min: 0 },
+        priorityBeta: { type: 'number', min: 0, max: 1 },
+        seed: { type: 'integer', nullable: true }
+    },
+    trainer: {
+        verbose: { type: 'boolean' },
+        logInterval: { type: 'integer', min: 1 }
+    },
+    evaluation: {
+        interval: { type: 'integer', min: 1 },
+        games: { type: 'integer', min: 2 },
+        opponent: { type: 'opponent' },
+        keepBest: { type: 'boolean' }
+    },
+    selfPlay: {
+        workers: { type: 'integer', min: 0 },
+        syncInterval: { type: 'integer', min: 1 }
+    },
+    curriculum: { type: 'stages' },
+    league: {
+        opponents: { type: 'opponents' },
+        snapshotInterval: { type: 'integer', min: 1 },
+        maxSnapshots: { type: 'integer', min: 1 },
+        prioritization: { type: 'number', min: 0 }
+    },
+    paths: {
+        checkpoints: { type: 'string' },
+        model: { type: 'string' },
+        runs: { type: 'string' },
+        league: { type: 'string' }
+    }
+};
+
+// Moving on from a stage: once the agent wins winRate % of `games` games against `opponent`
+// (default: the stage's), checked every `interval` episodes
+const PROMOTION_SCHEMA = {
+    winRate: { type: 'number', min: 0, max: 100 },
+    games: { type: 'integer', min: 2, optional: true },
+    interval: { type: 'integer', min: 1, optional: true },
+    opponent: { type: 'promotionOpponent', optional: true }
+};
+
+// A curriculum stage plays a fraction of the run's episodes, a fixed number of episodes, or
+// with promotion criteria until promoted, at most maxEpisodes
+const STAGE_SCHEMA = {
+    name: { type: 'string' },
+    opponent: { type: 'stageOpponent' },
+    fraction: { type: 'number', min: 0, max: 1, optional: true },
+    episodes: { type: 'integer', min: 0, optional: true },
+    maxEpisodes: { type: 'integer', min: 1, optional: true },
+    promotion: { schema: PROMOTION_SCHEMA, optional: true }
+};
+
+// Short command line flags (train-agent.js's earlier options)
+const ALIASES = {
+    'pits': 'board.pitsPerPlayer',
+    'seeds': 'board.seedsPerPit',
+    'eval-opponent': 'evaluation.opponent',
+    'double-dqn': 'agent.doubleDQN',
+    'dueling': 'agent.dueling',
+    'n-steps': 'agent.nSteps',
+    'prioritized': 'agent.prioritizedReplay',
+    'seed': 'agent.seed',
+    'workers': 'selfPlay.workers',
+    'sync-interval': 'selfPlay.syncInterval',
+    'run': 'run'
+};
+
+const MINIMAX_DIFFICULTIES = ['easy', 'medium', 'hard', 'expert'];
+
+const OPPONENTS = `random, minimax[:${MINIMAX_DIFFICULTIES.join('|')}|depth], mcts[:iterations]`;
+
+const TYPES = {
+    integer: { check: Number.isInteger, expected: 'an integer' },
+    number: { check: (v) => typeof v === 'number' && Number.isFinite(v), expected: 'a number' },
+    boolean: { check: (v) => typeof v === 'boolean', expected: 'true or false' },
+    string: { check: (v) => typeof v === 'string', expected: 'a string' },
+    opponent: {
+        check: (v) => isOpponentSpec(v),
+        expected: `an opponent (${OPPONENTS})`
+    },
+    opponents: {
+        check: (v) => Array.isArray(v) && v.every(isOpponentSpec),
+        expected: `a list of opponents (${OPPONENTS})`
+    },
+    promotionOpponent: {
+        check: (v) => isOpponentSpec(v) || isSnapshotSpec(v),
+        expected: `an opponent (${OPPONENTS}, snapshot[:dir])`
+    },
+    stageOpponent: {
+        check: (v) => v === 'self' || v === 'league' || isOpponentSpec(v) || isSnapshotSpec(v),
+        expected: `an opponent (${OPPONENTS}, snapshot[:dir], self or league)`
+    }
+};
+
+/**
+ * Whether a string names an opponent Trainer.createOpponentPolicy can build
+ * @param {*} spec - e.g. 'minimax:hard'
+ * @returns {boolean}
+ */
+function isOpponentSpec(spec) {
+    if (typeof spec !== 'string') {
+        return false;
+    }
+    const [type, setting, ...rest] = spec.split(':');
+    if (rest.length > 0) {
+        return false;
+    }
+    if (type === 'random') {
+        return setting === undefined;
+    }
+    if (type === 'minimax') {
+        return setting === undefined || MINIMAX_DIFFICULTIES.includes(setting) || /^[1-9]\d*$/.test(setting);
+    }
+    if (type === 'mcts') {
+        return setting === undefined || /^[1-9]\d*$/.test(setting);
+    }
+    return false;
+}
+
+/**
+ * Whether a string names a curriculum snapshot: 'snapshot' (the agent as its stage starts)
+ * or 'snapshot:<dir>' (a saved model)
+ */
+function isSnapshotSpec(spec) {
+    return spec === 'snapshot' || (typeof spec === 'string' && /^snapshot:.+/.test(spec));
+}
+
+/**
+ * Build a run's config from the defaults, a preset, a config file and overrides, and validate it
+ * @param {Object} sources - Where the settings come from
+ * @param {string} sources.preset - Preset name (configs/<name>.json)
+ * @param {string} sources.file - Config file path (.json or .js)
+ * @param {Array} sources.overrides - [path, value] pairs (see parseOverrides)
+ * @returns {Object} The resolved config; epsilonDecaySteps defaults to the run's episodes
+ */
+function resolveConfig({ preset = null, file = null, overrides = [] } = {}) {
+    const fileConfig = file ? loadConfigFile(file) : {};
+    const presetName = preset || fileConfig.preset || null;
+
+    let config = mergeConfig(DEFAULTS, presetName ? loadPreset(presetName) : {});
+    config = mergeConfig(config, fileConfig);
+    config.preset = presetName;
+    for (const [settingPath, value] of overrides) {
+        setPath(config, settingPath, value);
+    }
+
+    // Stage settings set to null are removed, e.g. a fraction replaced by promotion and maxEpisodes
+    for (const stage of Array.isArray(config.curriculum) ? config.curriculum : []) {
+        for (const key of isPlainObject(stage) ? Object.keys(stage) : []) {
+            if (stage[key] === null && STAGE_SCHEMA[key] && STAGE_SCHEMA[key].optional) {
+                delete stage[key];
+            }
+        }
+    }
+
+    validateConfig(config);
+    if (config.agent.epsilonDecaySteps === null) {
+        config.agent.epsilonDecaySteps = config.episodes;
+    }
+    return config;
+}
+
+/**
+ * Names of the presets in configs/
+ * @returns {string[]}
+ */
+function listPresets() {
+    if (!fs.existsSync(PRESETS_DIR)) {
+        return [];
+    }
+    return fs.readdirSync(PRESETS_DIR)
+        .filter(file => file.endsWith('.json'))
+        .map(file => file.slice(0, -'.json'.length))
+        .sort();
+}
+
+/**
+ * Read a preset
+ * @param {string} name - Preset name (configs/<name>.json)
+ * @returns {Object} The preset's settings
+ */
+function loadPreset(name) {
+    if (!listPresets().includes(name)) {
+        throw new Error(`Unknown preset: ${name} (available: ${listPresets().join(', ')})`);
+    }
+    const preset = loadConfigFile(path.join(PRESETS_DIR, `${name}.json`));
+    if (preset.preset !== undefined) {
+        throw new Error(`Preset ${name} can't name another preset`);
+    }
+    return preset;
+}
+
+/**
+ * Read a config file
+ * @param {string} file - .json file, or .js module exporting the config object
+ * @returns {Object} Its settings (unvalidated)
+ */
+function loadConfigFile(file) {
+    const resolved = path.resolve(file);
+    if (!fs.existsSync(resolved)) {
+        throw new Error(`Config file not found: ${file}`);
+    }
+
+    let config;
+    if (resolved.endsWith('.json')) {
+        try {
+            config = JSON.parse(fs.readFileSync(resolved, 'utf8'));
+        } catch (error) {
+            throw new Error(`Could not parse config file ${file}: ${error.message}`);
+        }
+    } else if (resolved.endsWith('.js')) {
+        config = require(resolved);
+    } else {
+        throw new Error(`Config files are .json or .js: ${file}`);
+    }
+
+    if (!isPlainObject(config)) {
+        throw new Error(`Config file ${file} must contain an object`);
+    }
+    return config;
+}
+
+/**
+ * Deep-merge settings over a config; arrays (the curriculum) are replaced, not merged
+ * @param {Object} base - Config to start from (not modified)
+ * @param {Object} settings - Settings to apply
+ * @returns {Object} A new config
+ */
+function mergeConfig(base, settings) {
+    const merged = clone(base);
+    for (const [key, value] of Object.entries(settings)) {
+        merged[key] = isPlainObject(value) && isPlainObject(merged[key])
+            ? mergeConfig(merged[key], value)
+            : clone(value);
+    }
+    return merged;
+}
+
+/**
+ * Turn command line flags into config overrides
+ *
+ * --section.key=value sets that setting (e.g. --agent.batchSize=256, --curriculum.1.opponent=mcts:500),
+ * as do top-level keys (--episodes=1000) and the ALIASES. A flag without a value sets true.
+ * Values are parsed as JSON (numbers, true/false, null, arrays), except for string settings;
+ * opponent lists can also be comma-separated (--league.opponents=random,minimax:2).
+ *
+ * @param {string[]} args - Command line flags; positional arguments are skipped
+ * @returns {Array} [path, value] pairs, in order
+ */
+function parseOverrides(args) {
+    const overrides = [];
+    for (const arg of args.filter(a => a.startsWith('--'))) {
+        const separator = arg.indexOf('=');
+        const name = separator === -1 ? arg.slice(2) : arg.slice(2, separator);
+        const text = separator === -1 ? undefined : arg.slice(separator + 1);
+
+        const settingPath = ALIASES[name] || name;
+        if (!settingPath.includes('.') && !(settingPath in SCHEMA)) {
+            throw new Error(`Unknown option: --${name}`);
+        }
+        overrides.push([settingPath, parseValue(text, schemaAt(settingPath))]);
+    }
+    return overrides;
+}
+
+function parseValue(text, leaf) {
+    if (text === undefined) {
+        return true;
+    }
+    if (leaf && ['string', 'opponent', 'promotionOpponent', 'stageOpponent'].includes(leaf.type)) {
+        return text;
+    }
+    if (leaf && leaf.type === 'opponents' && !text.startsWith('[')) {
+        return text.split(',').filter(spec => spec);
+    }
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        return text;
+    }
+}
+
+/**
+ * The schema leaf for a setting path, or null (a section or an unknown setting)
+ */
+function schemaAt(settingPath) {
+    let schema = SCHEMA;
+    for (const key of settingPath.split('.')) {
+        if (schema && schema.type === 'stages' && /^\d+$/.test(key)) {
+            schema = STAGE_SCHEMA;
+        } else if (schema && !schema.type && Object.prototype.hasOwnProperty.call(schema.schema || schema, key)) {
+            schema = (schema.schema || schema)[key];
+        } else {
+            return null;
+        }
+    }
+    return schema.type ? schema : null;
+}
+
+/**
+ * Set a setting by its dotted path, creating sections as needed (numeric keys index arrays)
+ * @param {Object} config - Config to change
+ * @param {string} settingPath - e.g. 'agent.batchSize' or 'curriculum.0.fraction'
+ * @param {*} value - New value
+ */
+function setPath(config, settingPath, value) {
+    const keys = settingPath.split('.');
+    let target = config;
+    keys.slice(0, -1).forEach((key, i) => {
+        if (target[key] === undefined) {
+            target[key] = {};
+        }
+        target = target[key];
+        if (target === null || typeof target !== 'object') {
+            throw new Error(`Cannot set ${settingPath}: ${keys.slice(0, i + 1).join('.')} is not a section`);
+        }
+    });
+    target[keys[keys.length - 1]] = value;
+}
+
+/**
+ * Check a config against SCHEMA
+ * @param {Object} config - Config to check
+ * @throws {Error} Listing every unknown setting and invalid value
+ */
+function validateConfig(config) {
+    const errors = [];
+    validateSection(config, SCHEMA, '', errors);
+    if (errors.length > 0) {
+        throw new Error(`Invalid training config:\n${errors.map(error => `  - ${error}`).join('\n')}`);
+    }
+}
+
+function validateSection(section, schema, prefix, errors) {
+    if (!isPlainObject(section)) {
+        errors.push(`${prefix || 'config'}: expected an object, got ${JSON.stringify(section)}`);
+        return;
+    }
+    for (const key of Object.keys(section)) {
+        if (!Object.prototype.hasOwnProperty.call(schema, key)) {
+            const match = Object.keys(schema).find(k => k.toLowerCase() === key.toLowerCase());
+            errors.push(`${prefix}${key}: unknown setting` + (match ? ` (did you mean ${prefix}${match}?)` : ''));
+        }
+    }
+    for (const [key, entry] of Object.entries(schema)) {
+        const name = `${prefix}${key}`;
+        if (section[key] === undefined) {
+            if (!entry.optional) {
+                errors.push(`${name}: missing`);
+            }
+        } else if (entry.type === 'stages') {
+            validateStages(section[key], name, errors);
+        } else if (entry.schema) {
+            validateSection(section[key], entry.schema, `${name}.`, errors);
+        } else if (entry.type) {
+            validateValue(section[key], entry, name, errors);
+        } else {
+            validateSection(section[key], entry, `${name}.`, errors);
+        }
+    }
+}
+
+function validateValue(value, { type, min, max, nullable }, name, errors) {
+    if (value === null && nullable) {
+        return;
+    }
+    const bounds = min !== undefined && max !== undefined ? ` from ${min} to ${max}`
+        : min !== undefined ? ` >= ${min}`
+        : max !== undefined ? ` <= ${max}`
+        : '';
+    const expected = TYPES[type].expected + bounds + (nullable ? ' or null' : '');
+    if (!TYPES[type].check(value) || (min !== undefined && value < min) || (max !== undefined && value > max)) {
+        errors.push(`${name}: expected ${expected}, got ${JSON.stringify(value)}`);
+    }
+}
+
+function validateStages(stages, name, errors) {
+    if (!Array.isArray(stages) || stages.length === 0) {
+        errors.push(`${name}: expected a list of stages, got ${JSON.stringify(stages)}`);
+        return;
+    }
+    let fractions = 0;
+    stages.forEach((stage, i) => {
+        const prefix = `${name}.${i}.`;
+        if (!isPlainObject(stage)) {
+            errors.push(`${name}.${i}: expected a stage object, got ${JSON.stringify(stage)}`);
+            return;
+        }
+        const lengths = ['fraction', 'episodes', 'maxEpisodes'].filter(key => stage[key] !== undefined);
+        if (stage.promotion !== undefined && lengths.join() !== 'maxEpisodes') {
+            errors.push(`${name}.${i}: a stage with promotion needs maxEpisodes (instead of fraction or episodes)`);
+        } else if (stage.promotion === undefined && (lengths.length !== 1 || lengths[0] === 'maxEpisodes')) {
+            errors.push(`${name}.${i}: needs either fraction or episodes (or promotion and maxEpisodes)`);
+        }
+        if (['self', 'league'].includes(stage.opponent) && isPlainObject(stage.promotion) &&
+            stage.promotion.opponent === undefined) {
+            errors.push(`${prefix}promotion.opponent: needed for a ${stage.opponent === 'self' ? 'self-play' : 'league'} stage`);
+        }
+        validateSection(stage, STAGE_SCHEMA, prefix, errors);
+        fractions += typeof stage.fraction === 'number' ? stage.fraction : 0;
+    });
+    if (fractions > 1 + 1e-9) {
+        errors.push(`${name}: stage fractions add up to ${+fractions.toFixed(6)}, more than 1`);
+    }
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function clone(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+module.exports = {
+    DEFAULTS,
+    SCHEMA,
+    STAGE_SCHEMA,
+    PROMOTION_SCHEMA,
+    ALIASES,
+    PRESETS_DIR,
+    resolveConfig,
+    listPresets,
+    loadPreset,
+    loadConfigFile,
+    mergeConfig,
+    parseOverrides,
+    setPath,
+    validateConfig,
+    isOpponentSpec
+};
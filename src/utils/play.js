@@ -4,19 +4,132 @@
  * Quick Play Script
  *
  * Play against a trained agent (or train a quick one if none exists)
+ *
+ * Usage:
+ *   node src/utils/play.js [--pits=N] [--seeds=N] [--model=path] [--load=game.kgn]
+ *                          [--position="4,4,4,4,4,4/4,4,4,4,4,4 0-0 0 0"] [--think=ms]
+ *                          [--ai=rl|minimax|mcts|alphazero] [--iterations=N] [--rollout=random|heuristic]
+ *                          [--book[=file]]
+ *
+ * --position starts from a position string (see KalahEngine.toPosition).
+ * --ai picks the opponent: the RL agent (default), the minimax AI, Monte Carlo tree search
+ * or an AlphaZero agent (--model defaults to ./models/alphazero-agent, --iterations to 100 simulations).
+ * --think sets the time per move for minimax (implies --ai=minimax if --ai is not given)
+ * or MCTS; without it MCTS runs --iterations per move (default: 2000).
+ * The model must have been trained for the same board (default: Kalah(6,4)).
+ * All AIs play endgames perfectly if models/endgame has a table for the board
+ * (npm run build:endgame); --endgame=file loads another one, --endgame=none disables it.
+ * --book makes the AI play from an opening book (default: models/opening-book.json, see
+ * npm run build:book) while the position is in it, picking randomly among near-equal moves.
+ *
+ * During your turn you can also type:
+ *   save <file>   Export the game so far as a game record
+ *   load <file>   Import a game record and continue from its last position
  */
 
 const QLearningAgent = require('../ai/rl-agent.js');
 const Trainer = require('../ai/trainer.js');
+const KalahAI = require('../ai/kalah-ai-browser.js');
+const MCTSAgent = require('../ai/mcts.js');
+const AlphaZeroAgent = require('../ai/alphazero-agent.js');
 const KalahEngine = require('../engine/kalah-engine.js');
+const EndgameDatabase = require('../ai/endgame-db.js');
+const OpeningBook = require('../ai/opening-book.js');
 const readline = require('readline');
 const fs = require('fs');
 
+/**
+ * Read a --name=value command line flag
+ */
+function getFlag(name, fallback) {
+    const arg = process.argv.slice(2).find(a => a.startsWith(`--${name}=`));
+    return arg ? arg.slice(name.length + 3) : fallback;
+}
+
 async function main() {
     console.log('🎮 Kalah/Mancala - Play Against AI\n');
 
-    const agent = new QLearningAgent();
-    const modelPath = './models/kalah-agent';
+    const pitsPerPlayer = parseInt(getFlag('pits', '6'));
+    const seedsPerPit = parseInt(getFlag('seeds', '4'));
+
+    const endgameFile = getFlag('endgame', null);
+    const endgame = endgameFile === 'none' ? null
+        : endgameFile ? EndgameDatabase.loadFile(endgameFile)
+            : EndgameDatabase.loadDefault(pitsPerPlayer);
+    if (endgame) {
+        console.log(`📚 Endgame table: exact play with ${endgame.maxSeeds} or fewer seeds on the board\n`);
+    }
+
+    const thinkMs = parseInt(getFlag('think', '0'));
+    const aiType = getFlag('ai', thinkMs > 0 ? 'minimax' : 'rl');
+
+    if (aiType === 'mcts') {
+        const iterations = parseInt(getFlag('iterations', '2000'));
+        const mcts = new MCTSAgent({
+            iterations,
+            timeLimitMs: thinkMs > 0 ? thinkMs : null,
+            rollout: getFlag('rollout', 'random')
+        });
+        await playGame({
+            name: `MCTS (${thinkMs > 0 ? `${thinkMs} ms` : `${iterations} iterations`})`,
+            pitsPerPlayer,
+            seedsPerPit,
+            headers: {},
+            selectMove: (state) => {
+                const move = mcts.selectMove(state);
+                const search = mcts.lastSearch;
+                console.log(`🌳 ${search.iterations} iterations in ${search.timeMs} ms, ` +
+                    `win chance ${(search.winRate * 100).toFixed(0)}%`);
+                return move;
+            }
+        });
+        return;
+    }
+
+    if (aiType === 'minimax') {
+        const ai = new KalahAI('hard', { timeLimitMs: thinkMs > 0 ? thinkMs : 1000 });
+        await playGame({
+            name: `Minimax AI (${ai.timeLimitMs} ms)`,
+            pitsPerPlayer,
+            seedsPerPit,
+            headers: {},
+            selectMove: (state) => {
+                const move = ai.selectMove(state);
+                const search = ai.lastSearch;
+                console.log(`🔍 Depth ${search.depth} in ${search.timeMs} ms (${search.nodes} nodes), ` +
+                    `score ${search.score.toFixed(1)}, line: ${search.pv.join(' ')}`);
+                return move;
+            }
+        });
+        return;
+    }
+
+    if (aiType === 'alphazero') {
+        const agent = new AlphaZeroAgent({ pitsPerPlayer, seedsPerPit });
+        const modelPath = getFlag('model', './models/alphazero-agent');
+        await agent.load(modelPath);
+        agent.simulations = parseInt(getFlag('iterations', String(agent.simulations)));
+        await playGame({
+            name: `AlphaZero (${agent.simulations} simulations)`,
+            pitsPerPlayer,
+            seedsPerPit,
+            headers: { Agent: modelPath },
+            selectMove: (state) => {
+                const result = agent.search(state);
+                console.log(`🌱 Value ${result.value.toFixed(2)}, visits: ` +
+                    result.policy.map(p => `${(p * 100).toFixed(0)}%`).join(' '));
+                return result.move;
+            }
+        });
+        return;
+    }
+
+    if (aiType !== 'rl') {
+        throw new Error(`Unknown --ai=${aiType} (expected rl, minimax, mcts or alphazero)`);
+    }
+
+    const agent = new QLearningAgent({ pitsPerPlayer, seedsPerPit });
+    const modelPath = getFlag('model', './models/kalah-agent');
 
     // Try to load existing model
     if (fs.existsSync(modelPath + '/model.json')) {
@@ -31,26 +144,100 @@ async function main() {
         await trainer.trainAgainstOpponent(200);
 
         console.log('\n💾 Saving model for next time...');
-        if (!fs.existsSync('./models')) {
-            fs.mkdirSync('./models');
-        }
         await agent.save(modelPath);
     }
 
-    await playGame(agent);
+    agent.epsilon = 0; // No exploration during play
+    await playGame({
+        name: 'RL Agent',
+        pitsPerPlayer: agent.pitsPerPlayer,
+        seedsPerPit: agent.seedsPerPit,
+        headers: { Agent: modelPath },
+        selectMove: (state, validMoves) => agent.selectAction(state, validMoves)
+    });
+}
+
+/**
+ * Write the game so far as a game record
+ */
+function exportGame(file, opponent, moves, startPosition) {
+    const record = KalahEngine.serializeGame({
+        moves,
+        position: startPosition,
+        pitsPerPlayer: opponent.pitsPerPlayer,
+        seedsPerPit: opponent.seedsPerPit,
+        headers: {
+            Event: 'CLI game',
+            Player0: 'Human',
+            Player1: opponent.name,
+            ...opponent.headers
+        }
+    });
+    fs.writeFileSync(file, record);
+    console.log(`💾 Game record saved to ${file}`);
+}
+
+/**
+ * Read a game record and replay it on the opponent's board
+ * @returns {Object} {engine, moves, startPosition}
+ */
+function importGame(file, opponent) {
+    const { engine, moves, headers } = KalahEngine.parseGame(fs.readFileSync(file, 'utf8'));
+    if (engine.pitsPerPlayer !== opponent.pitsPerPlayer || engine.seedsPerPit !== opponent.seedsPerPit) {
+        throw new Error(
+            `${file} is a Kalah(${engine.pitsPerPlayer},${engine.seedsPerPit}) game, ` +
+            `but the AI plays Kalah(${opponent.pitsPerPlayer},${opponent.seedsPerPit})`
+        );
+    }
+    console.log(`📂 Loaded ${moves.length} moves from ${file}`);
+    return { engine, moves, startPosition: headers.Position || null };
 }
 
-async function playGame(agent) {
+/**
+ * Play a game against an AI opponent
+ * @param {Object} opponent - { name, pitsPerPlayer, seedsPerPit, headers, selectMove(state, validMoves) };
+ *   headers are added to exported game records
+ */
+async function playGame(opponent) {
     console.log('\n' + '='.repeat(60));
     console.log('🎲 Starting Game!');
     console.log('='.repeat(60));
-    console.log('You are Player 0 (bottom row, pits 0-5)');
-    console.log('AI is Player 1 (top row, pits 6-11)');
-    console.log('Enter pit numbers when prompted.');
+    const n = opponent.pitsPerPlayer;
+    console.log(`Opponent: ${opponent.name}`);
+    console.log(`Board: Kalah(${n},${opponent.seedsPerPit})`);
+    console.log(`You are Player 0 (bottom row, pits 0-${n - 1})`);
+    console.log(`AI is Player 1 (top row, pits ${n}-${2 * n - 1})`);
+    console.log('Enter pit numbers when prompted ("save <file>" / "load <file>" for game records).');
     console.log('='.repeat(60) + '\n');
 
-    const game = new KalahEngine({ enableLogging: false });
-    agent.epsilon = 0; // No exploration during play
+    let game = new KalahEngine({
+        pitsPerPlayer: opponent.pitsPerPlayer,
+        seedsPerPit: opponent.seedsPerPit,
+        enableLogging: false
+    });
+    let moves = []; // Absolute pit indices played, for the game record
+    let startPosition = getFlag('position', null);
+
+    if (startPosition) {
+        game = KalahEngine.fromPosition(startPosition, { seedsPerPit: opponent.seedsPerPit });
+        if (game.pitsPerPlayer !== opponent.pitsPerPlayer) {
+            throw new Error(`Position has ${game.pitsPerPlayer} pits per player, but the AI plays ${opponent.pitsPerPlayer}`);
+        }
+    }
+
+    const loadFile = getFlag('load');
+    if (loadFile) {
+        ({ engine: game, moves, startPosition } = importGame(loadFile, opponent));
+    }
+
+    const bookFile = process.argv.includes('--book') ? 'models/opening-book.json' : getFlag('book', null);
+    const book = bookFile ? OpeningBook.loadFile(bookFile) : null;
+    if (book) {
+        if (book.pitsPerPlayer !== opponent.pitsPerPlayer) {
+            throw new Error(`Opening book has ${book.pitsPerPlayer} pits per player, but the AI plays ${opponent.pitsPerPlayer}`);
+        }
+        console.log(`📖 Opening book: ${book.size} positions, first ${book.plies} plies (${book.method})\n`);
+    }
 
     const rl = readline.createInterface({
         input: process.stdin,
@@ -73,8 +260,13 @@ async function playGame(agent) {
             }
             console.log('='.repeat(60));
             console.log(`Final scores: You: ${game.getScore(0)}, AI: ${game.getScore(1)}`);
-            console.log('\nWant to play again? Just run: npm run play');
-            rl.close();
+            rl.question('\nSave game record to file (Enter to skip): ', (file) => {
+                if (file.trim()) {
+                    exportGame(file.trim(), opponent, moves, startPosition);
+                }
+                console.log('\nWant to play again? Just run: npm run play');
+                rl.close();
+            });
             return;
         }
 
@@ -85,6 +277,21 @@ async function playGame(agent) {
             // Human's turn
             console.log(`\n🎯 Your turn! Valid moves: ${validMoves.join(', ')}`);
             rl.question('Enter pit number: ', (input) => {
+                const command = input.trim().match(/^(save|load)\s+(.+)$/);
+                if (command) {
+                    try {
+                        if (command[1] === 'save') {
+                            exportGame(command[2], opponent, moves, startPosition);
+                        } else {
+                            ({ engine: game, moves, startPosition } = importGame(command[2], opponent));
+                        }
+                    } catch (error) {
+                        console.log(`❌ ${error.message}`);
+                    }
+                    playTurn();
+                    return;
+                }
+
                 const pit = parseInt(input);
 
                 if (isNaN(pit)) {
@@ -100,6 +307,7 @@ async function playGame(agent) {
                 }
 
                 const result = game.makeMove(pit);
+                moves.push(pit);
 
                 if (result.extraTurn) {
                     console.log('⭐ Extra turn! You get to play again.');
@@ -115,10 +323,16 @@ async function playGame(agent) {
             console.log('\n🤖 AI is thinking...');
 
             setTimeout(() => {
-                const action = agent.selectAction(state, validMoves);
+                const bookMove = book ? book.selectMove(state) : null;
+                const action = bookMove !== null ? bookMove : opponent.selectMove(state, validMoves);
+                if (bookMove !== null) {
+                    const entry = book.lookup(state).find(m => m.move === bookMove);
+                    console.log(`📖 Book move (score ${entry.score}, ${entry.wins}/${entry.draws}/${entry.losses} W/D/L)`);
+                }
                 console.log(`🎯 AI plays pit ${action}`);
 
                 const result = game.makeMove(action);
+                moves.push(action);
 
                 if (result.extraTurn) {
                     console.log('⭐ AI gets an extra turn!');
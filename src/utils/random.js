@@ -0,0 +1,34 @@
+/**
+ * Seeded Random Numbers
+ *
+ * createRandom(seed) returns a drop-in replacement for Math.random whose state can be
+ * read and restored, so a checkpointed training run continues with the same random
+ * sequence it would have drawn without the interruption. Generator: mulberry32
+ * (one 32-bit word of state).
+ */
+
+/**
+ * Create a seeded random number generator
+ * @param {number} seed - 32-bit seed (default: a random one)
+ * @returns {Function} random() in [0, 1), with getState() and setState(state)
+ */
+function createRandom(seed = Math.floor(Math.random() * 0x100000000)) {
+    let state = seed >>> 0;
+
+    const random = () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+    };
+
+    random.getState = () => state;
+    random.setState = (saved) => {
+        state = saved >>> 0;
+    };
+
+    return random;
+}
+
+module.exports = { createRandom };
@@ -0,0 +1,60 @@
+#!/usr/bin/env node
+
+/**
+ * Benchmark KalahAI search with and without the transposition table
+ *
+ * Plays the same sequence of opening moves at each depth and reports nodes searched,
+ * transposition table hits and time per move. Node counts are deterministic; times
+ * also depend on JIT warm-up, so compare them across repeated runs.
+ *
+ * Usage:
+ *   node tests/benchmark-minimax.js [maxDepth=10] [moves=6] [--position="..."]
+ *
+ * --position starts every run from a position string (see KalahEngine.toPosition), e.g. a
+ * middlegame where the search is slow, instead of the initial position.
+ */
+
+const KalahEngine = require('../src/engine/kalah-engine.js');
+const KalahAI = require('../src/ai/kalah-ai-browser.js');
+
+const args = process.argv.slice(2).filter(a => !a.startsWith('--'));
+const positionArg = process.argv.slice(2).find(a => a.startsWith('--position='));
+const startPosition = positionArg ? positionArg.slice('--position='.length) : null;
+const maxDepth = parseInt(args[0]) || 10;
+const numMoves = parseInt(args[1]) || 6;
+
+console.log('⏱️  Minimax Benchmark\n');
+console.log('='.repeat(60));
+console.log(`${numMoves} moves from ${startPosition || 'the initial position'} per run\n`);
+console.log('Depth | Table | Nodes        | TT hits   | ms/move');
+console.log('-'.repeat(60));
+
+for (let depth = 4; depth <= maxDepth; depth += 2) {
+    const results = [];
+    for (const useTranspositionTable of [false, true]) {
+        const ai = new KalahAI('hard', { useTranspositionTable });
+        ai.config = { depth, randomness: 0 };
+
+        const game = startPosition ? KalahEngine.fromPosition(startPosition) : new KalahEngine();
+        let nodes = 0;
+        let hits = 0;
+        let moves = 0;
+        const start = Date.now();
+        while (moves < numMoves && !game.gameOver) {
+            game.makeMove(ai.selectMove(game.getState()));
+            nodes += ai.stats.nodes;
+            hits += ai.stats.ttHits;
+            moves++;
+        }
+        const msPerMove = (Date.now() - start) / moves;
+        results.push(nodes);
+
+        console.log(
+            `${String(depth).padEnd(5)} | ${(useTranspositionTable ? 'on' : 'off').padEnd(5)} | ` +
+            `${String(nodes).padEnd(12)} | ${String(hits).padEnd(9)} | ${msPerMove.toFixed(1)}`
+        );
+    }
+    console.log(`      nodes saved by the table: ${((1 - results[1] / results[0]) * 100).toFixed(1)}%`);
+}
+
+console.log('='.repeat(60));
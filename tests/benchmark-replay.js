@@ -0,0 +1,97 @@
+#!/usr/bin/env node
+
+/**
+ * Benchmark the replay buffer work of a training episode
+ *
+ * Each simulated episode stores one game's experiences and draws one training batch
+ * (plus a priority update for prioritized replay), like Trainer + QLearningAgent.replay,
+ * without the network. The old array buffer shifted on every store and copied and
+ * spliced the whole buffer for every batch, so it slowed down as the buffer filled;
+ * the ring buffer's cost doesn't depend on how full it is.
+ *
+ * Usage:
+ *   node tests/benchmark-replay.js [bufferSize=100000] [episodes=1000] [batchSize=128]
+ */
+
+const ReplayBuffer = require('../src/ai/replay-buffer.js');
+
+const bufferSize = parseInt(process.argv[2]) || 100000;
+const numEpisodes = parseInt(process.argv[3]) || 1000;
+const batchSize = parseInt(process.argv[4]) || 128;
+const EXPERIENCES_PER_EPISODE = 40; // About one Kalah(6,4) game
+
+/**
+ * The replay buffer QLearningAgent used before ReplayBuffer
+ */
+class LegacyArrayBuffer {
+    constructor(capacity) {
+        this.capacity = capacity;
+        this.items = [];
+    }
+
+    push(item) {
+        this.items.push(item);
+        if (this.items.length > this.capacity) {
+            this.items.shift();
+        }
+    }
+
+    sample(size) {
+        const batch = [];
+        const copy = [...this.items];
+        for (let i = 0; i < size; i++) {
+            const index = Math.floor(Math.random() * copy.length);
+            batch.push(copy[index]);
+            copy.splice(index, 1);
+        }
+        return { items: batch, indices: [] };
+    }
+
+    updatePriorities() {}
+}
+
+function experience(i) {
+    return { state: { board: new Array(12).fill(4) }, action: i % 6, reward: 0, nextState: null, done: false };
+}
+
+/**
+ * Episodes per second with a full buffer
+ */
+function benchmark(buffer) {
+    for (let i = 0; i < bufferSize; i++) {
+        buffer.push(experience(i));
+    }
+
+    const start = process.hrtime.bigint();
+    for (let episode = 0; episode < numEpisodes; episode++) {
+        for (let i = 0; i < EXPERIENCES_PER_EPISODE; i++) {
+            buffer.push(experience(i));
+        }
+        const { indices } = buffer.sample(batchSize, 0.4);
+        buffer.updatePriorities(indices, indices.map(() => Math.random()));
+    }
+    const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+    return numEpisodes / seconds;
+}
+
+console.log('⏱️  Replay Buffer Benchmark\n');
+console.log('='.repeat(60));
+console.log(`Full buffer of ${bufferSize.toLocaleString()}, ${EXPERIENCES_PER_EPISODE} experiences and ` +
+    `one batch of ${batchSize} per episode\n`);
+console.log('Buffer                 | Episodes/sec');
+console.log('-'.repeat(60));
+
+const results = {};
+for (const [name, create] of [
+    ['Array (shift + copy)', () => new LegacyArrayBuffer(bufferSize)],
+    ['Ring (uniform)', () => new ReplayBuffer(bufferSize)],
+    ['Ring (prioritized)', () => new ReplayBuffer(bufferSize, { prioritized: true })]
+]) {
+    results[name] = benchmark(create());
+    console.log(`${name.padEnd(22)} | ${results[name].toFixed(0).padStart(12)}`);
+}
+
+console.log('-'.repeat(60));
+console.log(`Ring buffer speedup: ${(results['Ring (uniform)'] / results['Array (shift + copy)']).toFixed(0)}× uniform, ` +
+    `${(results['Ring (prioritized)'] / results['Array (shift + copy)']).toFixed(0)}× prioritized`);
+console.log('='.repeat(60));
@@ -0,0 +1,80 @@
+#!/usr/bin/env node
+
+/**
+ * Benchmark self-play throughput with and without worker threads
+ *
+ * Trains the way Trainer.trainSelfPlay does (one game, then one replay batch per
+ * episode), with the games played on the main thread or by SelfPlayPool workers, and
+ * reports episodes per second, the speedup over the main thread and how long the learner
+ * waited for games. The first episodes only fill the buffer up to one batch (and give the
+ * workers time to start) and aren't timed.
+ *
+ * Usage:
+ *   node tests/benchmark-self-play.js [episodes=200] [workerCounts=0,1,2,4]
+ */
+
+const QLearningAgent = require('../src/ai/rl-agent.js');
+const Trainer = require('../src/ai/trainer.js');
+const SelfPlayPool = require('../src/ai/self-play-pool.js');
+
+const args = process.argv.slice(2);
+const numEpisodes = parseInt(args[0]) || 200;
+const workerCounts = (args[1] || '0,1,2,4').split(',').map(n => parseInt(n));
+const batchSize = 64;
+
+async function measure(workers) {
+    const agent = new QLearningAgent({ batchSize, epsilon: 0.3, epsilonMin: 0.3, seed: 1 });
+    const trainer = new Trainer(agent, { verbose: false });
+    const pool = workers > 0 ? new SelfPlayPool(agent, { workers }) : null;
+    const nextGame = () => (pool ? pool.next() : trainer.playSelfPlayGame());
+
+    try {
+        if (pool) {
+            await pool.start();
+        }
+        while (agent.replayBuffer.length < batchSize) {
+            (await nextGame()).experiences.forEach(exp => agent.remember(exp));
+        }
+        await agent.replay(); // Warm up the optimizer
+
+        let playMs = 0;
+        const start = Date.now();
+        for (let episode = 0; episode < numEpisodes; episode++) {
+            const playStart = Date.now();
+            const { experiences } = await nextGame();
+            playMs += Date.now() - playStart;
+
+            experiences.forEach(exp => agent.remember(exp));
+            await agent.replay();
+        }
+        const ms = Date.now() - start;
+        return { rate: numEpisodes / (ms / 1000), playShare: 100 * playMs / ms };
+    } finally {
+        if (pool) {
+            await pool.stop();
+        }
+    }
+}
+
+async function main() {
+    console.log('⏱️  Self-Play Throughput Benchmark\n');
+    console.log('='.repeat(60));
+    console.log(`${numEpisodes} episodes per run, batch ${batchSize}, ε = 0.3\n`);
+    console.log('Workers   Episodes/sec   Speedup   Playing or waiting');
+
+    let baseline = null;
+    for (const workers of workerCounts) {
+        const { rate, playShare } = await measure(workers);
+        baseline = baseline || rate;
+        console.log(
+            `${String(workers || 'main').padEnd(10)}${rate.toFixed(2).padStart(12)}` +
+            `${(rate / baseline).toFixed(2).padStart(9)}x${playShare.toFixed(0).padStart(15)}%`
+        );
+    }
+    console.log('='.repeat(60));
+}
+
+main().catch(error => {
+    console.error(error);
+    process.exit(1);
+});
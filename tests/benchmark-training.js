@@ -0,0 +1,72 @@
+#!/usr/bin/env node
+
+/**
+ * Benchmark QLearningAgent training throughput
+ *
+ * Plays self-play episodes the way Trainer.trainSelfPlay does (select, remember, one
+ * replay batch per episode) and reports episodes per second and the time per replay
+ * batch. The first episodes only fill the buffer up to one batch and aren't timed.
+ *
+ * Usage:
+ *   node tests/benchmark-training.js [episodes=200] [batchSize=128] [--double-dqn] [--dueling]
+ */
+
+const QLearningAgent = require('../src/ai/rl-agent.js');
+const KalahEngine = require('../src/engine/kalah-engine.js');
+
+const args = process.argv.slice(2);
+const positional = args.filter(a => !a.startsWith('--'));
+const numEpisodes = parseInt(positional[0]) || 200;
+const batchSize = parseInt(positional[1]) || 128;
+const doubleDQN = args.includes('--double-dqn');
+const dueling = args.includes('--dueling');
+
+/**
+ * Play one self-play game, storing its experiences
+ */
+function playEpisode(agent) {
+    const game = new KalahEngine({ enableLogging: false });
+    while (!game.gameOver) {
+        const state = game.getState();
+        const action = agent.selectAction(state, game.getValidMoves());
+        game.makeMove(action);
+
+        const winner = game.gameOver ? game.getWinner() : null;
+        const reward = winner === null ? 0 : winner === state.currentPlayer ? 1 : -1;
+        agent.remember({ state, action, reward, nextState: game.getState(), done: game.gameOver });
+    }
+}
+
+async function main() {
+    const agent = new QLearningAgent({ batchSize, doubleDQN, dueling, epsilon: 0.3, epsilonMin: 0.3 });
+
+    console.log('⏱️  Training Throughput Benchmark\n');
+    console.log('='.repeat(60));
+    console.log(`${numEpisodes} self-play episodes, batch ${batchSize}` +
+        `${doubleDQN ? ', Double DQN' : ''}${dueling ? ', dueling' : ''}\n`);
+
+    while (agent.replayBuffer.length < batchSize) {
+        playEpisode(agent);
+    }
+    await agent.replay(); // Warm up the optimizer
+
+    let replayMs = 0;
+    const start = Date.now();
+    for (let episode = 0; episode < numEpisodes; episode++) {
+        playEpisode(agent);
+        const replayStart = Date.now();
+        await agent.replay();
+        replayMs += Date.now() - replayStart;
+    }
+    const seconds = (Date.now() - start) / 1000;
+
+    console.log(`Episodes/sec:     ${(numEpisodes / seconds).toFixed(2)}`);
+    console.log(`Replay ms/batch:  ${(replayMs / numEpisodes).toFixed(1)}`);
+    console.log(`Replay share:     ${(replayMs / 10 / seconds).toFixed(0)}% of the time`);
+    console.log('='.repeat(60));
+}
+
+main().catch(error => {
+    console.error(error);
+    process.exit(1);
+});
@@ -2,25 +2,45 @@
 
 /**
  * Deep Diagnostic - Trace through actual Q-value updates
+ *
+ * Usage:
+ *   node tests/deep-diagnostic.js [--position="4,4,4,4,4,4/4,4,4,4,4,4 0-0 0 0"]
+ *
+ * --position analyzes a position string (see KalahEngine.toPosition) instead of the
+ * initial position. The trained model is only loaded for boards of its size.
  */
 
 const QLearningAgent = require('../src/ai/rl-agent.js');
 const KalahEngine = require('../src/engine/kalah-engine.js');
 const { extractFeatures } = require('../src/utils/ml-examples.js');
 
+const positionArg = process.argv.slice(2).find(a => a.startsWith('--position='));
+const startPosition = positionArg ? positionArg.slice('--position='.length) : null;
+
 console.log('🔬 Deep Q-Learning Diagnostic\n');
 
+/**
+ * A game at the position being analyzed
+ */
+function startGame() {
+    return startPosition
+        ? KalahEngine.fromPosition(startPosition)
+        : new KalahEngine({ enableLogging: false });
+}
+
 async function analyzeQValues() {
+    const game = startGame();
+    const state = game.getState();
+    const pits = game.pitsPerPlayer;
+
     // Create a fresh agent
-    const agent = new QLearningAgent({ epsilon: 0 });
+    const agent = new QLearningAgent({ epsilon: 0, pitsPerPlayer: pits, seedsPerPit: game.seedsPerPit });
 
     console.log('📊 Initial Q-values for starting position:');
-    const game = new KalahEngine({ enableLogging: false });
-    const state = game.getState();
     const qValues = agent.getQValues(state);
 
-    console.log('State: Player 0, initial position');
-    console.log('Q-values for pits 0-5:', qValues.map(q => q.toFixed(3)).join(', '));
+    console.log(`State: Player ${state.currentPlayer}, ${startPosition || 'initial position'}`);
+    console.log(`Q-values for pits 0-${pits - 1}:`, qValues.map(q => q.toFixed(3)).join(', '));
     console.log('Best action (argmax):', qValues.indexOf(Math.max(...qValues)));
 
     // Check if all Q-values are similar (untrained network)
@@ -38,7 +58,7 @@ async function analyzeQValues() {
         console.log('\n📊 Q-values from TRAINED model:');
 
         const trainedQValues = agent.getQValues(state);
-        console.log('Q-values for pits 0-5:', trainedQValues.map(q => q.toFixed(3)).join(', '));
+        console.log(`Q-values for pits 0-${pits - 1}:`, trainedQValues.map(q => q.toFixed(3)).join(', '));
         console.log('Best action (argmax):', trainedQValues.indexOf(Math.max(...trainedQValues)));
 
         const trainedMean = trainedQValues.reduce((a, b) => a + b) / trainedQValues.length;
@@ -54,7 +74,7 @@ async function analyzeQValues() {
 
         // Test Q-values throughout a game
         console.log('📊 Tracing Q-values through a game:\n');
-        const testGame = new KalahEngine({ enableLogging: false });
+        const testGame = startGame();
 
         for (let turn = 0; turn < 10 && !testGame.gameOver; turn++) {
             const s = testGame.getState();
@@ -69,7 +89,7 @@ async function analyzeQValues() {
             let bestMove = validMoves[0];
             let bestQ = -Infinity;
             for (const move of validMoves) {
-                const relMove = move - (s.currentPlayer * 6);
+                const relMove = move - (s.currentPlayer * pits);
                 if (q[relMove] > bestQ) {
                     bestQ = q[relMove];
                     bestMove = move;
@@ -83,7 +103,8 @@ async function analyzeQValues() {
         // Check for a critical bug: are we only training on Player 0's perspective?
         console.log('\n📊 Checking Player 0 vs Player 1 Q-value magnitudes:');
 
-        const p0Game = new KalahEngine({ enableLogging: false });
+        // Always from the initial position, whatever --position is
+        const p0Game = new KalahEngine({ pitsPerPlayer: pits, seedsPerPit: game.seedsPerPit, enableLogging: false });
         const p0State = p0Game.getState(); // Player 0's turn
         const p0Q = agent.getQValues(p0State);
         const p0Max = Math.max(...p0Q);
@@ -108,6 +108,22 @@ global.alert = () => {}; // Mock alert
 
 // Load the game engine
 const KalahEngine = require('../src/engine/kalah-engine.js');
+const { extractFeatures, getFeatureSize } = require('../src/ai/feature-extractor.js');
+const KalahAI = require('../src/ai/kalah-ai-browser.js');
+const MCTSAgent = require('../src/ai/mcts.js');
+const EndgameDatabase = require('../src/ai/endgame-db.js');
+const OpeningBook = require('../src/ai/opening-book.js');
+const ReplayBuffer = require('../src/ai/replay-buffer.js');
+const MetricsLog = require('../src/ai/metrics-log.js');
+const OpponentPool = require('../src/ai/opponent-pool.js');
+const RatingLadder = require('../src/ai/rating-ladder.js');
+const trainingConfig = require('../src/training/training-config.js');
+const { createRandom } = require('../src/utils/random.js');
+const { buildSearchBook, buildSelfPlayBook, openingPositions } = require('../src/training/build-opening-book.js');
+const { runDifferentialTest } = require('./test-transition-diff.js');
+
+// Tests register the endgame tables they use; a table built in models/endgame would change searches
+EndgameDatabase.autoloadFrom(null);
 
 // ============ TESTS ============
 
@@ -345,5 +361,1370 @@ test('Game ends when a player reaches 25 or more seeds in their store', () => {
     expect(game.getWinner()).toBe(0); // Player 0 should be the winner
 });
 
+// ============ RULE VARIANTS ============
+
+test('Default rules are the standard rule set', () => {
+    const game = new KalahEngine();
+    expect(game.rules).toEqual({ captures: true, captureEmptyOpposite: false, remainingSeeds: 'owner', earlyWin: true });
+    expect(game.getState().rules).toEqual(game.rules);
+    expect(game.toString().includes('Rules:')).toBe(false);
+});
+
+test('Unknown remainingSeeds rule is rejected', () => {
+    let threw = false;
+    try {
+        new KalahEngine({ rules: { remainingSeeds: 'nobody' } });
+    } catch (error) {
+        threw = true;
+    }
+    expect(threw).toBe(true);
+});
+
+test('No-capture variant leaves the last seed and the opposite pit alone', () => {
+    const game = new KalahEngine({ rules: { captures: false } });
+    game.board[1] = 1;
+    game.board[2] = 0;
+    game.board[9] = 5;
+    const before = game.getState();
+
+    const result = game.makeMove(1);
+    const next = KalahEngine.applyMove(before, 1);
+
+    expect(result.captured).toBe(0);
+    expect(game.board[2]).toBe(1);
+    expect(game.board[9]).toBe(5);
+    expect(game.stores[0]).toBe(0);
+    expect(next.move.captured).toBe(0);
+    expect(next.board).toEqual(game.board);
+    expect(next.stores).toEqual(game.stores);
+});
+
+test('No-capture variant round-trips through its rule description', () => {
+    const rules = KalahEngine.normalizeRules({ captures: false, captureEmptyOpposite: true });
+    expect(rules.captureEmptyOpposite).toBe(false); // Nothing to capture
+    expect(KalahEngine.describeRules(rules)).toBe('no-capture');
+    expect(KalahEngine.parseRules('no-capture')).toEqual(rules);
+    expect(KalahEngine.parseRules('standard').captures).toBe(true);
+});
+
+test('Empty-capture variant captures the last seed when opposite pit is empty', () => {
+    const game = new KalahEngine({ rules: { captureEmptyOpposite: true } });
+    game.board[1] = 1;
+    game.board[2] = 0;
+    game.board[9] = 0;
+
+    const result = game.makeMove(1);
+
+    expect(game.board[2]).toBe(0); // Lone seed captured
+    expect(game.stores[0]).toBe(1);
+    expect(result.captured).toBe(1);
+});
+
+test('Empty-capture variant still captures opposite seeds normally', () => {
+    const game = new KalahEngine({ rules: { captureEmptyOpposite: true } });
+    game.board[1] = 1;
+    game.board[2] = 0;
+    game.board[9] = 5;
+
+    game.makeMove(1);
+
+    expect(game.stores[0]).toBe(6);
+    expect(game.board[9]).toBe(0);
+});
+
+test('Sweep-to-clearer variant gives remaining seeds to the player whose side is empty', () => {
+    const game = new KalahEngine({ rules: { remainingSeeds: 'clearer' } });
+    game.board = [0, 0, 0, 0, 0, 0, 4, 4, 4, 4, 4, 4];
+    game.stores = [10, 14];
+    game._checkAndHandleGameOver();
+
+    expect(game.gameOver).toBe(true);
+    expect(game.stores[0]).toBe(34); // 10 + 24 from Player 1's side
+    expect(game.stores[1]).toBe(14);
+    expect(game.board).toEqual([0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0]);
+});
+
+test('Sweep-to-clearer variant applies when a move empties the mover side', () => {
+    const game = new KalahEngine({ rules: { remainingSeeds: 'clearer', earlyWin: false } });
+    game.board = [0, 0, 0, 0, 0, 1, 2, 0, 0, 0, 0, 3];
+    game.stores = [20, 22];
+
+    game.makeMove(5); // Last seed into own store, Player 0's side is now empty
+
+    expect(game.gameOver).toBe(true);
+    expect(game.stores[0]).toBe(26); // 20 + 1 (store) + 5 (Player 1's remaining seeds)
+    expect(game.stores[1]).toBe(22);
+});
+
+test('Early win can be disabled', () => {
+    const game = new KalahEngine({ rules: { earlyWin: false } });
+    game.stores = [24, 10];
+    // Player 0 plays pit 5 with 1 seed, landing in their store
+    game.board = [2, 0, 0, 0, 0, 1, 0, 0, 3, 5, 1, 2];
+
+    game.makeMove(5);
+
+    expect(game.gameOver).toBe(false);
+    expect(game.stores[0]).toBe(25);
+    expect(game.currentPlayer).toBe(0); // Extra turn
+});
+
+test('Early win threshold scales with the total number of seeds', () => {
+    expect(KalahEngine.earlyWinThreshold(48)).toBe(25);
+    expect(KalahEngine.earlyWinThreshold(72)).toBe(37);
+
+    const game = new KalahEngine({ pitsPerPlayer: 6, seedsPerPit: 6 });
+    game.board = [2, 0, 0, 0, 0, 1, 10, 10, 4, 0, 0, 0];
+    game.stores = [24, 21];
+
+    game.makeMove(5); // Last seed into store: 25 is not a majority of 72 seeds
+
+    expect(game.stores[0]).toBe(25);
+    expect(game.gameOver).toBe(false);
+});
+
+test('Rules are preserved by getState/setState and clone', () => {
+    const rules = { captures: true, captureEmptyOpposite: true, remainingSeeds: 'clearer', earlyWin: false };
+    const game = new KalahEngine({ rules });
+
+    const other = new KalahEngine();
+    other.setState(game.getState());
+    expect(other.rules).toEqual(rules);
+
+    expect(game.clone().rules).toEqual(rules);
+});
+
+test('toString shows non-standard rules', () => {
+    const game = new KalahEngine({ rules: { captureEmptyOpposite: true, earlyWin: false } });
+    expect(game.toString().includes('Rules: empty-capture, no-early-win')).toBe(true);
+});
+
+// ============ BOARD GEOMETRY ============
+
+test('getState reports board geometry', () => {
+    const game = new KalahEngine({ pitsPerPlayer: 4, seedsPerPit: 3 });
+    const state = game.getState();
+    expect(state.pitsPerPlayer).toBe(4);
+    expect(state.seedsPerPit).toBe(3);
+    expect(state.board).toEqual([3, 3, 3, 3, 3, 3, 3, 3]);
+    expect(state.validMoves).toEqual([0, 1, 2, 3]);
+});
+
+test('Reset keeps the configured seeds per pit', () => {
+    const game = new KalahEngine({ pitsPerPlayer: 8, seedsPerPit: 5 });
+    game.makeMove(2);
+    game.reset();
+    expect(game.board).toEqual(Array(16).fill(5));
+});
+
+test('setState adopts the geometry of the restored state', () => {
+    const small = new KalahEngine({ pitsPerPlayer: 4, seedsPerPit: 3 });
+    const game = new KalahEngine();
+    game.setState(small.getState());
+
+    expect(game.pitsPerPlayer).toBe(4);
+    expect(game.totalPits).toBe(8);
+    expect(game.getValidMoves()).toEqual([0, 1, 2, 3]);
+    expect(game.clone().board.length).toBe(8);
+});
+
+test('Feature vector size follows board geometry', () => {
+    for (const [pits, seeds] of [[4, 3], [6, 4], [6, 6], [8, 5]]) {
+        const game = new KalahEngine({ pitsPerPlayer: pits, seedsPerPit: seeds });
+        const features = extractFeatures(game.getState());
+        expect(features.length).toBe(getFeatureSize(pits));
+        expect(features.length).toBe(pits * 2 + 3);
+        expect(features[features.length - 1]).toBe(1); // All seeds still on the board
+    }
+});
+
+test('Features are unchanged for the standard 6x4 board', () => {
+    const features = extractFeatures(new KalahEngine().getState());
+    expect(features.slice(0, 12)).toEqual(Array(12).fill(4 / 20));
+    expect(features.slice(12)).toEqual([0, 0, 1]);
+});
+
+test('Features are player-relative on non-standard boards', () => {
+    const game = new KalahEngine({ pitsPerPlayer: 4, seedsPerPit: 3 });
+    game.board = [0, 1, 2, 3, 4, 5, 6, 3];
+    game.currentPlayer = 1;
+    const features = extractFeatures(game.getState());
+    const perPit = 24 * 20 / 48;
+
+    expect(features.slice(0, 4)).toEqual([4 / perPit, 5 / perPit, 6 / perPit, 3 / perPit]);
+    expect(features.slice(4, 8)).toEqual([0, 1 / perPit, 2 / perPit, 3 / perPit]);
+});
+
+// ============ SHARED TRANSITION FUNCTION ============
+
+test('applyMove does not modify the input state', () => {
+    const game = new KalahEngine();
+    const state = game.getState();
+    const next = KalahEngine.applyMove(state, 2);
+
+    expect(state.board).toEqual([4, 4, 4, 4, 4, 4, 4, 4, 4, 4, 4, 4]);
+    expect(state.currentPlayer).toBe(0);
+    expect(next.board).toEqual([4, 4, 0, 5, 5, 5, 4, 4, 4, 4, 4, 4]);
+    expect(next.stores).toEqual([1, 0]);
+    expect(next.currentPlayer).toBe(0);
+    expect(next.move.extraTurn).toBe(true);
+    expect(next.moveNumber).toBe(1);
+});
+
+test('applyMove can reuse an output state or update in place', () => {
+    const state = new KalahEngine().getState();
+    const scratch = KalahEngine.applyMove(state, 0);
+    const board = scratch.board;
+
+    const next = KalahEngine.applyMove(state, 3, scratch);
+    expect(next).toBe(scratch);
+    expect(next.board).toBe(board);
+    expect(next.board).toEqual([4, 4, 4, 0, 5, 5, 5, 4, 4, 4, 4, 4]);
+
+    KalahEngine.applyMove(state, 5, state);
+    expect(state.board).toEqual([4, 4, 4, 4, 4, 0, 5, 5, 5, 4, 4, 4]);
+    expect(state.currentPlayer).toBe(1);
+});
+
+test('applyMove matches makeMove on random positions', () => {
+    const { moves } = runDifferentialTest(2000, 7);
+    expect(moves > 0).toBe(true);
+});
+
+test('KalahAI simulates moves with the engine rules (origin pit skipped on laps)', () => {
+    const game = new KalahEngine();
+    game.board[0] = 13;
+    const simulated = new KalahAI('easy').simulateMove(game.getState(), 0);
+    game.makeMove(0);
+
+    expect(simulated.board).toEqual(game.board);
+    expect(simulated.stores).toEqual(game.stores);
+});
+
+test('KalahAI simulates the early-win finish', () => {
+    const game = new KalahEngine();
+    game.stores = [24, 10];
+    game.board = [0, 0, 0, 0, 0, 1, 3, 2, 3, 3, 1, 1];
+    const simulated = new KalahAI('easy').simulateMove(game.getState(), 5);
+
+    expect(simulated.gameOver).toBe(true);
+    expect(simulated.stores).toEqual([25, 23]);
+});
+
+// ============ GAME RECORDS ============
+
+function playRandomGame(options = {}, seed = 1) {
+    let x = seed;
+    const random = () => {
+        x = (x * 1103515245 + 12345) % 2147483648;
+        return x / 2147483648;
+    };
+    const game = new KalahEngine(options);
+    const moves = [];
+    const states = [game.getState()];
+    while (!game.gameOver) {
+        const validMoves = game.getValidMoves();
+        const move = validMoves[Math.floor(random() * validMoves.length)];
+        moves.push(move);
+        game.makeMove(move);
+        states.push(game.getState());
+    }
+    return { game, moves, states };
+}
+
+test('Game record round-trips moves, headers and final position', () => {
+    const { game, moves } = playRandomGame({}, 3);
+    const text = KalahEngine.serializeGame({
+        moves,
+        headers: { Player0: 'Human', Player1: 'RL Agent', Agent: 'models/kalah-agent' }
+    });
+    const parsed = KalahEngine.parseGame(text);
+
+    expect(parsed.moves).toEqual(moves);
+    expect(parsed.headers.Player1).toBe('RL Agent');
+    expect(parsed.headers.Agent).toBe('models/kalah-agent');
+    expect(parsed.headers.Variant).toBe('Kalah(6,4)');
+    expect(parsed.headers.Result).toBe(KalahEngine.resultString(game));
+    expect(parsed.engine.stores).toEqual(game.stores);
+    expect(parsed.engine.gameOver).toBe(true);
+});
+
+test('Game record writes pit numbers relative to the mover and joins extra turns', () => {
+    // Player 0: pit 2 (4 seeds ends in store) then pit 0; Player 1: pit 6
+    const text = KalahEngine.serializeGame({ moves: [2, 0, 6] });
+    const moveText = text.trim().split('\n').pop();
+
+    expect(moveText).toBe('1. 3-1 1 *');
+    expect(text.includes('[Result "*"]')).toBe(true);
+});
+
+test('Game record keeps variant and rules', () => {
+    const rules = { captures: true, captureEmptyOpposite: true, remainingSeeds: 'clearer', earlyWin: false };
+    const { moves } = playRandomGame({ pitsPerPlayer: 4, seedsPerPit: 3, rules }, 5);
+    const text = KalahEngine.serializeGame({ moves, pitsPerPlayer: 4, seedsPerPit: 3, rules });
+    const parsed = KalahEngine.parseGame(text);
+
+    expect(parsed.headers.Variant).toBe('Kalah(4,3)');
+    expect(parsed.engine.rules).toEqual(rules);
+    expect(parsed.moves).toEqual(moves);
+});
+
+test('Game record quotes in header values are escaped', () => {
+    const text = KalahEngine.serializeGame({ moves: [], headers: { Event: 'The "big" game' } });
+    expect(KalahEngine.parseGame(text).headers.Event).toBe('The "big" game');
+});
+
+function expectParseError(text, fragment) {
+    let message = null;
+    try {
+        KalahEngine.parseGame(text);
+    } catch (error) {
+        message = error.message;
+    }
+    expect(message !== null && message.includes(fragment)).toBe(true);
+}
+
+test('Game record parser rejects illegal moves', () => {
+    // After 1. 1 (pit 0 emptied) Player 1 plays, then Player 0 cannot play pit 1 again
+    expectParseError('1. 1 1 2. 1', 'Illegal move');
+    expectParseError('1. 7', 'Invalid pit');
+});
+
+test('Game record parser rejects incomplete extra-turn chains', () => {
+    expectParseError('1. 3 1', 'extra turn');
+    expectParseError('1. 3 1-0', 'extra turn');
+    expectParseError('1. 1-2', 'no extra turn');
+});
+
+test('Game record round-trips a game saved partway through an extra turn', () => {
+    // Pit 2 ends in Player 0's store: the game was saved before their next move
+    const text = KalahEngine.serializeGame({ moves: [2] });
+    const parsed = KalahEngine.parseGame(text);
+
+    expect(text.trim().split('\n').pop()).toBe('1. 3 *');
+    expect(parsed.moves).toEqual([2]);
+    expect(parsed.engine.currentPlayer).toBe(0);
+    // Player 1's pit 7 ends in their store too, in a later turn
+    const later = KalahEngine.parseGame(KalahEngine.serializeGame({ moves: [2, 0, 6, 2, 7] }));
+    expect(later.moves).toEqual([2, 0, 6, 2, 7]);
+    expect(later.engine.currentPlayer).toBe(1);
+});
+
+test('Game record parser rejects a result that does not match the moves', () => {
+    const { game, moves } = playRandomGame({}, 11);
+    const text = KalahEngine.serializeGame({ moves });
+    const wrong = game.getWinner() === 0 ? '0-1' : '1-0';
+    expectParseError(text.replace(/\[Result "[^"]*"\]/, `[Result "${wrong}"]`), 'does not match');
+});
+
+// ============ POSITION NOTATION ============
+
+test('Initial position string', () => {
+    const game = new KalahEngine();
+    expect(game.toPosition()).toBe('4,4,4,4,4,4/4,4,4,4,4,4 0-0 0 0');
+});
+
+test('Position string round-trips mid-game positions', () => {
+    const game = new KalahEngine({ pitsPerPlayer: 4, seedsPerPit: 3 });
+    game.makeMove(1);
+    game.makeMove(5);
+    const position = game.toPosition();
+    const restored = KalahEngine.fromPosition(position);
+    expect(restored.getState()).toEqual(game.getState());
+    expect(restored.toPosition()).toBe(position);
+});
+
+test('setState accepts a position string', () => {
+    const game = new KalahEngine();
+    game.setState('0,0,0,0,0,1/3,0,0,0,0,0 20-24 1 31');
+    expect(game.board).toEqual([0, 0, 0, 0, 0, 1, 3, 0, 0, 0, 0, 0]);
+    expect(game.stores).toEqual([20, 24]);
+    expect(game.currentPlayer).toBe(1);
+    expect(game.moveNumber).toBe(31);
+    expect(game.gameOver).toBe(false);
+});
+
+test('Position with an empty board is a finished game', () => {
+    const game = KalahEngine.fromPosition('0,0,0,0,0,0/0,0,0,0,0,0 30-18 0 40');
+    expect(game.gameOver).toBe(true);
+    expect(game.getWinner()).toBe(0);
+});
+
+function expectPositionError(text, fragment, options) {
+    let message = null;
+    try {
+        KalahEngine.parsePosition(text, options);
+    } catch (error) {
+        message = error.message;
+    }
+    expect(message !== null && message.includes(fragment)).toBe(true);
+}
+
+test('Position parser rejects malformed strings', () => {
+    expectPositionError('4,4,4,4,4,4/4,4,4,4,4,4 0-0 0', '4 fields');
+    expectPositionError('4,4,4,4,4,4 0-0 0 0', 'two rows');
+    expectPositionError('4,4,4,4,4/4,4,4,4,4,4,4 0-0 0 0', 'same number of pits');
+    expectPositionError('4,4,4,4,4,-4/4,4,4,4,4,4 0-0 0 0', 'non-negative integer');
+    expectPositionError('4,4,4,4,4,4/4,4,4,4,4,4 0:0 0 0', 'stores');
+    expectPositionError('4,4,4,4,4,4/4,4,4,4,4,4 0-0 2 0', 'side to move');
+});
+
+test('Position parser checks seed conservation', () => {
+    expectPositionError('4,4,4,4,4,5/4,4,4,4,4,4 0-0 0 0', 'whole number of seeds');
+    expectPositionError('4,4,4,4,4,4/4,4,4,4,4,4 1-0 0 0', 'whole number of seeds');
+    expectPositionError('3,3,3,3,3,3/3,3,3,3,3,3 0-0 0 0', 'expected 48', { seedsPerPit: 4 });
+});
+
+test('Position parser rejects positions the engine would have ended', () => {
+    expectPositionError('0,0,0,0,0,0/4,4,4,4,4,4 12-12 0 9', "Player 0's side is empty");
+    expectPositionError('1,0,0,0,0,0/1,0,0,0,0,0 25-21 0 30', 'majority');
+
+    // Without the early win a store may hold a majority
+    const rules = { earlyWin: false };
+    const game = KalahEngine.fromPosition('1,0,0,0,0,0/1,0,0,0,0,0 25-21 0 30', { rules });
+    expect(game.gameOver).toBe(false);
+});
+
+test('Game record starting from a position', () => {
+    const position = '0,0,2,0,1,1/1,0,0,3,0,0 18-22 0 27';
+    const game = KalahEngine.fromPosition(position);
+    const moves = [];
+    while (!game.gameOver) {
+        const move = game.getValidMoves()[0];
+        game.makeMove(move);
+        moves.push(move);
+    }
+
+    const text = KalahEngine.serializeGame({ moves, position });
+    expect(text.includes(`[Position "${position}"]`)).toBe(true);
+    const parsed = KalahEngine.parseGame(text);
+    expect(parsed.headers.Position).toBe(position);
+    expect(parsed.moves).toEqual(moves);
+    expect(parsed.engine.getState()).toEqual(game.getState());
+});
+
+test('KalahAI accepts a position string', () => {
+    const ai = new KalahAI('hard');
+    const position = '1,0,0,0,0,1/1,0,0,0,0,0 21-24 0 31';
+    expect(ai.selectMove(position)).toBe(ai.selectMove(KalahEngine.parsePosition(position)));
+    expect([0, 5].includes(ai.selectMove(position))).toBe(true);
+});
+
+// ============ POSITION HASHING AND TRANSPOSITION TABLE ============
+
+test('Transposed move orders give the same hash', () => {
+    const a = new KalahEngine();
+    const b = new KalahEngine();
+    [0, 9, 0, 7, 2].forEach(pit => a.makeMove(pit));
+    [0, 9, 2, 7, 0].forEach(pit => b.makeMove(pit));
+    expect(a.getHash()).toBe(b.getHash());
+    expect(a.getHash().length).toBe(16);
+    expect(a.getHash() === new KalahEngine().getHash()).toBe(false);
+});
+
+test('Hash depends on the side to move', () => {
+    const game = new KalahEngine();
+    const hash = game.getHash();
+    game.currentPlayer = 1;
+    expect(game.getHash() === hash).toBe(false);
+});
+
+test('applyMove updates the hash incrementally', () => {
+    for (let seed = 1; seed <= 5; seed++) {
+        const { states, moves } = playRandomGame({ rules: { captureEmptyOpposite: seed % 2 === 0 } }, seed);
+        let state = KalahEngine.hashState({ ...states[0] });
+        for (const pit of moves) {
+            state = KalahEngine.applyMove(state, pit);
+            const fresh = KalahEngine.hashState({ board: state.board, stores: state.stores, currentPlayer: state.currentPlayer });
+            expect([state.hashLo, state.hashHi]).toEqual([fresh.hashLo, fresh.hashHi]);
+        }
+    }
+});
+
+test('applyMove leaves unhashed states unhashed', () => {
+    const next = KalahEngine.applyMove(new KalahEngine().getState(), 2);
+    expect(next.hashLo).toBe(undefined);
+});
+
+test('Transposition table keeps the deeper result for a position', () => {
+    const tt = new KalahAI.TranspositionTable(4);
+    tt.store(5, 7, 6, KalahAI.TranspositionTable.EXACT, 12.5, 3);
+    tt.store(5, 7, 2, KalahAI.TranspositionTable.LOWER, 40, 1);
+    const slot = tt.probe(5, 7);
+    expect([tt.depths[slot], tt.scores[slot], tt.moves[slot]]).toEqual([6, 12.5, 3]);
+    expect(tt.probe(5, 8)).toBe(-1);
+
+    // A new search may replace it
+    tt.nextSearch();
+    tt.store(5, 7, 2, KalahAI.TranspositionTable.LOWER, 40, 1);
+    expect(tt.depths[tt.probe(5, 7)]).toBe(2);
+});
+
+test('KalahAI picks the same moves with and without the transposition table', () => {
+    const withTT = new KalahAI('hard');
+    const withoutTT = new KalahAI('hard', { useTranspositionTable: false });
+    withTT.config = withoutTT.config = { depth: 5, randomness: 0 };
+    let nodesWith = 0;
+    let nodesWithout = 0;
+    let hits = 0;
+
+    for (let seed = 1; seed <= 3; seed++) {
+        const { states } = playRandomGame({}, seed);
+        for (const state of states.filter(s => !s.gameOver)) {
+            expect(withTT.selectMove(state)).toBe(withoutTT.selectMove(state));
+            nodesWith += withTT.stats.nodes;
+            nodesWithout += withoutTT.stats.nodes;
+            hits += withTT.stats.ttHits;
+        }
+    }
+    expect(hits > 0).toBe(true);
+    expect(nodesWith < nodesWithout).toBe(true);
+});
+
+// ============ ITERATIVE DEEPENING ============
+
+test('Move ordering tries extra turns and captures first', () => {
+    const ai = new KalahAI('hard');
+    const moves = new Int8Array(6);
+    const initial = new KalahEngine().getState();
+    expect(ai.generateMoves(initial, moves, -1)).toBe(6);
+    expect(Array.from(moves)).toEqual([2, 0, 1, 3, 4, 5]);
+
+    ai.generateMoves(initial, moves, 4);
+    expect(Array.from(moves)).toEqual([4, 2, 0, 1, 3, 5]);
+
+    // Pit 0 (1 seed) captures into empty pit 1
+    const capture = KalahEngine.parsePosition('1,0,3,3,3,3/3,3,3,3,5,3 8-7 0 10');
+    ai.generateMoves(capture, moves, -1);
+    expect(Array.from(moves.slice(0, 5))).toEqual([0, 3, 2, 4, 5]);
+});
+
+test('Iterative deepening finds the fixed-depth score', () => {
+    const reference = new KalahAI('hard', { useTranspositionTable: false });
+    const ai = new KalahAI('hard');
+    const { states } = playRandomGame({}, 4);
+
+    for (const state of states.slice(0, 12)) {
+        const result = ai.think(state, { maxDepth: 5 });
+        const best = Math.max(...reference.getValidMoves(state).map(move => reference.minimax(state, move, 4)));
+        expect(result.depth).toBe(5);
+        expect(result.score).toBe(best);
+    }
+});
+
+test('Principal variation is a legal line starting with the move', () => {
+    const ai = new KalahAI('hard');
+    const result = ai.think(new KalahEngine().getState(), { maxDepth: 8 });
+    expect(result.pv[0]).toBe(result.move);
+    expect(result.pv.length > 1).toBe(true);
+
+    const game = new KalahEngine();
+    for (const pit of result.pv) {
+        expect(game.isValidMove(pit)).toBe(true);
+        game.makeMove(pit);
+    }
+});
+
+test('Time-limited search stops near the time limit', () => {
+    const ai = new KalahAI('hard', { timeLimitMs: 100 });
+    const move = ai.selectMove(new KalahEngine().getState());
+    const result = ai.lastSearch;
+    expect(result.move).toBe(move);
+    expect(result.depth >= 2).toBe(true);
+    expect(result.timeMs < 400).toBe(true);
+    expect(result.nodes > 0).toBe(true);
+});
+
+test('Time-limited search returns at once with a single legal move', () => {
+    const ai = new KalahAI('hard');
+    const result = ai.think('0,0,0,0,0,3/1,1,1,1,1,1 20-19 0 40', { timeLimitMs: 5000 });
+    expect(result.move).toBe(5);
+    expect(result.depth).toBe(1);
+});
+
+// ============ EXTRA TURNS IN SEARCH ============
+
+// Positions where the best move starts an extra-turn chain. Best moves were checked by
+// solving each position to the end; at depth 4, a search that hands the turn over after
+// every ply (treating the follow-up move as the opponent's) played the move in parentheses.
+const EXTRA_TURN_POSITIONS = [
+    { position: '0,0,1,0,0,0/0,0,3,0,4,1 18-21 1 49', best: 11 }, // wins by 4 (pit 8 only draws)
+    { position: '0,0,0,5,3,1/1,1,0,0,0,1 20-16 0 52', best: 5 },  // wins by 2 (pit 3 only draws)
+    { position: '1,3,0,0,2,2/0,5,0,0,0,0 13-22 0 42', best: 4 },  // wins by 4 (pit 1 loses by 8)
+    { position: '1,3,0,0,2,0/1,5,0,0,0,0 14-22 1 43', best: 7 }   // wins by 12 (pit 6 loses by 4)
+];
+
+test('KalahAI finds the extra-turn move in regression positions', () => {
+    for (const depth of [2, 4, 6]) {
+        const ai = new KalahAI('hard');
+        ai.config = { depth, randomness: 0 };
+        for (const { position, best } of EXTRA_TURN_POSITIONS) {
+            expect(ai.selectMove(position)).toBe(best);
+        }
+    }
+});
+
+test('Iterative deepening finds the extra-turn move in regression positions', () => {
+    const ai = new KalahAI('hard');
+    for (const { position, best } of EXTRA_TURN_POSITIONS) {
+        expect(ai.think(position, { maxDepth: 12 }).move).toBe(best);
+    }
+});
+
+test('Search lets the same player move again after an extra turn', () => {
+    // Pit 4 ends in Player 0's store, and Player 0's follow-up captures
+    const ai = new KalahAI('hard');
+    const result = ai.think('1,3,0,0,2,2/0,5,0,0,0,0 13-22 0 42', { maxDepth: 6 });
+    expect(result.pv.slice(0, 2)).toEqual([4, 1]);
+    expect(result.score).toBe(1000);
+});
+
+// ============ MONTE CARLO TREE SEARCH ============
+
+function seededRandom(seed) {
+    let x = seed;
+    return () => {
+        x = (x * 1103515245 + 12345) % 2147483648;
+        return x / 2147483648;
+    };
+}
+
+test('MCTS runs the configured number of iterations', () => {
+    const mcts = new MCTSAgent({ iterations: 500, random: seededRandom(1) });
+    const result = mcts.search(new KalahEngine().getState());
+    expect(result.iterations).toBe(500);
+    expect(result.moves.reduce((sum, m) => sum + m.visits, 0)).toBe(500);
+    expect(result.moves[0].move).toBe(result.move);
+    expect(mcts.lastSearch).toBe(result);
+});
+
+test('MCTS plays legal moves for both players and other boards', () => {
+    const mcts = new MCTSAgent({ iterations: 50, random: seededRandom(2) });
+    const game = new KalahEngine({ pitsPerPlayer: 4, seedsPerPit: 3, rules: { captureEmptyOpposite: true } });
+    while (!game.gameOver) {
+        const move = mcts.selectMove(game.getState());
+        expect(game.isValidMove(move)).toBe(true);
+        game.makeMove(move);
+    }
+});
+
+test('MCTS does not modify the state it searches', () => {
+    const game = new KalahEngine();
+    game.makeMove(2);
+    const state = game.getState();
+    const copy = JSON.parse(JSON.stringify(state));
+    new MCTSAgent({ iterations: 100, random: seededRandom(3) }).selectMove(state);
+    expect(state).toEqual(copy);
+});
+
+test('MCTS finds the extra-turn move in regression positions', () => {
+    for (const rollout of ['random', 'heuristic']) {
+        const mcts = new MCTSAgent({ iterations: 1000, rollout, random: seededRandom(4) });
+        for (const { position, best } of EXTRA_TURN_POSITIONS) {
+            expect(mcts.selectMove(position)).toBe(best);
+        }
+    }
+});
+
+test('MCTS stops at the time limit', () => {
+    const mcts = new MCTSAgent({ timeLimitMs: 50 });
+    const result = mcts.search(new KalahEngine().getState());
+    expect(result.timeMs < 300).toBe(true);
+    expect(result.iterations > 0).toBe(true);
+});
+
+test('MCTS rejects an unknown rollout policy', () => {
+    let message = null;
+    try {
+        new MCTSAgent({ rollout: 'greedy' });
+    } catch (error) {
+        message = error.message;
+    }
+    expect(message).toBe("Unknown rollout policy: greedy (expected 'random' or 'heuristic')");
+});
+
+// ============ ENDGAME DATABASE ============
+
+/**
+ * Final score difference for the player to move under perfect play, by exhaustive search
+ */
+function solveExactly(state) {
+    const player = state.currentPlayer;
+    const pitsPerPlayer = state.board.length / 2;
+    let best = -Infinity;
+    for (let pit = player * pitsPerPlayer; pit < (player + 1) * pitsPerPlayer; pit++) {
+        if (state.board[pit] === 0) continue;
+        const next = KalahEngine.applyMove(state, pit);
+        let scoreDiff = next.stores[player] - next.stores[1 - player];
+        if (!next.gameOver) {
+            const reply = solveExactly(next);
+            scoreDiff = next.currentPlayer === player ? reply : -reply;
+        }
+        best = Math.max(best, scoreDiff);
+    }
+    return best;
+}
+
+/**
+ * Positions from random games once at most `maxSeeds` seeds are left on the board
+ */
+function endgamePositions(options, maxSeeds, games) {
+    const positions = [];
+    for (let seed = 1; seed <= games; seed++) {
+        const { states } = playRandomGame(options, seed);
+        const state = states.find(s => !s.gameOver && s.board.reduce((a, b) => a + b, 0) <= maxSeeds);
+        if (state) positions.push(state);
+    }
+    return positions;
+}
+
+test('Endgame table index is a perfect hash', () => {
+    const table = new EndgameDatabase({ pitsPerPlayer: 2, maxSeeds: 6 });
+    expect(table.size).toBe(210); // C(6 + 4, 4)
+
+    const seen = new Set();
+    for (let a = 0; a <= 6; a++) {
+        for (let b = 0; a + b <= 6; b++) {
+            for (let c = 0; a + b + c <= 6; c++) {
+                for (let d = 0; a + b + c + d <= 6; d++) {
+                    const index = table.index([a, b, c, d], 0);
+                    expect(index >= 0 && index < table.size).toBe(true);
+                    seen.add(index);
+                }
+            }
+        }
+    }
+    expect(seen.size).toBe(210);
+
+    // Seen from player 1, the board starts at its own pits
+    expect(table.index([1, 2, 3, 0], 1)).toBe(table.index([3, 0, 1, 2], 0));
+});
+
+test('Endgame table margins match exhaustive search', () => {
+    const variants = [
+        { rules: { earlyWin: false } },
+        { rules: { earlyWin: false, captureEmptyOpposite: true } },
+        { rules: { earlyWin: false, remainingSeeds: 'clearer' } },
+        { rules: { earlyWin: false, captures: false } }
+    ];
+    for (const { rules } of variants) {
+        const table = new EndgameDatabase({ pitsPerPlayer: 4, maxSeeds: 9, rules }).generate();
+        const positions = endgamePositions({ pitsPerPlayer: 4, seedsPerPit: 3, rules }, 9, 25);
+        expect(positions.length > 10).toBe(true);
+        for (const state of positions) {
+            const player = state.currentPlayer;
+            const scoreDiff = state.stores[player] - state.stores[1 - player] + table.lookup(state);
+            expect(scoreDiff).toBe(solveExactly(state));
+            expect(table.bestMove(state).scoreDiff).toBe(scoreDiff);
+        }
+    }
+});
+
+test('Endgame table results keep the winner under the early-win rule', () => {
+    const table = new EndgameDatabase({ pitsPerPlayer: 4, maxSeeds: 9 }).generate();
+    for (const state of endgamePositions({ pitsPerPlayer: 4, seedsPerPit: 3 }, 9, 25)) {
+        const player = state.currentPlayer;
+        const scoreDiff = state.stores[player] - state.stores[1 - player] + table.lookup(state);
+        expect(Math.sign(scoreDiff)).toBe(Math.sign(solveExactly(state)));
+    }
+});
+
+test('Endgame table only covers its board, rules and seed count', () => {
+    const table = new EndgameDatabase({ pitsPerPlayer: 4, maxSeeds: 9 }).generate();
+    const state = KalahEngine.parsePosition('1,0,2,0/0,3,0,1 10-7 0 30', { seedsPerPit: 3 });
+    expect(table.lookup(state) === null).toBe(false);
+    expect(table.lookup({ ...state, rules: { ...state.rules, captureEmptyOpposite: true } })).toBe(null);
+    expect(table.lookup({ ...state, rules: { ...state.rules, captures: false } })).toBe(null);
+    expect(table.lookup(KalahEngine.parsePosition('4,0,2,0/0,3,0,1 7-7 0 30', { seedsPerPit: 3 }))).toBe(null);
+    expect(table.lookup(new KalahEngine().getState())).toBe(null);
+});
+
+test('Endgame table round-trips through the binary format', () => {
+    const table = new EndgameDatabase({ pitsPerPlayer: 3, maxSeeds: 8, rules: { remainingSeeds: 'clearer' } }).generate();
+    const bytes = table.toBytes();
+    expect(bytes.length).toBe(12 + table.size);
+
+    const loaded = EndgameDatabase.fromBytes(bytes.buffer);
+    expect(loaded.rules).toEqual(table.rules);
+    expect(Array.from(loaded.margins)).toEqual(Array.from(table.margins));
+
+    const noCapture = new EndgameDatabase({ pitsPerPlayer: 3, maxSeeds: 2, rules: { captures: false } });
+    expect(EndgameDatabase.fromBytes(noCapture.toBytes()).rules).toEqual(noCapture.rules);
+    expect(EndgameDatabase.fileName(3, noCapture.rules)).toBe('kalah-3-no-capture.bin');
+
+    // Node.js Buffers may be views into a larger shared pool
+    const fromBuffer = EndgameDatabase.fromBytes(Buffer.from(bytes));
+    expect(Array.from(fromBuffer.margins)).toEqual(Array.from(table.margins));
+
+    const errors = [];
+    for (const data of [bytes.slice(0, bytes.length - 1), Uint8Array.from([1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12])]) {
+        try {
+            EndgameDatabase.fromBytes(data);
+        } catch (error) {
+            errors.push(error.message);
+        }
+    }
+    expect(errors).toEqual(['Endgame table is truncated: 3002 of 3003 entries', 'Not an endgame table (bad header)']);
+});
+
+test('KalahAI and MCTS consult registered endgame tables', () => {
+    const table = EndgameDatabase.register(new EndgameDatabase({ pitsPerPlayer: 4, maxSeeds: 9 }).generate());
+    try {
+        for (const state of endgamePositions({ pitsPerPlayer: 4, seedsPerPit: 3 }, 9, 10)) {
+            const best = table.bestMove(state);
+            const expected = best.scoreDiff > 0 ? 1000 : best.scoreDiff < 0 ? -1000 : 0;
+
+            // A one-ply search already knows the result
+            expect(new KalahAI('hard').think(state, { maxDepth: 1 }).score).toBe(expected);
+
+            // Playouts stop with the exact score difference
+            const scores = new MCTSAgent().playout(MCTSAgent.createEngine(state));
+            const player = state.currentPlayer;
+            expect(scores[player] - scores[1 - player]).toBe(
+                state.stores[player] - state.stores[1 - player] + table.lookup(state));
+        }
+    } finally {
+        EndgameDatabase.clear();
+    }
+});
+
+test('Agents load a built endgame table nobody registered', () => {
+    const fs = require('fs');
+    const os = require('os');
+    const path = require('path');
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'kalah-endgame-'));
+    const table = new EndgameDatabase({ pitsPerPlayer: 4, maxSeeds: 9 }).generate();
+    fs.writeFileSync(path.join(dir, EndgameDatabase.fileName(4)), table.toBytes());
+
+    EndgameDatabase.autoloadFrom(dir);
+    try {
+        for (const state of endgamePositions({ pitsPerPlayer: 4, seedsPerPit: 3 }, 9, 10)) {
+            // The move KalahAI picks keeps the table's result (its search scores wins, not margins)
+            const move = new KalahAI('hard').selectMove(state);
+            const player = state.currentPlayer;
+            const next = KalahEngine.applyMove(state, move);
+            const margin = next.gameOver ? 0 : EndgameDatabase.probe(next);
+            const scoreDiff = next.stores[player] - next.stores[1 - player] +
+                (next.currentPlayer === player ? margin : -margin);
+            expect(Math.sign(scoreDiff)).toBe(Math.sign(table.bestMove(state).scoreDiff));
+        }
+        expect(EndgameDatabase.tables.length).toBe(1);
+    } finally {
+        EndgameDatabase.clear();
+        EndgameDatabase.autoloadFrom(null);
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+// ============ OPENING BOOK ============
+
+test('Search book covers the opening with the best moves first', () => {
+    const options = { pitsPerPlayer: 4, seedsPerPit: 3 };
+    const book = buildSearchBook({ ...options, plies: 3, depth: 6, games: 1 });
+    const root = new KalahEngine({ ...options, enableLogging: false }).getState();
+    const positions = openingPositions(root, 3);
+    expect(book.size).toBe(positions.length);
+    expect(positions.every(state => book.lookup(state) !== null)).toBe(true);
+
+    const moves = book.lookup(root);
+    expect(moves.length).toBe(3);
+    for (let i = 1; i < moves.length; i++) {
+        expect(moves[i - 1].score >= moves[i].score).toBe(true);
+    }
+    expect(moves.every(m => m.wins + m.draws + m.losses === 1)).toBe(true);
+
+    // The best book move scores like the best move of a search to the same depth
+    const ai = new KalahAI('expert');
+    const best = Math.max(...ai.getValidMoves(root).map(move => ai.minimax(root, move, 5)));
+    expect(moves[0].score).toBe(best);
+});
+
+test('Book moves are chosen among near-equal moves', () => {
+    const root = new KalahEngine({ enableLogging: false }).getState();
+    const book = new OpeningBook({ plies: 1 });
+    book.add(root, [
+        { move: 5, score: 46, wins: 3, draws: 0, losses: 1 },
+        { move: 2, score: 48, wins: 4, draws: 0, losses: 0 },
+        { move: 0, score: -50, wins: 0, draws: 0, losses: 4 }
+    ]);
+    expect(book.lookup(root).map(m => m.move)).toEqual([2, 5, 0]);
+
+    const chosen = new Set();
+    for (let i = 0; i < 50; i++) {
+        chosen.add(book.selectMove(root));
+    }
+    expect([...chosen].sort()).toEqual([2, 5]);
+    expect(book.selectMove(root, { tolerance: 0 })).toBe(2);
+    expect(book.selectMove(root, { tolerance: 100, random: () => 0.99 })).toBe(0);
+
+    // Other positions, boards and rule variants aren't in the book
+    expect(book.selectMove(KalahEngine.applyMove(root, 0))).toBe(null);
+    expect(book.lookup({ ...root, rules: { captureEmptyOpposite: true } })).toBe(null);
+    expect(book.lookup(new KalahEngine({ pitsPerPlayer: 4, enableLogging: false }).getState())).toBe(null);
+
+    // KalahAI plays from the book, even when told to play randomly
+    const ai = new KalahAI('easy', { openingBook: book });
+    for (let i = 0; i < 20; i++) {
+        expect([2, 5].includes(ai.selectMove(root))).toBe(true);
+    }
+});
+
+test('Opening book survives a JSON round trip', () => {
+    const book = buildSelfPlayBook({ pitsPerPlayer: 4, seedsPerPit: 3, plies: 2, games: 60, minGames: 3 });
+    expect(book.method).toBe('selfplay');
+    expect(book.tolerance).toBe(3);
+
+    const loaded = OpeningBook.fromJSON(JSON.stringify(book));
+    expect(loaded.size).toBe(book.size);
+    expect(loaded.positions).toEqual(book.positions);
+
+    // Every game passes the start position, and scores are points percentages
+    const root = new KalahEngine({ pitsPerPlayer: 4, seedsPerPit: 3, enableLogging: false }).getState();
+    const rootMoves = loaded.lookup(root);
+    expect(rootMoves.length > 0).toBe(true);
+    for (const m of rootMoves) {
+        const games = m.wins + m.draws + m.losses;
+        expect(games >= 3).toBe(true);
+        expect(m.score).toBe(Math.round(1000 * (m.wins + m.draws / 2) / games) / 10);
+    }
+
+    const errors = [];
+    for (const data of ['{}', JSON.stringify({ ...book.toJSON(), version: 99 })]) {
+        try {
+            OpeningBook.fromJSON(data);
+        } catch (error) {
+            errors.push(error.message);
+        }
+    }
+    expect(errors).toEqual(['Not an opening book (missing format)', 'Unsupported opening book version 99 (expected 1)']);
+});
+
+test('Self-play opening books are reproducible from a seed', () => {
+    const options = { pitsPerPlayer: 4, seedsPerPit: 3, plies: 2, games: 30, minGames: 1 };
+    const book = buildSelfPlayBook({ ...options, random: createRandom(7) });
+    const again = buildSelfPlayBook({ ...options, random: createRandom(7) });
+    expect(JSON.stringify(again)).toBe(JSON.stringify(book));
+});
+
+// ============ REPLAY BUFFER ============
+
+test('Replay buffer keeps the newest experiences in a ring', () => {
+    const buffer = new ReplayBuffer(5);
+    for (let i = 0; i < 8; i++) {
+        buffer.push(i);
+    }
+    expect(buffer.length).toBe(5);
+    expect(buffer.toArray()).toEqual([3, 4, 5, 6, 7]);
+    expect(buffer.get(0)).toBe(3);
+
+    // Uniform batches don't repeat experiences
+    const { items, weights } = buffer.sample(5, 1, seededRandom(7));
+    expect([...items].sort()).toEqual([3, 4, 5, 6, 7]);
+    expect(weights).toEqual([1, 1, 1, 1, 1]);
+
+    buffer.clear();
+    expect(buffer.length).toBe(0);
+    expect(buffer.toArray()).toEqual([]);
+});
+
+test('Prioritized replay samples in proportion to priority', () => {
+    const buffer = new ReplayBuffer(3, { prioritized: true, alpha: 1, priorityEpsilon: 0 });
+    ['a', 'b', 'c'].forEach(item => buffer.push(item));
+    buffer.updatePriorities([0, 1, 2], [1, -2, 5]);
+
+    const counts = { a: 0, b: 0, c: 0 };
+    const random = seededRandom(11);
+    for (let i = 0; i < 200; i++) {
+        for (const item of buffer.sample(8, 1, random).items) {
+            counts[item]++;
+        }
+    }
+    // Expected shares 1/8, 2/8 and 5/8 of 1600 draws
+    expect(Math.abs(counts.a - 200) < 40).toBe(true);
+    expect(Math.abs(counts.b - 400) < 50).toBe(true);
+    expect(Math.abs(counts.c - 1000) < 50).toBe(true);
+
+    // Importance weights (N * P)^-beta, relative to the rarest experience's
+    const { items, weights } = buffer.sample(8, 1, random);
+    items.forEach((item, i) => {
+        expect(Math.abs(weights[i] - { a: 1, b: 0.5, c: 0.2 }[item]) < 1e-9).toBe(true);
+    });
+    expect(buffer.sample(8, 0, random).weights.every(w => w === 1)).toBe(true);
+
+    // New experiences get the highest priority so far, overwriting the oldest slot
+    buffer.push('d');
+    expect(buffer.toArray()).toEqual(['b', 'c', 'd']);
+    expect(buffer.sumTree[1]).toBe(2 + 5 + 5);
+});
+
+test('Restored replay buffer and random state draw the same batches', () => {
+    const random = createRandom(5);
+    const buffer = new ReplayBuffer(4, { prioritized: true });
+    for (let i = 0; i < 6; i++) {
+        buffer.push(i);
+    }
+    buffer.updatePriorities([1, 3], [0.5, 2]);
+
+    const restored = new ReplayBuffer(4, { prioritized: true });
+    restored.setState(buffer.getState());
+    const restoredRandom = createRandom(99);
+    restoredRandom.setState(random.getState());
+
+    expect(restored.toArray()).toEqual([2, 3, 4, 5]);
+    expect(restored.sample(6, 0.4, restoredRandom)).toEqual(buffer.sample(6, 0.4, random));
+    restored.push(6);
+    buffer.push(6);
+    expect(restored.toArray()).toEqual(buffer.toArray());
+    expect(restored.sumTree[1]).toBe(buffer.sumTree[1]);
+});
+
+// ============ SEEDED RANDOMNESS ============
+
+test('Seeded KalahAI plays the same game for the same seed', () => {
+    const playGame = (seed) => {
+        const ai = new KalahAI('easy', { random: createRandom(seed) });
+        const game = new KalahEngine({ pitsPerPlayer: 4, seedsPerPit: 3, enableLogging: false });
+        const moves = [];
+        while (!game.gameOver) {
+            const move = ai.selectMove(game.getState());
+            moves.push(move);
+            game.makeMove(move);
+        }
+        return moves;
+    };
+
+    expect(playGame(11)).toEqual(playGame(11));
+    expect(JSON.stringify(playGame(12)) === JSON.stringify(playGame(11))).toBe(false);
+});
+
+// ============ METRICS LOG ============
+
+test('Metrics log writes JSONL and CSV records and truncates after a resume point', () => {
+    const fs = require('fs');
+    const os = require('os');
+    const path = require('path');
+    const dir = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'kalah-metrics-')), 'run');
+
+    const log = new MetricsLog(dir);
+    log.write('episodes', { stage: 0, episode: 100, episodes: 100, loss: 0.25, epsilon: 0.9, avgQ: null, bufferSize: 2000 });
+    log.write('eval', { stage: 0, episode: 100, opponent: 'Minimax (easy, "fast")', winRate: 62.5 });
+    log.write('episodes', { stage: 1, episode: 200, episodes: 100, loss: 0.2, epsilon: 0.8, avgQ: 0.4, bufferSize: 4000 });
+
+    const records = MetricsLog.read(dir);
+    expect(records.map(r => `${r.type}@${r.episode}`)).toEqual(['episodes@100', 'eval@100', 'episodes@200']);
+    expect(records[0].avgQ).toBe(null);
+    expect(typeof records[1].time).toBe('string');
+
+    const episodesCSV = fs.readFileSync(path.join(dir, 'episodes.csv'), 'utf8').trim().split('\n');
+    expect(episodesCSV[0]).toBe(MetricsLog.COLUMNS.episodes.join(','));
+    expect(episodesCSV[1].split(',').slice(1)).toEqual(['0', '100', '100', '0.25', '0.9', '', '', '', '', '', '2000']);
+    const evalsCSV = fs.readFileSync(path.join(dir, 'evals.csv'), 'utf8').trim().split('\n');
+    expect(evalsCSV[1].includes('"Minimax (easy, ""fast"")"')).toBe(true);
+
+    // A resumed run from episode 100 drops what came after, in every file
+    new MetricsLog(dir).truncate(100);
+    expect(log.read().map(r => r.episode)).toEqual([100, 100]);
+    expect(fs.readFileSync(path.join(dir, 'episodes.csv'), 'utf8').trim().split('\n').length).toBe(2);
+
+    let error = null;
+    try {
+        log.write('progress', {});
+    } catch (e) {
+        error = e.message;
+    }
+    expect(error).toBe('Unknown metrics record type: progress (expected episodes, eval, promotion or stage)');
+    fs.rmSync(path.dirname(dir), { recursive: true, force: true });
+});
+
+// ============ TRAINING CONFIG ============
+
+test('Training config layers a preset, a config file and command line overrides', () => {
+    const fs = require('fs');
+    const os = require('os');
+    const path = require('path');
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'kalah-config-'));
+    const file = path.join(dir, 'run.json');
+    fs.writeFileSync(file, JSON.stringify({
+        preset: 'quick',
+        agent: { batchSize: 32 },
+        curriculum: [{ name: 'Minimax', opponent: 'minimax:easy', fraction: 0.5 }, { name: 'Self', opponent: 'self', episodes: 500 }]
+    }));
+
+    const overrides = trainingConfig.parseOverrides(['--agent.batchSize=256', '--pits=4', '--dueling', '--run=2024', '--curriculum.0.opponent=mcts:300']);
+    expect(overrides).toEqual([
+        ['agent.batchSize', 256], ['board.pitsPerPlayer', 4], ['agent.dueling', true], ['run', '2024'], ['curriculum.0.opponent', 'mcts:300']
+    ]);
+
+    const config = trainingConfig.resolveConfig({ file, overrides });
+    expect(config.preset).toBe('quick');
+    expect(config.episodes).toBe(2000); // From the preset
+    expect(config.agent.batchSize).toBe(256); // The override beats the file
+    expect(config.agent.epsilonDecaySteps).toBe(2000); // Defaults to the run's episodes
+    expect(config.agent.learningRate).toBe(trainingConfig.DEFAULTS.agent.learningRate);
+    expect(config.board).toEqual({ pitsPerPlayer: 4, seedsPerPit: 4 });
+    expect(config.curriculum.map(stage => stage.opponent)).toEqual(['mcts:300', 'self']); // Lists are replaced
+    expect(trainingConfig.DEFAULTS.agent.batchSize).toBe(64); // Untouched
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('Training config reports every invalid setting', () => {
+    const errorOf = (fn) => {
+        try {
+            fn();
+        } catch (e) {
+            return e.message;
+        }
+        return null;
+    };
+
+    const message = errorOf(() => trainingConfig.resolveConfig({
+        overrides: [
+            ['agent.batchsize', 256],
+            ['agent.epsilon', 2],
+            ['episodes', 'many'],
+            ['evaluation.opponent', 'minimax:impossible'],
+            ['curriculum', [{ name: 'A', opponent: 'self', fraction: 0.8 }, { name: 'B', opponent: 'random', fraction: 0.5, episodes: 10 }]]
+        ]
+    }));
+    expect(message.split('\n')).toEqual([
+        'Invalid training config:',
+        '  - episodes: expected an integer >= 1, got "many"',
+        '  - agent.batchsize: unknown setting (did you mean agent.batchSize?)',
+        '  - agent.epsilon: expected a number from 0 to 1, got 2',
+        '  - evaluation.opponent: expected an opponent (random, minimax[:easy|medium|hard|expert|depth], mcts[:iterations]), got "minimax:impossible"',
+        '  - curriculum.1: needs either fraction or episodes (or promotion and maxEpisodes)',
+        '  - curriculum: stage fractions add up to 1.3, more than 1'
+    ]);
+    expect(errorOf(() => trainingConfig.parseOverrides(['--batch-size=2']))).toBe('Unknown option: --batch-size');
+    expect(errorOf(() => trainingConfig.resolveConfig({ preset: 'nope' })).startsWith('Unknown preset: nope (available: ')).toBe(true);
+});
+
+test('Training config checks curriculum stages with promotion criteria', () => {
+    const stagesError = (curriculum) => {
+        try {
+            trainingConfig.resolveConfig({ overrides: [['curriculum', curriculum]] });
+        } catch (e) {
+            return e.message.split('\n').slice(1);
+        }
+        return [];
+    };
+
+    expect(stagesError([
+        { name: 'Random', opponent: 'random', maxEpisodes: 5000, promotion: { winRate: 80, games: 200 } },
+        { name: 'Depth 3', opponent: 'minimax:3', maxEpisodes: 20000, promotion: { winRate: 60, interval: 500 } },
+        { name: 'Past self', opponent: 'snapshot', episodes: 2000 },
+        { name: 'Self', opponent: 'self', maxEpisodes: 20000, promotion: { winRate: 55, opponent: 'snapshot:models/kalah-agent' } }
+    ])).toEqual([]);
+    expect(stagesError([
+        { name: 'A', opponent: 'random', fraction: 0.5, promotion: { winRate: 80 } },
+        { name: 'B', opponent: 'self', maxEpisodes: 1000, promotion: { winRate: 101, gmaes: 50 } },
+        { name: 'C', opponent: 'minimax:0', episodes: 10 }
+    ])).toEqual([
+        '  - curriculum.0: a stage with promotion needs maxEpisodes (instead of fraction or episodes)',
+        '  - curriculum.1.promotion.opponent: needed for a self-play stage',
+        '  - curriculum.1.promotion.gmaes: unknown setting',
+        '  - curriculum.1.promotion.winRate: expected a number from 0 to 100, got 101',
+        '  - curriculum.2.opponent: expected an opponent (random, minimax[:easy|medium|hard|expert|depth], ' +
+            'mcts[:iterations], snapshot[:dir], self or league), got "minimax:0"'
+    ]);
+
+    // A default stage becomes a promotion stage from the command line (null removes its fraction)
+    const config = trainingConfig.resolveConfig({
+        overrides: trainingConfig.parseOverrides(['--curriculum.0.fraction=null', '--curriculum.0.maxEpisodes=5000', '--curriculum.0.promotion.winRate=80'])
+    });
+    expect(config.curriculum[0]).toEqual({ name: 'Random opponent (warm-up)', opponent: 'random', maxEpisodes: 5000, promotion: { winRate: 80 } });
+});
+
+test('Training config sets up league stages and their opponent pool', () => {
+    const config = trainingConfig.resolveConfig({
+        preset: 'league',
+        overrides: trainingConfig.parseOverrides(['--league.opponents=random,mcts:200', '--paths.league=/tmp/pool'])
+    });
+    expect(config.curriculum.map(stage => stage.opponent)).toEqual(['random', 'league']);
+    expect(config.league.opponents).toEqual(['random', 'mcts:200']);
+    expect(config.paths.league).toBe('/tmp/pool');
+
+    let message = null;
+    try {
+        trainingConfig.resolveConfig({
+            overrides: [
+                ['league.opponents', ['random', 'snapshot']],
+                ['league.prioritization', -1],
+                ['curriculum', [{ name: 'League', opponent: 'league', maxEpisodes: 1000, promotion: { winRate: 60 } }]]
+            ]
+        });
+    } catch (e) {
+        message = e.message;
+    }
+    expect(message.split('\n').slice(1)).toEqual([
+        '  - curriculum.0.promotion.opponent: needed for a league stage',
+        '  - league.opponents: expected a list of opponents (random, minimax[:easy|medium|hard|expert|depth], ' +
+            'mcts[:iterations]), got ["random","snapshot"]',
+        '  - league.prioritization: expected a number >= 0, got -1'
+    ]);
+});
+
+// ============ LEAGUE OPPONENT POOL ============
+
+test('Opponent pool samples toward the opponents the agent loses to', () => {
+    const fs = require('fs');
+    const os = require('os');
+    const path = require('path');
+    const dir = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'kalah-pool-')), 'league');
+
+    const pool = new OpponentPool(dir, { prioritization: 2, random: createRandom(7) });
+    pool.setFixed(['random', 'minimax:2']);
+    const { member: snapshot } = pool.addSnapshot(1000);
+    expect(pool.members.map(m => m.id)).toEqual(['random', 'minimax:2', 'snapshot-1']);
+    expect(snapshot.episode).toBe(1000);
+    expect(pool.path(snapshot)).toBe(path.join(dir, 'snapshot-1'));
+
+    // Beats random, draws with the snapshot, loses to minimax
+    for (let i = 0; i < 10; i++) {
+        pool.record(pool.members[0], 1);
+        pool.record(pool.members[1], 0);
+        pool.record(snapshot, 0.5);
+    }
+    expect(pool.members.map(m => pool.score(m))).toEqual([1, 0, 0.5]);
+    expect(pool.members.map(m => pool.weight(m))).toEqual([OpponentPool.MIN_WEIGHT, 1, 0.25]);
+
+    const counts = { 'random': 0, 'minimax:2': 0, 'snapshot-1': 0 };
+    for (let i = 0; i < 1300; i++) {
+        counts[pool.sample().id]++;
+    }
+    expect(counts['minimax:2'] > counts['snapshot-1'] && counts['snapshot-1'] > counts['random']).toBe(true);
+    expect(counts['random'] > 0).toBe(true);
+    fs.rmSync(path.dirname(dir), { recursive: true, force: true });
+});
+
+test('Opponent pool persists on disk and drops the easiest snapshot when full', () => {
+    const fs = require('fs');
+    const os = require('os');
+    const path = require('path');
+    const dir = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'kalah-pool-')), 'league');
+
+    const pool = new OpponentPool(dir, { maxSnapshots: 2 });
+    pool.setFixed(['random']);
+    const first = pool.addSnapshot(100).member;
+    const second = pool.addSnapshot(200).member;
+    for (const member of [first, second]) {
+        fs.mkdirSync(pool.path(member), { recursive: true });
+    }
+    pool.record(first, 0);
+    pool.record(second, 1);
+    pool.record(pool.members[0], 0.5);
+
+    const { member: third, evicted } = pool.addSnapshot(300);
+    expect(evicted.id).toBe('snapshot-2');
+    expect(fs.existsSync(pool.path(second))).toBe(false);
+    expect(pool.snapshots.map(m => m.id)).toEqual(['snapshot-1', 'snapshot-3']);
+    expect(third.games).toBe(0);
+    pool.save();
+
+    // The next run finds the pool with its results; fixed opponents follow its settings
+    const reloaded = new OpponentPool(dir, { maxSnapshots: 2 });
+    expect(reloaded.nextSnapshot).toBe(4);
+    expect(reloaded.members.map(m => `${m.id}:${m.games}`)).toEqual(['random:1', 'snapshot-1:1', 'snapshot-3:0']);
+    reloaded.setFixed(['minimax:easy', 'random']);
+    expect(reloaded.members.map(m => m.id)).toEqual(['random', 'snapshot-1', 'snapshot-3', 'minimax:easy']);
+    expect(reloaded.members[0].draws).toBe(1);
+    reloaded.setFixed([]);
+    expect(reloaded.members.map(m => m.id)).toEqual(['snapshot-1', 'snapshot-3']);
+
+    // A resume point's state replaces what was saved after it
+    const state = JSON.parse(JSON.stringify(reloaded.toJSON()));
+    reloaded.addSnapshot(400);
+    reloaded.restore(state);
+    expect(reloaded.snapshots.map(m => m.id)).toEqual(['snapshot-1', 'snapshot-3']);
+    expect(reloaded.nextSnapshot).toBe(4);
+    fs.rmSync(path.dirname(dir), { recursive: true, force: true });
+});
+
+// ============ RATING LADDER ============
+
+test('Rating ladder fits Elo ratings with confidence intervals relative to the anchor', () => {
+    const ladder = new RatingLadder('/nonexistent/ratings.json', { prior: 0 });
+    for (const name of ['random', 'weak', 'strong', 'loner']) {
+        ladder.addPlayer(name, name);
+    }
+
+    // Scores of 76% and 24% are 200 Elo apart
+    ladder.record('weak', 'random', { wins: 76, draws: 0, losses: 24 });
+    ladder.record('random', 'strong', { wins: 12, draws: 0, losses: 88 });
+    ladder.record('weak', 'strong', { wins: 20, draws: 8, losses: 72 });
+    expect(ladder.resultsBetween('strong', 'weak')).toEqual({ games: 100, wins: 72, draws: 8, losses: 20 });
+
+    const ratings = ladder.fit();
+    expect(ratings.map(r => r.name)).toEqual(['strong', 'weak', 'random', 'loner']);
+    const byName = Object.fromEntries(ratings.map(r => [r.name, r]));
+    expect(byName.random.rating).toBe(0);
+    expect(byName.random.interval).toBe(0);
+    expect(byName.weak.rating > 150 && byName.weak.rating < 250).toBe(true);
+    expect(byName.strong.rating > byName.weak.rating + 150).toBe(true);
+    expect(byName.weak.interval > 50 && byName.weak.interval < 150).toBe(true);
+    expect(byName.strong.score).toBe((88 + 72 + 4) / 200);
+    expect(byName.loner).toEqual({ name: 'loner', rating: null, interval: null, games: 0, score: null });
+
+    // Four times the games halve the interval
+    const more = new RatingLadder('/nonexistent/ratings.json', { prior: 0 });
+    more.addPlayer('random', 'random');
+    more.addPlayer('weak', 'weak');
+    more.record('weak', 'random', { wins: 76, draws: 0, losses: 24 });
+    const before = more.fit()[0];
+    more.record('weak', 'random', { wins: 228, draws: 0, losses: 72 });
+    const after = more.fit()[0];
+    expect(Math.abs(after.rating - before.rating) < 1e-6).toBe(true);
+    expect(Math.abs(after.interval - before.interval / 2) < 1e-6).toBe(true);
+    expect(Math.abs(before.rating - 400 * Math.log10(76 / 24)) < 1e-6).toBe(true);
+
+    // With the prior's virtual draws, a perfect score still has a finite rating
+    const perfect = new RatingLadder('/nonexistent/ratings.json');
+    perfect.addPlayer('random', 'random');
+    perfect.addPlayer('minimax:hard', 'minimax:hard');
+    perfect.record('minimax:hard', 'random', { wins: 20, draws: 0, losses: 0 });
+    expect(Math.abs(perfect.fit()[0].rating - 400 * Math.log10(21 / 1)) < 1e-6).toBe(true);
+});
+
+test('Rating ladder keeps its players and results in the ratings file and pairs swiss rounds', () => {
+    const fs = require('fs');
+    const os = require('os');
+    const path = require('path');
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'kalah-ratings-'));
+    const file = path.join(dir, 'ratings.json');
+
+    const ladder = new RatingLadder(file, { board: { pitsPerPlayer: 4, seedsPerPit: 3 } });
+    for (const name of ['random', 'minimax:easy', 'minimax:hard', 'checkpoints/checkpoint-5000']) {
+        ladder.addPlayer(name, name);
+    }
+    ladder.record('minimax:easy', 'random', { wins: 15, draws: 1, losses: 4 });
+    ladder.record('minimax:hard', 'minimax:easy', { wins: 16, draws: 2, losses: 2 });
+    ladder.record('checkpoints/checkpoint-5000', 'random', { wins: 14, draws: 0, losses: 6 });
+    ladder.save();
+
+    // A checkpoint added later keeps the earlier results
+    const reloaded = new RatingLadder(file);
+    expect(reloaded.board).toEqual({ pitsPerPlayer: 4, seedsPerPit: 3 });
+    expect(reloaded.playerNames).toEqual(ladder.playerNames);
+    expect(reloaded.fit()).toEqual(ladder.fit());
+    expect(JSON.parse(fs.readFileSync(file, 'utf8')).ratings).toEqual(ladder.fit());
+    reloaded.addPlayer('checkpoints/checkpoint-10000', 'checkpoints/checkpoint-10000');
+    reloaded.addPlayer('random', 'changed');
+    expect(reloaded.players.random.spec).toBe('random');
+
+    // Swiss: best against the closest-rated player it has played least, the lowest sits out
+    expect(RatingLadder.roundRobin(['a', 'b', 'c'])).toEqual([['a', 'b'], ['a', 'c'], ['b', 'c']]);
+    expect(reloaded.swissRound(['random', 'minimax:easy', 'minimax:hard', 'checkpoints/checkpoint-5000', 'checkpoints/checkpoint-10000']))
+        .toEqual([['minimax:hard', 'checkpoints/checkpoint-5000'], ['minimax:easy', 'checkpoints/checkpoint-10000']]);
+
+    let error = null;
+    try {
+        new RatingLadder(file, { board: { pitsPerPlayer: 6, seedsPerPit: 4 } });
+    } catch (e) {
+        error = e.message;
+    }
+    expect(error).toBe(`${file} rates players on Kalah(4,3), not Kalah(6,4): use another ratings file`);
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
 // Run all tests
 runTests();
@@ -0,0 +1,66 @@
+#!/usr/bin/env node
+
+/**
+ * Test that the agent, trainer and saved models follow the board geometry
+ */
+
+const os = require('os');
+const path = require('path');
+const QLearningAgent = require('../src/ai/rl-agent.js');
+const Trainer = require('../src/ai/trainer.js');
+const KalahEngine = require('../src/engine/kalah-engine.js');
+
+console.log('🔍 Testing Board Geometry Support\n');
+console.log('='.repeat(60));
+
+async function testGeometry(pitsPerPlayer, seedsPerPit) {
+    console.log(`\nKalah(${pitsPerPlayer},${seedsPerPit})`);
+
+    const agent = new QLearningAgent({ pitsPerPlayer, seedsPerPit, batchSize: 16 });
+    const inputShape = agent.model.inputs[0].shape[1];
+    const outputShape = agent.model.outputs[0].shape[1];
+    console.log(`   Network: ${inputShape} → ... → ${outputShape}`);
+    console.log(`   ✅ Network shape: ${inputShape === pitsPerPlayer * 2 + 3 && outputShape === pitsPerPlayer ? 'PASS' : 'FAIL'}`);
+
+    // Both players' moves must map into the agent's output range
+    const game = new KalahEngine({ pitsPerPlayer, seedsPerPit });
+    let legal = true;
+    while (!game.gameOver) {
+        const validMoves = game.getValidMoves();
+        const action = agent.selectAction(game.getState(), validMoves);
+        legal = legal && validMoves.includes(action);
+        game.makeMove(action);
+    }
+    console.log(`   ✅ Action selection (both sides): ${legal ? 'PASS' : 'FAIL'}`);
+
+    const trainer = new Trainer(agent, { verbose: false });
+    await trainer.trainAgainstOpponent(5);
+    console.log(`   ✅ Training: ${agent.trainingStep > 0 ? 'PASS' : 'FAIL'}`);
+
+    // Saved model records its board and refuses to load on another one
+    const savePath = path.join(os.tmpdir(), `kalah-geometry-${pitsPerPlayer}-${seedsPerPit}`);
+    await agent.save(savePath);
+
+    const sameBoard = new QLearningAgent({ pitsPerPlayer, seedsPerPit });
+    await sameBoard.load(savePath);
+    console.log(`   ✅ Load on same board: PASS`);
+
+    const otherBoard = new QLearningAgent({ pitsPerPlayer: pitsPerPlayer === 6 ? 4 : 6, seedsPerPit });
+    let refused = false;
+    try {
+        await otherBoard.load(savePath);
+    } catch (error) {
+        refused = true;
+        console.log(`   Refused: ${error.message}`);
+    }
+    console.log(`   ✅ Mismatched board refused: ${refused ? 'PASS' : 'FAIL'}`);
+}
+
+async function main() {
+    for (const [pits, seeds] of [[4, 3], [6, 6], [8, 5]]) {
+        await testGeometry(pits, seeds);
+    }
+    console.log('\n' + '='.repeat(60));
+}
+
+main().catch(console.error);
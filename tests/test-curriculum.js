@@ -0,0 +1,110 @@
+#!/usr/bin/env node
+
+/**
+ * Test curriculum stages: promotion ends a stage early, maxEpisodes caps it, snapshot
+ * opponents are frozen copies of the agent, and finished stages are recorded in the results,
+ * the metrics log and the checkpoint metadata, also across a resume
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const QLearningAgent = require('../src/ai/rl-agent.js');
+const Trainer = require('../src/ai/trainer.js');
+const MetricsLog = require('../src/ai/metrics-log.js');
+
+console.log('🔍 Testing Curriculum Stages\n');
+console.log('='.repeat(60));
+
+const board = { pitsPerPlayer: 4, seedsPerPit: 3 };
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'kalah-curriculum-test-'));
+
+// Promoted at the first check (0% needed), capped (101% can't be reached), fixed length
+const stages = [
+    { name: 'Random', opponent: 'random', maxEpisodes: 200, promotion: { winRate: 0, games: 4, interval: 20 } },
+    { name: 'Past self', opponent: 'snapshot', maxEpisodes: 40, promotion: { winRate: 101, games: 4, interval: 20 } },
+    { name: 'Self', opponent: 'self', episodes: 20 }
+];
+const runOptions = { evalInterval: 20, evalGames: 10, evalOpponent: 'random', stages };
+
+const summary = (records) => records.map(r => `${r.name}:${r.startEpisode}+${r.episodes}:${r.result}`).join(', ');
+
+async function main() {
+    // Test 1: Stages end by promotion, at their cap or after their episodes
+    console.log('\n1. Training a 3-stage curriculum with promotion criteria...');
+    const savePath = path.join(dir, 'checkpoints');
+    const metricsDir = path.join(dir, 'runs', 'curriculum');
+    const agent = new QLearningAgent({ ...board, batchSize: 16, seed: 1 });
+    const trainer = new Trainer(agent, { verbose: false, logInterval: 10, metricsDir });
+    const results = await trainer.trainCurriculum(1000, { ...runOptions, savePath });
+
+    console.log(`   Stages: ${summary(results.stages)}`);
+    const staged = summary(results.stages) ===
+        'Random:0+20:promoted, Past self:20+40:reached maxEpisodes, Self:60+20:completed' &&
+        trainer.stats.gamesPlayed === 80 && results.stages[0].winRate !== null && results.stages[2].winRate === null;
+    console.log(`   ✅ Stage lengths: ${staged ? 'PASS' : 'FAIL'}`);
+
+    // Test 2: Stage transitions and promotion checks are in the metrics log and the metadata
+    const records = MetricsLog.read(metricsDir);
+    const stageRecords = records.filter(r => r.type === 'stage');
+    const promotions = records.filter(r => r.type === 'promotion');
+    const evals = records.filter(r => r.type === 'eval');
+    const metadata = JSON.parse(fs.readFileSync(path.join(savePath, 'best-checkpoint', 'metadata.json'), 'utf8'));
+    console.log(`   Metrics: stages ended at ${stageRecords.map(r => r.episode).join(', ')}, ` +
+        `promotion checks at ${promotions.map(r => r.episode).join(', ')}, evaluations at ${evals.map(r => r.episode).join(', ')}`);
+    console.log(`   Best checkpoint: episode ${metadata.episode}, stage ${metadata.curriculum.stage + 1}, ` +
+        `${metadata.curriculum.finishedStages.length} stages finished before it`);
+    const recorded = stageRecords.map(r => r.episode).join() === '20,60,80' &&
+        promotions.map(r => `${r.episode}:${r.promoted}`).join() === '20:true,40:false,60:false' &&
+        promotions[1].opponent.startsWith('Snapshot') &&
+        results.stages.map(r => r.startEpisode + r.episodes).join() === '20,60,80' &&
+        evals.map(r => r.episode).join() === '20,40,60,80' &&
+        JSON.stringify(metadata.curriculum.finishedStages) ===
+            JSON.stringify(results.stages.filter(r => r.stage < metadata.curriculum.stage));
+    console.log(`   ✅ Recorded transitions: ${recorded ? 'PASS' : 'FAIL'}`);
+
+    // Test 3: The snapshot opponent is the agent as its stage started
+    console.log('\n2. Checking the snapshot...');
+    const snapshotPath = path.join(savePath, 'snapshots', 'stage-2');
+    const snapshotAgent = new QLearningAgent(board);
+    await snapshotAgent.load(snapshotPath);
+    const snapshotOpponent = await trainer.loadSnapshot(snapshotPath);
+    const state = trainer.createGame().getState();
+    const validMoves = [0, 1, 2, 3];
+    snapshotAgent.epsilon = 0;
+    const frozen = snapshotOpponent.policy(state, validMoves) === snapshotAgent.selectAction(state, validMoves) &&
+        JSON.stringify(snapshotAgent.getQValues(state)) !== JSON.stringify(agent.getQValues(state));
+    console.log(`   ✅ Snapshot: ${frozen ? 'PASS' : 'FAIL'}`);
+
+    // Test 4: A run resumed in the snapshot stage finishes the same way
+    console.log('\n3. Resuming from the resume point in stage 2...');
+    const { position } = Trainer.readTrainingState(`${savePath}/latest`);
+    const resumedTrainer = new Trainer(new QLearningAgent(board), { verbose: false, logInterval: 10, metricsDir });
+    const resumed = await resumedTrainer.resume(`${savePath}/latest`);
+    const resumedRecords = MetricsLog.read(metricsDir);
+    console.log(`   Resumed at stage ${position.stage + 1}, episode ${position.episode}; stages: ${summary(resumed.stages)}`);
+    const same = position.stage === 1 && summary(resumed.stages) === summary(results.stages) &&
+        JSON.stringify(resumed.stages) === JSON.stringify(results.stages) &&
+        resumedRecords.filter(r => r.type === 'stage').length === 3 &&
+        JSON.stringify(resumedRecords.filter(r => r.type === 'eval').map(r => r.winRate)) ===
+            JSON.stringify(evals.map(r => r.winRate));
+    console.log(`   ✅ Resumed curriculum: ${same ? 'PASS' : 'FAIL'}`);
+
+    // Test 5: Opponent training returns its results; minimax opponents at any depth
+    console.log('\n4. Training against minimax at depth 3...');
+    const opponentTrainer = new Trainer(new QLearningAgent({ ...board, batchSize: 16, seed: 2 }), { verbose: false });
+    const opponentResults = await opponentTrainer.trainAgainstOpponent(10, 'minimax:3');
+    const opponent = Trainer.createOpponentPolicy('minimax:3');
+    console.log(`   ${opponent.name}: ${opponentResults.episodes} episodes`);
+    const returned = opponentResults.episodes === 10 && opponentResults.promotion === null &&
+        Array.isArray(opponentResults.evalHistory) && opponent.name === 'Minimax (depth 3)';
+    console.log(`   ✅ Opponent results: ${returned ? 'PASS' : 'FAIL'}`);
+
+    fs.rmSync(dir, { recursive: true, force: true });
+    console.log('\n' + '='.repeat(60));
+}
+
+main().catch(error => {
+    console.error(error);
+    process.exit(1);
+});
@@ -0,0 +1,113 @@
+#!/usr/bin/env node
+
+/**
+ * Test the DQN variants of QLearningAgent: dueling network, Double DQN targets,
+ * n-step returns, prioritized replay and their saved hyperparameters
+ */
+
+const os = require('os');
+const path = require('path');
+const tf = require('@tensorflow/tfjs-node');
+const QLearningAgent = require('../src/ai/rl-agent.js');
+const Trainer = require('../src/ai/trainer.js');
+const KalahEngine = require('../src/engine/kalah-engine.js');
+const { extractFeatures } = require('../src/ai/feature-extractor.js');
+
+console.log('🔍 Testing DQN Variants\n');
+console.log('='.repeat(60));
+
+async function main() {
+    const board = { pitsPerPlayer: 4, seedsPerPit: 3 };
+    const start = new KalahEngine(board).getState();
+
+    // Test 1: Dueling network's Q-values average to its state value
+    console.log('\n1. Testing dueling network...');
+    const dueling = new QLearningAgent({ ...board, dueling: true });
+    const valueModel = tf.model({ inputs: dueling.model.inputs, outputs: dueling.model.getLayer('value').output });
+    const qValues = dueling.getQValues(start);
+    const value = valueModel.predict(tf.tensor2d([extractFeatures(start)])).dataSync()[0];
+    const meanQ = qValues.reduce((a, b) => a + b, 0) / qValues.length;
+    const frozen = !dueling.model.getLayer('dueling_q').trainable;
+    console.log(`   Q: ${qValues.map(q => q.toFixed(3)).join(' ')}, mean ${meanQ.toFixed(4)}, V ${value.toFixed(4)}`);
+    console.log(`   ✅ Dueling: ${qValues.length === 4 && Math.abs(meanQ - value) < 1e-5 && frozen ? 'PASS' : 'FAIL'}`);
+
+    // Test 2: n-step returns flip the sign of the other player's rewards
+    console.log('\n2. Testing n-step returns...');
+    const nStep = new QLearningAgent({ ...board, nSteps: 3, discountFactor: 0.9 });
+    const step = (player, nextPlayer, reward, done = false) => ({
+        state: { ...start, currentPlayer: player },
+        action: player * 4,
+        reward,
+        nextState: { ...start, currentPlayer: nextPlayer },
+        done
+    });
+    // P0 moves twice (extra turn), then P1, P0, and P1 wins with its last move
+    const game = [step(0, 0, 0), step(0, 1, 0), step(1, 0, 0), step(0, 1, 0), step(1, 1, 1, true)];
+    game.forEach(exp => nStep.remember(exp));
+    const stored = nStep.replayBuffer.toArray().map(e => ({ reward: +e.reward.toFixed(4), steps: e.steps, done: e.done }));
+    const expected = [
+        { reward: 0, steps: 3, done: false },     // bootstraps from P0's turn after step 2
+        { reward: 0, steps: 3, done: false },     // bootstraps from P1's turn after step 3
+        { reward: 0.81, steps: 3, done: true },   // P1: its own win two steps later
+        { reward: -0.9, steps: 2, done: true },   // P0: the opponent's win one step later
+        { reward: 1, steps: 1, done: true }       // P1: the winning move
+    ];
+    console.log(`   Stored: ${JSON.stringify(stored)}`);
+    console.log(`   ✅ n-step returns: ${JSON.stringify(stored) === JSON.stringify(expected) &&
+        nStep.replayBuffer.get(0).nextState.currentPlayer === 0 && nStep.nStepQueue.length === 0 ? 'PASS' : 'FAIL'}`);
+
+    // Test 3: Double DQN scores the online network's choice with the target network
+    console.log('\n3. Testing Double DQN targets...');
+    const double = new QLearningAgent({ ...board, doubleDQN: true, discountFactor: 0.9 });
+    double.model.setWeights(double.model.getWeights().map(w => tf.randomNormal(w.shape)));
+    const next = KalahEngine.applyMove(start, 0); // Player 1 to move
+    const exp = { state: start, action: 0, reward: 0, nextState: next, done: false, steps: 2 };
+    const onlineQ = double.getQValues(next);
+    const targetQ = double.getTargetQValues(next);
+    const doubleTarget = double.computeTargets([exp]).targets.dataSync()[0];
+    double.doubleDQN = false;
+    const plainTarget = double.computeTargets([exp]).targets.dataSync()[0];
+    const expectedDouble = -0.81 * targetQ[onlineQ.indexOf(Math.max(...onlineQ))];
+    console.log(`   Double DQN ${doubleTarget.toFixed(4)} (expected ${expectedDouble.toFixed(4)}), DQN ${plainTarget.toFixed(4)}`);
+    console.log(`   ✅ Double DQN: ${Math.abs(doubleTarget - expectedDouble) < 1e-5 &&
+        Math.abs(plainTarget + 0.81 * Math.max(...targetQ)) < 1e-5 ? 'PASS' : 'FAIL'}`);
+
+    // Test 4: Training with all variants, then a save/load round trip
+    console.log('\n4. Testing training and saved hyperparameters...');
+    const agent = new QLearningAgent({ ...board, doubleDQN: true, dueling: true, nSteps: 3, batchSize: 16 });
+    const trainer = new Trainer(agent, { verbose: false });
+    await trainer.trainSelfPlay(10, { evalInterval: 10, evalGames: 4, savePath: path.join(os.tmpdir(), 'kalah-dqn-test') });
+    const modelDir = path.join(os.tmpdir(), 'kalah-dqn-test', 'model');
+    await agent.save(modelDir);
+
+    const loaded = new QLearningAgent(board);
+    await loaded.load(modelDir);
+    const before = agent.getQValues(start);
+    const after = loaded.getQValues(start);
+    const same = before.every((q, i) => Math.abs(q - after[i]) < 1e-5);
+    const restored = loaded.doubleDQN && loaded.dueling && loaded.nSteps === 3 &&
+        loaded.targetModel.getLayer('dueling_q') !== undefined;
+    console.log(`   Steps: ${agent.trainingStep}, loaded variant: doubleDQN=${loaded.doubleDQN}, ` +
+        `dueling=${loaded.dueling}, nSteps=${loaded.nSteps}`);
+    console.log(`   ✅ Round trip: ${agent.trainingStep > 0 && same && restored ? 'PASS' : 'FAIL'}`);
+
+    // Test 5: Prioritized replay sets priorities from TD errors
+    console.log('\n5. Testing prioritized replay...');
+    const prioritized = new QLearningAgent({ ...board, prioritizedReplay: true, batchSize: 16 });
+    await new Trainer(prioritized, { verbose: false }).trainAgainstOpponent(5);
+    const buffer = prioritized.replayBuffer;
+    const leaves = Array.from(buffer.sumTree.subarray(buffer.treeSize, buffer.treeSize + buffer.length));
+    const updated = leaves.filter(p => p !== Math.pow(buffer.maxPriority, buffer.alpha)).length;
+    const reloaded = new QLearningAgent(board);
+    await prioritized.save(modelDir);
+    await reloaded.load(modelDir);
+    console.log(`   Buffer: ${buffer.length}, priorities updated: ${updated}, loaded prioritized: ${reloaded.replayBuffer.prioritized}`);
+    console.log(`   ✅ Prioritized replay: ${prioritized.trainingStep > 0 && updated > 0 && reloaded.replayBuffer.prioritized ? 'PASS' : 'FAIL'}`);
+
+    console.log('\n' + '='.repeat(60));
+}
+
+main().catch(error => {
+    console.error(error);
+    process.exit(1);
+});
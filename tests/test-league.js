@@ -0,0 +1,94 @@
+#!/usr/bin/env node
+
+/**
+ * Test league training: the agent plays fixed opponents and frozen snapshots of itself from
+ * a pool kept on disk, which the next run continues with and resume points restore
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const QLearningAgent = require('../src/ai/rl-agent.js');
+const Trainer = require('../src/ai/trainer.js');
+const OpponentPool = require('../src/ai/opponent-pool.js');
+
+console.log('🔍 Testing League Training\n');
+console.log('='.repeat(60));
+
+const board = { pitsPerPlayer: 4, seedsPerPit: 3 };
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'kalah-league-test-'));
+
+const gamesAgainst = (members, id) => members.find(member => member.id === id).games;
+
+async function main() {
+    // Test 1: Snapshots join the pool every snapshotInterval episodes, the easiest dropped when full
+    console.log('\n1. Training 40 league episodes, a snapshot every 10, at most 2 kept...');
+    const leagueDir = path.join(dir, 'league');
+    const league = { dir: leagueDir, opponents: ['random'], snapshotInterval: 10, maxSnapshots: 2 };
+    const trainer = new Trainer(new QLearningAgent({ ...board, batchSize: 16, seed: 1 }), { verbose: false });
+    const results = await trainer.trainLeague(40, { evalInterval: 20, evalGames: 10, savePath: path.join(dir, 'checkpoints'), league });
+
+    const saved = new OpponentPool(leagueDir);
+    const snapshots = saved.snapshots.map(member => member.id);
+    console.log(`   Pool: ${results.pool.map(m => `${m.id} (${m.games} games)`).join(', ')}`);
+    const pooled = results.episodes === 40 && gamesAgainst(results.pool, 'random') > 0 &&
+        results.pool.some(m => m.kind === 'snapshot' && m.games > 0) &&
+        snapshots.length === 2 && saved.nextSnapshot === 5 && snapshots.includes('snapshot-4') &&
+        fs.readdirSync(leagueDir).filter(file => file.startsWith('snapshot-')).sort().join() === snapshots.sort().join() &&
+        snapshots.every(id => fs.existsSync(path.join(leagueDir, id, 'model.json'))) &&
+        results.evalHistory.map(e => e.episode).join() === '20,40';
+    console.log(`   ✅ Snapshots: ${pooled ? 'PASS' : 'FAIL'}`);
+
+    // Test 2: The next run plays the saved pool and adds to it
+    console.log('\n2. A second run with the same pool...');
+    const next = new Trainer(new QLearningAgent({ ...board, batchSize: 16, seed: 2 }), { verbose: false });
+    const nextResults = await next.trainLeague(20, { evalInterval: 20, evalGames: 10, savePath: path.join(dir, 'checkpoints-2'), league });
+    console.log(`   Pool: ${nextResults.pool.map(m => `${m.id} (${m.games} games)`).join(', ')}`);
+    const continued = gamesAgainst(nextResults.pool, 'random') > gamesAgainst(results.pool, 'random') &&
+        nextResults.pool.map(m => m.id).includes('snapshot-6') &&
+        new OpponentPool(leagueDir).nextSnapshot === 7;
+    console.log(`   ✅ Persistent pool: ${continued ? 'PASS' : 'FAIL'}`);
+
+    // Test 3: A resumed league run restores the pool as it was at its resume point
+    console.log('\n3. Resuming a league run from episode 20...');
+    const resumeLeague = { ...league, dir: path.join(dir, 'league-resume'), maxSnapshots: 5 };
+    const savePath = path.join(dir, 'checkpoints-resume');
+    const original = new Trainer(new QLearningAgent({ ...board, batchSize: 16, seed: 3 }), { verbose: false });
+    const originalResults = await original.trainLeague(40, { evalInterval: 20, evalGames: 10, savePath, league: resumeLeague });
+    const resumed = new Trainer(new QLearningAgent(board), { verbose: false });
+    const resumedResults = await resumed.resume(`${savePath}/latest`);
+    console.log(`   Eval history: ${originalResults.evalHistory.map(e => e.winRate).join(', ')} → ` +
+        `${resumedResults.evalHistory.map(e => e.winRate).join(', ')}`);
+    const same = JSON.stringify(resumedResults.pool) === JSON.stringify(originalResults.pool) &&
+        JSON.stringify(resumedResults.evalHistory) === JSON.stringify(originalResults.evalHistory);
+    console.log(`   ✅ Resumed league: ${same ? 'PASS' : 'FAIL'}`);
+
+    // Test 4: A curriculum stage can be a league
+    console.log('\n4. A curriculum with a league stage...');
+    const curriculum = new Trainer(new QLearningAgent({ ...board, batchSize: 16, seed: 4 }), { verbose: false });
+    const curriculumResults = await curriculum.trainCurriculum(30, {
+        evalInterval: 30,
+        evalGames: 10,
+        savePath: path.join(dir, 'checkpoints-curriculum'),
+        league: { ...league, dir: path.join(dir, 'league-curriculum'), opponents: [], maxSnapshots: 5 },
+        stages: [
+            { name: 'Random', opponent: 'random', episodes: 10 },
+            { name: 'League', opponent: 'league', maxEpisodes: 20, promotion: { winRate: 101, games: 4, interval: 10, opponent: 'random' } }
+        ]
+    });
+    const stagePool = new OpponentPool(path.join(dir, 'league-curriculum'));
+    console.log(`   Stages: ${curriculumResults.stages.map(r => `${r.name}:${r.episodes}:${r.result}`).join(', ')}; ` +
+        `pool: ${stagePool.members.map(m => `${m.id} (episode ${m.episode})`).join(', ')}`);
+    const staged = curriculumResults.stages.map(r => `${r.name}:${r.episodes}:${r.result}`).join() ===
+        'Random:10:completed,League:20:reached maxEpisodes' &&
+        stagePool.members.map(m => `${m.id}@${m.episode}`).join() === 'snapshot-1@10,snapshot-2@20,snapshot-3@30';
+    console.log(`   ✅ League stage: ${staged ? 'PASS' : 'FAIL'}`);
+
+    fs.rmSync(dir, { recursive: true, force: true });
+    console.log('\n' + '='.repeat(60));
+}
+
+main().catch(error => {
+    console.error(error);
+    process.exit(1);
+});
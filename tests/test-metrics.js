@@ -0,0 +1,64 @@
+#!/usr/bin/env node
+
+/**
+ * Test the training metrics log: a run with a metrics directory writes one record per
+ * logInterval episodes and per evaluation, and a resumed run continues the same log
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const QLearningAgent = require('../src/ai/rl-agent.js');
+const Trainer = require('../src/ai/trainer.js');
+const MetricsLog = require('../src/ai/metrics-log.js');
+
+console.log('🔍 Testing Training Metrics\n');
+console.log('='.repeat(60));
+
+const board = { pitsPerPlayer: 4, seedsPerPit: 3 };
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'kalah-metrics-test-'));
+const metricsDir = path.join(dir, 'runs', 'test-run');
+const savePath = path.join(dir, 'checkpoints');
+
+async function main() {
+    // Test 1: Episode blocks and evaluations are recorded with all metrics
+    console.log('\n1. Training 40 episodes, a record every 10 and an evaluation every 20...');
+    const agent = new QLearningAgent({ ...board, batchSize: 16, seed: 1 });
+    const trainer = new Trainer(agent, { verbose: false, logInterval: 10, metricsDir });
+    await trainer.trainSelfPlay(40, { evalInterval: 20, evalGames: 4, evalOpponent: 'minimax:easy', savePath });
+
+    const records = MetricsLog.read(metricsDir);
+    const episodes = records.filter(r => r.type === 'episodes');
+    const evals = records.filter(r => r.type === 'eval');
+    const last = episodes[episodes.length - 1];
+    console.log(`   ${episodes.length} episode records, ${evals.length} evaluations; last: ` +
+        `loss ${last.loss.toFixed(4)}, ε ${last.epsilon.toFixed(3)}, lr ${last.learningRate.toFixed(6)}, ` +
+        `|Q| ${last.avgQ.toFixed(3)}, P0 ${last.p0WinRate}%, P1 ${last.p1WinRate}%, buffer ${last.bufferSize}`);
+    const recorded = episodes.length === 4 && evals.length === 2 &&
+        episodes.map(r => r.episode).join() === '10,20,30,40' &&
+        episodes.every(r => r.episodes === 10 && Math.abs(r.p0WinRate + r.p1WinRate + r.drawRate - 100) < 1e-9) &&
+        last.loss > 0 && last.avgQ > 0 && last.learningRate > 0 && last.bufferSize === agent.replayBuffer.length &&
+        evals[1].episode === 40 && evals[1].opponent === 'Minimax (easy)' && evals[1].games === 4;
+    console.log(`   ✅ Records: ${recorded ? 'PASS' : 'FAIL'}`);
+
+    const csvRows = fs.readFileSync(path.join(metricsDir, 'episodes.csv'), 'utf8').trim().split('\n').length - 1;
+    console.log(`   ✅ CSV: ${csvRows === 4 ? 'PASS' : 'FAIL'}`);
+
+    // Test 2: A resumed run drops the records after its resume point and writes them again
+    console.log('\n2. Resuming from the episode-20 resume point...');
+    const { metricsDir: savedDir } = Trainer.readTrainingState(`${savePath}/latest`);
+    const resumed = new Trainer(new QLearningAgent(board), { verbose: false, logInterval: 10, metricsDir: savedDir });
+    await resumed.resume(`${savePath}/latest`);
+    const after = MetricsLog.read(metricsDir);
+    const order = after.map(r => `${r.type === 'eval' ? 'E' : ''}${r.episode}`).join();
+    console.log(`   Records: ${order}`);
+    console.log(`   ✅ Resumed log: ${savedDir === metricsDir && order === '10,20,E20,30,40,E40' ? 'PASS' : 'FAIL'}`);
+
+    fs.rmSync(dir, { recursive: true, force: true });
+    console.log('\n' + '='.repeat(60));
+}
+
+main().catch(error => {
+    console.error(error);
+    process.exit(1);
+});
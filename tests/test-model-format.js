@@ -0,0 +1,123 @@
+#!/usr/bin/env node
+
+/**
+ * Test the model files: standard TensorFlow.js format (model.json + weights.bin) with
+ * a metadata block, loading of the older single-file format, and the converter
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const tf = require('@tensorflow/tfjs-node');
+const QLearningAgent = require('../src/ai/rl-agent.js');
+const KalahEngine = require('../src/engine/kalah-engine.js');
+const { convertModel } = require('../src/training/convert-model.js');
+const { FEATURE_EXTRACTOR_VERSION } = require('../src/ai/feature-extractor.js');
+
+console.log('🔍 Testing Model Files\n');
+console.log('='.repeat(60));
+
+const board = { pitsPerPlayer: 4, seedsPerPit: 3 };
+const start = new KalahEngine(board).getState();
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'kalah-model-test-'));
+
+function sameQ(a, b) {
+    const qa = a.getQValues(start);
+    const qb = b.getQValues(start);
+    return qa.every((q, i) => Math.abs(q - qb[i]) < 1e-6);
+}
+
+/**
+ * Write a model the way save() did before the standard format
+ */
+async function saveLegacy(agent, modelDir) {
+    fs.mkdirSync(modelDir, { recursive: true });
+    const weightsData = await Promise.all(agent.model.getWeights().map(async w => ({
+        name: w.name,
+        shape: w.shape,
+        dtype: w.dtype,
+        data: Array.from(await w.data())
+    })));
+    fs.writeFileSync(path.join(modelDir, 'model.json'), JSON.stringify({
+        modelTopology: agent.model.toJSON(null, false),
+        weightsData,
+        board,
+        hyperparameters: { epsilon: 0.25, trainingStep: 7 },
+        stats: agent.stats
+    }));
+}
+
+async function main() {
+    const agent = new QLearningAgent({ ...board, dueling: true });
+
+    // Test 1: Standard files with metadata, readable by tf.loadLayersModel
+    console.log('\n1. Testing the saved files...');
+    const standardDir = path.join(dir, 'standard');
+    await agent.save(standardDir);
+    const modelJSON = JSON.parse(fs.readFileSync(path.join(standardDir, 'model.json'), 'utf8'));
+    const metadata = modelJSON.userDefinedMetadata;
+    const weightBytes = fs.statSync(path.join(standardDir, 'weights.bin')).size;
+    const parameters = agent.model.getWeights().reduce((sum, w) => sum + w.size, 0);
+    console.log(`   ${parameters} weights in ${weightBytes} bytes, metadata: ${JSON.stringify(metadata.featureExtractor)}, ` +
+        `Kalah(${metadata.board.pitsPerPlayer},${metadata.board.seedsPerPit})`);
+    const filesOk = modelJSON.format === 'layers-model' && modelJSON.weightsManifest[0].paths[0] === 'weights.bin' &&
+        weightBytes === 4 * parameters && metadata.featureExtractor.version === FEATURE_EXTRACTOR_VERSION &&
+        metadata.board.pitsPerPlayer === 4 && metadata.hyperparameters.dueling === true;
+    console.log(`   ✅ Standard files: ${filesOk ? 'PASS' : 'FAIL'}`);
+
+    const loaded = new QLearningAgent(board);
+    await loaded.load(standardDir);
+    console.log(`   ✅ Load round trip: ${sameQ(agent, loaded) && loaded.dueling ? 'PASS' : 'FAIL'}`);
+
+    // Test 2: Older single-file models still load
+    console.log('\n2. Testing the older format...');
+    const plain = new QLearningAgent(board); // The older format predates dueling networks
+    const legacyDir = path.join(dir, 'legacy');
+    await saveLegacy(plain, legacyDir);
+    const legacy = new QLearningAgent(board);
+    await legacy.load(legacyDir);
+    console.log(`   ✅ Older format: ${sameQ(plain, legacy) && legacy.trainingStep === 7 ? 'PASS' : 'FAIL'}`);
+
+    // Test 3: The converter rewrites older models with the same outputs, once
+    console.log('\n3. Testing the converter...');
+    const converted = await convertModel(legacyDir);
+    const again = await convertModel(legacyDir);
+    const fromConverted = new QLearningAgent(board);
+    await fromConverted.load(legacyDir);
+    console.log(`   ✅ Converter: ${converted && !again && sameQ(plain, fromConverted) && fromConverted.epsilon === 0.25 ? 'PASS' : 'FAIL'}`);
+
+    // Test 4: Models for other features are refused
+    console.log('\n4. Testing the feature extractor version check...');
+    modelJSON.userDefinedMetadata.featureExtractor.version = FEATURE_EXTRACTOR_VERSION + 1;
+    fs.writeFileSync(path.join(standardDir, 'model.json'), JSON.stringify(modelJSON));
+    let refused = false;
+    try {
+        await new QLearningAgent(board).load(standardDir);
+    } catch (error) {
+        refused = true;
+        console.log(`   Refused: ${error.message}`);
+    }
+    console.log(`   ✅ Feature version refused: ${refused ? 'PASS' : 'FAIL'}`);
+
+    // Without feature extractor metadata the input size has to match the board
+    delete modelJSON.userDefinedMetadata.featureExtractor;
+    modelJSON.userDefinedMetadata.board = { pitsPerPlayer: 6, seedsPerPit: 4 };
+    fs.writeFileSync(path.join(standardDir, 'model.json'), JSON.stringify(modelJSON));
+    refused = false;
+    try {
+        await new QLearningAgent().load(standardDir);
+    } catch (error) {
+        refused = /predates the current features/.test(error.message);
+        console.log(`   Refused: ${error.message}`);
+    }
+    console.log(`   ✅ Input size refused: ${refused ? 'PASS' : 'FAIL'}`);
+
+    fs.rmSync(dir, { recursive: true, force: true });
+    tf.disposeVariables();
+    console.log('\n' + '='.repeat(60));
+}
+
+main().catch(error => {
+    console.error(error);
+    process.exit(1);
+});
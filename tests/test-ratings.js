@@ -0,0 +1,84 @@
+#!/usr/bin/env node
+
+/**
+ * Test the rating tournament: saved checkpoints play the built-in AIs on both sides, the
+ * ratings file keeps the results, and a checkpoint added later only plays its own games
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const QLearningAgent = require('../src/ai/rl-agent.js');
+const AlphaZeroAgent = require('../src/ai/alphazero-agent.js');
+const RatingLadder = require('../src/ai/rating-ladder.js');
+const { loadPlayer, playMatch, runTournament } = require('../src/training/rate-agents.js');
+const { createRandom } = require('../src/utils/random.js');
+
+console.log('🔍 Testing Rating Tournaments\n');
+console.log('='.repeat(60));
+
+const board = { pitsPerPlayer: 4, seedsPerPit: 3 };
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'kalah-ratings-test-'));
+
+async function main() {
+    const checkpoint = path.join(dir, 'checkpoint-1');
+    await new QLearningAgent({ ...board, seed: 1 }).save(checkpoint);
+    const alphaZero = path.join(dir, 'alphazero');
+    await new AlphaZeroAgent({ ...board, simulations: 10 }).save(alphaZero);
+
+    // Test 1: Matches alternate sides over shared openings
+    console.log('\n1. Matches...');
+    const random = createRandom(1);
+    const options = { board, random };
+    const dqn = await loadPlayer(checkpoint, options);
+    const minimax = await loadPlayer('minimax:easy', options);
+    const results = playMatch(dqn, minimax, { games: 9, board, random });
+    const same = JSON.stringify(playMatch(dqn, dqn, { games: 8, board, random, openings: 0 }));
+    console.log(`   ${dqn.name} vs ${minimax.name}: ${JSON.stringify(results)}; against itself without openings: ${same}`);
+    const matched = results.wins + results.draws + results.losses === 10 && dqn.name === checkpoint &&
+        // A deterministic player against itself wins every game on one side and loses on the other, or draws
+        (same === JSON.stringify({ wins: 4, draws: 0, losses: 4 }) || same === JSON.stringify({ wins: 0, draws: 8, losses: 0 }));
+    console.log(`   ✅ Matches: ${matched ? 'PASS' : 'FAIL'}`);
+
+    // Test 2: A round robin rates everyone and saves the ratings file
+    console.log('\n2. Round robin...');
+    const file = path.join(dir, 'ratings.json');
+    const ladder = new RatingLadder(file, { board });
+    const players = [];
+    for (const spec of ['random', 'minimax:easy', checkpoint]) {
+        players.push(await loadPlayer(spec, options));
+        ladder.addPlayer(spec, spec);
+    }
+    const played = runTournament(ladder, players, { games: 10, random });
+    const saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+    console.log(`   ${played} games: ${saved.ratings.map(r => `${r.name} ${r.rating.toFixed(0)} ± ${r.interval.toFixed(0)}`).join(', ')}`);
+    const rated = played === 30 && saved.ratings.length === 3 && saved.ratings.every(r => r.games === 20) &&
+        saved.ratings.find(r => r.name === 'random').rating === 0;
+    console.log(`   ✅ Round robin: ${rated ? 'PASS' : 'FAIL'}`);
+
+    // Test 3: A later checkpoint only plays its own pairings; finished pairs aren't replayed
+    console.log('\n3. Adding an AlphaZero model...');
+    const next = new RatingLadder(file);
+    const nextPlayers = [];
+    for (const spec of [...next.playerNames, alphaZero]) {
+        nextPlayers.push(await loadPlayer(spec, { ...options, simulations: 5 }));
+        next.addPlayer(spec, spec);
+    }
+    const added = runTournament(next, nextPlayers, { games: 10, random });
+    const again = runTournament(next, nextPlayers, { games: 10, random });
+    const swiss = runTournament(next, nextPlayers, { format: 'swiss', rounds: 2, games: 4, random });
+    const ratings = new RatingLadder(file).fit();
+    console.log(`   ${added} games, then ${again}, then ${swiss} in 2 swiss rounds; ` +
+        `${ratings.map(r => `${path.basename(r.name)} ${r.rating.toFixed(0)}`).join(', ')}`);
+    const grown = added === 30 && again === 0 && swiss === 16 && ratings.length === 4 &&
+        ratings.reduce((sum, r) => sum + r.games, 0) === 2 * (30 + 30 + 16);
+    console.log(`   ✅ Growing ladder: ${grown ? 'PASS' : 'FAIL'}`);
+
+    fs.rmSync(dir, { recursive: true, force: true });
+    console.log('\n' + '='.repeat(60));
+}
+
+main().catch(error => {
+    console.error(error);
+    process.exit(1);
+});
@@ -0,0 +1,101 @@
+#!/usr/bin/env node
+
+/**
+ * Test resuming training from a checkpoint: a run interrupted halfway and resumed
+ * must end with the same networks, optimizer, replay buffer and statistics as the
+ * same run played straight through
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const QLearningAgent = require('../src/ai/rl-agent.js');
+const Trainer = require('../src/ai/trainer.js');
+const { createRandom } = require('../src/utils/random.js');
+
+console.log('🔍 Testing Training Resume\n');
+console.log('='.repeat(60));
+
+const board = { pitsPerPlayer: 4, seedsPerPit: 3 };
+const options = { ...board, batchSize: 16, replayBufferSize: 300, prioritizedReplay: true, targetUpdateFreq: 5 };
+const savePath = fs.mkdtempSync(path.join(os.tmpdir(), 'kalah-resume-test-'));
+const runOptions = { evalInterval: 10, evalGames: 4, savePath };
+
+async function weightsOf(model) {
+    return Promise.all(model.getWeights().map(async w => Array.from(await w.data())));
+}
+
+function same(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Replay buffer contents as training sees them (restored states only keep these fields)
+ */
+function replayContents(buffer) {
+    const { next, size, items, weights, maxPriority } = buffer.getState();
+    const fields = ({ board, stores, currentPlayer, gameOver }) => ({ board, stores, currentPlayer, gameOver });
+    return {
+        next,
+        size,
+        items: items.map(exp => ({ ...exp, state: fields(exp.state), nextState: fields(exp.nextState) })),
+        weights: Array.from(weights),
+        maxPriority
+    };
+}
+
+async function main() {
+    // Straight run: 20 episodes, leaving a resume point at episode 10
+    console.log('\n1. Training 20 episodes straight through...');
+    const straight = new QLearningAgent({ ...options, random: createRandom(42) });
+    const straightTrainer = new Trainer(straight, { verbose: false });
+    const straightResults = await straightTrainer.trainSelfPlay(20, runOptions);
+
+    // Resumed run: a fresh agent continuing from episode 10
+    console.log('\n2. Resuming a fresh agent from the episode-10 resume point...');
+    const saved = Trainer.readTrainingState(`${savePath}/latest`);
+    const resumed = new QLearningAgent({ ...board, random: createRandom(7) });
+    const resumedTrainer = new Trainer(resumed, { verbose: false });
+    const resumedResults = await resumedTrainer.resume(`${savePath}/latest`);
+
+    console.log(`\n   Resume point: stage ${saved.position.stage}, episode ${saved.position.episode}, ` +
+        `${saved.stats.gamesPlayed} games in the stats`);
+    console.log(`   ✅ Resume point: ${saved.position.episode === 10 && saved.stats.gamesPlayed === 10 ? 'PASS' : 'FAIL'}`);
+
+    // Test 3: Both runs end in the same state
+    console.log('\n3. Comparing final states...');
+    const checks = {
+        'online weights': same(await weightsOf(straight.model), await weightsOf(resumed.model)),
+        'target weights': same(await weightsOf(straight.targetModel), await weightsOf(resumed.targetModel)),
+        'optimizer steps': same(
+            await Promise.all((await straight.model.optimizer.getWeights()).map(w => w.tensor.data())),
+            await Promise.all((await resumed.model.optimizer.getWeights()).map(w => w.tensor.data()))
+        ),
+        'replay buffer': same(replayContents(straight.replayBuffer), replayContents(resumed.replayBuffer)),
+        'random state': straight.random.getState() === resumed.random.getState(),
+        'hyperparameters': straight.trainingStep === resumed.trainingStep && straight.epsilon === resumed.epsilon,
+        'trainer stats': same(straightTrainer.stats, resumedTrainer.stats),
+        'eval history': same(straightResults.evalHistory, resumedResults.evalHistory)
+    };
+    for (const [name, passed] of Object.entries(checks)) {
+        console.log(`   ${passed ? '✅' : '❌'} ${name}`);
+    }
+    console.log(`   ✅ Exact resume: ${Object.values(checks).every(Boolean) ? 'PASS' : 'FAIL'}`);
+
+    // Test 4: The binary replay file holds fixed-size records plus priorities
+    console.log('\n4. Checking the replay file size...');
+    const { replay } = JSON.parse(fs.readFileSync(`${savePath}/latest/training-state.json`, 'utf8'));
+    const replayBytes = fs.statSync(`${savePath}/latest/replay-buffer.bin`).size;
+    const jsonBytes = JSON.stringify(straight.replayBuffer.toArray()).length / straight.replayBuffer.length;
+    console.log(`   ${replay.size} experiences in ${replayBytes} bytes ` +
+        `(${replay.recordSize} + 8 per experience, ${jsonBytes.toFixed(0)} as JSON)`);
+    console.log(`   ✅ Replay file: ${replayBytes === replay.size * (replay.recordSize + 8) ? 'PASS' : 'FAIL'}`);
+
+    fs.rmSync(savePath, { recursive: true, force: true });
+    console.log('\n' + '='.repeat(60));
+}
+
+main().catch(error => {
+    console.error(error);
+    process.exit(1);
+});
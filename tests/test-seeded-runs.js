@@ -0,0 +1,105 @@
+#!/usr/bin/env node
+
+/**
+ * Test seeded runs: two training runs with the same seed (weight initialization,
+ * exploration, replay sampling, random and minimax opponents) must end with the same
+ * networks and eval histories; another seed must not. The same goes for AlphaZero
+ * self-play (root noise, move sampling, replay sampling)
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const tf = require('@tensorflow/tfjs-node');
+const QLearningAgent = require('../src/ai/rl-agent.js');
+const AlphaZeroAgent = require('../src/ai/alphazero-agent.js');
+const Trainer = require('../src/ai/trainer.js');
+
+console.log('🔍 Testing Seeded Runs\n');
+console.log('='.repeat(60));
+
+const board = { pitsPerPlayer: 4, seedsPerPit: 3 };
+const savePath = fs.mkdtempSync(path.join(os.tmpdir(), 'kalah-seed-test-'));
+
+async function weightsOf(model) {
+    return Promise.all(model.getWeights().map(async w => Array.from(await w.data())));
+}
+
+function same(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Train a fresh agent against an easy minimax player (30% random moves), then by
+ * self-play with evaluations against it
+ */
+async function run(seed) {
+    const agent = new QLearningAgent({ ...board, batchSize: 16, targetUpdateFreq: 5, seed });
+    const trainer = new Trainer(agent, { verbose: false });
+    await trainer.trainAgainstOpponent(10, 'minimax:easy');
+    const results = await trainer.trainSelfPlay(20, {
+        evalInterval: 10,
+        evalGames: 6,
+        evalOpponent: 'minimax:easy',
+        savePath
+    });
+    return { weights: await weightsOf(agent.model), stats: trainer.stats, evalHistory: results.evalHistory };
+}
+
+/**
+ * Train a fresh AlphaZero agent by self-play with an evaluation against random moves
+ */
+async function runAlphaZero(seed) {
+    const agent = new AlphaZeroAgent({ ...board, simulations: 10, batchSize: 16, seed });
+    const trainer = new Trainer(agent, { verbose: false });
+    const results = await trainer.trainAlphaZero(2, {
+        gamesPerIteration: 2,
+        trainingSteps: 3,
+        evalInterval: 2,
+        evalGames: 4,
+        savePath
+    });
+    return { weights: await weightsOf(agent.model), evalHistory: results.evalHistory };
+}
+
+async function main() {
+    console.log('\n1. Training twice with seed 42, once with seed 43...');
+    const first = await run(42);
+    const second = await run(42);
+    const other = await run(43);
+
+    // Test 1: Same seed, same run
+    console.log('\n   Eval history (seed 42): ' +
+        first.evalHistory.map(e => `${e.episode}: ${e.winRate.toFixed(1)}%`).join(', '));
+    const checks = {
+        'weights': same(first.weights, second.weights),
+        'trainer stats': same(first.stats, second.stats),
+        'eval history': first.evalHistory.length === 2 && same(first.evalHistory, second.evalHistory)
+    };
+    for (const [name, passed] of Object.entries(checks)) {
+        console.log(`   ${passed ? '✅' : '❌'} ${name}`);
+    }
+    console.log(`   ✅ Same seed: ${Object.values(checks).every(Boolean) ? 'PASS' : 'FAIL'}`);
+
+    // Test 2: Another seed starts from other weights and trains differently
+    console.log(`   ✅ Other seed: ${!same(first.weights, other.weights) ? 'PASS' : 'FAIL'}`);
+
+    // Test 3: Seeded AlphaZero self-play
+    console.log('\n2. Training AlphaZero twice with seed 42, once with seed 43...');
+    const zeroFirst = await runAlphaZero(42);
+    const zeroSecond = await runAlphaZero(42);
+    const zeroOther = await runAlphaZero(43);
+    const zeroSame = same(zeroFirst.weights, zeroSecond.weights) && zeroFirst.evalHistory.length === 1 &&
+        same(zeroFirst.evalHistory, zeroSecond.evalHistory);
+    console.log(`   ✅ AlphaZero same seed: ${zeroSame ? 'PASS' : 'FAIL'}`);
+    console.log(`   ✅ AlphaZero other seed: ${!same(zeroFirst.weights, zeroOther.weights) ? 'PASS' : 'FAIL'}`);
+
+    fs.rmSync(savePath, { recursive: true, force: true });
+    tf.disposeVariables();
+    console.log('\n' + '='.repeat(60));
+}
+
+main().catch(error => {
+    console.error(error);
+    process.exit(1);
+});
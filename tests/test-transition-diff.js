@@ -0,0 +1,172 @@
+#!/usr/bin/env node
+
+/**
+ * Differential test: KalahEngine.applyMove vs KalahEngine.makeMove
+ *
+ * Plays every legal move from random positions (random board sizes, rule
+ * variants, reachable positions from random playouts and arbitrary seed
+ * distributions) through both implementations and compares the results,
+ * including the incrementally updated Zobrist hash.
+ *
+ * Usage:
+ *   node tests/test-transition-diff.js [positions] [seed]
+ *
+ * Default: 1,000,000 positions, seed 1
+ */
+
+const KalahEngine = require('../src/engine/kalah-engine.js');
+
+const GEOMETRIES = [[6, 4], [4, 3], [6, 6], [8, 5], [3, 1]];
+
+/**
+ * Small deterministic PRNG (xorshift32) so failures can be reproduced
+ */
+function createRandom(seed) {
+    let x = seed >>> 0 || 1;
+    return () => {
+        x ^= x << 13; x >>>= 0;
+        x ^= x >>> 17;
+        x ^= x << 5; x >>>= 0;
+        return x / 4294967296;
+    };
+}
+
+function randomRules(random) {
+    return {
+        captures: random() >= 0.2,
+        captureEmptyOpposite: random() < 0.3,
+        remainingSeeds: random() < 0.3 ? 'clearer' : 'owner',
+        earlyWin: random() < 0.7
+    };
+}
+
+/**
+ * Reachable position: random playout of random length
+ */
+function randomPlayoutPosition(random, pitsPerPlayer, seedsPerPit, rules) {
+    const game = new KalahEngine({ pitsPerPlayer, seedsPerPit, rules });
+    const plies = Math.floor(random() * 40);
+    for (let i = 0; i < plies && !game.gameOver; i++) {
+        const moves = game.getValidMoves();
+        game.makeMove(moves[Math.floor(random() * moves.length)]);
+    }
+    return game.getState();
+}
+
+/**
+ * Arbitrary position: seeds scattered over pits and stores
+ */
+function randomScatteredPosition(random, pitsPerPlayer, seedsPerPit, rules) {
+    const totalPits = pitsPerPlayer * 2;
+    const board = Array(totalPits).fill(0);
+    const stores = [0, 0];
+    const totalSeeds = totalPits * seedsPerPit;
+    const onBoard = Math.max(1, Math.floor(random() * totalSeeds));
+
+    for (let i = 0; i < onBoard; i++) {
+        board[Math.floor(random() * totalPits)]++;
+    }
+    for (let i = onBoard; i < totalSeeds; i++) {
+        stores[random() < 0.5 ? 0 : 1]++;
+    }
+
+    return {
+        board,
+        stores,
+        currentPlayer: random() < 0.5 ? 0 : 1,
+        gameOver: false,
+        moveNumber: Math.floor(random() * 100),
+        seedsPerPit,
+        rules
+    };
+}
+
+function compare(before, pit, engine, details, next) {
+    const problems = [];
+    if (JSON.stringify(engine.board) !== JSON.stringify(next.board)) problems.push('board');
+    if (engine.stores[0] !== next.stores[0] || engine.stores[1] !== next.stores[1]) problems.push('stores');
+    if (engine.currentPlayer !== next.currentPlayer) problems.push('currentPlayer');
+    if (engine.gameOver !== next.gameOver) problems.push('gameOver');
+    if (engine.moveNumber !== next.moveNumber) problems.push('moveNumber');
+    for (const key of ['captured', 'extraTurn', 'gameEnded', 'seedsSown', 'player', 'pitIndex']) {
+        if (details[key] !== next.move[key]) problems.push(`move.${key}`);
+    }
+    if (before.hashLo !== undefined) {
+        // Incremental hash must match a hash computed from scratch
+        const fresh = KalahEngine.hashState({ board: engine.board, stores: engine.stores, currentPlayer: engine.currentPlayer });
+        if (fresh.hashLo !== next.hashLo || fresh.hashHi !== next.hashHi) problems.push('hash');
+    } else if (next.hashLo !== undefined) {
+        problems.push('hash');
+    }
+
+    if (problems.length > 0) {
+        throw new Error(
+            `Mismatch (${problems.join(', ')}) playing pit ${pit} from ${JSON.stringify(before)}\n` +
+            `  makeMove:  board=${JSON.stringify(engine.board)} stores=${JSON.stringify(engine.stores)} ` +
+            `player=${engine.currentPlayer} over=${engine.gameOver} details=${JSON.stringify({ ...details, sowingPath: undefined })}\n` +
+            `  applyMove: board=${JSON.stringify(next.board)} stores=${JSON.stringify(next.stores)} ` +
+            `player=${next.currentPlayer} over=${next.gameOver} details=${JSON.stringify(next.move)}`
+        );
+    }
+}
+
+/**
+ * Run the differential test
+ * @param {number} numPositions - Number of random positions
+ * @param {number} seed - PRNG seed
+ * @returns {Object} {positions, moves}
+ */
+function runDifferentialTest(numPositions, seed = 1) {
+    const random = createRandom(seed);
+    const engine = new KalahEngine();
+    let moves = 0;
+    let reused = null;
+
+    for (let n = 0; n < numPositions; n++) {
+        const [pitsPerPlayer, seedsPerPit] = GEOMETRIES[Math.floor(random() * GEOMETRIES.length)];
+        const rules = randomRules(random);
+        const position = random() < 0.5
+            ? randomPlayoutPosition(random, pitsPerPlayer, seedsPerPit, rules)
+            : randomScatteredPosition(random, pitsPerPlayer, seedsPerPit, rules);
+        if (random() < 0.5) {
+            KalahEngine.hashState(position);
+        }
+
+        engine.setState(position);
+        for (const pit of engine.getValidMoves()) {
+            engine.setState(position);
+            const details = engine.makeMove(pit);
+
+            // Alternate between fresh and reused output objects
+            let next;
+            if (reused && reused.board.length === position.board.length && (moves & 1)) {
+                next = KalahEngine.applyMove(position, pit, reused);
+            } else {
+                next = KalahEngine.applyMove(position, pit);
+                reused = next;
+            }
+
+            compare(position, pit, engine, details, next);
+            moves++;
+        }
+    }
+
+    return { positions: numPositions, moves };
+}
+
+if (require.main === module) {
+    const numPositions = parseInt(process.argv[2]) || 1000000;
+    const seed = parseInt(process.argv[3]) || 1;
+
+    console.log(`🔍 Differential test: applyMove vs makeMove (${numPositions} positions, seed ${seed})\n`);
+    const start = Date.now();
+    try {
+        const { moves } = runDifferentialTest(numPositions, seed);
+        console.log(`✅ ${numPositions} positions, ${moves} moves: identical results (${((Date.now() - start) / 1000).toFixed(1)}s)`);
+    } catch (error) {
+        console.log(`❌ ${error.message}`);
+        process.exitCode = 1;
+    }
+}
+
+module.exports = { runDifferentialTest };